@@ -0,0 +1,66 @@
+/**
+ * Authentication Middleware
+ *
+ * Verifies access tokens for REST routes (Authorization: Bearer <token>)
+ * and for Socket.IO handshakes (auth.token), exposing the authenticated
+ * user as req.user / socket.data.user ({ userId, username })
+ */
+
+const { verifyAccessToken } = require('../utils/authTokens');
+const { sendUnauthorizedError } = require('../utils/errorHandler');
+
+/**
+ * Read the bearer token from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null
+ */
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Express middleware requiring a valid access token
+ */
+const authenticate = (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return sendUnauthorizedError(res, 'Authentication required', 'Please log in to continue');
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = { userId: payload.sub, username: payload.username };
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return sendUnauthorizedError(res, 'Token expired', 'Your session has expired. Please refresh your token.');
+    }
+    sendUnauthorizedError(res, 'Invalid token', 'Please provide a valid token');
+  }
+};
+
+/**
+ * Socket.IO handshake middleware requiring a valid access token
+ * Rejected handshakes surface on the client as connect_error with the same message
+ */
+const authenticateSocket = (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    const payload = verifyAccessToken(token);
+    socket.data.user = { userId: payload.sub, username: payload.username };
+    next();
+  } catch (error) {
+    next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+  }
+};
+
+module.exports = {
+  authenticate,
+  authenticateSocket,
+};
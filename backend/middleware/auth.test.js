@@ -0,0 +1,95 @@
+const jwt = require('jsonwebtoken');
+const { authenticate, authenticateSocket } = require('./auth');
+const { issueTokens } = require('../utils/authTokens');
+
+const user = { userId: 'user-1', username: 'Ann' };
+const savedSecret = process.env.JWT_SECRET;
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'access-secret';
+});
+
+afterAll(() => {
+  if (savedSecret === undefined) delete process.env.JWT_SECRET;
+  else process.env.JWT_SECRET = savedSecret;
+});
+
+const expiredToken = () => jwt.sign(
+  { sub: 'user-1', username: 'Ann', type: 'access', exp: Math.floor(Date.now() / 1000) - 10 },
+  'access-secret'
+);
+
+describe('authenticate', () => {
+  const request = (authorization) => ({
+    get: (name) => (name === 'Authorization' ? authorization : undefined),
+  });
+
+  const run = (authorization) => {
+    const req = request(authorization);
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    authenticate(req, res, next);
+    return { req, res, next };
+  };
+
+  test('sets req.user from a valid bearer token', () => {
+    const { req, res, next } = run(`Bearer ${issueTokens(user).accessToken}`);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toEqual(user);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [undefined, 'Authentication required'],
+    ['Basic abc', 'Authentication required'],
+    ['Bearer', 'Authentication required'],
+    ['Bearer not-a-token', 'Invalid token'],
+  ])('answers 401 for %p', (authorization, error) => {
+    const { res, next } = run(authorization);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error }));
+  });
+
+  test('does not accept a refresh token', () => {
+    const { res, next } = run(`Bearer ${issueTokens(user).refreshToken}`);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid token' }));
+  });
+
+  test('tells an expired token apart so the client can refresh it', () => {
+    const { res } = run(`Bearer ${expiredToken()}`);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Token expired' }));
+  });
+});
+
+describe('authenticateSocket', () => {
+  const handshake = (auth) => {
+    const socket = { handshake: { auth }, data: {} };
+    const next = jest.fn();
+    authenticateSocket(socket, next);
+    return { socket, next };
+  };
+
+  test('sets socket.data.user from the handshake token', () => {
+    const { socket, next } = handshake({ token: issueTokens(user).accessToken });
+    expect(next).toHaveBeenCalledWith();
+    expect(socket.data.user).toEqual(user);
+  });
+
+  test.each([
+    [{}, 'Authentication required'],
+    [undefined, 'Authentication required'],
+    [{ token: 'not-a-token' }, 'Invalid token'],
+  ])('rejects the handshake for %p', (auth, message) => {
+    const { socket, next } = handshake(auth);
+    expect(next).toHaveBeenCalledWith(new Error(message));
+    expect(socket.data.user).toBeUndefined();
+  });
+
+  test('rejects refresh and expired tokens', () => {
+    expect(handshake({ token: issueTokens(user).refreshToken }).next).toHaveBeenCalledWith(new Error('Invalid token'));
+    expect(handshake({ token: expiredToken() }).next).toHaveBeenCalledWith(new Error('Token expired'));
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Room Access Middleware
+ * 
+ * Checks the authenticated user's role in the room a request targets,
+ * or for protected rooms whether they got in at all
+ * Must run after the authenticate middleware, which sets req.user
+ */
+
+const Room = require('../models/Room');
+const { getMemberRole } = require('../utils/roomRoles');
+const {
+  sendServerError,
+  sendNotFoundError,
+  sendUnauthorizedError,
+  sendForbiddenError,
+} = require('../utils/errorHandler');
+
+/**
+ * Require the requester to hold one of the given roles in the room from req.params.roomId
+ * Sets req.room and req.requester ({ userId, username, role }) for the route handler
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRoomRole = (...roles) => async (req, res, next) => {
+  try {
+    const { user } = req;
+    if (!user) {
+      return sendUnauthorizedError(res, 'Authentication required', 'Please log in to continue');
+    }
+
+    const room = await Room.findRoomById(req.params.roomId);
+    if (!room) {
+      return sendNotFoundError(res, 'Room not found', 'The requested room does not exist or is inactive');
+    }
+
+    const role = getMemberRole(room, user.userId);
+    if (!roles.includes(role)) {
+      return sendForbiddenError(res, 'Insufficient role', `Only room ${roles.join(' or ')}s can perform this action`);
+    }
+
+    req.room = room;
+    req.requester = { userId: user.userId, username: user.username, role };
+    next();
+  } catch (error) {
+    console.error('❌ Error checking room role:', error);
+    sendServerError(res, 'Failed to check permissions', 'An error occurred while checking your room role');
+  }
+};
+
+/**
+ * Require the requester to have got into the room from req.params.roomId
+ * Open rooms let anyone through; password-protected and approval rooms only
+ * their owner, members with a role and admitted users; banned users never
+ * Sets req.room and req.requester ({ userId, username, role }) for the route handler
+ */
+const requireRoomAccess = async (req, res, next) => {
+  try {
+    const { user } = req;
+    if (!user) {
+      return sendUnauthorizedError(res, 'Authentication required', 'Please log in to continue');
+    }
+
+    const room = await Room.findRoomById(req.params.roomId).select('+passwordHash');
+    if (!room) {
+      return sendNotFoundError(res, 'Room not found', 'The requested room does not exist or is inactive');
+    }
+
+    if (room.isBanned(user.userId)) {
+      return sendForbiddenError(res, 'Banned', 'You have been banned from this room');
+    }
+
+    const isProtected = !!room.passwordHash || room.settings?.requireApproval;
+    if (isProtected && !room.isAdmitted(user)) {
+      return sendForbiddenError(res, 'Access denied', 'Join this room to see its content');
+    }
+
+    req.room = room;
+    req.requester = { userId: user.userId, username: user.username, role: getMemberRole(room, user.userId) };
+    next();
+  } catch (error) {
+    console.error('❌ Error checking room access:', error);
+    sendServerError(res, 'Failed to check permissions', 'An error occurred while checking your room access');
+  }
+};
+
+module.exports = {
+  requireRoomRole,
+  requireRoomAccess,
+};
@@ -74,6 +74,57 @@ const validateRoomCreation = [
     .optional()
     .isBoolean()
     .withMessage('isPublic must be a boolean'),
+  body('settings.requireApproval')
+    .optional()
+    .isBoolean()
+    .withMessage('requireApproval must be a boolean'),
+  body('settings.codeFormatting')
+    .optional()
+    .isObject()
+    .withMessage('codeFormatting must be an object'),
+  body('settings.codeFormatting.printWidth')
+    .optional()
+    .isInt({ min: 40, max: 200 })
+    .withMessage('printWidth must be between 40 and 200'),
+  body('settings.codeFormatting.tabWidth')
+    .optional()
+    .isInt({ min: 1, max: 8 })
+    .withMessage('tabWidth must be between 1 and 8'),
+  body([
+    'settings.codeFormatting.useTabs',
+    'settings.codeFormatting.semi',
+    'settings.codeFormatting.singleQuote',
+    'settings.codeFormatting.bracketSpacing',
+    'settings.codeFormatting.formatOnSave',
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage('Code formatting switches must be booleans'),
+  body('settings.codeFormatting.trailingComma')
+    .optional()
+    .isIn(['all', 'es5', 'none'])
+    .withMessage('trailingComma must be all, es5 or none'),
+  // An empty string or null removes the password on update
+  body('password')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Password must be a string')
+    .custom(value => value === '' || (value.length >= 4 && value.length <= 128))
+    .withMessage('Room password must be between 4 and 128 characters'),
+];
+
+/**
+ * Validation rules for room invites
+ */
+const validateRoomInvite = [
+  body('singleUse')
+    .optional()
+    .isBoolean()
+    .withMessage('singleUse must be a boolean'),
+  body('expiresInHours')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 24 * 7 })
+    .withMessage('Invites can expire after 1 to 168 hours'),
 ];
 
 /**
@@ -120,6 +171,42 @@ const validateUserCreation = [
     .withMessage('cursorColor must be a valid hex color code'),
 ];
 
+/**
+ * Validation rules for account registration
+ */
+const validateRegistration = [
+  ...validateUserCreation,
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters'),
+];
+
+/**
+ * Validation rules for login
+ */
+const validateLogin = [
+  body('username')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Username is required')
+    .trim(),
+  body('password')
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage('Password is required'),
+];
+
+/**
+ * Validation rules for token refresh and logout
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage('Refresh token is required'),
+];
+
 /**
  * Validation rules for pagination
  */
@@ -167,6 +254,43 @@ const validateSessionId = [
     .withMessage('Session ID contains invalid characters'),
 ];
 
+/**
+ * Validation rules for version ID parameter
+ */
+const validateVersionId = [
+  param('versionId')
+    .isLength({ min: 1 })
+    .withMessage('Version ID is required')
+    .matches(/^[a-zA-Z0-9\-_]+$/)
+    .withMessage('Version ID contains invalid characters'),
+];
+
+/**
+ * Validation rules for on-demand version snapshots
+ */
+const validateVersionSnapshot = [
+  body('kind')
+    .isIn(['code', 'notes', 'canvas'])
+    .withMessage('kind must be code, notes, or canvas'),
+  body('label')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Label must be less than 100 characters')
+    .trim(),
+];
+
+/**
+ * Validation rules for attachment ID parameter
+ */
+const validateAttachmentId = [
+  param('attachmentId')
+    .isLength({ min: 1 })
+    .withMessage('Attachment ID is required')
+    .matches(/^[a-zA-Z0-9\-_]+$/)
+    .withMessage('Attachment ID contains invalid characters'),
+];
+
 /**
  * Validation rules for chat messages
  */
@@ -288,11 +412,18 @@ const createRateLimit = (windowMs, max, message) => {
 module.exports = {
   handleValidationErrors,
   validateRoomCreation,
+  validateRoomInvite,
   validateUserCreation,
+  validateRegistration,
+  validateLogin,
+  validateRefreshToken,
   validatePagination,
   validateRoomId,
   validateUserId,
   validateSessionId,
+  validateVersionId,
+  validateVersionSnapshot,
+  validateAttachmentId,
   validateChatMessage,
   validateCodeChange,
   validateNotesChange,
@@ -0,0 +1,75 @@
+/**
+ * Chat Attachment Model
+ *
+ * Files and images uploaded to a room's chat. The file itself lives in the
+ * attachment storage under `storageKey`; this records who uploaded it and
+ * which message it was sent with (none until it is sent)
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Chat attachment schema
+ */
+const chatAttachmentSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => require('uuid').v4(),
+  },
+  roomId: {
+    type: String,
+    required: true,
+  },
+  uploadedBy: {
+    userId: { type: String, required: true },
+    username: { type: String, required: true },
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255,
+  },
+  contentType: {
+    type: String,
+    required: true,
+  },
+  // 'image' attachments are previewed inline, 'file' attachments are downloaded
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  storageKey: {
+    type: String,
+    required: true,
+  },
+  messageId: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+chatAttachmentSchema.index({ roomId: 1, messageId: 1 });
+
+/**
+ * Find a user's uploads in a room that have not been sent yet
+ * @param {string} roomId - Room id
+ * @param {string} userId - Uploader
+ * @param {Array<string>} ids - Attachment ids
+ * @returns {Promise<Array>} Matching attachments
+ */
+chatAttachmentSchema.statics.findUnsent = function(roomId, userId, ids) {
+  return this.find({ roomId, id: { $in: ids }, 'uploadedBy.userId': userId, messageId: null });
+};
+
+module.exports = mongoose.model('ChatAttachment', chatAttachmentSchema);
@@ -0,0 +1,404 @@
+/**
+ * Chat Message Model
+ *
+ * Room chat messages, kept in their own collection so history is not
+ * capped by the room document; read a page at a time with cursors
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Chat reaction schema: one entry per user and emoji
+ */
+const chatReactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * Source of a code snippet shared to chat from the editor
+ */
+const chatSnippetSchema = new mongoose.Schema({
+  file: {
+    type: String,
+    required: true,
+    maxlength: 255,
+  },
+  language: {
+    type: String,
+    required: true,
+  },
+  startLine: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  endLine: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * File or image sent with a message; the file itself is a ChatAttachment in the attachment storage
+ */
+const messageAttachmentSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  contentType: {
+    type: String,
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true,
+  },
+  size: {
+    type: Number,
+    required: true,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * Poll option and a member's vote (several option ids for multiple choice polls)
+ */
+const pollOptionSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+}, {
+  _id: false,
+});
+
+const pollVoteSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+  optionIds: [String],
+}, {
+  _id: false,
+});
+
+/**
+ * Poll asked in a poll message
+ * Voters of anonymous polls are stored so each votes once, but never sent to clients
+ */
+const chatPollSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300,
+  },
+  options: [pollOptionSchema],
+  multipleChoice: {
+    type: Boolean,
+    default: false,
+  },
+  anonymous: {
+    type: Boolean,
+    default: false,
+  },
+  // Votes stop at closesAt, or earlier when the author or a moderator closes the poll
+  closesAt: {
+    type: Date,
+    default: null,
+  },
+  closedAt: {
+    type: Date,
+    default: null,
+  },
+  votes: [pollVoteSchema],
+}, {
+  _id: false,
+});
+
+/**
+ * Chat message schema for room chat functionality
+ * Includes message content, sender info, threads, edits, reactions and accessibility features
+ */
+const chatMessageSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => require('uuid').v4(),
+  },
+  roomId: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  message: {
+    type: String,
+    // Deleted messages keep their place in threads but lose their text; attachments may be sent without any
+    required: function() { return !this.deleted && !(this.attachments && this.attachments.length > 0); },
+    trim: true,
+    // Code snippets may be longer than ordinary messages
+    maxlength: 4000,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'code', 'system', 'announcement', 'action', 'poll'],
+    default: 'text',
+  },
+  // Id of the message that starts the thread this one replies to
+  replyTo: {
+    type: String,
+    default: null,
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  deleted: {
+    type: Boolean,
+    default: false,
+  },
+  reactions: [chatReactionSchema],
+  // Usernames @mentioned in the message, and the user ids of the members they named
+  mentions: [String],
+  mentionedUserIds: [String],
+  // Where a code message was sent from in the editor
+  snippet: {
+    type: chatSnippetSchema,
+    default: null,
+  },
+  // Question, options and votes of a poll message
+  poll: {
+    type: chatPollSchema,
+    default: null,
+  },
+  attachments: [messageAttachmentSchema],
+  isAccessible: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// History pages walk a room's messages by (timestamp, _id)
+chatMessageSchema.index({ roomId: 1, timestamp: -1, _id: -1 });
+chatMessageSchema.index({ roomId: 1, message: 'text' });
+
+/**
+ * Query for messages older (or newer) than a cursor message
+ * @param {Object} cursor - Message the page starts from
+ * @param {string} direction - 'older' or 'newer'
+ * @param {boolean} inclusive - Whether the cursor message itself matches
+ * @returns {Object} MongoDB filter
+ */
+const beyondCursor = (cursor, direction, inclusive = false) => {
+  const comparison = direction === 'older' ? '$lt' : '$gt';
+  const tieBreak = inclusive ? `${comparison}e` : comparison;
+  return {
+    $or: [
+      { timestamp: { [comparison]: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { [tieBreak]: cursor._id } },
+    ],
+  };
+};
+
+/**
+ * Find a message in a room
+ * @param {string} roomId - Room id
+ * @param {string} messageId - Message id
+ * @returns {Promise<Object|null>} Message
+ */
+chatMessageSchema.statics.findInRoom = function(roomId, messageId) {
+  if (typeof messageId !== 'string') return Promise.resolve(null);
+  return this.findOne({ roomId, id: messageId });
+};
+
+/**
+ * Read up to `limit` messages on one side of a cursor
+ * @returns {Promise<Object>} { messages (oldest first), hasMore }
+ */
+chatMessageSchema.statics.readPage = async function(roomId, cursor, direction, limit, inclusive = false) {
+  const order = direction === 'older' ? -1 : 1;
+  const docs = await this.find({ roomId, ...(cursor ? beyondCursor(cursor, direction, inclusive) : {}) })
+    .sort({ timestamp: order, _id: order })
+    .limit(limit + 1);
+
+  const messages = docs.slice(0, limit);
+  return {
+    messages: direction === 'older' ? messages.reverse() : messages,
+    hasMore: docs.length > limit,
+  };
+};
+
+/**
+ * Get a page of a room's history
+ * Without a cursor this is the latest page; `before` and `after` page away from
+ * a message and `around` centres the page on it (including it)
+ * @param {string} roomId - Room id
+ * @param {Object} options - { before, after, around, limit }
+ * @returns {Promise<Object|null>} { messages, hasOlder, hasNewer }, null if the cursor is unknown
+ */
+chatMessageSchema.statics.listPage = async function(roomId, { before, after, around, limit = 50 } = {}) {
+  const cursorId = before || after || around;
+  const cursor = cursorId ? await this.findInRoom(roomId, cursorId) : null;
+  if (cursorId && !cursor) return null;
+
+  if (after) {
+    const newer = await this.readPage(roomId, cursor, 'newer', limit);
+    return { messages: newer.messages, hasOlder: true, hasNewer: newer.hasMore };
+  }
+
+  if (around) {
+    const older = await this.readPage(roomId, cursor, 'older', Math.ceil(limit / 2), true);
+    const newer = await this.readPage(roomId, cursor, 'newer', Math.floor(limit / 2));
+    return {
+      messages: [...older.messages, ...newer.messages],
+      hasOlder: older.hasMore,
+      hasNewer: newer.hasMore,
+    };
+  }
+
+  const older = await this.readPage(roomId, cursor, 'older', limit);
+  return { messages: older.messages, hasOlder: older.hasMore, hasNewer: !!cursor };
+};
+
+/**
+ * Full-text search of a room's messages, newest first
+ * @param {string} roomId - Room id
+ * @param {string} text - Search terms
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Matching messages
+ */
+chatMessageSchema.statics.search = function(roomId, text, limit = 20) {
+  return this.find({ roomId, deleted: false, $text: { $search: text } })
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit);
+};
+
+/**
+ * List a room's polls, oldest first, for export
+ * @param {string} roomId - Room id
+ * @returns {Promise<Array>} Poll messages that were not deleted
+ */
+chatMessageSchema.statics.listPolls = function(roomId) {
+  return this.find({ roomId, messageType: 'poll', deleted: false, poll: { $ne: null } })
+    .sort({ timestamp: 1, _id: 1 });
+};
+
+/**
+ * Replace the text of the message
+ * @param {string} text - New message text
+ * @param {Object} mentions - { usernames, userIds } the new text mentions
+ */
+chatMessageSchema.methods.edit = function(text, { usernames = [], userIds = [] } = {}) {
+  this.message = text;
+  this.mentions = usernames;
+  this.mentionedUserIds = userIds;
+  this.editedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Delete the message, leaving a placeholder so its thread stays intact
+ */
+chatMessageSchema.methods.softDelete = function() {
+  this.deleted = true;
+  this.message = '';
+  this.reactions = [];
+  this.attachments = [];
+  return this.save();
+};
+
+/**
+ * Add a user's emoji reaction, or remove it if already there
+ * @param {string} emoji - Reaction emoji
+ * @param {Object} user - { userId, username } of the reacting user
+ * @returns {Promise<boolean>} True if the reaction was added, false if removed
+ */
+chatMessageSchema.methods.toggleReaction = async function(emoji, user) {
+  const existing = this.reactions.find(reaction =>
+    reaction.emoji === emoji && reaction.userId === user.userId
+  );
+
+  if (existing) {
+    this.reactions.pull(existing);
+  } else {
+    this.reactions.push({ emoji, userId: user.userId, username: user.username });
+  }
+
+  await this.save();
+  return !existing;
+};
+
+/**
+ * Record a member's vote in a poll, replacing any earlier vote
+ * @param {Object} user - { userId, username } of the voter
+ * @param {Array<string>} optionIds - Chosen option ids; empty withdraws the vote
+ */
+chatMessageSchema.methods.castPollVote = function(user, optionIds) {
+  const existing = this.poll.votes.find(vote => vote.userId === user.userId);
+
+  if (existing) {
+    this.poll.votes.pull(existing);
+  }
+  if (optionIds.length > 0) {
+    this.poll.votes.push({ userId: user.userId, username: user.username, optionIds });
+  }
+  return this.save();
+};
+
+/**
+ * Stop a poll taking votes
+ */
+chatMessageSchema.methods.closePoll = function() {
+  this.poll.closedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
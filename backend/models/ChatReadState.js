@@ -0,0 +1,70 @@
+/**
+ * Chat Read State Model
+ *
+ * How far each user has read a room's chat: one document per user and room
+ * holding the last message they saw, for read receipts and unread markers
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Chat read state schema
+ * `lastReadAt` is the read message's timestamp, so later messages count as unread
+ */
+const chatReadStateSchema = new mongoose.Schema({
+  roomId: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  lastReadMessageId: {
+    type: String,
+    required: true,
+  },
+  lastReadAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+chatReadStateSchema.index({ roomId: 1, userId: 1 }, { unique: true });
+
+/**
+ * Move a user's read marker forward to a message
+ * Markers never move back, so an older message read on another tab is ignored
+ * @param {string} roomId - Room id
+ * @param {Object} user - { userId, username } of the reader
+ * @param {Object} message - ChatMessage that was read
+ * @returns {Promise<Object|null>} The updated state, null if the marker was already past the message
+ */
+chatReadStateSchema.statics.markRead = async function(roomId, user, message) {
+  const existing = await this.findOne({ roomId, userId: user.userId });
+  if (existing && existing.lastReadAt >= message.timestamp) return null;
+
+  return this.findOneAndUpdate(
+    { roomId, userId: user.userId },
+    { username: user.username, lastReadMessageId: message.id, lastReadAt: message.timestamp },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * List everyone's read markers in a room
+ * @param {string} roomId - Room id
+ * @returns {Promise<Array>} Read states
+ */
+chatReadStateSchema.statics.listForRoom = function(roomId) {
+  return this.find({ roomId });
+};
+
+module.exports = mongoose.model('ChatReadState', chatReadStateSchema);
@@ -0,0 +1,161 @@
+/**
+ * Direct Message Model
+ *
+ * Private one-to-one messages between participants of a room, kept apart
+ * from room chat; each pair of users in a room shares one conversation
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Direct message schema
+ * Stores both sides' names so conversations read well after someone leaves
+ */
+const directMessageSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => require('uuid').v4(),
+  },
+  roomId: {
+    type: String,
+    required: true,
+  },
+  // The two user ids, sorted and joined (see conversationKey)
+  conversationId: {
+    type: String,
+    required: true,
+  },
+  senderId: {
+    type: String,
+    required: true,
+  },
+  senderUsername: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  recipientId: {
+    type: String,
+    required: true,
+  },
+  recipientUsername: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set once the recipient has seen the message
+  readAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Conversation pages walk messages by (timestamp, _id); unread counts look up the recipient
+directMessageSchema.index({ roomId: 1, conversationId: 1, timestamp: -1, _id: -1 });
+directMessageSchema.index({ roomId: 1, recipientId: 1, readAt: 1 });
+
+/**
+ * Key shared by both directions of a conversation
+ * @param {string} userId - One participant
+ * @param {string} otherUserId - The other participant
+ * @returns {string} Conversation id
+ */
+directMessageSchema.statics.conversationKey = function(userId, otherUserId) {
+  return [userId, otherUserId].sort().join(':');
+};
+
+/**
+ * Get a page of a conversation, oldest first
+ * Without a cursor this is the latest page; `before` pages back from a message
+ * @param {string} roomId - Room id
+ * @param {string} userId - Requesting user
+ * @param {string} otherUserId - The other participant
+ * @param {Object} options - { before, limit }
+ * @returns {Promise<Object|null>} { messages, hasOlder }, null if the cursor is unknown
+ */
+directMessageSchema.statics.listConversation = async function(roomId, userId, otherUserId, { before, limit = 50 } = {}) {
+  const conversationId = this.conversationKey(userId, otherUserId);
+  const filter = { roomId, conversationId };
+
+  if (before) {
+    const cursor = await this.findOne({ ...filter, id: before });
+    if (!cursor) return null;
+    filter.$or = [
+      { timestamp: { $lt: cursor.timestamp } },
+      { timestamp: cursor.timestamp, _id: { $lt: cursor._id } },
+    ];
+  }
+
+  const docs = await this.find(filter)
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit + 1);
+
+  return {
+    messages: docs.slice(0, limit).reverse(),
+    hasOlder: docs.length > limit,
+  };
+};
+
+/**
+ * Summarise a user's conversations in a room, most recent first
+ * @param {string} roomId - Room id
+ * @param {string} userId - User whose conversations to list
+ * @returns {Promise<Array>} { userId, username, lastMessage, unread } per conversation partner
+ */
+directMessageSchema.statics.listConversations = async function(roomId, userId) {
+  const conversations = await this.aggregate([
+    { $match: { roomId, $or: [{ senderId: userId }, { recipientId: userId }] } },
+    { $sort: { timestamp: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$conversationId',
+        lastMessage: { $first: '$$ROOT' },
+        unread: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$recipientId', userId] }, { $eq: ['$readAt', null] }] }, 1, 0] },
+        },
+      },
+    },
+    { $sort: { 'lastMessage.timestamp': -1 } },
+  ]);
+
+  return conversations.map(({ lastMessage, unread }) => {
+    const sentByUser = lastMessage.senderId === userId;
+    return {
+      userId: sentByUser ? lastMessage.recipientId : lastMessage.senderId,
+      username: sentByUser ? lastMessage.recipientUsername : lastMessage.senderUsername,
+      lastMessage,
+      unread,
+    };
+  });
+};
+
+/**
+ * Mark everything the other participant sent a user as read
+ * @param {string} roomId - Room id
+ * @param {string} userId - Reader
+ * @param {string} otherUserId - Sender whose messages were read
+ * @returns {Promise<number>} Number of messages marked
+ */
+directMessageSchema.statics.markRead = async function(roomId, userId, otherUserId) {
+  const result = await this.updateMany(
+    { roomId, senderId: otherUserId, recipientId: userId, readAt: null },
+    { readAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('DirectMessage', directMessageSchema);
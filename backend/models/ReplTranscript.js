@@ -0,0 +1,125 @@
+/**
+ * REPL Transcript Model
+ *
+ * What was typed into and printed by a room's shared REPL, one document per
+ * session. Kept in their own collection so room documents stay small
+ */
+
+const mongoose = require('mongoose');
+
+// Sessions kept per room; the oldest are dropped first
+const MAX_TRANSCRIPTS_PER_ROOM = 20;
+
+/**
+ * Transcript entry schema
+ * Input entries name who typed them; system entries record starts, driver changes and the end
+ */
+const transcriptEntrySchema = new mongoose.Schema({
+  stream: {
+    type: String,
+    enum: ['input', 'stdout', 'stderr', 'system'],
+    required: true,
+  },
+  text: {
+    type: String,
+    default: '',
+  },
+  userId: String,
+  username: String,
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+/**
+ * REPL transcript schema
+ */
+const replTranscriptSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  roomId: {
+    type: String,
+    required: true,
+  },
+  language: {
+    type: String,
+    enum: ['javascript', 'python'],
+    required: true,
+  },
+  startedBy: {
+    userId: String,
+    username: String,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  endedAt: {
+    type: Date,
+    default: null,
+  },
+  // stopped, idle, timeout, output-limit, transcript-limit, exited or error; null while the session runs
+  endReason: {
+    type: String,
+    default: null,
+  },
+  entries: {
+    type: [transcriptEntrySchema],
+    default: [],
+  },
+}, {
+  timestamps: true,
+});
+
+replTranscriptSchema.index({ roomId: 1, startedAt: -1 });
+
+/**
+ * Store a new session and drop the room's oldest ones beyond the limit
+ * @param {Object} session - { sessionId, roomId, language, startedBy, startedAt, entries }
+ * @returns {Promise<Object>} The saved transcript
+ */
+replTranscriptSchema.statics.startSession = async function(session) {
+  const transcript = await this.create(session);
+
+  const stale = await this.find({ roomId: session.roomId })
+    .sort({ startedAt: -1 })
+    .skip(MAX_TRANSCRIPTS_PER_ROOM)
+    .select('_id');
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map(doc => doc._id) } });
+  }
+
+  return transcript;
+};
+
+/**
+ * Add entries to a session's transcript, and record its end once it is over
+ * @param {string} sessionId - Session id
+ * @param {Array} entries - New entries
+ * @param {Object} end - { endedAt, endReason } when the session has ended
+ * @returns {Promise<Object>} Update result
+ */
+replTranscriptSchema.statics.appendEntries = function(sessionId, entries, end = null) {
+  return this.updateOne(
+    { sessionId },
+    {
+      ...(entries.length > 0 && { $push: { entries: { $each: entries } } }),
+      ...(end && { $set: end }),
+    }
+  );
+};
+
+/**
+ * Get a room's latest session, for people joining after it
+ * @param {string} roomId - Room id
+ * @returns {Promise<Object|null>} Transcript
+ */
+replTranscriptSchema.statics.findLatestForRoom = function(roomId) {
+  return this.findOne({ roomId }).sort({ startedAt: -1 });
+};
+
+module.exports = mongoose.model('ReplTranscript', replTranscriptSchema);
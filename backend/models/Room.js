@@ -2,10 +2,16 @@
  * Room Model
  * 
  * Defines the schema for collaborative rooms in Live Room
- * Stores room state, participants, chat history, and collaborative content
+ * Stores room state, participants and collaborative content (chat lives in ChatMessage)
  */
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ROLES, getMemberRole } = require('../utils/roomRoles');
+const { EDITOR_LANGUAGES } = require('../utils/codeFiles');
+
+const PASSWORD_SALT_ROUNDS = 12;
 
 /**
  * User presence schema for tracking active users in a room
@@ -51,20 +57,51 @@ const userPresenceSchema = new mongoose.Schema({
     type: String,
     default: '#3B82F6', // Default blue color for cursor
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'editor',
+  },
 }, {
   timestamps: true,
 });
 
 /**
- * Chat message schema for room chat functionality
- * Includes message content, sender info, and accessibility features
+ * Member role schema for per-room role assignments
+ * Kept separately from participants so roles survive participant cleanup
  */
-const chatMessageSchema = new mongoose.Schema({
-  id: {
+const memberRoleSchema = new mongoose.Schema({
+  // Assignments are matched by userId; the username is kept for display.
+  // Assignments saved before they carried a userId no longer count
+  userId: {
+    type: String,
+  },
+  username: {
     type: String,
     required: true,
-    default: () => require('uuid').v4(),
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ROLES.filter(role => role !== 'owner'), // Ownership lives in createdBy
+    required: true,
+  },
+  assignedBy: {
+    userId: String,
+    username: String,
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now,
   },
+}, {
+  _id: false,
+});
+
+/**
+ * Ban schema for the room-level ban list
+ */
+const roomBanSchema = new mongoose.Schema({
   userId: {
     type: String,
     required: true,
@@ -72,46 +109,169 @@ const chatMessageSchema = new mongoose.Schema({
   username: {
     type: String,
     required: true,
-    trim: true,
   },
-  message: {
+  reason: {
     type: String,
-    required: true,
-    trim: true,
-    maxlength: 1000,
+    maxlength: 200,
+    default: '',
   },
-  timestamp: {
+  bannedBy: {
+    userId: String,
+    username: String,
+  },
+  bannedAt: {
     type: Date,
     default: Date.now,
   },
-  messageType: {
+}, {
+  _id: false,
+});
+
+/**
+ * Mute schema for temporary chat and/or editing restrictions
+ */
+const roomMuteSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  username: {
     type: String,
-    enum: ['text', 'system', 'announcement'],
-    default: 'text',
+    required: true,
+  },
+  scope: {
+    type: String,
+    enum: ['chat', 'editing', 'all'],
+    default: 'all',
+  },
+  mutedBy: {
+    userId: String,
+    username: String,
+  },
+  mutedUntil: {
+    type: Date,
+    required: true,
   },
-  isAccessible: {
+}, {
+  _id: false,
+});
+
+/**
+ * Invite schema for shareable join links
+ * An invite is single-use, expiring, or both
+ */
+const roomInviteSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+  },
+  singleUse: {
     type: Boolean,
-    default: true,
+    default: false,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  uses: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    userId: String,
+    username: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
   },
 }, {
-  timestamps: true,
+  _id: false,
+});
+
+/**
+ * Admission schema for users let into a protected room
+ * Admitted users skip the password and approval checks on later joins
+ */
+const roomAdmissionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  username: {
+    type: String,
+    required: true,
+  },
+  via: {
+    type: String,
+    enum: ['password', 'invite', 'approval'],
+    required: true,
+  },
+  admittedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+/**
+ * Code file schema for the room's file tree
+ * Folders only need an entry while empty; files carry their own language, content and revision
+ */
+const codeFileSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+    maxlength: 255,
+  },
+  type: {
+    type: String,
+    enum: ['file', 'folder'],
+    default: 'file',
+  },
+  language: {
+    type: String,
+    enum: EDITOR_LANGUAGES,
+    default: 'plaintext',
+  },
+  content: {
+    type: String,
+    default: '',
+  },
+  version: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  _id: false,
 });
 
 /**
  * Code collaboration schema for real-time code editing
- * Stores code content, language, and collaborative editing state
+ * Stores the room's code files and collaborative editing state
+ * Rooms created before files existed keep a single document in content/language
+ * until their code is next saved (see utils/codeFiles)
  */
 const codeCollaborationSchema = new mongoose.Schema({
   language: {
     type: String,
     required: true,
     default: 'javascript',
-    enum: ['javascript', 'python', 'java', 'cpp', 'html', 'css', 'json', 'markdown', 'plaintext'],
+    enum: EDITOR_LANGUAGES,
   },
   content: {
     type: String,
     default: '',
   },
+  files: {
+    type: [codeFileSchema],
+    default: undefined,
+  },
   lastModified: {
     type: Date,
     default: Date.now,
@@ -128,15 +288,46 @@ const codeCollaborationSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+/**
+ * Note block schema for structured notes documents
+ * Each block is a top-level element (paragraph, heading, list) with a stable id
+ */
+const noteBlockSchema = new mongoose.Schema({
+  blockId: {
+    type: String,
+    required: true,
+  },
+  tag: {
+    type: String,
+    enum: ['p', 'div', 'h1', 'h2', 'h3', 'ul', 'ol', 'blockquote', 'pre'],
+    default: 'p',
+  },
+  html: {
+    type: String,
+    default: '',
+  },
+  version: {
+    type: Number,
+    default: 1,
+  },
+  lastModifiedBy: {
+    userId: String,
+    username: String,
+  },
+}, {
+  _id: false,
+});
+
 /**
  * Notes collaboration schema for real-time note editing
- * Stores note content and collaborative editing state
+ * Stores note content, its block structure and collaborative editing state
  */
 const notesCollaborationSchema = new mongoose.Schema({
   content: {
     type: String,
     default: '',
   },
+  blocks: [noteBlockSchema],
   lastModified: {
     type: Date,
     default: Date.now,
@@ -153,15 +344,41 @@ const notesCollaborationSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+/**
+ * Canvas object schema for structured drawings
+ * Each object is a fabric object serialized as JSON with a stable id
+ */
+const canvasObjectSchema = new mongoose.Schema({
+  objectId: {
+    type: String,
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  version: {
+    type: Number,
+    default: 1,
+  },
+  lastModifiedBy: {
+    userId: String,
+    username: String,
+  },
+}, {
+  _id: false,
+});
+
 /**
  * Canvas drawing schema for collaborative sketching
- * Stores drawing data as JSON for real-time canvas collaboration
+ * Stores the drawing as a stack of objects for real-time canvas collaboration
  */
 const canvasDrawingSchema = new mongoose.Schema({
   drawingData: {
     type: mongoose.Schema.Types.Mixed,
     default: {},
   },
+  objects: [canvasObjectSchema],
   lastModified: {
     type: Date,
     default: Date.now,
@@ -228,7 +445,18 @@ const roomSchema = new mongoose.Schema({
     default: 0,
   },
   participants: [userPresenceSchema],
-  chatMessages: [chatMessageSchema],
+  memberRoles: [memberRoleSchema],
+  bannedUsers: [roomBanSchema],
+  mutedUsers: [roomMuteSchema],
+  passwordHash: {
+    type: String,
+    select: false,
+  },
+  invites: {
+    type: [roomInviteSchema],
+    select: false,
+  },
+  admittedUsers: [roomAdmissionSchema],
   codeCollaboration: codeCollaborationSchema,
   notesCollaboration: notesCollaborationSchema,
   canvasDrawing: canvasDrawingSchema,
@@ -261,6 +489,21 @@ const roomSchema = new mongoose.Schema({
       type: Boolean,
       default: true,
     },
+    requireApproval: {
+      type: Boolean,
+      default: false,
+    },
+    // Style the code formatter uses in this room
+    codeFormatting: {
+      printWidth: { type: Number, default: 80, min: 40, max: 200 },
+      tabWidth: { type: Number, default: 2, min: 1, max: 8 },
+      useTabs: { type: Boolean, default: false },
+      semi: { type: Boolean, default: true },
+      singleQuote: { type: Boolean, default: false },
+      trailingComma: { type: String, enum: ['all', 'es5', 'none'], default: 'all' },
+      bracketSpacing: { type: Boolean, default: true },
+      formatOnSave: { type: Boolean, default: false },
+    },
   },
 }, {
   timestamps: true,
@@ -336,6 +579,7 @@ roomSchema.methods.addParticipant = async function(userData) {
             'participants.$.lastActivity': now,
             'participants.$.accessibility': userData.accessibility || {},
             'participants.$.color': userData.color || '#3B82F6',
+            'participants.$.role': userData.role || 'editor',
             'participants.$.joinedAt': now // Set joinedAt for existing participants
           }
         },
@@ -453,21 +697,7 @@ roomSchema.methods.removeParticipant = async function(userId) {
   }
 };
 
-roomSchema.methods.addChatMessage = function(messageData) {
-  this.chatMessages.push({
-    ...messageData,
-    timestamp: new Date(),
-  });
-  
-  // Keep only last 100 messages to prevent database bloat
-  if (this.chatMessages.length > 100) {
-    this.chatMessages = this.chatMessages.slice(-100);
-  }
-  
-  return this.save();
-};
-
-roomSchema.methods.updateCodeContent = function(codeData) {
+roomSchema.methods.updateCodeFiles = function(codeData) {
   // Initialize codeCollaboration if it doesn't exist
   if (!this.codeCollaboration) {
     this.codeCollaboration = {
@@ -478,14 +708,16 @@ roomSchema.methods.updateCodeContent = function(codeData) {
       version: 0
     };
   }
-  
-  this.codeCollaboration.content = codeData.content;
-  this.codeCollaboration.language = codeData.language || this.codeCollaboration.language;
+
+  this.codeCollaboration.files = codeData.files;
+  // The files replace the legacy single document
+  this.codeCollaboration.content = '';
   this.codeCollaboration.lastModified = new Date();
   this.codeCollaboration.lastModifiedBy = {
     userId: codeData.userId,
     username: codeData.username,
   };
+  // Each file keeps its own operational transform revision; this counts saves
   this.codeCollaboration.version += 1;
   return this.save();
 };
@@ -502,6 +734,9 @@ roomSchema.methods.updateNotesContent = function(notesData) {
   }
   
   this.notesCollaboration.content = notesData.content;
+  if (notesData.blocks) {
+    this.notesCollaboration.blocks = notesData.blocks;
+  }
   this.notesCollaboration.lastModified = new Date();
   this.notesCollaboration.lastModifiedBy = {
     userId: notesData.userId,
@@ -522,7 +757,13 @@ roomSchema.methods.updateCanvasDrawing = function(drawingData) {
     };
   }
   
-  this.canvasDrawing.drawingData = drawingData.drawingData;
+  if (drawingData.objects) {
+    // Objects replace the legacy whole-canvas blob once they are written
+    this.canvasDrawing.objects = drawingData.objects;
+    this.canvasDrawing.drawingData = {};
+  } else {
+    this.canvasDrawing.drawingData = drawingData.drawingData;
+  }
   this.canvasDrawing.lastModified = new Date();
   this.canvasDrawing.lastModifiedBy = {
     userId: drawingData.userId,
@@ -532,6 +773,338 @@ roomSchema.methods.updateCanvasDrawing = function(drawingData) {
   return this.save();
 };
 
+/**
+ * Make a user the owner of a room that has none yet
+ * Rooms created before authentication existed are owned by 'system' until someone joins
+ * @param {Object} userData - { userId, username } of the joining user
+ * @returns {Promise<Object>} The room, reloaded if ownership was claimed
+ */
+roomSchema.methods.claimOwnership = async function(userData) {
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'createdBy.userId': 'system' },
+    { $set: { createdBy: { userId: userData.userId, username: userData.username } } },
+    { new: true }
+  );
+  return claimed || this;
+};
+
+/**
+ * Assign a non-owner role to a room member
+ * @param {Object} member - { userId, username } of the member
+ * @param {string} role - moderator, editor or viewer
+ * @param {Object} assignedBy - { userId, username } of the member making the change
+ * @returns {Promise<Object>} Updated room
+ */
+roomSchema.methods.setMemberRole = async function(member, role, assignedBy) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { memberRoles: { userId: member.userId } } }
+  );
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $push: {
+        memberRoles: { userId: member.userId, username: member.username, role, assignedBy, assignedAt: new Date() },
+      },
+      $set: { 'participants.$[member].role': role },
+    },
+    { new: true, arrayFilters: [{ 'member.userId': member.userId }] }
+  );
+};
+
+/**
+ * Hand ownership to another member; the previous owner becomes a moderator
+ * @param {Object} newOwner - { userId, username } of the new owner
+ * @returns {Promise<Object>} Updated room
+ */
+roomSchema.methods.transferOwnership = async function(newOwner) {
+  const previousOwner = this.createdBy;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { memberRoles: { userId: { $in: [newOwner.userId, previousOwner.userId] } } } }
+  );
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $set: {
+        createdBy: { userId: newOwner.userId, username: newOwner.username },
+        'participants.$[owner].role': 'owner',
+        'participants.$[previous].role': 'moderator',
+      },
+      $push: {
+        memberRoles: {
+          userId: previousOwner.userId,
+          username: previousOwner.username,
+          role: 'moderator',
+          assignedBy: { userId: previousOwner.userId, username: previousOwner.username },
+          assignedAt: new Date(),
+        },
+      },
+    },
+    {
+      new: true,
+      arrayFilters: [
+        { 'owner.userId': newOwner.userId },
+        { 'previous.userId': previousOwner.userId },
+      ],
+    }
+  );
+};
+
+/**
+ * Get a member's role in this room
+ * @param {string} userId - Member's user id
+ * @returns {string} Role name
+ */
+roomSchema.methods.getMemberRole = function(userId) {
+  return getMemberRole(this, userId);
+};
+
+/**
+ * Add a user to the room's ban list
+ * Their admission, mute and assigned role go with it
+ * @param {Object} target - { userId, username } of the banned user
+ * @param {Object} bannedBy - { userId, username } of the moderator
+ * @param {string} reason - Optional reason shown to the room
+ * @returns {Promise<Object>} Updated room
+ */
+roomSchema.methods.banUser = async function(target, bannedBy, reason = '') {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $pull: {
+        bannedUsers: { userId: target.userId },
+        mutedUsers: { userId: target.userId },
+        admittedUsers: { userId: target.userId },
+        memberRoles: { userId: target.userId },
+      },
+    }
+  );
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $push: {
+        bannedUsers: {
+          userId: target.userId,
+          username: target.username,
+          reason,
+          bannedBy,
+          bannedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Remove a user from the room's ban list
+ * @param {string} userId - Banned user's id
+ * @returns {Promise<Object>} Updated room
+ */
+roomSchema.methods.unbanUser = function(userId) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $pull: { bannedUsers: { userId } } },
+    { new: true }
+  );
+};
+
+/**
+ * Check whether a user is on the room's ban list
+ * @param {string} userId - User id
+ * @returns {boolean} True if banned
+ */
+roomSchema.methods.isBanned = function(userId) {
+  return (this.bannedUsers || []).some(ban => ban.userId === userId);
+};
+
+/**
+ * Mute a user for a while
+ * @param {Object} target - { userId, username } of the muted user
+ * @param {string} scope - 'chat', 'editing' or 'all'
+ * @param {number} durationMs - How long the mute lasts
+ * @param {Object} mutedBy - { userId, username } of the moderator
+ * @returns {Promise<Object>} Updated room
+ */
+roomSchema.methods.muteUser = async function(target, scope, durationMs, mutedBy) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { mutedUsers: { userId: target.userId } } }
+  );
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $push: {
+        mutedUsers: {
+          userId: target.userId,
+          username: target.username,
+          scope,
+          mutedBy,
+          mutedUntil: new Date(Date.now() + durationMs),
+        },
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Lift a user's mute
+ * @param {string} userId - Muted user's id
+ * @returns {Promise<Object>} Updated room
+ */
+roomSchema.methods.unmuteUser = function(userId) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $pull: { mutedUsers: { userId } } },
+    { new: true }
+  );
+};
+
+/**
+ * Get a user's mute if it covers the given kind of action and has not expired
+ * @param {string} userId - User id
+ * @param {string} kind - 'chat' or 'editing'
+ * @returns {Object|null} The active mute
+ */
+roomSchema.methods.getActiveMute = function(userId, kind) {
+  const now = Date.now();
+  return (this.mutedUsers || []).find(mute =>
+    mute.userId === userId &&
+    (mute.scope === 'all' || mute.scope === kind) &&
+    new Date(mute.mutedUntil).getTime() > now
+  ) || null;
+};
+
+/**
+ * Set or remove the room's join password
+ * Users admitted with the old password have to enter the new one
+ * @param {string|null} password - Plain-text password, or empty to remove it
+ * @returns {Promise<Object>} Updated room
+ */
+roomSchema.methods.setPassword = async function(password) {
+  const update = password
+    ? { $set: { passwordHash: await bcrypt.hash(password, PASSWORD_SALT_ROUNDS) } }
+    : { $unset: { passwordHash: 1 } };
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { ...update, $pull: { admittedUsers: { via: 'password' } } },
+    { new: true }
+  );
+};
+
+/**
+ * Check a join password against the stored hash
+ * The room must be loaded with +passwordHash
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>} True if it matches
+ */
+roomSchema.methods.checkPassword = function(password) {
+  if (!this.passwordHash || typeof password !== 'string') {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Create an invite token, dropping invites that can no longer be used
+ * @param {Object} options - { singleUse, expiresAt }
+ * @param {Object} createdBy - { userId, username } of the member creating it
+ * @returns {Promise<Object>} The new invite
+ */
+roomSchema.methods.createInvite = async function({ singleUse = false, expiresAt = null }, createdBy) {
+  const invite = {
+    token: crypto.randomBytes(24).toString('base64url'),
+    singleUse,
+    expiresAt,
+    uses: 0,
+    createdBy,
+    createdAt: new Date(),
+  };
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $pull: {
+        invites: {
+          $or: [
+            { expiresAt: { $ne: null, $lte: new Date() } },
+            { singleUse: true, uses: { $gte: 1 } },
+          ],
+        },
+      },
+    }
+  );
+  await this.constructor.updateOne({ _id: this._id }, { $push: { invites: invite } });
+  return invite;
+};
+
+/**
+ * Use up an invite token if it is still valid
+ * Single-use invites are claimed atomically, so two people cannot share one
+ * @param {string} token - Invite token
+ * @returns {Promise<boolean>} True if the invite was valid
+ */
+roomSchema.methods.consumeInvite = async function(token) {
+  if (typeof token !== 'string' || !token) {
+    return false;
+  }
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      invites: {
+        $elemMatch: {
+          token,
+          $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+            { $or: [{ singleUse: false }, { uses: 0 }] },
+          ],
+        },
+      },
+    },
+    { $inc: { 'invites.$.uses': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Let a user into the room for good
+ * @param {Object} target - { userId, username } of the admitted user
+ * @param {string} via - 'password', 'invite' or 'approval'
+ * @returns {Promise<Object>} Updated room
+ */
+roomSchema.methods.admitUser = async function(target, via) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { admittedUsers: { userId: target.userId } } }
+  );
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    {
+      $push: {
+        admittedUsers: { userId: target.userId, username: target.username, via, admittedAt: new Date() },
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Check whether a user may skip the room's password and approval checks
+ * Owners, members with an assigned role and admitted users are already in
+ * @param {Object} member - { userId, username }
+ * @returns {boolean} True if the user is let in directly
+ */
+roomSchema.methods.isAdmitted = function(member) {
+  if (this.createdBy?.userId === member.userId) {
+    return true;
+  }
+  if ((this.memberRoles || []).some(assignment => assignment.userId === member.userId)) {
+    return true;
+  }
+  return (this.admittedUsers || []).some(admission => admission.userId === member.userId);
+};
+
 // Static methods for room queries
 roomSchema.statics.findActiveRooms = function() {
   return this.find({ isActive: true }).sort({ lastActivity: -1 });
@@ -0,0 +1,108 @@
+/**
+ * Room Version Model
+ *
+ * Snapshots of a room's code, notes or canvas for version history
+ * Kept in their own collection so room documents stay small
+ */
+
+const mongoose = require('mongoose');
+const { VERSION_KINDS } = require('../utils/versionHistory');
+
+// Snapshots kept per room and kind; the oldest are dropped first
+const MAX_VERSIONS_PER_KIND = parseInt(process.env.MAX_ROOM_VERSIONS) || 100;
+
+/**
+ * Room version schema
+ * content holds { content, language } for code, { content, blocks } for notes
+ * and { objects } for canvas
+ */
+const roomVersionSchema = new mongoose.Schema({
+  versionId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => require('uuid').v4(),
+  },
+  roomId: {
+    type: String,
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: VERSION_KINDS,
+    required: true,
+  },
+  // The content's own version counter when the snapshot was taken
+  revision: {
+    type: Number,
+    default: 0,
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: '',
+  },
+  trigger: {
+    type: String,
+    enum: ['auto', 'manual', 'restore'],
+    default: 'auto',
+  },
+  createdBy: {
+    userId: String,
+    username: String,
+  },
+}, {
+  timestamps: true,
+});
+
+roomVersionSchema.index({ roomId: 1, kind: 1, createdAt: -1 });
+
+/**
+ * Store a snapshot and drop the oldest ones beyond the per-kind limit
+ * @param {Object} versionData - { roomId, kind, revision, content, label, trigger, createdBy }
+ * @returns {Promise<Object>} The saved version
+ */
+roomVersionSchema.statics.createSnapshot = async function(versionData) {
+  const version = await this.create(versionData);
+
+  const stale = await this.find({ roomId: versionData.roomId, kind: versionData.kind })
+    .sort({ createdAt: -1 })
+    .skip(MAX_VERSIONS_PER_KIND)
+    .select('_id');
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map(doc => doc._id) } });
+  }
+
+  return version;
+};
+
+/**
+ * List a room's versions of one kind, newest first, without their content
+ * @param {string} roomId - Room id
+ * @param {string} kind - code, notes or canvas
+ * @param {number} limit - Maximum number of versions
+ * @returns {Promise<Array>} Versions
+ */
+roomVersionSchema.statics.listForRoom = function(roomId, kind, limit = 50) {
+  return this.find({ roomId, kind })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('-content');
+};
+
+/**
+ * Get one of a room's versions with its content
+ * @param {string} roomId - Room id
+ * @param {string} versionId - Version id
+ * @returns {Promise<Object|null>} Version
+ */
+roomVersionSchema.statics.findForRoom = function(roomId, versionId) {
+  return this.findOne({ roomId, versionId });
+};
+
+module.exports = mongoose.model('RoomVersion', roomVersionSchema);
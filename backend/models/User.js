@@ -1,14 +1,18 @@
 /**
  * User Model
  * 
- * Defines the schema for anonymous guest users in Live Room
- * Stores minimal user data for session management and accessibility preferences
+ * Defines the schema for registered users in Live Room
+ * Stores credentials, minimal profile data and accessibility preferences
  */
 
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// bcrypt cost factor for password hashes
+const PASSWORD_SALT_ROUNDS = 12;
 
 /**
- * User schema for anonymous guest users
+ * User schema for registered users
  * Minimal data collection focusing on accessibility and session management
  */
 const userSchema = new mongoose.Schema({
@@ -36,6 +40,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
     unique: true,
+    default: () => require('uuid').v4(),
+  },
+  passwordHash: {
+    type: String,
+    select: false,
+  },
+  // Incremented on logout so previously issued refresh tokens stop working
+  tokenVersion: {
+    type: Number,
+    default: 0,
   },
   isActive: {
     type: Boolean,
@@ -107,6 +121,11 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true,
       },
+      // Toasts, sounds and priority announcements when someone @mentions you
+      mentions: {
+        type: Boolean,
+        default: true,
+      },
     },
   },
   activityStats: {
@@ -137,6 +156,12 @@ const userSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 userSchema.index({ isActive: 1, lastSeen: -1 });
+userSchema.index({ username: 1, isActive: 1 });
+// Registered usernames are unique; guests may share a name with an inactive guest
+userSchema.index(
+  { username: 1 },
+  { name: 'registered_username', unique: true, partialFilterExpression: { passwordHash: { $exists: true } } }
+);
 userSchema.index({ currentRoom: 1 });
 
 // Pre-save middleware to update lastSeen
@@ -226,6 +251,27 @@ userSchema.methods.leaveRoom = async function() {
   }
 };
 
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+  return this;
+};
+
+userSchema.methods.comparePassword = function(password) {
+  // passwordHash is excluded by default; callers must select it
+  if (!this.passwordHash) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.methods.revokeTokens = function() {
+  return this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  );
+};
+
 userSchema.methods.updatePreferences = function(newPreferences) {
   this.preferences = { ...this.preferences, ...newPreferences };
   return this.save();
@@ -252,6 +298,10 @@ userSchema.statics.findBySessionId = function(sessionId) {
   return this.findOne({ sessionId, isActive: true });
 };
 
+userSchema.statics.findByUsernameWithPassword = function(username) {
+  return this.findOne({ username, passwordHash: { $exists: true } }).select('+passwordHash');
+};
+
 userSchema.statics.findByUserId = function(userId) {
   return this.findOne({ userId, isActive: true });
 };
@@ -0,0 +1,146 @@
+/**
+ * Attachment Routes
+ *
+ * RESTful API endpoints for files and images shared in a room's chat
+ * Mounted under /api/rooms/:roomId/attachments; uploads a file to the
+ * attachment storage and serves it back to the room
+ * Attachments are sent by listing their ids in a socket chat-message
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const ChatAttachment = require('../models/ChatAttachment');
+const { handleValidationErrors, validateRoomId, validateAttachmentId } = require('../middleware/validation');
+const { requireRoomAccess } = require('../middleware/roomAccess');
+const { getAttachmentStorage } = require('../utils/attachmentStorage');
+const {
+  MAX_ATTACHMENT_BYTES,
+  sanitizeFilename,
+  detectAttachmentType,
+  formatAttachment,
+} = require('../utils/attachments');
+const {
+  sendServerError,
+  sendNotFoundError,
+  sendBadRequestError,
+  sendForbiddenError,
+  sendPayloadTooLargeError,
+} = require('../utils/errorHandler');
+
+const router = express.Router({ mergeParams: true });
+
+// Files are sent as the raw request body; their type comes from the name, not the request
+const parseFileBody = express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES });
+
+/**
+ * Read the uploaded file into req.body, refusing files over the size limit
+ */
+const readFile = (req, res, next) => {
+  parseFileBody(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return sendPayloadTooLargeError(res, 'File too large', `Attachments can be at most ${Math.floor(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB`);
+    }
+    next(error);
+  });
+};
+
+/**
+ * POST /api/rooms/:roomId/attachments?name=<file name>
+ * Upload a file (body: the file's bytes as application/octet-stream)
+ * Returns the attachment to send with a chat message
+ */
+router.post('/', [
+  ...validateRoomId,
+  query('name').isString().trim().isLength({ min: 1, max: 255 })
+    .withMessage('name must be the file name, up to 255 characters'),
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res, next) => {
+  // Refuse before reading the file when the uploader could not send it anyway
+  const { room, requester } = req;
+  if (room.settings?.allowChat === false) {
+    return sendForbiddenError(res, 'Chat disabled', 'Chat is disabled in this room');
+  }
+  const mute = room.getActiveMute(requester.userId, 'chat');
+  if (mute) {
+    return sendForbiddenError(res, 'Muted', `You are muted until ${new Date(mute.mutedUntil).toLocaleTimeString()}`);
+  }
+  next();
+}, readFile, async (req, res) => {
+  try {
+    const { room, requester } = req;
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return sendBadRequestError(res, 'Empty file', 'Send the file content as application/octet-stream');
+    }
+
+    const name = sanitizeFilename(req.query.name);
+    const type = detectAttachmentType(name, req.body);
+    if (type.error) {
+      return sendBadRequestError(res, 'Unsupported file', type.error);
+    }
+
+    const attachment = new ChatAttachment({
+      roomId: room.roomId,
+      uploadedBy: { userId: requester.userId, username: requester.username },
+      name,
+      contentType: type.contentType,
+      kind: type.kind,
+      size: req.body.length,
+    });
+    attachment.storageKey = `${room.roomId}/${attachment.id}`;
+
+    await getAttachmentStorage().save(attachment.storageKey, req.body, { contentType: type.contentType });
+    await attachment.save();
+
+    console.log(`📎 ${requester.username} uploaded ${name} (${attachment.size} bytes) to room ${room.roomId}`);
+    res.status(201).json(formatAttachment(attachment, room.roomId));
+
+  } catch (error) {
+    console.error('❌ Error uploading attachment:', error);
+    sendServerError(res, 'Failed to upload attachment', 'An error occurred while storing the file');
+  }
+});
+
+/**
+ * GET /api/rooms/:roomId/attachments/:attachmentId
+ * Download an attachment; images are shown inline, other files are saved
+ * Unsent uploads are only available to whoever uploaded them
+ */
+router.get('/:attachmentId', [
+  ...validateRoomId,
+  ...validateAttachmentId,
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room, requester } = req;
+
+    const attachment = await ChatAttachment.findOne({ roomId: room.roomId, id: req.params.attachmentId });
+    if (!attachment || (!attachment.messageId && attachment.uploadedBy.userId !== requester.userId)) {
+      return sendNotFoundError(res, 'Attachment not found', 'The requested attachment does not exist');
+    }
+
+    const stream = await getAttachmentStorage().createReadStream(attachment.storageKey);
+    const asciiName = attachment.name.replace(/[^\x20-\x7e]/g, '_');
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${attachment.kind === 'image' ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+      'Cache-Control': 'private, max-age=86400',
+    });
+    stream.on('error', (error) => {
+      console.error('❌ Error reading attachment:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return sendNotFoundError(res, 'Attachment not found', 'The file is no longer available');
+    }
+    console.error('❌ Error fetching attachment:', error);
+    sendServerError(res, 'Failed to fetch attachment', 'An error occurred while reading the file');
+  }
+});
+
+module.exports = router;
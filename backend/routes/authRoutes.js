@@ -0,0 +1,203 @@
+/**
+ * Auth Routes
+ *
+ * RESTful API endpoints for authentication
+ * Handles registration, login, token refresh and logout
+ * Passwords are stored as bcrypt hashes; clients receive a short-lived
+ * access token and a refresh token to renew it
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const {
+  handleValidationErrors,
+  validateRegistration,
+  validateLogin,
+  validateRefreshToken,
+  createRateLimit,
+} = require('../middleware/validation');
+const { issueTokens, verifyRefreshToken } = require('../utils/authTokens');
+const {
+  sendServerError,
+  sendNotFoundError,
+  sendConflictError,
+  sendUnauthorizedError,
+} = require('../utils/errorHandler');
+
+const router = express.Router();
+
+// Slow down password guessing on the credential endpoints
+const credentialsLimiter = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  20,
+  'Too many authentication attempts. Please try again later.'
+);
+
+/**
+ * Build the auth response for a user
+ * @param {Object} user - User document
+ * @returns {Object} User profile plus a fresh token pair
+ */
+const buildAuthResponse = (user) => ({
+  user: {
+    userId: user.userId,
+    username: user.username,
+    sessionId: user.sessionId,
+    preferences: user.preferences,
+    createdAt: user.createdAt,
+  },
+  ...issueTokens(user),
+});
+
+/**
+ * POST /api/auth/register
+ * Create an account and log it in
+ */
+router.post('/register', [
+  credentialsLimiter,
+  ...validateRegistration,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { username, password, preferences = {} } = req.body;
+
+    // Registered usernames are permanent; active guest names are still reserved
+    const existingUser = await User.findOne({
+      username,
+      $or: [{ passwordHash: { $exists: true } }, { isActive: true }],
+    });
+
+    if (existingUser) {
+      return sendConflictError(res, 'Username taken', 'This username is already in use. Please choose a different one.');
+    }
+
+    const user = new User({
+      userId: uuidv4(),
+      username,
+      preferences,
+    });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`🔐 Registered user ${user.username}`);
+
+    res.status(201).json(buildAuthResponse(user));
+
+  } catch (error) {
+    // Another registration took the name between the check and the save
+    if (error.code === 11000) {
+      return sendConflictError(res, 'Username taken', 'This username is already in use. Please choose a different one.');
+    }
+    console.error('❌ Error registering user:', error);
+    sendServerError(res, 'Failed to register', 'An error occurred while creating your account');
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange credentials for a token pair
+ */
+router.post('/login', [
+  credentialsLimiter,
+  ...validateLogin,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await User.findByUsernameWithPassword(username);
+    if (!user || !(await user.comparePassword(password))) {
+      return sendUnauthorizedError(res, 'Invalid credentials', 'Incorrect username or password');
+    }
+
+    // Accounts go inactive after a day away; logging in brings them back
+    user.isActive = true;
+    await user.save();
+
+    console.log(`🔐 ${user.username} logged in`);
+
+    res.json(buildAuthResponse(user));
+
+  } catch (error) {
+    console.error('❌ Error logging in:', error);
+    sendServerError(res, 'Failed to log in', 'An error occurred while logging in');
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair
+ */
+router.post('/refresh', [
+  ...validateRefreshToken,
+  handleValidationErrors,
+], async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = verifyRefreshToken(req.body.refreshToken);
+    } catch (error) {
+      return sendUnauthorizedError(res, 'Invalid token', 'Your session has expired. Please log in again.');
+    }
+
+    const user = await User.findOne({ userId: payload.sub });
+    if (!user || user.tokenVersion !== payload.version) {
+      return sendUnauthorizedError(res, 'Invalid token', 'Your session has expired. Please log in again.');
+    }
+
+    res.json(buildAuthResponse(user));
+
+  } catch (error) {
+    console.error('❌ Error refreshing token:', error);
+    sendServerError(res, 'Failed to refresh token', 'An error occurred while refreshing your session');
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke every refresh token issued to the user
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    const user = await User.findOne({ userId: req.user.userId });
+    if (user) {
+      await user.revokeTokens();
+    }
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('❌ Error logging out:', error);
+    sendServerError(res, 'Failed to log out', 'An error occurred while logging out');
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the authenticated user's profile
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findByUserId(req.user.userId);
+    if (!user) {
+      return sendNotFoundError(res, 'User not found', 'The authenticated user does not exist or is inactive');
+    }
+
+    res.json({
+      userId: user.userId,
+      username: user.username,
+      sessionId: user.sessionId,
+      preferences: user.preferences,
+      currentRoom: user.currentRoom,
+      lastSeen: user.lastSeen,
+      createdAt: user.createdAt,
+    });
+
+  } catch (error) {
+    sendServerError(res, 'Failed to fetch user', 'An error occurred while retrieving your profile');
+  }
+});
+
+module.exports = router;
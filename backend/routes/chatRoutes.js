@@ -0,0 +1,132 @@
+/**
+ * Chat Routes
+ *
+ * RESTful API endpoints for a room's chat history
+ * Mounted under /api/rooms/:roomId/chat; pages through messages with
+ * before/after/around cursors, searches them and exports the room's polls
+ * Sending and changing messages happens over the socket
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const ChatMessage = require('../models/ChatMessage');
+const { handleValidationErrors, validateRoomId } = require('../middleware/validation');
+const { requireRoomAccess } = require('../middleware/roomAccess');
+const { CHAT_PAGE_SIZE, MAX_CHAT_PAGE_SIZE, formatChatMessage } = require('../utils/chatHistory');
+const { formatPoll } = require('../utils/polls');
+const { sendServerError, sendNotFoundError, sendBadRequestError } = require('../utils/errorHandler');
+
+const router = express.Router({ mergeParams: true });
+
+// Message ids used as cursors
+const cursorRule = (name) => query(name)
+  .optional()
+  .matches(/^[a-zA-Z0-9\-_]+$/)
+  .withMessage(`${name} must be a message ID`);
+
+/**
+ * GET /api/rooms/:roomId/chat?before=|after=|around=<messageId>&limit=
+ * Get a page of chat history, oldest first
+ * Without a cursor this is the latest page
+ */
+router.get('/', [
+  ...validateRoomId,
+  query('limit').optional().isInt({ min: 1, max: MAX_CHAT_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_CHAT_PAGE_SIZE}`),
+  cursorRule('before'),
+  cursorRule('after'),
+  cursorRule('around'),
+  handleValidationErrors,
+  // Protected rooms only show their history to people who got in
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room, requester } = req;
+    const { before, after, around } = req.query;
+    const limit = parseInt(req.query.limit) || CHAT_PAGE_SIZE;
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return sendBadRequestError(res, 'Validation Error', 'Use only one of before, after or around');
+    }
+
+    const page = await ChatMessage.listPage(room.roomId, { before, after, around, limit });
+    if (!page) {
+      return sendNotFoundError(res, 'Message not found', 'The message to page from does not exist');
+    }
+
+    res.json({
+      roomId: room.roomId,
+      messages: page.messages.map(message => formatChatMessage(message, requester.userId)),
+      hasOlder: page.hasOlder,
+      hasNewer: page.hasNewer,
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching chat history:', error);
+    sendServerError(res, 'Failed to fetch chat history', 'An error occurred while retrieving chat messages');
+  }
+});
+
+/**
+ * GET /api/rooms/:roomId/chat/search?q=&limit=
+ * Full-text search of the room's messages, newest first
+ */
+router.get('/search', [
+  ...validateRoomId,
+  query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Search term must be between 1 and 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room, requester } = req;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const results = await ChatMessage.search(room.roomId, req.query.q, limit);
+
+    res.json({
+      roomId: room.roomId,
+      query: req.query.q,
+      results: results.map(message => formatChatMessage(message, requester.userId)),
+    });
+
+  } catch (error) {
+    console.error('❌ Error searching chat:', error);
+    sendServerError(res, 'Failed to search chat', 'An error occurred while searching chat messages');
+  }
+});
+
+/**
+ * GET /api/rooms/:roomId/chat/polls
+ * Every poll asked in the room with its results, oldest first, for export
+ * Anonymous polls only include vote counts
+ */
+router.get('/polls', [
+  ...validateRoomId,
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room } = req;
+
+    const polls = await ChatMessage.listPolls(room.roomId);
+
+    res.json({
+      roomId: room.roomId,
+      roomName: room.roomName,
+      exportedAt: new Date(),
+      polls: polls.map(message => ({
+        id: message.id,
+        askedBy: { userId: message.userId, username: message.username },
+        timestamp: message.timestamp,
+        ...formatPoll(message.poll),
+      })),
+    });
+
+  } catch (error) {
+    console.error('❌ Error exporting polls:', error);
+    sendServerError(res, 'Failed to export polls', 'An error occurred while retrieving the polls');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * Direct Message Routes
+ *
+ * RESTful API endpoints for the requester's private conversations in a room
+ * Mounted under /api/rooms/:roomId/direct-messages; lists conversations with
+ * unread counts and pages back through one conversation
+ * Sending and marking messages read happens over the socket
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const DirectMessage = require('../models/DirectMessage');
+const { handleValidationErrors, validateRoomId, validateUserId } = require('../middleware/validation');
+const { requireRoomAccess } = require('../middleware/roomAccess');
+const { CHAT_PAGE_SIZE, MAX_CHAT_PAGE_SIZE, formatDirectMessage } = require('../utils/chatHistory');
+const { sendServerError, sendNotFoundError } = require('../utils/errorHandler');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /api/rooms/:roomId/direct-messages
+ * List the requester's conversations in the room, most recent first
+ */
+router.get('/', [
+  ...validateRoomId,
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room, requester } = req;
+
+    const conversations = await DirectMessage.listConversations(room.roomId, requester.userId);
+
+    res.json({
+      roomId: room.roomId,
+      conversations: conversations.map(conversation => ({
+        ...conversation,
+        lastMessage: formatDirectMessage(conversation.lastMessage),
+      })),
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching direct conversations:', error);
+    sendServerError(res, 'Failed to fetch conversations', 'An error occurred while retrieving your direct messages');
+  }
+});
+
+/**
+ * GET /api/rooms/:roomId/direct-messages/:userId?before=<messageId>&limit=
+ * Get a page of the requester's conversation with another user, oldest first
+ */
+router.get('/:userId', [
+  ...validateRoomId,
+  ...validateUserId,
+  query('limit').optional().isInt({ min: 1, max: MAX_CHAT_PAGE_SIZE })
+    .withMessage(`Limit must be between 1 and ${MAX_CHAT_PAGE_SIZE}`),
+  query('before').optional().matches(/^[a-zA-Z0-9\-_]+$/).withMessage('before must be a message ID'),
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room, requester } = req;
+    const limit = parseInt(req.query.limit) || CHAT_PAGE_SIZE;
+
+    const page = await DirectMessage.listConversation(room.roomId, requester.userId, req.params.userId, {
+      before: req.query.before,
+      limit,
+    });
+    if (!page) {
+      return sendNotFoundError(res, 'Message not found', 'The message to page from does not exist');
+    }
+
+    res.json({
+      roomId: room.roomId,
+      userId: req.params.userId,
+      messages: page.messages.map(formatDirectMessage),
+      hasOlder: page.hasOlder,
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching direct messages:', error);
+    sendServerError(res, 'Failed to fetch direct messages', 'An error occurred while retrieving the conversation');
+  }
+});
+
+module.exports = router;
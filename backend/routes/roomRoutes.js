@@ -9,11 +9,34 @@
 const express = require('express');
 const { query } = require('express-validator');
 const Room = require('../models/Room');
-const { handleValidationErrors, validateRoomCreation, validatePagination, validateRoomId } = require('../middleware/validation');
+const {
+  handleValidationErrors,
+  validateRoomCreation,
+  validateRoomInvite,
+  validatePagination,
+  validateRoomId,
+} = require('../middleware/validation');
 const { sendServerError, sendNotFoundError } = require('../utils/errorHandler');
+const { requireRoomRole } = require('../middleware/roomAccess');
+const versionRoutes = require('./versionRoutes');
+const chatRoutes = require('./chatRoutes');
+const directMessageRoutes = require('./directMessageRoutes');
+const attachmentRoutes = require('./attachmentRoutes');
+const { getMemberRole } = require('../utils/roomRoles');
+const { normalizeFormatOptions } = require('../utils/codeFormatter');
 
 const router = express.Router();
 
+// Version history, chat history, direct messages and chat attachments live under
+// /api/rooms/:roomId/versions, /chat, /direct-messages and /attachments
+router.use('/:roomId/versions', versionRoutes);
+router.use('/:roomId/chat', chatRoutes);
+router.use('/:roomId/direct-messages', directMessageRoutes);
+router.use('/:roomId/attachments', attachmentRoutes);
+
+// Invites that are neither single-use nor given an expiry last a day
+const DEFAULT_INVITE_HOURS = 24;
+
 /**
  * GET /api/rooms
  * Get list of active rooms with pagination and filtering
@@ -56,7 +79,8 @@ router.get('/', [
           maxParticipants: 1,
           createdAt: 1,
           lastActivity: 1,
-          settings: 1
+          settings: 1,
+          hasPassword: { $ne: [{ $type: '$passwordHash' }, 'missing'] },
         }
       },
       { $sort: { lastActivity: -1 } },
@@ -105,7 +129,7 @@ router.get('/:roomId', [
   try {
     const { roomId } = req.params;
     
-    const room = await Room.findRoomById(roomId);
+    const room = await Room.findRoomById(roomId).select('+passwordHash');
     if (!room) {
       return sendNotFoundError(res, 'Room not found', 'The requested room does not exist or is inactive');
     }
@@ -125,6 +149,7 @@ router.get('/:roomId', [
         color: p.color,
       })),
       settings: room.settings,
+      hasPassword: !!room.passwordHash,
       createdAt: room.createdAt,
       lastActivity: room.lastActivity,
     };
@@ -145,8 +170,8 @@ router.post('/', [
   handleValidationErrors,
 ], async (req, res) => {
   try {
-    const { roomName, description, maxParticipants, settings } = req.body;
-    console.log('🏠 Creating room with data:', { roomName, description, maxParticipants, settings });
+    const { roomName, description, maxParticipants, settings, password } = req.body;
+    console.log('🏠 Creating room with data:', { roomName, description, maxParticipants, settings, hasPassword: !!password });
     
     // Generate unique room ID using UUID
     const { v4: uuidv4 } = require('uuid');
@@ -166,18 +191,19 @@ router.post('/', [
         allowCanvasDrawing: true,
         allowChat: true,
         isPublic: true,
+        requireApproval: false,
         ...settings,
       },
       createdBy: {
-        userId: 'system', // Will be updated when user joins
-        username: 'System',
+        userId: req.user.userId,
+        username: req.user.username,
       },
     };
 
     console.log('💾 Creating room with data:', roomData);
     
     // Use findOneAndUpdate with upsert to prevent duplicate room creation
-    const room = await Room.findOneAndUpdate(
+    let room = await Room.findOneAndUpdate(
       { roomId: roomId },
       roomData,
       { 
@@ -187,6 +213,10 @@ router.post('/', [
         setDefaultsOnInsert: true
       }
     );
+
+    if (password) {
+      room = await room.setPassword(password);
+    }
     
     console.log('✅ Room saved successfully:', { 
       roomId: room.roomId, 
@@ -216,6 +246,7 @@ router.post('/', [
       maxParticipants: room.maxParticipants,
       currentParticipants: room.currentParticipants,
       settings: room.settings,
+      hasPassword: !!password,
       createdAt: room.createdAt,
     };
     
@@ -247,21 +278,17 @@ router.post('/', [
 
 /**
  * PUT /api/rooms/:roomId
- * Update room settings (only by room creator or admin)
+ * Update room settings (only by room owner or moderator)
  */
 router.put('/:roomId', [
   ...validateRoomId,
   ...validateRoomCreation,
   handleValidationErrors,
+  requireRoomRole('owner', 'moderator'),
 ], async (req, res) => {
   try {
-    const { roomId } = req.params;
-    const { roomName, description, maxParticipants, settings } = req.body;
-    
-    const room = await Room.findRoomById(roomId);
-    if (!room) {
-      return sendNotFoundError(res, 'Room not found', 'The requested room does not exist or is inactive');
-    }
+    const { roomName, description, maxParticipants, settings, password } = req.body;
+    const { room } = req;
 
     // Update room fields with validation and atomic operations
     const updateData = {};
@@ -282,10 +309,17 @@ router.put('/:roomId', [
     
     if (settings !== undefined) {
       updateData.settings = { ...room.settings, ...settings };
+      // Style options are merged one by one so a single switch can be changed
+      if (settings.codeFormatting !== undefined) {
+        updateData.settings.codeFormatting = normalizeFormatOptions(
+          settings.codeFormatting,
+          normalizeFormatOptions(room.settings?.codeFormatting)
+        );
+      }
     }
 
     // Use atomic update to prevent race conditions
-    const updatedRoom = await Room.findByIdAndUpdate(
+    let updatedRoom = await Room.findByIdAndUpdate(
       room._id,
       updateData,
       { new: true, runValidators: true }
@@ -295,12 +329,31 @@ router.put('/:roomId', [
       return sendNotFoundError(res, 'Room not found', 'The room could not be updated');
     }
 
+    // An empty string or null removes the password
+    if (password !== undefined) {
+      updatedRoom = await updatedRoom.setPassword(password);
+    }
+    const hasPassword = password !== undefined
+      ? !!password
+      : !!(await Room.findById(room._id).select('+passwordHash'))?.passwordHash;
+
+    // Let connected participants switch panels to read-only (or back) right away
+    const io = req.app.get('io');
+    if (io) {
+      io.to(updatedRoom.roomId).emit('room-settings-updated', {
+        roomId: updatedRoom.roomId,
+        settings: updatedRoom.settings,
+        hasPassword,
+      });
+    }
+
     res.json({
       roomId: updatedRoom.roomId,
       roomName: updatedRoom.roomName,
       description: updatedRoom.description,
       maxParticipants: updatedRoom.maxParticipants,
       settings: updatedRoom.settings,
+      hasPassword,
       updatedAt: updatedRoom.updatedAt,
     });
 
@@ -311,22 +364,15 @@ router.put('/:roomId', [
 
 /**
  * DELETE /api/rooms/:roomId
- * Deactivate a room (soft delete)
+ * Deactivate a room (soft delete, only by room owner or moderator)
  */
 router.delete('/:roomId', [
   ...validateRoomId,
   handleValidationErrors,
+  requireRoomRole('owner', 'moderator'),
 ], async (req, res) => {
   try {
-    const { roomId } = req.params;
-    
-    const room = await Room.findRoomById(roomId);
-    if (!room) {
-      return res.status(404).json({
-        error: 'Room not found',
-        message: 'The requested room does not exist or is already inactive',
-      });
-    }
+    const { room } = req;
 
     // Soft delete - mark as inactive
     room.isActive = false;
@@ -343,79 +389,83 @@ router.delete('/:roomId', [
 });
 
 /**
- * GET /api/rooms/:roomId/participants
- * Get list of active participants in a room
+ * POST /api/rooms/:roomId/invites
+ * Create an invite token that lets its holder skip the password and approval
+ * (only by room owner or moderator)
  */
-router.get('/:roomId/participants', [
+router.post('/:roomId/invites', [
   ...validateRoomId,
+  ...validateRoomInvite,
   handleValidationErrors,
+  requireRoomRole('owner', 'moderator'),
 ], async (req, res) => {
   try {
-    const { roomId } = req.params;
-    
-    const room = await Room.findRoomById(roomId);
-    if (!room) {
-      return sendNotFoundError(res, 'Room not found', 'The requested room does not exist or is inactive');
+    const { room, requester } = req;
+    const singleUse = req.body.singleUse === true;
+    let expiresInHours = req.body.expiresInHours;
+    if (!singleUse && !expiresInHours) {
+      expiresInHours = DEFAULT_INVITE_HOURS;
     }
 
-    const participants = room.participants
-      .filter(p => p.isActive)
-      .map(p => ({
-        userId: p.userId,
-        username: p.username,
-        lastActivity: p.lastActivity,
-        accessibility: p.accessibility,
-        color: p.color,
-      }));
+    const invite = await room.createInvite(
+      {
+        singleUse,
+        expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null,
+      },
+      { userId: requester.userId, username: requester.username }
+    );
 
-    res.json({
+    console.log(`🎟️ ${requester.username} created an invite for room ${room.roomId}`);
+
+    res.status(201).json({
       roomId: room.roomId,
-      participants,
-      totalParticipants: participants.length,
+      token: invite.token,
+      singleUse: invite.singleUse,
+      expiresAt: invite.expiresAt,
+      createdAt: invite.createdAt,
     });
 
   } catch (error) {
-    sendServerError(res, 'Failed to fetch participants', 'An error occurred while retrieving room participants');
+    console.error('❌ Error creating invite:', error);
+    sendServerError(res, 'Failed to create invite', 'An error occurred while creating the invite');
   }
 });
 
 /**
- * GET /api/rooms/:roomId/chat
- * Get chat history for a room
+ * GET /api/rooms/:roomId/participants
+ * Get list of active participants in a room
  */
-router.get('/:roomId/chat', [
+router.get('/:roomId/participants', [
   ...validateRoomId,
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   handleValidationErrors,
 ], async (req, res) => {
   try {
     const { roomId } = req.params;
-    const limit = parseInt(req.query.limit) || 50;
     
     const room = await Room.findRoomById(roomId);
     if (!room) {
       return sendNotFoundError(res, 'Room not found', 'The requested room does not exist or is inactive');
     }
 
-    const messages = room.chatMessages
-      .slice(-limit)
-      .map(msg => ({
-        id: msg.id,
-        userId: msg.userId,
-        username: msg.username,
-        message: msg.message,
-        messageType: msg.messageType,
-        timestamp: msg.timestamp,
+    const participants = room.participants
+      .filter(p => p.isActive)
+      .map(p => ({
+        userId: p.userId,
+        username: p.username,
+        lastActivity: p.lastActivity,
+        accessibility: p.accessibility,
+        color: p.color,
+        role: getMemberRole(room, p.userId),
       }));
 
     res.json({
       roomId: room.roomId,
-      messages,
-      totalMessages: room.chatMessages.length,
+      participants,
+      totalParticipants: participants.length,
     });
 
   } catch (error) {
-    sendServerError(res, 'Failed to fetch chat history', 'An error occurred while retrieving chat messages');
+    sendServerError(res, 'Failed to fetch participants', 'An error occurred while retrieving room participants');
   }
 });
 
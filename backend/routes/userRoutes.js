@@ -2,64 +2,29 @@
  * User Routes
  * 
  * RESTful API endpoints for user management
- * Handles user creation, preferences, and session management
- * Includes proper validation and error handling
+ * Handles user profiles, preferences, and activity
+ * Accounts are created through /api/auth; every route here requires an
+ * access token and users may only modify their own account
  */
 
 const express = require('express');
 const { body, param } = require('express-validator');
 const User = require('../models/User');
-const { handleValidationErrors, validateUserCreation, validateUserId, validateSessionId } = require('../middleware/validation');
-const { sendServerError, sendNotFoundError, sendConflictError } = require('../utils/errorHandler');
+const Room = require('../models/Room');
+const { handleValidationErrors, validateUserId } = require('../middleware/validation');
+const { sendServerError, sendNotFoundError, sendConflictError, sendForbiddenError } = require('../utils/errorHandler');
 
 const router = express.Router();
 
 /**
- * POST /api/users
- * Create a new anonymous user session
+ * Only let the authenticated user act on their own account
  */
-router.post('/', [
-  ...validateUserCreation,
-  handleValidationErrors,
-], async (req, res) => {
-  try {
-    const { username, preferences = {} } = req.body;
-    const { v4: uuidv4 } = require('uuid');
-    const sessionId = uuidv4();
-    const userId = uuidv4();
-
-    // Check if username is already taken in active sessions
-    const existingUser = await User.findOne({
-      username,
-      isActive: true,
-    });
-
-    if (existingUser) {
-      return sendConflictError(res, 'Username taken', 'This username is already in use. Please choose a different one.');
-    }
-
-    // Create new user
-    const user = new User({
-      userId,
-      username,
-      sessionId,
-      preferences,
-    });
-
-    await user.save();
-
-    res.status(201).json({
-      userId: user.userId,
-      username: user.username,
-      sessionId: user.sessionId,
-      preferences: user.preferences,
-      createdAt: user.createdAt,
-    });
-
-  } catch (error) {
-    sendServerError(res, 'Failed to create user', 'An error occurred while creating the user session');
+const requireSelf = (req, res, next) => {
+  if (req.user.userId !== req.params.userId) {
+    return sendForbiddenError(res, 'Forbidden', 'You can only modify your own account');
   }
-});
+  next();
+};
 
 /**
  * GET /api/users/:userId
@@ -101,6 +66,7 @@ router.get('/:userId', [
  */
 router.put('/:userId', [
   ...validateUserId,
+  requireSelf,
   body('username').optional().isLength({ min: 1, max: 50 }).withMessage('Username must be between 1 and 50 characters'),
   body('username').optional().matches(/^[a-zA-Z0-9\s\-_]+$/).withMessage('Username can only contain letters, numbers, spaces, hyphens, and underscores'),
   body('preferences').optional().isObject().withMessage('Preferences must be an object'),
@@ -119,7 +85,7 @@ router.put('/:userId', [
     if (username && username !== user.username) {
       const existingUser = await User.findOne({
         username,
-        isActive: true,
+        $or: [{ passwordHash: { $exists: true } }, { isActive: true }],
         userId: { $ne: userId },
       });
 
@@ -129,6 +95,7 @@ router.put('/:userId', [
     }
 
     // Update user fields
+    const previousUsername = user.username;
     if (username !== undefined) user.username = username;
     if (preferences !== undefined) {
       user.preferences = { ...user.preferences, ...preferences };
@@ -136,6 +103,18 @@ router.put('/:userId', [
 
     await user.save();
 
+    // Ownership and roles follow the user id; only the names shown for them change
+    if (username && username !== previousUsername) {
+      await Promise.all([
+        Room.updateMany({ 'createdBy.userId': userId }, { $set: { 'createdBy.username': username } }),
+        Room.updateMany(
+          { 'memberRoles.userId': userId },
+          { $set: { 'memberRoles.$[member].username': username } },
+          { arrayFilters: [{ 'member.userId': userId }] }
+        ),
+      ]);
+    }
+
     res.json({
       userId: user.userId,
       username: user.username,
@@ -144,6 +123,10 @@ router.put('/:userId', [
     });
 
   } catch (error) {
+    // Someone registered the name between the check and the save
+    if (error.code === 11000) {
+      return sendConflictError(res, 'Username taken', 'This username is already in use. Please choose a different one.');
+    }
     sendServerError(res, 'Failed to update user', 'An error occurred while updating the user');
   }
 });
@@ -154,6 +137,7 @@ router.put('/:userId', [
  */
 router.delete('/:userId', [
   ...validateUserId,
+  requireSelf,
   handleValidationErrors,
 ], async (req, res) => {
   try {
@@ -215,6 +199,7 @@ router.get('/:userId/activity', [
  */
 router.post('/:userId/update-time', [
   ...validateUserId,
+  requireSelf,
   body('minutes').isInt({ min: 0 }).withMessage('Minutes must be a non-negative integer'),
   handleValidationErrors,
 ], async (req, res) => {
@@ -240,34 +225,4 @@ router.post('/:userId/update-time', [
   }
 });
 
-/**
- * GET /api/users/session/:sessionId
- * Get user by session ID (for socket connections)
- */
-router.get('/session/:sessionId', [
-  ...validateSessionId,
-  handleValidationErrors,
-], async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    
-    const user = await User.findBySessionId(sessionId);
-    if (!user) {
-      return sendNotFoundError(res, 'Session not found', 'The requested session does not exist or is inactive');
-    }
-
-    res.json({
-      userId: user.userId,
-      username: user.username,
-      sessionId: user.sessionId,
-      preferences: user.preferences,
-      currentRoom: user.currentRoom,
-      lastSeen: user.lastSeen,
-    });
-
-  } catch (error) {
-    sendServerError(res, 'Failed to fetch user session', 'An error occurred while retrieving user session data');
-  }
-});
-
 module.exports = router;
@@ -0,0 +1,175 @@
+/**
+ * Version Routes
+ *
+ * RESTful API endpoints for a room's version history
+ * Mounted under /api/rooms/:roomId/versions; lists, fetches, diffs and
+ * takes snapshots of the room's code, notes and canvas
+ * Restoring happens over the socket so the live documents stay in sync
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const RoomVersion = require('../models/RoomVersion');
+const {
+  handleValidationErrors,
+  validateRoomId,
+  validateVersionId,
+  validateVersionSnapshot,
+} = require('../middleware/validation');
+const { requireRoomAccess } = require('../middleware/roomAccess');
+const { canEditContent } = require('../utils/roomRoles');
+const {
+  VERSION_KINDS,
+  getVersionContent,
+  formatVersion,
+  diffVersionContent,
+} = require('../utils/versionHistory');
+const { sendServerError, sendNotFoundError, sendForbiddenError } = require('../utils/errorHandler');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET /api/rooms/:roomId/versions
+ * List a room's versions, newest first (optionally of one kind)
+ */
+router.get('/', [
+  ...validateRoomId,
+  query('kind').optional().isIn(VERSION_KINDS).withMessage('kind must be code, notes, or canvas'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room } = req;
+    const { kind } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const versions = kind
+      ? await RoomVersion.listForRoom(room.roomId, kind, limit)
+      : await RoomVersion.find({ roomId: room.roomId }).sort({ createdAt: -1 }).limit(limit).select('-content');
+
+    res.json({
+      roomId: room.roomId,
+      versions: versions.map(version => formatVersion(version)),
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing versions:', error);
+    sendServerError(res, 'Failed to fetch versions', 'An error occurred while retrieving version history');
+  }
+});
+
+/**
+ * POST /api/rooms/:roomId/versions
+ * Take a snapshot of the room's code, notes or canvas now (editors and above)
+ */
+router.post('/', [
+  ...validateRoomId,
+  ...validateVersionSnapshot,
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room, requester } = req;
+    const { kind, label = '' } = req.body;
+
+    if (!canEditContent(requester.role)) {
+      return sendForbiddenError(res, 'Insufficient role', 'Viewers cannot save versions');
+    }
+
+    const { revision, content } = getVersionContent(room, kind);
+    const version = await RoomVersion.createSnapshot({
+      roomId: room.roomId,
+      kind,
+      revision,
+      content,
+      label,
+      trigger: 'manual',
+      createdBy: { userId: requester.userId, username: requester.username },
+    });
+
+    // Open history panels pick up the new version
+    const io = req.app.get('io');
+    if (io) {
+      io.to(room.roomId).emit('version-created', formatVersion(version));
+    }
+
+    console.log(`🕘 ${requester.username} saved a ${kind} version of room ${room.roomId}`);
+
+    res.status(201).json(formatVersion(version));
+
+  } catch (error) {
+    console.error('❌ Error saving version:', error);
+    sendServerError(res, 'Failed to save version', 'An error occurred while saving the version');
+  }
+});
+
+/**
+ * GET /api/rooms/:roomId/versions/:versionId
+ * Get a version with its content
+ */
+router.get('/:versionId', [
+  ...validateRoomId,
+  ...validateVersionId,
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const version = await RoomVersion.findForRoom(req.room.roomId, req.params.versionId);
+    if (!version) {
+      return sendNotFoundError(res, 'Version not found', 'The requested version does not exist');
+    }
+
+    res.json(formatVersion(version, true));
+
+  } catch (error) {
+    sendServerError(res, 'Failed to fetch version', 'An error occurred while retrieving the version');
+  }
+});
+
+/**
+ * GET /api/rooms/:roomId/versions/:versionId/diff?against=current|<versionId>
+ * Diff from `against` (the room's current content by default) to this version,
+ * i.e. what restoring the version would change
+ */
+router.get('/:versionId/diff', [
+  ...validateRoomId,
+  ...validateVersionId,
+  query('against').optional().matches(/^[a-zA-Z0-9\-_]+$/).withMessage('against must be a version ID or "current"'),
+  handleValidationErrors,
+  requireRoomAccess,
+], async (req, res) => {
+  try {
+    const { room } = req;
+    const against = req.query.against || 'current';
+
+    const version = await RoomVersion.findForRoom(room.roomId, req.params.versionId);
+    if (!version) {
+      return sendNotFoundError(res, 'Version not found', 'The requested version does not exist');
+    }
+
+    let base;
+    if (against === 'current') {
+      base = { versionId: 'current', ...getVersionContent(room, version.kind) };
+    } else {
+      base = await RoomVersion.findForRoom(room.roomId, against);
+      if (!base || base.kind !== version.kind) {
+        return sendNotFoundError(res, 'Version not found', 'The version to compare against does not exist');
+      }
+    }
+
+    res.json({
+      roomId: room.roomId,
+      kind: version.kind,
+      from: { versionId: base.versionId, revision: base.revision },
+      to: { versionId: version.versionId, revision: version.revision },
+      diff: diffVersionContent(version.kind, base.content, version.content),
+    });
+
+  } catch (error) {
+    console.error('❌ Error diffing versions:', error);
+    sendServerError(res, 'Failed to diff versions', 'An error occurred while comparing versions');
+  }
+});
+
+module.exports = router;
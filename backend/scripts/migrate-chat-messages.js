@@ -0,0 +1,59 @@
+/**
+ * Migrate Chat Messages Script
+ * 
+ * Moves chat messages embedded in room documents (the old `chatMessages`
+ * array) into the ChatMessage collection, then removes the embedded copies
+ * Safe to run more than once: messages already in the collection are skipped
+ */
+
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const ChatMessage = require('../models/ChatMessage');
+require('dotenv').config();
+
+async function migrateChatMessages() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/syncspace-liveroom');
+    console.log('✅ Connected to MongoDB');
+
+    // The Room schema no longer knows about chatMessages, so read the raw documents
+    const rooms = await Room.collection
+      .find({ 'chatMessages.0': { $exists: true } }, { projection: { roomId: 1, roomName: 1, chatMessages: 1 } })
+      .toArray();
+    console.log(`📊 Found ${rooms.length} rooms with embedded chat messages`);
+
+    let totalMigrated = 0;
+
+    for (const room of rooms) {
+      console.log(`\n🔍 Processing room: ${room.roomName} (${room.roomId})`);
+
+      const existingIds = new Set(
+        (await ChatMessage.find({ roomId: room.roomId }).select('id')).map(message => message.id)
+      );
+      const messages = room.chatMessages
+        .filter(message => !existingIds.has(message.id))
+        .map(({ _id, ...message }) => ({ ...message, roomId: room.roomId }));
+
+      if (messages.length > 0) {
+        await ChatMessage.insertMany(messages);
+      }
+      await Room.collection.updateOne({ _id: room._id }, { $unset: { chatMessages: '' } });
+
+      totalMigrated += messages.length;
+      console.log(`   Migrated: ${messages.length} messages (${room.chatMessages.length - messages.length} already migrated)`);
+    }
+
+    console.log(`\n✅ Migrated ${totalMigrated} chat messages`);
+    
+  } catch (error) {
+    console.error('❌ Error during migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔒 Database connection closed');
+  }
+}
+
+// Run the migration
+migrateChatMessages();
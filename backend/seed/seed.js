@@ -10,6 +10,8 @@ const mongoose = require('mongoose');
 const connectDB = require('../config/database');
 const User = require('../models/User');
 const Room = require('../models/Room');
+const ChatMessage = require('../models/ChatMessage');
+const { legacyCodeFiles } = require('../utils/codeFiles');
 const users = require('./data/users.json');
 const rooms = require('./data/rooms.json');
 
@@ -164,9 +166,7 @@ const seedChatMessages = async (seededRooms, seededUsers) => {
         }
       ];
       
-      for (const message of sampleMessages) {
-        await room.addChatMessage(message);
-      }
+      await ChatMessage.insertMany(sampleMessages.map(message => ({ ...message, roomId: room.roomId })));
       
       console.log(`   ✅ Added chat messages to ${room.roomName}`);
       
@@ -230,9 +230,8 @@ for i in range(10):
         await room.save();
       }
       
-      await room.updateCodeContent({
-        content: codeSample.content,
-        language: codeSample.language,
+      await room.updateCodeFiles({
+        files: legacyCodeFiles(codeSample),
         userId: room.createdBy.userId,
         username: room.createdBy.username,
       });
@@ -2,7 +2,7 @@
  * Live Room Backend Server
  * 
  * A real-time collaborative workspace backend built with Express.js and Socket.io
- * Features: Anonymous guest login, room-based collaboration, real-time code editing,
+ * Features: Token-based authentication, room-based collaboration, real-time code editing,
  * collaborative notes, canvas drawing, chat, and presence indicators
  * 
  * @author Live Room Team
@@ -31,6 +31,8 @@ const connectDB = require('./config/database');
 const socketHandler = require('./socket/socketHandler');
 const roomRoutes = require('./routes/roomRoutes');
 const userRoutes = require('./routes/userRoutes');
+const authRoutes = require('./routes/authRoutes');
+const { authenticate, authenticateSocket } = require('./middleware/auth');
 
 // Initialize Express app
 const app = express();
@@ -120,8 +122,9 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // API routes
-app.use('/api/rooms', roomRoutes);
-app.use('/api/users', userRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/rooms', authenticate, roomRoutes);
+app.use('/api/users', authenticate, userRoutes);
 
 // Socket.io configuration with CORS
 const io = socketIo(server, {
@@ -131,6 +134,12 @@ const io = socketIo(server, {
   pingInterval: 25000,
 });
 
+// Make the socket server available to routes that notify connected clients
+app.set('io', io);
+
+// Require a valid access token for every socket connection
+io.use(authenticateSocket);
+
 // Initialize socket handler
 socketHandler(io);
 
@@ -0,0 +1,420 @@
+/**
+ * Built-in Chat Commands
+ *
+ * The slash commands every room gets: /help, /me, /topic, /kick, /mute,
+ * /poll, /roll, /clear-canvas and /lang. They are registered on a registry
+ * from utils/chatCommands and run by the socket handler's chat-message event,
+ * using the handler's own helpers so they follow the same permission checks,
+ * locks and broadcasts as the matching panels.
+ */
+
+const crypto = require('crypto');
+const Room = require('../models/Room');
+const { createCommandRegistry, takeUsername, parseDice } = require('../utils/chatCommands');
+const { getMemberRole, canManageRoom, canModerate } = require('../utils/roomRoles');
+const { MIN_POLL_OPTIONS, MAX_POLL_OPTIONS, normalizePoll } = require('../utils/polls');
+const { EDITOR_LANGUAGES } = require('../utils/codeFiles');
+
+// Shorter names people type for the editor's languages
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  'c++': 'cpp',
+  'c#': 'csharp',
+  cs: 'csharp',
+  golang: 'go',
+  rs: 'rust',
+  md: 'markdown',
+  yml: 'yaml',
+  text: 'plaintext',
+  txt: 'plaintext',
+};
+
+const MAX_TOPIC_LENGTH = 500;
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Create the registry of built-in chat commands
+ * @param {Object} helpers - Socket handler helpers the commands need
+ * @param {Object} helpers.io - Socket.io server instance
+ * @param {Function} helpers.sendChatMessage - Store and broadcast a member's chat message
+ * @param {Function} helpers.postSystemMessage - Store and broadcast a system message
+ * @param {Function} helpers.moderateMember - Kick, ban or mute a member
+ * @param {Function} helpers.checkFeatureAllowed - Check settings, role and mutes for a feature
+ * @param {Function} helpers.acquireRoomLock - Take a per-room lock
+ * @param {Function} helpers.releaseRoomLock - Release a per-room lock
+ * @param {Function} helpers.getCodeDocument - Live code document for a room
+ * @param {Function} helpers.findCodeFile - Find a file in a live code document by id or path
+ * @param {Function} helpers.saveCodeFiles - Persist a room's code files
+ * @param {Function} helpers.scheduleCodeLint - Lint a code file again shortly
+ * @param {Function} helpers.getCanvasObjects - Canvas objects for a room
+ * @param {Function} helpers.applyCanvasOperation - Apply a canvas operation to objects
+ * @param {Function} helpers.saveSnapshot - Snapshot a room's code, notes or canvas
+ * @param {Object} limits - { maxMessageLength, defaultMuteMinutes, maxMuteMinutes, muteScopes }
+ * @returns {Object} Command registry
+ */
+const createChatCommands = (helpers, limits) => {
+  const {
+    io,
+    sendChatMessage,
+    postSystemMessage,
+    moderateMember,
+    checkFeatureAllowed,
+    acquireRoomLock,
+    releaseRoomLock,
+    getCodeDocument,
+    findCodeFile,
+    saveCodeFiles,
+    scheduleCodeLint,
+    getCanvasObjects,
+    applyCanvasOperation,
+    saveSnapshot,
+  } = helpers;
+  const registry = createCommandRegistry();
+
+  // Metadata for Blind Mode on command broadcasts
+  const commandMetadata = (connection, actionType) => ({
+    author: connection.username,
+    timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+    actionType,
+    userId: connection.userId,
+  });
+
+  // Find the active participant named at the start of the arguments
+  // Replies with the command's usage and returns null when nobody matches
+  const takeParticipant = ({ args, room, fail }, usage) => {
+    const participants = room.participants.filter(participant => participant.isActive);
+    const taken = args ? takeUsername(args, participants.map(participant => participant.username)) : null;
+    if (!taken) {
+      fail(args ? `Nobody called "${args.split(/\s+/)[0]}" is in the room. Usage: ${usage}` : `Usage: ${usage}`);
+      return null;
+    }
+    const target = participants.find(participant => participant.username === taken.username);
+    return { target, rest: taken.rest };
+  };
+
+  // Run a change under one of the room's feature locks
+  // Replies when the room is busy instead of waiting
+  const withLock = async (lockName, { room, fail }, change) => {
+    let lockKey = null;
+    try {
+      lockKey = await acquireRoomLock(`${room.roomId}_${lockName}`);
+    } catch (lockError) {
+      fail('The room is busy. Please try again in a moment.');
+      return;
+    }
+    try {
+      // Reload inside the lock so the change applies to the latest content
+      const latestRoom = await Room.findRoomById(room.roomId);
+      if (latestRoom) {
+        await change(latestRoom);
+      }
+    } finally {
+      releaseRoomLock(lockKey);
+    }
+  };
+
+  registry.register({
+    name: 'help',
+    usage: '/help [command]',
+    description: 'List the chat commands, or explain one',
+    run: ({ args, reply, fail }) => {
+      if (args) {
+        const command = registry.get(args.replace(/^\//, ''));
+        if (!command) {
+          fail(`There is no /${args.replace(/^\//, '')} command. Type /help to see them all.`);
+          return;
+        }
+        reply(`${command.usage} — ${command.description}${command.managersOnly ? ' (owners and moderators)' : ''}`);
+        return;
+      }
+      const lines = registry.list().map(command => `${command.usage} — ${command.description}`);
+      reply(`Chat commands:\n${lines.join('\n')}\nStart a message with // to send text beginning with /`);
+    },
+  });
+
+  registry.register({
+    name: 'me',
+    usage: '/me <action>',
+    description: 'Describe what you are doing, e.g. /me is reviewing the PR',
+    run: async ({ args, room, connection, fail }) => {
+      if (!args) {
+        fail('Usage: /me <action>');
+        return;
+      }
+      if (args.length > limits.maxMessageLength) {
+        fail(`Actions can be at most ${limits.maxMessageLength} characters`);
+        return;
+      }
+      await sendChatMessage(room, connection, { message: args, messageType: 'action' }, 'action');
+    },
+  });
+
+  registry.register({
+    name: 'topic',
+    usage: '/topic [text]',
+    description: 'Show the room topic, or set it (owners and moderators)',
+    run: async ({ args, room, connection, reply, fail }) => {
+      if (!args) {
+        reply(room.description ? `Topic: ${room.description}` : 'This room has no topic yet');
+        return;
+      }
+      if (!canManageRoom(getMemberRole(room, connection.userId))) {
+        fail('Only owners and moderators can change the topic');
+        return;
+      }
+      if (args.length > MAX_TOPIC_LENGTH) {
+        fail(`The topic can be at most ${MAX_TOPIC_LENGTH} characters`);
+        return;
+      }
+
+      await Room.updateOne({ roomId: room.roomId }, { description: args, lastActivity: new Date() });
+
+      const metadata = commandMetadata(connection, 'topic');
+      io.to(room.roomId).emit('room-topic-changed', {
+        roomId: room.roomId,
+        description: args,
+        changedBy: { userId: connection.userId, username: connection.username },
+        timestamp: new Date(),
+        metadata, // Include metadata for Blind Mode
+      });
+      await postSystemMessage(room.roomId, `${connection.username} changed the topic to: ${args}`, metadata);
+    },
+  });
+
+  registry.register({
+    name: 'kick',
+    usage: '/kick <user> [reason]',
+    description: 'Remove someone from the room',
+    managersOnly: true,
+    run: async (context) => {
+      const taken = takeParticipant(context, '/kick <user> [reason]');
+      if (!taken) return;
+      if (taken.rest.length > MAX_REASON_LENGTH) {
+        context.fail(`The reason can be at most ${MAX_REASON_LENGTH} characters`);
+        return;
+      }
+      const { room, connection, socket, fail } = context;
+      if (taken.target.userId === connection.userId ||
+          !canModerate(getMemberRole(room, connection.userId), getMemberRole(room, taken.target.userId))) {
+        fail(`You cannot remove ${taken.target.username}`);
+        return;
+      }
+      await moderateMember(socket, room, connection, taken.target, 'kick', { reason: taken.rest });
+    },
+  });
+
+  registry.register({
+    name: 'mute',
+    usage: '/mute <user> [minutes] [chat|editing|all]',
+    description: `Mute someone, for ${limits.defaultMuteMinutes} minutes from everything unless you say otherwise`,
+    managersOnly: true,
+    run: async (context) => {
+      const usage = '/mute <user> [minutes] [chat|editing|all]';
+      const taken = takeParticipant(context, usage);
+      if (!taken) return;
+      const { room, connection, socket, fail } = context;
+
+      let durationMinutes = limits.defaultMuteMinutes;
+      let scope = 'all';
+      for (const word of taken.rest.split(/\s+/).filter(Boolean)) {
+        if (/^\d+$/.test(word)) {
+          durationMinutes = parseInt(word, 10);
+        } else if (limits.muteScopes.includes(word.toLowerCase())) {
+          scope = word.toLowerCase();
+        } else {
+          fail(`"${word}" is not a number of minutes or one of ${limits.muteScopes.join(', ')}. Usage: ${usage}`);
+          return;
+        }
+      }
+      if (durationMinutes < 1 || durationMinutes > limits.maxMuteMinutes) {
+        fail(`Mutes last between 1 and ${limits.maxMuteMinutes} minutes`);
+        return;
+      }
+      if (taken.target.userId === connection.userId ||
+          !canModerate(getMemberRole(room, connection.userId), getMemberRole(room, taken.target.userId))) {
+        fail(`You cannot mute ${taken.target.username}`);
+        return;
+      }
+      await moderateMember(socket, room, connection, taken.target, 'mute', { scope, durationMinutes });
+    },
+  });
+
+  registry.register({
+    name: 'poll',
+    usage: '/poll [--multiple] [--anonymous] [--minutes N] Question | Option 1 | Option 2',
+    description: `Ask the room a question with ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options`,
+    run: async ({ args, room, connection, fail }) => {
+      const usage = '/poll [--multiple] [--anonymous] [--minutes N] Question | Option 1 | Option 2';
+      const settings = { multipleChoice: false, anonymous: false, closesInMinutes: null };
+      let rest = args;
+      let flag;
+      // Settings come first as flags, e.g. "--anonymous --minutes 30 Lunch? | Pizza | Sushi"
+      while ((flag = /^--([a-z]+)(?:[\s=]+(\d+))?(?:\s+|$)/i.exec(rest))) {
+        const name = flag[1].toLowerCase();
+        if (name === 'multiple') {
+          settings.multipleChoice = true;
+        } else if (name === 'anonymous') {
+          settings.anonymous = true;
+        } else if (name === 'minutes' && flag[2]) {
+          settings.closesInMinutes = parseInt(flag[2], 10);
+        } else {
+          fail(`Unknown poll setting --${name}. Usage: ${usage}`);
+          return;
+        }
+        rest = rest.slice(flag[0].length);
+      }
+
+      const [question, ...options] = rest.split('|');
+      if (!question?.trim() || options.length < MIN_POLL_OPTIONS) {
+        fail(`Give a question and at least ${MIN_POLL_OPTIONS} options separated by |, e.g. /poll Lunch? | Pizza | Sushi`);
+        return;
+      }
+
+      const { poll, error } = normalizePoll({ question, options, ...settings });
+      if (error) {
+        fail(error);
+        return;
+      }
+      await sendChatMessage(room, connection, { message: poll.question, messageType: 'poll', poll }, 'poll');
+    },
+  });
+
+  registry.register({
+    name: 'roll',
+    usage: '/roll [dice]',
+    description: 'Roll dice, e.g. /roll, /roll d20 or /roll 2d6+1',
+    run: async ({ args, room, connection, fail }) => {
+      const spec = args || '1d6';
+      const dice = parseDice(spec);
+      if (!dice) {
+        fail(`"${spec}" is not a roll I can make. Use dice like d20, 2d6 or 3d8+2 (up to 20 dice with up to 1000 sides)`);
+        return;
+      }
+
+      const rolls = Array.from({ length: dice.count }, () => crypto.randomInt(1, dice.sides + 1));
+      const total = rolls.reduce((sum, roll) => sum + roll, 0) + dice.modifier;
+      const sign = dice.modifier < 0 ? '-' : '+';
+      const modifier = dice.modifier ? `${sign}${Math.abs(dice.modifier)}` : '';
+      // Show the working unless it is a single die: "3 + 5 + 2 = 10"
+      const working = rolls.length > 1 || dice.modifier
+        ? `${rolls.join(' + ')}${dice.modifier ? ` ${sign} ${Math.abs(dice.modifier)}` : ''} = ${total}`
+        : `${total}`;
+
+      await postSystemMessage(
+        room.roomId,
+        `🎲 ${connection.username} rolled ${dice.count}d${dice.sides}${modifier}: ${working}`,
+        commandMetadata(connection, 'roll')
+      );
+    },
+  });
+
+  registry.register({
+    name: 'clear-canvas',
+    usage: '/clear-canvas',
+    description: 'Erase everything on the canvas (a version is saved first)',
+    run: async (context) => {
+      const { connection, socket } = context;
+      await withLock('canvas', context, async (room) => {
+        if (!checkFeatureAllowed(socket, room, 'canvas', connection)) return;
+
+        const objects = getCanvasObjects(room);
+        if (objects.length === 0) {
+          context.reply('The canvas is already empty');
+          return;
+        }
+
+        await saveSnapshot(room, 'canvas', 'manual', connection, 'Before clearing the canvas');
+        const operation = applyCanvasOperation(objects, { type: 'clear' }, connection);
+        await room.updateCanvasDrawing({
+          objects,
+          userId: connection.userId,
+          username: connection.username,
+        });
+
+        const metadata = { ...commandMetadata(connection, 'clear'), shapeType: 'all' };
+        io.to(room.roomId).emit('drawing-updated', {
+          operations: [operation],
+          revision: room.canvasDrawing.version,
+          userId: connection.userId,
+          username: connection.username,
+          timestamp: new Date(),
+          metadata, // Include metadata for Blind Mode
+        });
+        await postSystemMessage(room.roomId, `${connection.username} cleared the canvas`, metadata);
+      });
+    },
+  });
+
+  registry.register({
+    name: 'lang',
+    usage: '/lang <language> [file]',
+    description: 'Switch a code file\'s language, e.g. /lang python src/app.py (the file can be left out when there is only one)',
+    run: async (context) => {
+      const { args, connection, socket, fail } = context;
+      const [name = '', ...pathParts] = args.split(/\s+/);
+      const language = LANGUAGE_ALIASES[name.toLowerCase()] || name.toLowerCase();
+      const path = pathParts.join(' ');
+      if (!EDITOR_LANGUAGES.includes(language)) {
+        fail(`${name ? `"${name}" is not an editor language. ` : 'Usage: /lang <language> [file]. '}Choose one of: ${EDITOR_LANGUAGES.join(', ')}`);
+        return;
+      }
+
+      await withLock('code', context, async (room) => {
+        if (!checkFeatureAllowed(socket, room, 'code', connection)) return;
+
+        const codeDocument = getCodeDocument(room.roomId, room);
+        const files = Array.from(codeDocument.files.values()).filter(entry => entry.type === 'file');
+        let file = null;
+        if (path) {
+          file = findCodeFile(codeDocument, { path });
+          if (!file) {
+            fail(`There is no file ${path}`);
+            return;
+          }
+        } else if (files.length === 1) {
+          [file] = files;
+        } else {
+          fail(files.length === 0
+            ? 'There are no code files yet'
+            : `Name the file to switch, e.g. /lang ${language} ${files[0].path}`);
+          return;
+        }
+
+        if (file.language === language) {
+          context.reply(`${file.path} is already set to ${language}`);
+          return;
+        }
+
+        await saveCodeFiles(
+          room,
+          Array.from(codeDocument.files.values()).map(entry => (entry === file ? { ...file, language } : entry)),
+          connection
+        );
+        file.language = language;
+        scheduleCodeLint(room.roomId, file.id, connection);
+
+        const metadata = { ...commandMetadata(connection, 'language'), file: file.path };
+        io.to(room.roomId).emit('code-changed', {
+          fileId: file.id,
+          path: file.path,
+          operation: null,
+          revision: file.revision,
+          language,
+          userId: connection.userId,
+          username: connection.username,
+          timestamp: new Date(),
+          metadata, // Include metadata for Blind Mode
+        });
+        await postSystemMessage(room.roomId, `${connection.username} switched ${file.path} to ${language}`, metadata);
+      });
+    },
+  });
+
+  return registry;
+};
+
+module.exports = {
+  createChatCommands,
+};
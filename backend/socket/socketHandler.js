@@ -2,14 +2,137 @@
  * Socket Handler
  * 
  * Manages all Socket.io events for real-time collaboration in Live Room
- * Handles: joinRoom, code-change, note-change, draw-event, chat-message, presence-update
+ * Handles: joinRoom, code-change, create-code-file, rename-code-file, move-code-file, delete-code-file, run-code,
+ * stop-code-run, start-repl, repl-input, set-repl-driver, request-repl-driver, stop-repl, note-change,
+ * draw-event, chat-message, presence-update, change-role, moderate-participant,
+ * respond-join-request, cancel-join-request, restore-version, edit-chat-message, delete-chat-message,
+ * react-chat-message, create-poll, vote-poll, close-poll, mark-chat-read; chat messages starting with / run slash
+ * commands (see ./chatCommands)
+ * Code runs and the shared REPL happen in sandboxed child processes (see ../utils/codeRunner); code files are
+ * linted shortly after they change and the diagnostics broadcast as code-diagnostics (see ../utils/codeLinter)
+ * Every event is throttled per socket (see ../utils/socketRateLimit) and chat text passes the optional
+ * content filter (see ../utils/chatFilter)
  * Includes comprehensive error handling and accessibility features
  */
 
 const Room = require('../models/Room');
 const User = require('../models/User');
-const { v4: uuidv4 } = require('uuid');
+const RoomVersion = require('../models/RoomVersion');
+const ChatMessage = require('../models/ChatMessage');
+const DirectMessage = require('../models/DirectMessage');
+const ChatReadState = require('../models/ChatReadState');
+const ChatAttachment = require('../models/ChatAttachment');
+const ReplTranscript = require('../models/ReplTranscript');
 const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const {
+  isValidOperation,
+  getBaseLength,
+  applyOperation,
+  transformOperations,
+} = require('../utils/operationalTransform');
+const {
+  sanitizeNoteHtml,
+  isValidNoteOperation,
+  blocksFromContent,
+  blocksToContent,
+  applyNoteOperation,
+} = require('../utils/notesDocument');
+const {
+  MAX_CANVAS_OBJECTS,
+  isValidCanvasOperation,
+  objectsFromDrawingData,
+  applyCanvasOperation,
+} = require('../utils/canvasDocument');
+const {
+  ROLES,
+  getMemberRole,
+  canEditContent,
+  canManageRoom,
+  canAssignRole,
+  canModerate,
+} = require('../utils/roomRoles');
+const { getVersionContent, formatVersion } = require('../utils/versionHistory');
+const {
+  EDITOR_LANGUAGES,
+  normalizeCodePath,
+  baseName,
+  getCodeFiles,
+  sortCodeEntries,
+  planCreate,
+  planRename,
+  planDelete,
+} = require('../utils/codeFiles');
+const { getMentions } = require('../utils/mentions');
+const { JOIN_HISTORY_SIZE, formatChatMessage, formatReadState, formatDirectMessage } = require('../utils/chatHistory');
+const { parseCommand } = require('../utils/chatCommands');
+const { normalizePoll, isPollClosed, formatPoll } = require('../utils/polls');
+const { MAX_MESSAGE_ATTACHMENTS, removeAttachments } = require('../utils/attachments');
+const { loadSocketRateLimits, createSocketRateLimiter } = require('../utils/socketRateLimit');
+const { createChatFilter } = require('../utils/chatFilter');
+const { createCodeRunner } = require('../utils/codeRunner');
+const { createCodeLinter } = require('../utils/codeLinter');
+const { canFormat, formatCode, operationFromTextChange } = require('../utils/codeFormatter');
+const { createChatCommands } = require('./chatCommands');
+
+// Number of recent code operations kept per file for transforming late edits
+const MAX_CODE_HISTORY = 500;
+
+// Room setting guarding each collaborative feature and the error sent when it is off
+const FEATURE_PERMISSIONS = {
+  code: { setting: 'allowCodeEditing', code: 'CODE_EDITING_DISABLED', message: 'Code editing is disabled in this room' },
+  notes: { setting: 'allowNotesEditing', code: 'NOTES_EDITING_DISABLED', message: 'Notes editing is disabled in this room' },
+  canvas: { setting: 'allowCanvasDrawing', code: 'CANVAS_DRAWING_DISABLED', message: 'Canvas drawing is disabled in this room' },
+  chat: { setting: 'allowChat', code: 'CHAT_DISABLED', message: 'Chat is disabled in this room' },
+};
+
+// Moderation actions accepted by the moderate-participant event
+const MODERATION_ACTIONS = ['kick', 'ban', 'unban', 'mute', 'unmute'];
+const MUTE_SCOPES = ['chat', 'editing', 'all'];
+const DEFAULT_MUTE_MINUTES = 10;
+const MAX_MUTE_MINUTES = 24 * 60;
+
+// How long authors may edit or delete their own chat messages
+const CHAT_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Distinct emoji a chat message can collect, and what counts as an emoji
+const MAX_CHAT_REACTIONS = 20;
+const EMOJI_PATTERN = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]{1,16}$/u;
+const PICTOGRAPH_PATTERN = /[\p{Extended_Pictographic}\p{Regional_Indicator}]/u;
+
+// Longest chat message, and longest code snippet shared from the editor
+const MAX_CHAT_MESSAGE_LENGTH = 1000;
+const MAX_SNIPPET_MESSAGE_LENGTH = 4000;
+
+// Message types clients may send; system messages only come from the server
+const CLIENT_MESSAGE_TYPES = ['text', 'code'];
+
+// Longest input sent to the shared REPL at once, and how often new transcript entries are saved
+const MAX_REPL_INPUT_LENGTH = 4000;
+const REPL_SAVE_INTERVAL = 2000;
+
+// Largest REPL transcript, in entries and characters; reaching either ends the session so the
+// transcript stays small enough to keep in memory, store as one document and send to people joining
+const MAX_REPL_TRANSCRIPT_ENTRIES = 5000;
+const MAX_REPL_TRANSCRIPT_LENGTH = 2 * 1024 * 1024;
+
+// Edit events whose sender is sent the stored document when some of them are dropped
+const RESYNC_EVENTS = ['code-change', 'note-change', 'draw-event'];
+
+// Names of the REPLs, and how the transcript says a session ended
+const REPL_NAMES = { javascript: 'Node.js', python: 'Python' };
+const REPL_END_MESSAGES = {
+  stopped: 'was stopped',
+  idle: 'ended after being left idle',
+  timeout: 'reached its time limit',
+  'output-limit': 'ended after printing too much output',
+  'transcript-limit': 'ended because its transcript is full',
+  exited: 'exited',
+  error: 'could not be started',
+};
+
+// Minimum time between automatic version snapshots of a room's code, notes or canvas
+const SNAPSHOT_INTERVAL = parseInt(process.env.VERSION_SNAPSHOT_INTERVAL) || 5 * 60 * 1000;
 
 /**
  * Socket event handler for Live Room collaboration
@@ -28,6 +151,36 @@ const socketHandler = (io) => {
   // Room locks to prevent concurrent modifications
   const roomLocks = new Map();
   
+  // Live code documents per room: { files: Map(fileId -> { id, path, type, language, content, revision, history }) }
+  const codeDocuments = new Map();
+
+  // Latest code run per room, kept for people joining later:
+  // roomId -> { runId, fileId, path, language, userId, username, startedAt, status, output, result, stoppedBy, stop }
+  const codeRuns = new Map();
+
+  // Shared REPL per room, running or last ended:
+  // roomId -> { sessionId, language, startedBy, startedAt, status, driver, entries, unsaved, saveTimer, endedAt, endReason,
+  //   stoppedBy, repl }
+  const replSessions = new Map();
+
+  // Users knocking on rooms that need approval: roomId -> Map(userId -> request)
+  const joinRequests = new Map();
+
+  // Time of the last automatic snapshot per room and kind: `${roomId}_${kind}` -> ms
+  const lastSnapshots = new Map();
+
+  // Per-event limits each socket is throttled to, and the chat content filter
+  const socketRateLimits = loadSocketRateLimits();
+  const chatFilter = createChatFilter();
+
+  // Sandbox running code files
+  const codeRunner = createCodeRunner();
+
+  // Latest lint results per room: roomId -> Map(fileId -> diagnostics), and pending lint passes by "roomId:fileId"
+  const codeDiagnostics = new Map();
+  const lintTimers = new Map();
+  const codeLinter = createCodeLinter();
+  
   // Helper function to acquire room lock
   const acquireRoomLock = async (roomId, timeout = 5000) => {
     const lockKey = `room_${roomId}`;
@@ -77,8 +230,746 @@ const socketHandler = (io) => {
         connectionStates.delete(socketId);
       }
     }
+    
+    // Drop code documents for rooms nobody is connected to (already persisted)
+    const occupiedRooms = new Set(
+      Array.from(activeConnections.values()).map(connection => connection.roomId)
+    );
+    for (const roomId of codeDocuments.keys()) {
+      if (!occupiedRooms.has(roomId)) {
+        console.log(`🧹 Releasing code document for empty room: ${roomId}`);
+        codeDocuments.delete(roomId);
+        codeDiagnostics.delete(roomId);
+      }
+    }
+    for (const snapshotKey of lastSnapshots.keys()) {
+      const roomId = snapshotKey.slice(0, snapshotKey.lastIndexOf('_'));
+      if (!occupiedRooms.has(roomId)) {
+        lastSnapshots.delete(snapshotKey);
+      }
+    }
+    // Stop code nobody is left to watch; ended REPL transcripts stay saved
+    for (const [roomId, run] of codeRuns.entries()) {
+      if (!occupiedRooms.has(roomId)) {
+        if (run.status === 'running') run.stop();
+        codeRuns.delete(roomId);
+      }
+    }
+    for (const [roomId, session] of replSessions.entries()) {
+      if (!occupiedRooms.has(roomId)) {
+        if (session.status === 'running') session.repl.stop();
+        else replSessions.delete(roomId);
+      }
+    }
+  };
+  
+  // Helper function to replace the files of a live code document with stored files
+  const setCodeFiles = (codeDocument, files) => {
+    codeDocument.files = new Map(files.map(file => [file.id, {
+      id: file.id,
+      path: file.path,
+      type: file.type,
+      language: file.language,
+      content: file.content || '',
+      revision: file.version || 0,
+      history: [],
+    }]));
+  };
+
+  // Helper function to get the live code document for a room
+  const getCodeDocument = (roomId, room) => {
+    if (!codeDocuments.has(roomId)) {
+      const codeDocument = {};
+      setCodeFiles(codeDocument, getCodeFiles(room.codeCollaboration));
+      codeDocuments.set(roomId, codeDocument);
+    }
+    return codeDocuments.get(roomId);
+  };
+
+  // Helper function to find a file in a live code document by id, or by path
+  const findCodeFile = (codeDocument, { fileId, path } = {}) => {
+    if (typeof fileId === 'string' && codeDocument.files.has(fileId)) {
+      const file = codeDocument.files.get(fileId);
+      return file.type === 'file' ? file : null;
+    }
+    const normalized = normalizeCodePath(path);
+    return Array.from(codeDocument.files.values())
+      .find(file => file.type === 'file' && file.path === normalized) || null;
+  };
+
+  // Helper function to list a live code document's files for clients, sorted by path
+  // Content is left out when clients already have it, e.g. after renaming
+  const listCodeFiles = (codeDocument, includeContent = true) => {
+    return sortCodeEntries(Array.from(codeDocument.files.values())).map(file => ({
+      id: file.id,
+      path: file.path,
+      type: file.type,
+      language: file.language,
+      revision: file.revision,
+      ...(includeContent && { content: file.content }),
+    }));
+  };
+
+  // Helper function to persist a room's code files, given as live document files
+  // Callers save first and commit to the live document after, so a failed save changes nothing
+  const saveCodeFiles = (room, files, author) => {
+    return room.updateCodeFiles({
+      files: files.map(({ id, path, type, language, content, revision }) => ({
+        id,
+        path,
+        type,
+        language,
+        content,
+        version: revision,
+      })),
+      userId: author.userId,
+      username: author.username,
+    });
+  };
+
+  // Helper function to describe a code run for clients
+  const formatCodeRun = (run) => ({
+    runId: run.runId,
+    fileId: run.fileId,
+    path: run.path,
+    language: run.language,
+    userId: run.userId,
+    username: run.username,
+    startedAt: run.startedAt,
+    status: run.status,
+    output: run.output,
+    result: run.result,
+    stoppedBy: run.stoppedBy,
+  });
+
+  // Helper function to describe a REPL session, live or saved, for clients
+  const formatReplSession = (session) => ({
+    sessionId: session.sessionId,
+    language: session.language,
+    startedBy: session.startedBy,
+    startedAt: session.startedAt,
+    status: session.status || 'ended',
+    driver: session.driver || null,
+    endedAt: session.endedAt,
+    endReason: session.endReason,
+    entries: session.entries.map(({ stream, text, userId, username, at }) => ({ stream, text, userId, username, at })),
+  });
+
+  // Helper function to get a room's REPL session for someone joining: the live one, else the last saved one
+  const getReplSession = async (roomId) => {
+    if (replSessions.has(roomId)) return formatReplSession(replSessions.get(roomId));
+    const transcript = await ReplTranscript.findLatestForRoom(roomId);
+    return transcript ? formatReplSession(transcript.toObject()) : null;
+  };
+
+  // Helper function to save a REPL session's new transcript entries, and its end once it is over
+  // A failed save is logged; the session carries on
+  const saveReplTranscript = (session) => {
+    clearTimeout(session.saveTimer);
+    session.saveTimer = null;
+    const entries = session.unsaved;
+    session.unsaved = [];
+    const end = session.status === 'ended' ? { endedAt: session.endedAt, endReason: session.endReason } : null;
+    return ReplTranscript.appendEntries(session.sessionId, entries, end).catch(error => {
+      console.error(`❌ Failed to save REPL transcript ${session.sessionId}:`, error.message);
+    });
+  };
+
+  // Helper function to add entries to a REPL transcript, send them to the room and save them shortly after
+  // A full transcript ends the session; only system entries, such as how it ended, are added after that
+  const addReplEntries = (roomId, session, incoming) => {
+    const entries = session.transcriptFull ? incoming.filter(entry => entry.stream === 'system') : incoming;
+    if (entries.length === 0) return;
+
+    session.transcriptLength += entries.reduce((length, entry) => length + entry.text.length, 0);
+    if (!session.transcriptFull && (
+      session.entries.length + entries.length >= MAX_REPL_TRANSCRIPT_ENTRIES ||
+      session.transcriptLength >= MAX_REPL_TRANSCRIPT_LENGTH
+    )) {
+      session.transcriptFull = true;
+      session.repl?.stop();
+    }
+
+    session.entries.push(...entries);
+    session.unsaved.push(...entries);
+    io.to(roomId).emit('repl-output', { sessionId: session.sessionId, entries });
+    if (!session.saveTimer) {
+      session.saveTimer = setTimeout(() => saveReplTranscript(session), REPL_SAVE_INTERVAL);
+    }
+  };
+
+  // Helper function to hand the REPL driver token to someone, or to nobody
+  const setReplDriver = (roomId, session, driver, changedBy) => {
+    session.driver = driver;
+    addReplEntries(roomId, session, [{
+      stream: 'system',
+      text: driver ? `${driver.username} is driving` : 'Nobody is driving',
+      at: new Date(),
+    }]);
+
+    // Enhanced metadata for Blind Mode
+    io.to(roomId).emit('repl-driver-changed', {
+      sessionId: session.sessionId,
+      driver,
+      changedBy: changedBy?.username || null,
+      metadata: {
+        author: changedBy?.username || null,
+        timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+        actionType: 'repl-driver',
+        userId: changedBy?.userId || null,
+      },
+    });
+  };
+
+  // Helper function to find a user's connection in a room, other than the given socket
+  const findRoomConnection = (roomId, userId, exceptSocketId = null) => {
+    for (const [socketId, connection] of activeConnections.entries()) {
+      if (socketId !== exceptSocketId && connection.roomId === roomId && connection.userId === userId) {
+        return connection;
+      }
+    }
+    return null;
+  };
+
+  // Helper function to free the REPL driver token once its holder has left the room on every tab
+  const releaseReplDriver = (roomId, userId, exceptSocketId = null) => {
+    const session = replSessions.get(roomId);
+    if (!session || session.status !== 'running' || session.driver?.userId !== userId) return;
+    if (!findRoomConnection(roomId, userId, exceptSocketId)) {
+      setReplDriver(roomId, session, null, null);
+    }
+  };
+
+  // Helper function to lint a file of a live code document and send the room its diagnostics when they changed
+  const lintCodeFile = async (roomId, fileId, author) => {
+    const codeDocument = codeDocuments.get(roomId);
+    const file = codeDocument?.files.get(fileId);
+    if (!file) {
+      codeDiagnostics.get(roomId)?.delete(fileId);
+      return;
+    }
+
+    // Linting runs in a worker; the results belong to the revision that was sent
+    const { revision, path: filePath } = file;
+    const diagnostics = await codeLinter.lint(file, Array.from(codeDocument.files.values()));
+    if (codeDocuments.get(roomId) !== codeDocument || !codeDocument.files.has(fileId)) {
+      return;
+    }
+
+    if (!codeDiagnostics.has(roomId)) codeDiagnostics.set(roomId, new Map());
+    const roomDiagnostics = codeDiagnostics.get(roomId);
+    const previous = roomDiagnostics.get(fileId);
+    if (previous ? JSON.stringify(previous) === JSON.stringify(diagnostics) : diagnostics.length === 0) {
+      if (!previous) roomDiagnostics.set(fileId, diagnostics);
+      return;
+    }
+    roomDiagnostics.set(fileId, diagnostics);
+
+    // Enhanced metadata for Blind Mode
+    io.to(roomId).emit('code-diagnostics', {
+      fileId,
+      path: filePath,
+      revision,
+      diagnostics,
+      metadata: {
+        author: author?.username || null,
+        timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+        actionType: 'lint',
+        file: filePath,
+        userId: author?.userId || null,
+      },
+    });
+  };
+
+  // Helper function to lint a file again once edits to it pause, or every file when fileId is null
+  // JSON files are linted together since one may be the schema of another
+  const scheduleCodeLint = (roomId, fileId = null, author = null) => {
+    const codeDocument = codeDocuments.get(roomId);
+    if (!codeDocument || !codeLinter.enabled) return;
+
+    const changed = fileId ? codeDocument.files.get(fileId) : null;
+    const fileIds = Array.from(codeDocument.files.values())
+      .filter(file => !fileId || file.id === fileId || (changed?.language === 'json' && file.language === 'json'))
+      .map(file => file.id);
+    fileIds.forEach(id => {
+      const key = `${roomId}:${id}`;
+      clearTimeout(lintTimers.get(key));
+      lintTimers.set(key, setTimeout(() => {
+        lintTimers.delete(key);
+        lintCodeFile(roomId, id, author).catch(error => console.error('❌ Error linting code file:', error));
+      }, codeLinter.debounceMs));
+    });
+  };
+
+  // Helper function to get a room's diagnostics for someone joining, by file id
+  // Files not linted since the server started are linted shortly and sent to the room
+  const getCodeDiagnostics = (roomId, codeDocument) => {
+    const roomDiagnostics = codeDiagnostics.get(roomId) || new Map();
+    const diagnostics = {};
+    codeDocument.files.forEach(file => {
+      if (roomDiagnostics.has(file.id)) {
+        if (roomDiagnostics.get(file.id).length > 0) diagnostics[file.id] = roomDiagnostics.get(file.id);
+      } else if (codeLinter.canLint(file) && !lintTimers.has(`${roomId}:${file.id}`)) {
+        scheduleCodeLint(roomId, file.id);
+      }
+    });
+    return diagnostics;
+  };
+
+  // Helper function to describe one file for a code-sync
+  const formatCodeSync = (file) => ({
+    fileId: file.id,
+    path: file.path,
+    content: file.content,
+    language: file.language,
+    revision: file.revision,
+  });
+  
+  // Helper function to get a room's notes as plain blocks (legacy HTML becomes one block)
+  const getNoteBlocks = (room) => {
+    const notes = room.notesCollaboration;
+    if (notes?.blocks?.length) {
+      return notes.blocks.map(block => (block.toObject ? block.toObject() : { ...block }));
+    }
+    return blocksFromContent(notes?.content || '');
+  };
+  
+  // Helper function to get a room's canvas as plain objects (legacy drawing data gets ids)
+  const getCanvasObjects = (room) => {
+    const canvas = room.canvasDrawing;
+    if (canvas?.objects?.length) {
+      return canvas.objects.map(object => (object.toObject ? object.toObject() : { ...object }));
+    }
+    return objectsFromDrawingData(canvas?.drawingData);
+  };
+  
+  // Helper function to send a client the stored code, notes or canvas after dropping its edits,
+  // so its pending operations do not wait for an acknowledgement that never comes
+  // For code, fileIds names the files whose edits were dropped
+  const resyncDocument = async (socket, event, roomId, fileIds = []) => {
+    const room = await Room.findRoomById(roomId);
+    if (!room) return;
+
+    if (event === 'code-change') {
+      const codeDocument = getCodeDocument(roomId, room);
+      fileIds.forEach(fileId => {
+        const file = codeDocument.files.get(fileId);
+        if (file?.type === 'file') {
+          socket.emit('code-sync', formatCodeSync(file));
+        }
+      });
+    } else if (event === 'note-change') {
+      socket.emit('note-sync', {
+        blocks: getNoteBlocks(room),
+        revision: room.notesCollaboration?.version || 0,
+      });
+    } else if (event === 'draw-event') {
+      socket.emit('draw-sync', {
+        objects: getCanvasObjects(room),
+        revision: room.canvasDrawing?.version || 0,
+      });
+    }
+  };
+
+  // Helper function to run chat text through the content filter
+  // Emits CONTENT_BLOCKED and returns null when the text is refused, otherwise returns the (masked) text
+  const filterChatText = (socket, event, text, connection, checkRepeats = true) => {
+    const result = chatFilter.apply(text, { sender: `${connection.roomId}:${connection.userId}`, checkRepeats });
+    if (result.blocked) {
+      socket.emit('error', { message: result.reason, code: 'CONTENT_BLOCKED', event });
+      return null;
+    }
+    return result.text;
+  };
+  
+  // Helper function to check room settings, the member's role and mutes before a collaborative action
+  // Emits the matching error code to the socket and returns false when the action is not allowed
+  const checkFeatureAllowed = (socket, room, feature, member) => {
+    const permission = FEATURE_PERMISSIONS[feature];
+    if (room.settings?.[permission.setting] === false) {
+      socket.emit('error', { message: permission.message, code: permission.code });
+      return false;
+    }
+    // Viewers keep chat but cannot change the shared workspace
+    if (feature !== 'chat' && !canEditContent(getMemberRole(room, member.userId))) {
+      socket.emit('error', { message: 'Viewers cannot edit this room', code: 'READ_ONLY_ROLE' });
+      return false;
+    }
+    const mute = room.getActiveMute(member.userId, feature === 'chat' ? 'chat' : 'editing');
+    if (mute) {
+      socket.emit('error', {
+        message: `You are muted until ${new Date(mute.mutedUntil).toLocaleTimeString()}`,
+        code: 'MUTED',
+        mutedUntil: mute.mutedUntil,
+      });
+      return false;
+    }
+    return true;
+  };
+
+  // Helper function to store a system message in a room's chat and broadcast it
+  const postSystemMessage = async (roomId, message, metadata = {}) => {
+    const chatMessage = await ChatMessage.create({
+      roomId,
+      userId: 'system',
+      username: 'System',
+      message,
+      messageType: 'system',
+    });
+
+    io.to(roomId).emit('chat-message', {
+      ...formatChatMessage(chatMessage),
+      metadata: {
+        author: 'System',
+        timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+        actionType: 'system',
+        ...metadata,
+      }, // Include metadata for Blind Mode
+    });
+  };
+
+  // Helper function to hand the uploads claimed for a message that was not sent back to their uploader
+  const releaseAttachments = (roomId, messageId) => (
+    ChatAttachment.updateMany({ roomId, messageId }, { messageId: null })
+  );
+
+  // Helper function to store a member's chat message, broadcast it and notify the members it mentions
+  // Returns null, sending nothing, when another message claimed one of its attachments first
+  const sendChatMessage = async (room, sender, { message, messageType = 'text', replyTo = null, snippet = null, poll = null, attachments = [] }, actionType = 'send') => {
+    const messageId = uuidv4();
+
+    // Uploads become visible to the room once sent; only uploads no message has claimed yet are taken
+    if (attachments.length > 0) {
+      const attachmentIds = attachments.map(attachment => attachment.id);
+      const { modifiedCount } = await ChatAttachment.updateMany(
+        { roomId: room.roomId, id: { $in: attachmentIds }, messageId: null },
+        { messageId }
+      );
+      if (modifiedCount !== attachments.length) {
+        await releaseAttachments(room.roomId, messageId);
+        return null;
+      }
+    }
+
+    const mentions = getMentions(message, room.participants, sender.userId);
+    let chatMessage;
+    try {
+      chatMessage = await ChatMessage.create({
+        id: messageId,
+        roomId: room.roomId,
+        userId: sender.userId,
+        username: sender.username,
+        message,
+        messageType,
+        replyTo,
+        mentions: mentions.usernames,
+        mentionedUserIds: mentions.userIds,
+        snippet,
+        poll,
+        attachments: attachments.map(({ id, name, contentType, kind, size }) => ({ id, name, contentType, kind, size })),
+      });
+    } catch (error) {
+      await releaseAttachments(room.roomId, messageId);
+      throw error;
+    }
+    const messageData = formatChatMessage(chatMessage);
+
+    // Chatting keeps the room active now that messages live outside it
+    await Room.updateOne({ roomId: room.roomId }, { lastActivity: new Date() });
+
+    // Update user's message count
+    const user = await User.findByUserId(sender.userId);
+    if (user) {
+      await user.incrementMessageCount();
+    }
+
+    // Enhanced metadata for Blind Mode
+    const metadata = {
+      author: sender.username,
+      timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+      actionType: actionType, // send, edit, delete, react, etc.
+      messageLength: message.length,
+      attachmentCount: attachments.length,
+      userId: sender.userId,
+    };
+
+    // Broadcast to all participants in the room (including sender)
+    io.to(room.roomId).emit('chat-message', {
+      ...messageData,
+      metadata, // Include metadata for Blind Mode
+    });
+
+    // Tell each mentioned member directly so they notice it outside the chat panel
+    if (messageData.mentionedUserIds.length > 0) {
+      const mention = {
+        messageId: messageData.id,
+        roomId: room.roomId,
+        roomName: room.roomName,
+        from: { userId: sender.userId, username: sender.username },
+        message: messageData.message,
+        replyTo,
+        timestamp: new Date(),
+        metadata: { ...metadata, actionType: 'mention' }, // Include metadata for Blind Mode
+      };
+      messageData.mentionedUserIds.forEach(userId => emitToUser(room.roomId, userId, 'mentioned', mention));
+    }
+
+    return messageData;
+  };
+
+  // Helper function to snapshot a room's code, notes or canvas and announce it
+  const saveSnapshot = async (room, kind, trigger, author, label = '') => {
+    const { revision, content } = getVersionContent(room, kind);
+    const version = await RoomVersion.createSnapshot({
+      roomId: room.roomId,
+      kind,
+      revision,
+      content,
+      label,
+      trigger,
+      createdBy: { userId: author.userId, username: author.username },
+    });
+    io.to(room.roomId).emit('version-created', formatVersion(version));
+    return version;
+  };
+
+  // Helper function to take an automatic snapshot after a change once the interval has passed
+  // Runs in the background; a failed snapshot never fails the edit itself
+  const maybeSnapshot = (room, kind, author) => {
+    const snapshotKey = `${room.roomId}_${kind}`;
+    const now = Date.now();
+    if (now - (lastSnapshots.get(snapshotKey) || 0) < SNAPSHOT_INTERVAL) return;
+
+    lastSnapshots.set(snapshotKey, now);
+    saveSnapshot(room, kind, 'auto', author).catch(error => {
+      console.error(`❌ Failed to snapshot ${kind} for room ${room.roomId}:`, error.message);
+      lastSnapshots.delete(snapshotKey);
+    });
+  };
+
+  // Helper function to validate where a shared code snippet came from
+  // Returns the cleaned { file, language, startLine, endLine } or null when invalid
+  const normalizeSnippet = (snippet) => {
+    if (!snippet || typeof snippet !== 'object') return null;
+    const { file, language, startLine, endLine } = snippet;
+    if (typeof file !== 'string' || file.trim().length === 0 || file.length > 255) return null;
+    if (typeof language !== 'string' || !/^[a-z0-9+#-]{1,30}$/.test(language)) return null;
+    if (!Number.isInteger(startLine) || !Number.isInteger(endLine) || startLine < 1 || endLine < startLine) return null;
+    return { file: file.trim(), language, startLine, endLine };
+  };
+
+  // Helper function to find a chat message its sender may still edit or delete
+  // Emits the matching error code to the socket and returns null when it may not
+  const getEditableChatMessage = async (socket, room, connection, messageId) => {
+    const message = await ChatMessage.findInRoom(room.roomId, messageId);
+    if (!message || message.deleted || message.messageType === 'system') {
+      socket.emit('error', { message: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+      return null;
+    }
+    if (message.userId !== connection.userId) {
+      socket.emit('error', { message: 'You can only change your own messages', code: 'NOT_MESSAGE_AUTHOR' });
+      return null;
+    }
+    if (Date.now() - new Date(message.timestamp).getTime() > CHAT_EDIT_WINDOW_MS) {
+      socket.emit('error', {
+        message: `Messages can only be changed for ${CHAT_EDIT_WINDOW_MS / 60000} minutes`,
+        code: 'EDIT_WINDOW_EXPIRED',
+      });
+      return null;
+    }
+    return message;
+  };
+
+  // Helper function to send an event to every socket a user has open in a room
+  const emitToUser = (roomId, userId, event, payload) => {
+    for (const [socketId, connection] of activeConnections.entries()) {
+      if (connection.roomId !== roomId || connection.userId !== userId) continue;
+      io.sockets.sockets.get(socketId)?.emit(event, payload);
+    }
+  };
+
+  // Helper function to list the join requests waiting on a room
+  const getJoinRequests = (roomId) => {
+    return Array.from(joinRequests.get(roomId)?.values() || [])
+      .map(({ userId, username, requestedAt }) => ({ userId, username, requestedAt }));
+  };
+
+  // Helper function to send an event to the owners and moderators connected to a room
+  const emitToManagers = (room, event, payload) => {
+    for (const [socketId, connection] of activeConnections.entries()) {
+      if (connection.roomId !== room.roomId || !canManageRoom(getMemberRole(room, connection.userId))) continue;
+      io.sockets.sockets.get(socketId)?.emit(event, payload);
+    }
+  };
+
+  // Helper function to drop a socket's pending join requests (cancelled, left or disconnected)
+  const withdrawJoinRequests = async (socketId) => {
+    for (const [roomId, requests] of joinRequests.entries()) {
+      for (const [requesterId, request] of requests.entries()) {
+        if (request.socketId !== socketId) continue;
+
+        requests.delete(requesterId);
+        const room = await Room.findRoomById(roomId);
+        if (room) {
+          emitToManagers(room, 'join-request-resolved', { roomId, userId: requesterId, status: 'withdrawn' });
+        }
+      }
+      if (requests.size === 0) {
+        joinRequests.delete(roomId);
+      }
+    }
+  };
+
+  // Helper function to take every socket of a user out of a room (kick/ban)
+  // The participant is removed once and the rest of the room sees them leave
+  const removeUserFromRoom = async (room, target, reason, message) => {
+    for (const [socketId, connection] of activeConnections.entries()) {
+      if (connection.userId !== target.userId || connection.roomId !== room.roomId) continue;
+
+      const targetSocket = io.sockets.sockets.get(socketId);
+      if (targetSocket) {
+        targetSocket.emit('removedFromRoom', { roomId: room.roomId, reason, message });
+        targetSocket.leave(room.roomId);
+      }
+      activeConnections.set(socketId, { ...connection, roomId: null });
+      connectionStates.delete(socketId);
+    }
+
+    await room.removeParticipant(target.userId);
+    releaseReplDriver(room.roomId, target.userId);
+
+    const user = await User.findByUserId(target.userId);
+    if (user) {
+      await user.leaveRoom();
+    }
+
+    io.to(room.roomId).emit('userLeft', {
+      userId: target.userId,
+      username: target.username,
+      timestamp: new Date(),
+      metadata: {
+        author: target.username,
+        timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+        actionType: reason,
+        userId: target.userId,
+      }, // Include metadata for Blind Mode
+    });
   };
   
+  // Helper function to kick, ban, unban, mute or unmute a member and announce it to the room
+  // Emits INSUFFICIENT_ROLE to the socket and returns false when the actor may not moderate the target
+  const moderateMember = async (socket, room, actor, target, action, { scope = 'all', durationMinutes = DEFAULT_MUTE_MINUTES, reason = '' } = {}) => {
+    const { roomId, userId, username } = actor;
+    const actorRole = getMemberRole(room, userId);
+    if (target.userId === userId || !canModerate(actorRole, getMemberRole(room, target.userId))) {
+      socket.emit('error', { message: 'You do not have permission to moderate this participant', code: 'INSUFFICIENT_ROLE' });
+      return false;
+    }
+
+    const moderatedBy = { userId, username };
+    const subject = { userId: target.userId, username: target.username };
+    const reasonText = reason.trim() ? `: ${reason.trim()}` : '';
+    let announcement;
+    let mutedUntil = null;
+
+    switch (action) {
+      case 'kick':
+        await removeUserFromRoom(room, subject, 'kick', `${username} removed you from the room${reasonText}`);
+        announcement = `${username} removed ${target.username} from the room${reasonText}`;
+        break;
+      case 'ban':
+        room = await room.banUser(subject, moderatedBy, reason.trim());
+        await removeUserFromRoom(room, subject, 'ban', `${username} banned you from the room${reasonText}`);
+        announcement = `${username} banned ${target.username}${reasonText}`;
+        break;
+      case 'unban':
+        room = await room.unbanUser(target.userId);
+        announcement = `${username} lifted the ban on ${target.username}`;
+        break;
+      case 'mute': {
+        room = await room.muteUser(subject, scope, durationMinutes * 60 * 1000, moderatedBy);
+        mutedUntil = room.mutedUsers.find(mute => mute.userId === target.userId).mutedUntil;
+        const what = scope === 'all' ? '' : scope === 'chat' ? ' from chat' : ' from editing';
+        announcement = `${username} muted ${target.username}${what} for ${durationMinutes} minute${durationMinutes === 1 ? '' : 's'}${reasonText}`;
+        break;
+      }
+      case 'unmute':
+        room = await room.unmuteUser(target.userId);
+        announcement = `${username} unmuted ${target.username}`;
+        break;
+      default:
+        return false;
+    }
+
+    // Enhanced metadata for Blind Mode
+    const metadata = {
+      author: username,
+      timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+      actionType: action,
+      userId: target.userId,
+    };
+
+    io.to(roomId).emit('participant-moderated', {
+      action,
+      userId: target.userId,
+      username: target.username,
+      scope: action === 'mute' ? scope : undefined,
+      mutedUntil,
+      reason: reason.trim(),
+      moderatedBy,
+      timestamp: new Date(),
+      metadata, // Include metadata for Blind Mode
+    });
+
+    await postSystemMessage(roomId, announcement, metadata);
+
+    console.log(`🛡️ ${announcement} (room ${roomId})`);
+    return true;
+  };
+
+  // Slash commands members can type into chat
+  const chatCommands = createChatCommands({
+    io,
+    sendChatMessage,
+    postSystemMessage,
+    moderateMember,
+    checkFeatureAllowed,
+    acquireRoomLock,
+    releaseRoomLock,
+    getCodeDocument,
+    findCodeFile,
+    saveCodeFiles,
+    scheduleCodeLint,
+    getCanvasObjects,
+    applyCanvasOperation,
+    saveSnapshot,
+  }, {
+    maxMessageLength: MAX_CHAT_MESSAGE_LENGTH,
+    defaultMuteMinutes: DEFAULT_MUTE_MINUTES,
+    maxMuteMinutes: MAX_MUTE_MINUTES,
+    muteScopes: MUTE_SCOPES,
+  });
+
+  // Helper function to run a slash command typed into chat
+  // Replies, errors included, go only to the sender as command-reply events
+  const runChatCommand = async (socket, room, connection, { name, args }) => {
+    const reply = (message, error = false) => socket.emit('command-reply', { command: name, message, error });
+    const fail = (message) => reply(message, true);
+
+    const command = chatCommands.get(name);
+    if (!command) {
+      fail(`Unknown command /${name}. Type /help to see the commands, or start with // to send it as text.`);
+      return;
+    }
+    if (command.managersOnly && !canManageRoom(getMemberRole(room, connection.userId))) {
+      fail(`Only owners and moderators can use /${command.name}`);
+      return;
+    }
+
+    await command.run({ args, room, connection, socket, reply: (message) => reply(message), fail });
+    console.log(`⌨️ ${connection.username} ran /${command.name} in room ${room.roomId}`);
+  };
+
   // Run cleanup every 30 seconds
   setInterval(cleanupStaleConnections, 30000);
 
@@ -161,16 +1052,69 @@ const socketHandler = (io) => {
   }, parseInt(process.env.ROOM_CLEANUP_INTERVAL) || 300000);
 
   io.on('connection', async (socket) => {
-    console.log(`🔌 New socket connection: ${socket.id}`);
+    // Identity comes from the access token verified during the handshake
+    const { userId, username } = socket.data.user;
+    console.log(`🔌 New socket connection: ${socket.id} (${username})`);
     
     // Store connection info
     activeConnections.set(socket.id, {
-      userId: null,
+      userId,
       roomId: null,
-      username: null,
+      username,
       connectedAt: new Date(),
     });
 
+    /**
+     * Throttle every event with a token bucket per event
+     * Dropped events get RATE_LIMITED; dropped edits also resync the sender's document, once per
+     * burst and when the limit lets edits through again, so a flood does not become a flood of reads
+     */
+    const rateLimiter = createSocketRateLimiter(socketRateLimits);
+    const throttledEvents = new Set();
+    const pendingResyncs = new Map();
+    const scheduleResync = (event, roomId, data, delayMs) => {
+      if (!pendingResyncs.has(event)) {
+        pendingResyncs.set(event, { roomId, fileIds: new Set() });
+        setTimeout(() => {
+          const { fileIds } = pendingResyncs.get(event);
+          pendingResyncs.delete(event);
+          if (!socket.connected || activeConnections.get(socket.id)?.roomId !== roomId) return;
+          resyncDocument(socket, event, roomId, Array.from(fileIds)).catch(error => {
+            console.error(`❌ Error resyncing after rate limiting ${event}:`, error);
+          });
+        }, delayMs);
+      }
+      // Only files of the live document are remembered, so made-up file ids cannot grow the set
+      const codeDocument = event === 'code-change' ? codeDocuments.get(roomId) : null;
+      const file = codeDocument && findCodeFile(codeDocument, data);
+      if (file) pendingResyncs.get(event).fileIds.add(file.id);
+    };
+    socket.use(([event, data], next) => {
+      const retryAfterMs = rateLimiter.consume(event);
+      if (retryAfterMs === 0) {
+        throttledEvents.delete(event);
+        next();
+        return;
+      }
+
+      // Log once per burst rather than for every dropped event
+      if (!throttledEvents.has(event)) {
+        throttledEvents.add(event);
+        console.warn(`⏱️ Rate limited ${event} from ${username} (${socket.id})`);
+      }
+      socket.emit('error', {
+        message: `You are doing that too fast. Try again in ${Math.ceil(retryAfterMs / 1000)}s`,
+        code: 'RATE_LIMITED',
+        event,
+        retryAfterMs,
+      });
+
+      const connection = activeConnections.get(socket.id);
+      if (connection?.roomId && RESYNC_EVENTS.includes(event)) {
+        scheduleResync(event, connection.roomId, data, retryAfterMs);
+      }
+    });
+
     /**
      * Handle user joining a room
      * Creates or finds room, adds user to participants, broadcasts presence
@@ -179,6 +1123,14 @@ const socketHandler = (io) => {
       let roomLockKey = null;
       let joinTimeout = null;
       let joinKey = null;
+
+      // Undo the join bookkeeping when the server turns the join down
+      const abortJoin = () => {
+        clearTimeout(joinTimeout);
+        if (joinKey) pendingJoins.delete(joinKey);
+        connectionStates.delete(socket.id);
+        if (roomLockKey) releaseRoomLock(roomLockKey);
+      };
       
       try {
         // Check database connection first
@@ -190,29 +1142,16 @@ const socketHandler = (io) => {
           return;
         }
 
-        const { roomId, username, preferences = {} } = data;
-        
-        // Generate consistent userId based on username for this session
-        // This ensures the same user gets the same ID across reconnections
-        const userId = `user_${username.toLowerCase().replace(/[^a-z0-9]/g, '_')}_${socket.id}`;
+        const { roomId, preferences = {}, password, inviteToken } = data;
         
         // Validate input data early
-        if (!roomId || !username) {
+        if (!roomId) {
           socket.emit('error', { 
-            message: 'Room ID and username are required',
+            message: 'Room ID is required',
             code: 'INVALID_DATA' 
           });
           return;
         }
-
-        // Validate username format
-        if (!/^[a-zA-Z0-9\s\-_]+$/.test(username) || username.length > 50) {
-          socket.emit('error', { 
-            message: 'Invalid username format',
-            code: 'INVALID_USERNAME' 
-          });
-          return;
-        }
         
         // Enhanced duplicate join prevention with atomic check-and-set
         joinKey = `${socket.id}-${roomId}`;
@@ -230,13 +1169,18 @@ const socketHandler = (io) => {
           return;
         }
         
-        // Check if user with same username is already in this room
+        // Check if the same user is already in this room (names are not unique, user ids are)
         const existingConnection = Array.from(connectionStates.entries())
-          .find(([id, state]) => id !== socket.id && state.username === username && state.roomId === roomId);
+          .find(([id, state]) => id !== socket.id && state.userId === userId && state.roomId === roomId);
         
         if (existingConnection) {
-          console.log(`⚠️ User ${username} already in room ${roomId}, disconnecting old session`);
+          console.log(`⚠️ User ${username} (${userId}) already in room ${roomId}, disconnecting old session`);
           const [oldSocketId] = existingConnection;
+          // Both sockets share a userId, so the old socket must not remove the participant on disconnect
+          const oldConnection = activeConnections.get(oldSocketId);
+          if (oldConnection) {
+            activeConnections.set(oldSocketId, { ...oldConnection, roomId: null });
+          }
           const oldSocket = io.sockets.sockets.get(oldSocketId);
           if (oldSocket) {
             oldSocket.emit('forceDisconnect', { 
@@ -347,7 +1291,7 @@ const socketHandler = (io) => {
         try {
           console.log(`🔍 Looking for room ${roomId} in database...`);
           room = await retryDatabaseOperation(async () => {
-            const foundRoom = await Room.findRoomById(roomId);
+            const foundRoom = await Room.findRoomById(roomId).select('+passwordHash');
             if (!foundRoom) {
               console.log(`❌ Room ${roomId} not found in database`);
               // Let's also check if the room exists but is inactive
@@ -372,6 +1316,7 @@ const socketHandler = (io) => {
         } catch (dbError) {
           console.error('❌ Database error finding room:', dbError);
           console.error('❌ Database connection state:', mongoose.connection.readyState);
+          abortJoin();
           socket.emit('error', { 
             message: 'Database connection error. Please try again.',
             code: 'DB_CONNECTION_ERROR' 
@@ -382,9 +1327,90 @@ const socketHandler = (io) => {
         // Check if room was found
         if (!room) {
           console.log(`❌ Room ${roomId} not found, aborting join`);
+          abortJoin();
+          return;
+        }
+
+        // Banned users cannot come back
+        if (room.isBanned(userId)) {
+          console.log(`🚫 Banned user ${username} tried to join room ${roomId}`);
+          abortJoin();
+          socket.emit('error', {
+            message: 'You have been banned from this room.',
+            code: 'BANNED',
+          });
           return;
         }
 
+        // Password-protected and invite-only rooms: a valid invite lets the user straight in,
+        // otherwise they need the password and, if the room asks for it, an owner's approval
+        const member = { userId, username };
+        const hasPassword = !!room.passwordHash;
+        const requireApproval = room.settings?.requireApproval === true;
+        if ((hasPassword || requireApproval) && !room.isAdmitted(member)) {
+          let admittedVia = null;
+
+          if (inviteToken) {
+            if (!(await room.consumeInvite(inviteToken))) {
+              abortJoin();
+              socket.emit('error', {
+                message: 'This invite link is invalid or has expired.',
+                code: 'INVALID_INVITE',
+              });
+              return;
+            }
+            admittedVia = 'invite';
+          } else if (hasPassword) {
+            if (!password) {
+              abortJoin();
+              socket.emit('error', { message: 'This room requires a password.', code: 'PASSWORD_REQUIRED' });
+              return;
+            }
+            if (!(await room.checkPassword(password))) {
+              console.log(`🔒 Wrong room password from ${username} for room ${roomId}`);
+              abortJoin();
+              socket.emit('error', { message: 'Incorrect room password.', code: 'INVALID_PASSWORD' });
+              return;
+            }
+            if (!requireApproval) {
+              admittedVia = 'password';
+            }
+          }
+
+          // Knock: wait in the waiting room until an owner or moderator answers
+          if (!admittedVia) {
+            abortJoin();
+            if (!joinRequests.has(roomId)) {
+              joinRequests.set(roomId, new Map());
+            }
+            const request = { userId, username, socketId: socket.id, requestedAt: new Date() };
+            joinRequests.get(roomId).set(userId, request);
+
+            socket.emit('knock-pending', {
+              roomId,
+              roomName: room.roomName,
+              message: 'Waiting for the room owner to let you in',
+            });
+            emitToManagers(room, 'join-request', {
+              roomId,
+              userId,
+              username,
+              requestedAt: request.requestedAt,
+              metadata: {
+                author: username,
+                timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+                actionType: 'knock',
+                userId,
+              }, // Include metadata for Blind Mode
+            });
+            console.log(`🚪 ${username} is knocking on room ${roomId}`);
+            return;
+          }
+
+          room = await room.admitUser(member, admittedVia);
+          console.log(`🔓 ${username} admitted to room ${roomId} by ${admittedVia}`);
+        }
+
         // Aggressive room capacity check with forced cleanup
         console.log(`🔍 Room capacity check: ${room.currentParticipants}/${room.maxParticipants}`);
         
@@ -420,39 +1446,28 @@ const socketHandler = (io) => {
           }
         }
         
-        // Create or update user
+        // Load the authenticated user
         let user;
         try {
-          user = await retryDatabaseOperation(async () => {
-            const foundUser = await User.findBySessionId(socket.id);
-            if (!foundUser) {
-              const newUser = new User({
-                userId,
-                username,
-                sessionId: socket.id,
-                preferences,
-              });
-              await newUser.save();
-              return newUser;
-            } else {
-              foundUser.username = username;
-              foundUser.preferences = { ...foundUser.preferences, ...preferences };
-              await foundUser.save();
-              return foundUser;
-            }
-          });
+          user = await retryDatabaseOperation(() => User.findOne({ userId }));
         } catch (dbError) {
-          console.error('❌ Database error creating/updating user:', dbError);
+          console.error('❌ Database error loading user:', dbError);
+          abortJoin();
           socket.emit('error', { 
             message: 'Database connection error. Please try again.',
             code: 'DB_CONNECTION_ERROR' 
           });
           return;
         }
+        if (!user) {
+          throw new Error(`User account ${userId} not found`);
+        }
 
         // Add user to room participants (atomic operation)
         try {
           console.log(`👤 Adding participant to room ${roomId}:`, { userId, username, socketId: socket.id });
+          // The first person to join a legacy room without a real creator becomes its owner
+          room = await room.claimOwnership({ userId, username });
           await retryDatabaseOperation(async () => {
             await room.addParticipant({
               userId,
@@ -460,15 +1475,13 @@ const socketHandler = (io) => {
               socketId: socket.id,
               accessibility: preferences.accessibility || {},
               color: preferences.appearance?.cursorColor || '#3B82F6',
+              role: getMemberRole(room, userId),
             });
           });
           console.log(`✅ Participant added successfully. Room now has ${room.currentParticipants} participants`);
         } catch (dbError) {
           console.error('❌ Database error adding participant:', dbError);
-          clearTimeout(joinTimeout);
-          if (joinKey) pendingJoins.delete(joinKey);
-          connectionStates.delete(socket.id);
-          if (roomLockKey) releaseRoomLock(roomLockKey);
+          abortJoin();
           socket.emit('error', { 
             message: 'Database connection error. Please try again.',
             code: 'DB_CONNECTION_ERROR' 
@@ -494,6 +1507,13 @@ const socketHandler = (io) => {
           });
         } catch (dbError) {
           console.error('❌ Database error joining user to room:', dbError);
+          // Undo the half-finished join so the room does not list someone who never got its data
+          socket.leave(roomId);
+          activeConnections.set(socket.id, { ...activeConnections.get(socket.id), roomId: null });
+          await room.removeParticipant(userId).catch(error => {
+            console.error('❌ Error removing participant after a failed join:', error);
+          });
+          abortJoin();
           socket.emit('error', { 
             message: 'Database connection error. Please try again.',
             code: 'DB_CONNECTION_ERROR' 
@@ -502,15 +1522,38 @@ const socketHandler = (io) => {
         }
 
         // Send room data to the joining user
+        // Code comes from the live document so file revisions match later broadcasts
+        const codeDocument = getCodeDocument(roomId, room);
+        const replSession = await getReplSession(roomId);
+        const codeFileDiagnostics = getCodeDiagnostics(roomId, codeDocument);
         socket.emit('roomJoined', {
           roomId,
           roomName: room.roomName,
-          participants: room.participants.filter(p => p.isActive),
-          codeContent: room.codeCollaboration?.content || '',
-          codeLanguage: room.codeCollaboration?.language || 'javascript',
+          userId,
+          username,
+          role: getMemberRole(room, userId),
+          participants: room.participants
+            .filter(p => p.isActive)
+            .map(p => ({ ...p.toObject(), role: getMemberRole(room, p.userId) })),
+          codeFiles: listCodeFiles(codeDocument),
+          codeRun: codeRuns.has(roomId) ? formatCodeRun(codeRuns.get(roomId)) : null,
+          // Languages "Run" is offered for; empty when this server does not run code
+          codeRunLanguages: codeRunner.languages,
+          replSession,
+          codeDiagnostics: codeFileDiagnostics,
           notesContent: room.notesCollaboration?.content || '',
-          canvasData: room.canvasDrawing?.drawingData || '',
+          notesBlocks: getNoteBlocks(room),
+          notesRevision: room.notesCollaboration?.version || 0,
+          canvasObjects: getCanvasObjects(room),
+          canvasRevision: room.canvasDrawing?.version || 0,
           settings: room.settings,
+          hasPassword,
+          description: room.description || '',
+          chatCommands: chatCommands.list(),
+          mutedUsers: (room.mutedUsers || []).filter(mute => new Date(mute.mutedUntil) > new Date()),
+          // Only moderators need the ban list, to lift bans, and the waiting room, to answer knocks
+          bannedUsers: canManageRoom(getMemberRole(room, userId)) ? room.bannedUsers || [] : [],
+          joinRequests: canManageRoom(getMemberRole(room, userId)) ? getJoinRequests(roomId) : [],
         });
 
         // Enhanced metadata for Blind Mode
@@ -525,6 +1568,7 @@ const socketHandler = (io) => {
         socket.to(roomId).emit('userJoined', {
           userId,
           username,
+          role: getMemberRole(room, userId),
           accessibility: preferences.accessibility || {},
           color: preferences.appearance?.cursorColor || '#3B82F6',
           timestamp: new Date(),
@@ -532,8 +1576,19 @@ const socketHandler = (io) => {
         });
 
         // Send recent chat messages
-        const recentMessages = room.chatMessages.slice(-20);
-        socket.emit('chatHistory', recentMessages);
+        const { messages: recentMessages, hasOlder } = await ChatMessage.listPage(roomId, { limit: JOIN_HISTORY_SIZE });
+        socket.emit('chatHistory', recentMessages.map(message => formatChatMessage(message, userId)), { hasOlder });
+
+        // Send how far everyone has read, for the unread divider and read receipts
+        const readStates = await ChatReadState.listForRoom(roomId);
+        socket.emit('chatReadStates', readStates.map(formatReadState));
+
+        // Send the user's private conversations with their unread counts
+        const conversations = await DirectMessage.listConversations(roomId, userId);
+        socket.emit('directConversations', conversations.map(conversation => ({
+          ...conversation,
+          lastMessage: formatDirectMessage(conversation.lastMessage),
+        })));
 
         console.log(`👤 ${username} joined room ${roomId}`);
         
@@ -543,6 +1598,8 @@ const socketHandler = (io) => {
         connectionStates.set(socket.id, { 
           joined: true, 
           roomId, 
+          userId,
+          username,
           timestamp: Date.now() 
         });
         
@@ -582,10 +1639,14 @@ const socketHandler = (io) => {
 
     /**
      * Handle code changes in collaborative editor
-     * Broadcasts changes to other participants in the room
+     * Clients send text operations on one file against the file revision they
+     * last saw; the operation is transformed against everything committed to
+     * that file since, applied to the live document and broadcast with the new revision.
      * Enhanced with metadata for Blind Mode support
      */
     socket.on('code-change', async (data) => {
+      let codeLockKey = null;
+      
       try {
         const connection = activeConnections.get(socket.id);
         if (!connection || !connection.roomId) {
@@ -593,52 +1654,1673 @@ const socketHandler = (io) => {
           return;
         }
 
-        const { content, language, cursorPosition, actionType = 'edit', linesChanged = 0, file = 'main' } = data;
+        const {
+          fileId,
+          path,
+          operation,
+          revision,
+          language,
+          cursorPosition,
+          actionType = 'edit',
+          linesChanged = 0,
+        } = data || {};
         
-        // Update room's code content
-        const room = await Room.findRoomById(connection.roomId);
-        if (room) {
-          await room.updateCodeContent({
-            content,
-            language,
-            userId: connection.userId,
-            username: connection.username,
-          });
+        // Either an operation or a language switch is required
+        const hasOperation = operation !== undefined && operation !== null;
+        if ((!hasOperation && !language) ||
+            (language && !EDITOR_LANGUAGES.includes(language)) ||
+            (hasOperation && (!isValidOperation(operation) || !Number.isInteger(revision)))) {
+          socket.emit('error', { message: 'Invalid code operation', code: 'INVALID_OPERATION' });
+          return;
+        }
 
-          // Enhanced metadata for Blind Mode
-          const metadata = {
-            author: connection.username,
-            timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
-            actionType: actionType, // insert, delete, edit, format, etc.
-            linesChanged: linesChanged,
-            file: file,
-            userId: connection.userId,
-          };
+        const { roomId, userId, username } = connection;
 
-          // Broadcast to other participants in the room
-          socket.to(connection.roomId).emit('code-changed', {
-            content,
+        // Serialize code operations per room so revisions stay linear
+        try {
+          codeLockKey = await acquireRoomLock(`${roomId}_code`);
+        } catch (lockError) {
+          console.error(`❌ Failed to acquire code lock for ${roomId}:`, lockError.message);
+          socket.emit('error', { message: 'Room is busy. Please try again in a moment.', code: 'ROOM_BUSY' });
+          return;
+        }
+
+        const room = await Room.findRoomById(roomId);
+        if (!room) {
+          return;
+        }
+
+        const codeDocument = getCodeDocument(roomId, room);
+        const file = findCodeFile(codeDocument, { fileId, path });
+        if (!file) {
+          socket.emit('error', { message: 'File not found', code: 'FILE_NOT_FOUND', fileId, path });
+          return;
+        }
+        
+        // Send the authoritative file to a client that can no longer be reconciled
+        const resyncClient = () => {
+          socket.emit('code-sync', formatCodeSync(file));
+        };
+
+        // Reject and roll the sender back to the stored file
+        if (!checkFeatureAllowed(socket, room, 'code', connection)) {
+          resyncClient();
+          return;
+        }
+
+        let transformedOperation = null;
+        let nextContent = file.content;
+
+        if (hasOperation) {
+          const historyStart = file.revision - file.history.length;
+          if (revision < historyStart || revision > file.revision) {
+            console.log(`⚠️ Code revision ${revision} of ${file.path} out of range for room ${roomId}, resyncing client`);
+            resyncClient();
+            return;
+          }
+
+          // Transform against every operation the client has not seen yet
+          transformedOperation = operation;
+          file.history.slice(revision - historyStart).forEach(concurrentOperation => {
+            [transformedOperation] = transformOperations(transformedOperation, concurrentOperation);
+          });
+
+          if (getBaseLength(transformedOperation) !== file.content.length) {
+            console.log(`⚠️ Code operation does not match ${file.path} in room ${roomId}, resyncing client`);
+            resyncClient();
+            return;
+          }
+
+          nextContent = applyOperation(file.content, transformedOperation);
+        }
+
+        const nextLanguage = language || file.language;
+        const nextRevision = hasOperation ? file.revision + 1 : file.revision;
+
+        // Persist before committing so a failed save does not advance the revision
+        await saveCodeFiles(
+          room,
+          Array.from(codeDocument.files.values()).map(entry => (
+            entry === file ? { ...file, content: nextContent, language: nextLanguage, revision: nextRevision } : entry
+          )),
+          connection
+        );
+
+        // Commit to the live document and notify in the same tick
+        file.content = nextContent;
+        file.language = nextLanguage;
+        file.revision = nextRevision;
+        if (hasOperation) {
+          file.history.push(transformedOperation);
+          if (file.history.length > MAX_CODE_HISTORY) {
+            file.history.shift();
+          }
+          socket.emit('code-ack', { fileId: file.id, revision: nextRevision });
+          maybeSnapshot(room, 'code', connection);
+        }
+        scheduleCodeLint(roomId, file.id, connection);
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: actionType, // insert, delete, edit, format, etc.
+          linesChanged: linesChanged,
+          file: file.path,
+          userId: userId,
+        };
+
+        // Broadcast to other participants in the room
+        socket.to(roomId).emit('code-changed', {
+          fileId: file.id,
+          path: file.path,
+          operation: transformedOperation,
+          revision: nextRevision,
+          language: nextLanguage,
+          userId,
+          username,
+          cursorPosition,
+          timestamp: new Date(),
+          metadata, // Include metadata for Blind Mode
+        });
+
+      } catch (error) {
+        console.error('❌ Error handling code change:', error);
+        socket.emit('error', { message: 'Failed to update code', code: 'CODE_UPDATE_ERROR' });
+      } finally {
+        // Always release code lock
+        if (codeLockKey) releaseRoomLock(codeLockKey);
+      }
+    });
+
+    /**
+     * Handle formatting a code file with the room's style options
+     * The formatted file is committed as one operation and broadcast to the
+     * whole room, the requester included, as a code-changed with actionType
+     * 'format'; code-formatted tells the requester whether anything changed.
+     * Data: { fileId } (or { path })
+     */
+    socket.on('format-code', async (data) => {
+      let codeLockKey = null;
+
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { fileId, path } = data || {};
+        const { roomId, userId, username } = connection;
+
+        // Formatting replaces the file, so it runs between other edits, never beside them
+        try {
+          codeLockKey = await acquireRoomLock(`${roomId}_code`);
+        } catch (lockError) {
+          console.error(`❌ Failed to acquire code lock for ${roomId}:`, lockError.message);
+          socket.emit('error', { message: 'Room is busy. Please try again in a moment.', code: 'ROOM_BUSY' });
+          return;
+        }
+
+        const room = await Room.findRoomById(roomId);
+        if (!room) {
+          return;
+        }
+
+        if (!checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+
+        const codeDocument = getCodeDocument(roomId, room);
+        const file = findCodeFile(codeDocument, { fileId, path });
+        if (!file || file.type !== 'file') {
+          socket.emit('error', { message: 'File not found', code: 'FILE_NOT_FOUND', fileId, path });
+          return;
+        }
+        if (!canFormat(file)) {
+          socket.emit('error', { message: `${file.language} files cannot be formatted`, code: 'UNSUPPORTED_LANGUAGE', fileId: file.id });
+          return;
+        }
+
+        let formatted;
+        try {
+          formatted = await formatCode(file, room.settings?.codeFormatting);
+        } catch (formatError) {
+          // Syntax errors come with a code frame; the first line says where
+          socket.emit('error', {
+            message: `Could not format ${file.path}: ${formatError.message.split('\n')[0]}`,
+            code: 'FORMAT_FAILED',
+            fileId: file.id,
+          });
+          return;
+        }
+
+        if (formatted === file.content) {
+          socket.emit('code-formatted', { fileId: file.id, path: file.path, changed: false });
+          return;
+        }
+
+        const operation = operationFromTextChange(file.content, formatted);
+        const nextRevision = file.revision + 1;
+
+        // Persist before committing so a failed save does not advance the revision
+        await saveCodeFiles(
+          room,
+          Array.from(codeDocument.files.values()).map(entry => (
+            entry === file ? { ...file, content: formatted, revision: nextRevision } : entry
+          )),
+          connection
+        );
+
+        file.content = formatted;
+        file.revision = nextRevision;
+        file.history.push(operation);
+        if (file.history.length > MAX_CODE_HISTORY) {
+          file.history.shift();
+        }
+        maybeSnapshot(room, 'code', connection);
+        scheduleCodeLint(roomId, file.id, connection);
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: 'format',
+          file: file.path,
+          userId,
+        };
+
+        // Everyone applies it as a remote change, the requester too
+        io.to(roomId).emit('code-changed', {
+          fileId: file.id,
+          path: file.path,
+          operation,
+          revision: nextRevision,
+          language: file.language,
+          userId,
+          username,
+          timestamp: new Date(),
+          metadata, // Include metadata for Blind Mode
+        });
+        socket.emit('code-formatted', { fileId: file.id, path: file.path, changed: true, revision: nextRevision });
+
+        console.log(`🧹 ${username} formatted ${file.path} in room ${roomId}`);
+
+      } catch (error) {
+        console.error('❌ Error formatting code:', error);
+        socket.emit('error', { message: 'Failed to format code', code: 'CODE_FORMAT_ERROR' });
+      } finally {
+        if (codeLockKey) releaseRoomLock(codeLockKey);
+      }
+    });
+
+    /**
+     * Handle changes to the room's file tree from the file explorer
+     * Each change runs under the code lock, is saved and then broadcast as
+     * code-files-changed with the new file list (without content, clients
+     * keep their own) so explorers and open editors follow along.
+     * @param {string} action - create, rename, move or delete
+     * @param {Function} plan - (codeDocument, data) returning { error, code } or
+     *   { files, path, newPath, type, beforeSave } where files is the new file list
+     */
+    const handleCodeFileChange = (action, plan) => async (data) => {
+      let codeLockKey = null;
+
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+
+        try {
+          codeLockKey = await acquireRoomLock(`${roomId}_code`);
+        } catch (lockError) {
+          console.error(`❌ Failed to acquire code lock for ${roomId}:`, lockError.message);
+          socket.emit('error', { message: 'Room is busy. Please try again in a moment.', code: 'ROOM_BUSY' });
+          return;
+        }
+
+        const room = await Room.findRoomById(roomId);
+        if (!room) {
+          return;
+        }
+
+        if (!checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+
+        const codeDocument = getCodeDocument(roomId, room);
+        const change = plan(codeDocument, data || {});
+        if (change.error) {
+          socket.emit('error', { message: change.error, code: change.code, action });
+          return;
+        }
+        if (change.beforeSave) {
+          await change.beforeSave(room, connection);
+        }
+
+        await saveCodeFiles(room, change.files, connection);
+        codeDocument.files = new Map(change.files.map(file => [file.id, file]));
+        maybeSnapshot(room, 'code', connection);
+        // Paths decide languages and JSON schemas, so every file is linted again
+        scheduleCodeLint(roomId, null, connection);
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: `${action}-file`,
+          file: change.newPath || change.path,
+          userId,
+        };
+
+        io.to(roomId).emit('code-files-changed', {
+          action,
+          type: change.type,
+          path: change.path,
+          newPath: change.newPath,
+          files: listCodeFiles(codeDocument, false),
+          userId,
+          username,
+          timestamp: new Date(),
+          metadata, // Include metadata for Blind Mode
+        });
+
+        console.log(`🗂️ ${username} ${action}d ${change.type} ${change.path}${change.newPath ? ` -> ${change.newPath}` : ''} in room ${roomId}`);
+
+      } catch (error) {
+        console.error(`❌ Error handling ${action} of code file:`, error);
+        socket.emit('error', { message: 'Failed to update files', code: 'CODE_FILES_UPDATE_ERROR', action });
+      } finally {
+        if (codeLockKey) releaseRoomLock(codeLockKey);
+      }
+    };
+
+    // Files keep their live state (revision and history) through renames and moves
+    const renameCodeEntries = (codeDocument, from, to) => {
+      const entries = Array.from(codeDocument.files.values());
+      const result = planRename(entries, from, to);
+      if (result.error) return result;
+
+      const changes = new Map(result.changes.map(change => [change.entry, change]));
+      const moved = result.changes.find(change => change.entry.path === normalizeCodePath(from));
+      return {
+        files: entries.map(entry => {
+          const change = changes.get(entry);
+          if (!change) return entry;
+          return { ...entry, path: change.path, language: change.language };
+        }),
+        type: moved?.entry.type || 'folder',
+        path: normalizeCodePath(from),
+        newPath: normalizeCodePath(to),
+      };
+    };
+
+    /**
+     * Handle creating a file or folder
+     * Data: { path, type = 'file', language } (language defaults to the file extension's)
+     */
+    socket.on('create-code-file', handleCodeFileChange('create', (codeDocument, { path, type, language }) => {
+      const entries = Array.from(codeDocument.files.values());
+      const result = planCreate(entries, { path, type, language });
+      if (result.error) return result;
+
+      return {
+        files: [...entries, { ...result.entry, revision: 0, history: [] }],
+        type: result.entry.type,
+        path: result.entry.path,
+      };
+    }));
+
+    /**
+     * Handle renaming a file or folder; folders take everything inside along
+     * Data: { path, newPath }
+     */
+    socket.on('rename-code-file', handleCodeFileChange('rename', (codeDocument, { path, newPath }) => (
+      renameCodeEntries(codeDocument, path, newPath)
+    )));
+
+    /**
+     * Handle moving a file or folder into another folder, keeping its name
+     * Data: { path, folder } where folder '' is the top level
+     */
+    socket.on('move-code-file', handleCodeFileChange('move', (codeDocument, { path, folder = '' }) => {
+      const from = normalizeCodePath(path);
+      const target = folder === '' ? '' : normalizeCodePath(folder);
+      if (!from || target === null) {
+        return { error: 'Invalid file or folder name', code: 'INVALID_FILE_PATH' };
+      }
+      return renameCodeEntries(codeDocument, from, target ? `${target}/${baseName(from)}` : baseName(from));
+    }));
+
+    /**
+     * Handle deleting a file or folder with everything inside it
+     * Data: { path }; a snapshot is taken first when any deleted file has content
+     */
+    socket.on('delete-code-file', handleCodeFileChange('delete', (codeDocument, { path }) => {
+      const entries = Array.from(codeDocument.files.values());
+      const result = planDelete(entries, path);
+      if (result.error) return result;
+
+      const deletedPath = normalizeCodePath(path);
+      const deleted = result.removed.find(entry => entry.path === deletedPath);
+      return {
+        files: entries.filter(entry => !result.removed.includes(entry)),
+        type: deleted?.type || 'folder',
+        path: deletedPath,
+        beforeSave: result.removed.some(entry => entry.content)
+          ? (room, connection) => saveSnapshot(room, 'code', 'auto', connection, `Before deleting ${deletedPath}`)
+          : null,
+      };
+    }));
+
+    /**
+     * Handle running a code file
+     * The file runs in the sandbox with the room's other files beside it; its
+     * output streams to the whole room as code-run-output and the result
+     * follows as code-run-finished. One run at a time per room.
+     * Data: { fileId } (or { path })
+     */
+    socket.on('run-code', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+        const room = await Room.findRoomById(roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+
+        if (!codeRunner.enabled) {
+          socket.emit('error', { message: 'Running code is not available on this server', code: 'CODE_RUN_UNAVAILABLE' });
+          return;
+        }
+
+        const codeDocument = getCodeDocument(roomId, room);
+        const file = findCodeFile(codeDocument, data || {});
+        if (!file) {
+          socket.emit('error', { message: 'File not found', code: 'FILE_NOT_FOUND', fileId: data?.fileId, path: data?.path });
+          return;
+        }
+        if (!codeRunner.languages.includes(file.language)) {
+          socket.emit('error', {
+            message: `Only ${codeRunner.languages.join(' and ')} files can be run`,
+            code: 'UNSUPPORTED_LANGUAGE',
+          });
+          return;
+        }
+        if (codeRuns.get(roomId)?.status === 'running') {
+          socket.emit('error', { message: 'Code is already running in this room', code: 'CODE_RUN_IN_PROGRESS' });
+          return;
+        }
+        if (codeRunner.isBusy()) {
+          socket.emit('error', { message: 'The server is busy running other code. Please try again in a moment.', code: 'CODE_RUNNER_BUSY' });
+          return;
+        }
+
+        const run = {
+          runId: uuidv4(),
+          fileId: file.id,
+          path: file.path,
+          language: file.language,
+          userId,
+          username,
+          startedAt: new Date(),
+          status: 'running',
+          output: [],
+          result: null,
+          stoppedBy: null,
+        };
+        const execution = codeRunner.run({
+          language: file.language,
+          path: file.path,
+          files: Array.from(codeDocument.files.values()).map(({ path, type, content }) => ({ path, type, content })),
+        }, {
+          onOutput: (chunks) => {
+            // Kept merged by stream for people joining while it runs
+            chunks.forEach(chunk => {
+              const last = run.output[run.output.length - 1];
+              if (last && last.stream === chunk.stream) last.text += chunk.text;
+              else run.output.push({ ...chunk });
+            });
+            io.to(roomId).emit('code-run-output', { runId: run.runId, chunks });
+          },
+        });
+        run.stop = execution.stop;
+        codeRuns.set(roomId, run);
+
+        // Enhanced metadata for Blind Mode
+        io.to(roomId).emit('code-run-started', {
+          ...formatCodeRun(run),
+          metadata: {
+            author: username,
+            timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+            actionType: 'run-code',
+            file: file.path,
+            userId,
+          },
+        });
+        console.log(`▶️ ${username} is running ${file.path} in room ${roomId}`);
+
+        run.result = await execution.done;
+        run.status = 'finished';
+        io.to(roomId).emit('code-run-finished', {
+          runId: run.runId,
+          path: run.path,
+          result: run.result,
+          stoppedBy: run.stoppedBy,
+          metadata: {
+            author: username,
+            timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+            actionType: 'run-finished',
+            file: run.path,
+            userId,
+          },
+        });
+        console.log(`⏹️ Run of ${run.path} in room ${roomId} finished in ${run.result.durationMs}ms (exit code ${run.result.exitCode ?? run.result.signal})`);
+
+      } catch (error) {
+        console.error('❌ Error running code:', error);
+        socket.emit('error', { message: 'Failed to run code', code: 'CODE_RUN_ERROR' });
+      }
+    });
+
+    /**
+     * Handle stopping the room's running code
+     * Anyone who may edit code can stop it; the run then finishes as stopped
+     */
+    socket.on('stop-code-run', async () => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const room = await Room.findRoomById(connection.roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+
+        const run = codeRuns.get(connection.roomId);
+        if (!run || run.status !== 'running') {
+          socket.emit('error', { message: 'No code is running in this room', code: 'CODE_RUN_NOT_FOUND' });
+          return;
+        }
+
+        run.stoppedBy = connection.username;
+        run.stop();
+        console.log(`⏹️ ${connection.username} stopped the run of ${run.path} in room ${connection.roomId}`);
+
+      } catch (error) {
+        console.error('❌ Error stopping code run:', error);
+        socket.emit('error', { message: 'Failed to stop the code', code: 'CODE_RUN_ERROR' });
+      }
+    });
+
+    /**
+     * Handle opening the room's shared REPL
+     * The REPL starts beside a copy of the room's files and the person who
+     * opens it drives; everything typed and printed goes to the whole room as
+     * repl-output and is saved as the session's transcript. One REPL per room.
+     * Data: { language }
+     */
+    socket.on('start-repl', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+        const room = await Room.findRoomById(roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+
+        if (!codeRunner.enabled) {
+          socket.emit('error', { message: 'Running code is not available on this server', code: 'CODE_RUN_UNAVAILABLE' });
+          return;
+        }
+        const language = data?.language;
+        if (!codeRunner.languages.includes(language)) {
+          socket.emit('error', {
+            message: `The REPL is available for ${codeRunner.languages.join(' and ')}`,
+            code: 'UNSUPPORTED_LANGUAGE',
+          });
+          return;
+        }
+        if (replSessions.get(roomId)?.status === 'running') {
+          socket.emit('error', { message: 'A REPL is already open in this room', code: 'REPL_ALREADY_RUNNING' });
+          return;
+        }
+        if (codeRunner.isReplBusy()) {
+          socket.emit('error', { message: 'The server has too many REPLs open. Please try again later.', code: 'CODE_RUNNER_BUSY' });
+          return;
+        }
+
+        const session = {
+          sessionId: uuidv4(),
+          language,
+          startedBy: { userId, username },
+          startedAt: new Date(),
+          status: 'running',
+          driver: { userId, username },
+          entries: [],
+          transcriptLength: 0,
+          transcriptFull: false,
+          unsaved: [],
+          saveTimer: null,
+          endedAt: null,
+          endReason: null,
+          stoppedBy: null,
+          repl: null,
+        };
+        // Claimed before the transcript is stored, so a second start meanwhile is refused
+        const previousSession = replSessions.get(roomId);
+        replSessions.set(roomId, session);
+        try {
+          await ReplTranscript.startSession({
+            sessionId: session.sessionId,
+            roomId,
+            language,
+            startedBy: session.startedBy,
+            startedAt: session.startedAt,
+          });
+        } catch (error) {
+          if (previousSession) replSessions.set(roomId, previousSession);
+          else replSessions.delete(roomId);
+          throw error;
+        }
+
+        const codeDocument = getCodeDocument(roomId, room);
+        session.repl = codeRunner.startRepl({
+          language,
+          files: Array.from(codeDocument.files.values()).map(({ path, type, content }) => ({ path, type, content })),
+        }, {
+          onOutput: (chunks) => {
+            const at = new Date();
+            addReplEntries(roomId, session, chunks.map(({ stream, text }) => ({ stream, text, at })));
+          },
+        });
+
+        // Enhanced metadata for Blind Mode
+        io.to(roomId).emit('repl-started', {
+          ...formatReplSession(session),
+          metadata: {
+            author: username,
+            timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+            actionType: 'start-repl',
+            userId,
+          },
+        });
+        addReplEntries(roomId, session, [{
+          stream: 'system',
+          text: `${username} opened a ${REPL_NAMES[language]} REPL and is driving`,
+          at: new Date(),
+        }]);
+        console.log(`⌨️ ${username} opened a ${language} REPL in room ${roomId}`);
+
+        const done = await session.repl.done;
+        const result = session.transcriptFull ? { ...done, reason: 'transcript-limit' } : done;
+        session.status = 'ended';
+        session.driver = null;
+        session.endedAt = new Date();
+        session.endReason = result.reason;
+
+        let endMessage = `The REPL ${REPL_END_MESSAGES[result.reason]}`;
+        if (result.reason === 'stopped' && session.stoppedBy) endMessage += ` by ${session.stoppedBy}`;
+        if (result.reason === 'exited') {
+          endMessage += result.signal
+            ? ` (${result.signal}), it may have used up its CPU time or memory`
+            : ` with code ${result.exitCode}`;
+        }
+        if (result.reason === 'error' && result.error) endMessage += `: ${result.error}`;
+        addReplEntries(roomId, session, [{ stream: 'system', text: endMessage, at: session.endedAt }]);
+        await saveReplTranscript(session);
+
+        io.to(roomId).emit('repl-ended', {
+          sessionId: session.sessionId,
+          reason: result.reason,
+          exitCode: result.exitCode,
+          signal: result.signal,
+          stoppedBy: session.stoppedBy || null,
+          endedAt: session.endedAt,
+          metadata: {
+            author: session.stoppedBy || username,
+            timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+            actionType: 'repl-ended',
+            userId,
+          },
+        });
+        console.log(`⏹️ REPL in room ${roomId} ended after ${Math.round(result.durationMs / 1000)}s (${result.reason})`);
+
+      } catch (error) {
+        console.error('❌ Error opening REPL:', error);
+        socket.emit('error', { message: 'Failed to open the REPL', code: 'REPL_ERROR' });
+      }
+    });
+
+    /**
+     * Handle a line typed into the shared REPL
+     * Only the driver can type; the line is sent to the REPL as if entered at its prompt
+     * Data: { input }
+     */
+    socket.on('repl-input', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+        const input = data?.input;
+        if (typeof input !== 'string' || input.length > MAX_REPL_INPUT_LENGTH) {
+          socket.emit('error', {
+            message: `Input must be text of at most ${MAX_REPL_INPUT_LENGTH} characters`,
+            code: 'INVALID_REPL_INPUT',
+          });
+          return;
+        }
+
+        const session = replSessions.get(roomId);
+        if (!session || session.status !== 'running') {
+          socket.emit('error', { message: 'No REPL is open in this room', code: 'REPL_NOT_RUNNING' });
+          return;
+        }
+        if (session.driver?.userId !== userId) {
+          socket.emit('error', { message: 'Only the driver can type into the REPL', code: 'NOT_REPL_DRIVER' });
+          return;
+        }
+
+        // Roles and mutes may have changed since the driver took over
+        const room = await Room.findRoomById(roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+
+        if (session.transcriptFull || !session.repl.write(`${input}\n`)) {
+          return;
+        }
+        addReplEntries(roomId, session, [{ stream: 'input', text: input, userId, username, at: new Date() }]);
+
+      } catch (error) {
+        console.error('❌ Error sending REPL input:', error);
+        socket.emit('error', { message: 'Failed to send input to the REPL', code: 'REPL_ERROR' });
+      }
+    });
+
+    /**
+     * Handle passing the REPL driver token
+     * The driver can hand it to anyone in the room who may edit code, or give
+     * it up; owners and moderators can give it to anyone. While nobody drives,
+     * anyone who may edit code can take it.
+     * Data: { userId } (null to leave nobody driving)
+     */
+    socket.on('set-repl-driver', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+        const session = replSessions.get(roomId);
+        if (!session || session.status !== 'running') {
+          socket.emit('error', { message: 'No REPL is open in this room', code: 'REPL_NOT_RUNNING' });
+          return;
+        }
+
+        const room = await Room.findRoomById(roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+
+        const targetUserId = data?.userId || null;
+        const isDriver = session.driver?.userId === userId;
+        const isManager = canManageRoom(getMemberRole(room, userId));
+        const isTaking = targetUserId === userId && !session.driver;
+        if (!isDriver && !isManager && !isTaking) {
+          socket.emit('error', {
+            message: 'Only the driver, owners and moderators can pass the REPL on',
+            code: 'NOT_REPL_DRIVER',
+          });
+          return;
+        }
+
+        let driver = null;
+        if (targetUserId) {
+          const target = findRoomConnection(roomId, targetUserId);
+          if (!target) {
+            socket.emit('error', { message: 'That participant is not in the room', code: 'INVALID_REPL_DRIVER' });
+            return;
+          }
+          if (!canEditContent(getMemberRole(room, target.userId))) {
+            socket.emit('error', { message: `${target.username} cannot edit code in this room`, code: 'INVALID_REPL_DRIVER' });
+            return;
+          }
+          driver = { userId: target.userId, username: target.username };
+        }
+        if ((session.driver?.userId || null) === (driver?.userId || null)) {
+          return;
+        }
+
+        setReplDriver(roomId, session, driver, { userId, username });
+        console.log(`⌨️ ${username} passed the REPL in room ${roomId} to ${driver ? driver.username : 'nobody'}`);
+
+      } catch (error) {
+        console.error('❌ Error changing REPL driver:', error);
+        socket.emit('error', { message: 'Failed to change the REPL driver', code: 'REPL_ERROR' });
+      }
+    });
+
+    /**
+     * Handle asking the REPL driver for the token
+     * The driver's tabs get repl-driver-requested and can hand it over with set-repl-driver
+     */
+    socket.on('request-repl-driver', async () => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+        const session = replSessions.get(roomId);
+        if (!session || session.status !== 'running') {
+          socket.emit('error', { message: 'No REPL is open in this room', code: 'REPL_NOT_RUNNING' });
+          return;
+        }
+        if (!session.driver || session.driver.userId === userId) {
+          return;
+        }
+
+        const room = await Room.findRoomById(roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+
+        for (const [socketId, driverConnection] of activeConnections.entries()) {
+          if (driverConnection.roomId === roomId && driverConnection.userId === session.driver.userId) {
+            io.to(socketId).emit('repl-driver-requested', { sessionId: session.sessionId, userId, username });
+          }
+        }
+
+      } catch (error) {
+        console.error('❌ Error requesting REPL driver:', error);
+        socket.emit('error', { message: 'Failed to ask for the REPL', code: 'REPL_ERROR' });
+      }
+    });
+
+    /**
+     * Handle closing the room's shared REPL
+     * The driver, owners and moderators can close it, or anyone who may edit
+     * code while nobody drives; it then ends as stopped
+     */
+    socket.on('stop-repl', async () => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+        const session = replSessions.get(roomId);
+        if (!session || session.status !== 'running') {
+          socket.emit('error', { message: 'No REPL is open in this room', code: 'REPL_NOT_RUNNING' });
+          return;
+        }
+
+        const room = await Room.findRoomById(roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'code', connection)) {
+          return;
+        }
+        if (session.driver && session.driver.userId !== userId && !canManageRoom(getMemberRole(room, userId))) {
+          socket.emit('error', { message: 'Only the driver, owners and moderators can close the REPL', code: 'NOT_REPL_DRIVER' });
+          return;
+        }
+
+        session.stoppedBy = username;
+        session.repl.stop();
+        console.log(`⏹️ ${username} closed the REPL in room ${roomId}`);
+
+      } catch (error) {
+        console.error('❌ Error closing REPL:', error);
+        socket.emit('error', { message: 'Failed to close the REPL', code: 'REPL_ERROR' });
+      }
+    });
+
+    /**
+     * Handle notes changes in collaborative notes editor
+     * Clients send block operations (insert/update/delete) which are applied
+     * to the stored block list and broadcast as applied to other participants
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('note-change', async (data) => {
+      let notesLockKey = null;
+      
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { operations, actionType = 'edit', wordsChanged = 0 } = data || {};
+        
+        if (!Array.isArray(operations) || operations.length === 0 || !operations.every(isValidNoteOperation)) {
+          socket.emit('error', { message: 'Invalid notes operation', code: 'INVALID_OPERATION' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+
+        // Serialize notes operations per room so each one sees the latest blocks
+        try {
+          notesLockKey = await acquireRoomLock(`${roomId}_notes`);
+        } catch (lockError) {
+          console.error(`❌ Failed to acquire notes lock for ${roomId}:`, lockError.message);
+          socket.emit('error', { message: 'Room is busy. Please try again in a moment.', code: 'ROOM_BUSY' });
+          return;
+        }
+        
+        // Update room's notes content
+        const room = await Room.findRoomById(roomId);
+        if (!room) {
+          return;
+        }
+
+        // Reject and roll the sender back to the stored blocks
+        if (!checkFeatureAllowed(socket, room, 'notes', connection)) {
+          socket.emit('note-sync', {
+            blocks: getNoteBlocks(room),
+            revision: room.notesCollaboration?.version || 0,
+          });
+          return;
+        }
+
+        // Notes HTML is rendered by every peer, so only allow-listed markup is stored or relayed
+        const strippedBlockIds = [];
+        const safeOperations = operations.map(operation => {
+          if (operation.type === 'delete') return operation;
+          const { html, stripped } = sanitizeNoteHtml(operation.html);
+          if (stripped) strippedBlockIds.push(operation.blockId);
+          return { ...operation, html };
+        });
+
+        const blocks = getNoteBlocks(room);
+        const appliedOperations = [];
+        let needsResync = false;
+
+        safeOperations.forEach(operation => {
+          const { applied, resync } = applyNoteOperation(blocks, operation, { userId, username });
+          if (applied) appliedOperations.push(applied);
+          if (resync) needsResync = true;
+        });
+
+        await room.updateNotesContent({
+          content: blocksToContent(blocks),
+          blocks,
+          userId,
+          username,
+        });
+
+        const revision = room.notesCollaboration.version;
+        socket.emit('note-ack', {
+          revision,
+          blockIds: operations.map(operation => operation.blockId),
+        });
+
+        if (strippedBlockIds.length > 0) {
+          console.log(`⚠️ Stripped disallowed notes markup from ${username} in room ${roomId}`);
+          socket.emit('note-sanitized', {
+            blockIds: strippedBlockIds,
+            message: 'Some formatting or content was removed from your notes because it is not allowed',
+          });
+        }
+
+        // Placement could not be honoured or markup was stripped, send the sender the authoritative blocks
+        if (needsResync || strippedBlockIds.length > 0) {
+          socket.emit('note-sync', { blocks, revision });
+        }
+
+        if (appliedOperations.length === 0) {
+          return;
+        }
+        maybeSnapshot(room, 'notes', connection);
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: actionType, // insert, delete, edit, format, etc.
+          wordsChanged: wordsChanged,
+          userId: userId,
+        };
+
+        // Broadcast to other participants in the room
+        socket.to(roomId).emit('note-changed', {
+          operations: appliedOperations,
+          revision,
+          userId,
+          username,
+          timestamp: new Date(),
+          metadata, // Include metadata for Blind Mode
+        });
+
+      } catch (error) {
+        console.error('❌ Error handling note change:', error);
+        socket.emit('error', { message: 'Failed to update notes', code: 'NOTE_UPDATE_ERROR' });
+      } finally {
+        // Always release notes lock
+        if (notesLockKey) releaseRoomLock(notesLockKey);
+      }
+    });
+
+    /**
+     * Handle canvas drawing events
+     * Clients send object operations (add/modify/remove/clear) which are applied
+     * to the stored object stack and broadcast as applied to other participants
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('draw-event', async (data) => {
+      let canvasLockKey = null;
+      
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { operations, actionType = 'draw', shapeType = 'unknown' } = data || {};
+        
+        if (!Array.isArray(operations) || operations.length === 0 || !operations.every(isValidCanvasOperation)) {
+          socket.emit('error', { message: 'Invalid canvas operation', code: 'INVALID_OPERATION' });
+          // Roll the sender back so the refused objects do not linger on its canvas
+          await resyncDocument(socket, 'draw-event', connection.roomId);
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+
+        // Serialize canvas operations per room so each one sees the latest objects
+        try {
+          canvasLockKey = await acquireRoomLock(`${roomId}_canvas`);
+        } catch (lockError) {
+          console.error(`❌ Failed to acquire canvas lock for ${roomId}:`, lockError.message);
+          socket.emit('error', { message: 'Room is busy. Please try again in a moment.', code: 'ROOM_BUSY' });
+          return;
+        }
+        
+        // Update room's canvas drawing
+        const room = await Room.findRoomById(roomId);
+        if (!room) {
+          return;
+        }
+
+        // Reject and roll the sender back to the stored objects
+        if (!checkFeatureAllowed(socket, room, 'canvas', connection)) {
+          socket.emit('draw-sync', {
+            objects: getCanvasObjects(room),
+            revision: room.canvasDrawing?.version || 0,
+          });
+          return;
+        }
+
+        const objects = getCanvasObjects(room);
+        const objectCount = objects.length;
+        const appliedOperations = operations
+          .map(operation => applyCanvasOperation(objects, operation, { userId, username }))
+          .filter(Boolean);
+
+        // Full canvases still take edits and removals, just no more objects
+        if (objects.length > MAX_CANVAS_OBJECTS && objects.length > objectCount) {
+          socket.emit('error', { message: `The canvas can hold up to ${MAX_CANVAS_OBJECTS} objects`, code: 'CANVAS_FULL' });
+          socket.emit('draw-sync', {
+            objects: getCanvasObjects(room),
+            revision: room.canvasDrawing?.version || 0,
+          });
+          return;
+        }
+
+        await room.updateCanvasDrawing({
+          objects,
+          userId,
+          username,
+        });
+
+        const revision = room.canvasDrawing.version;
+        socket.emit('draw-ack', {
+          revision,
+          objectIds: operations.map(operation => operation.objectId || null),
+        });
+
+        if (appliedOperations.length === 0) {
+          return;
+        }
+        maybeSnapshot(room, 'canvas', connection);
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: actionType, // draw, erase, clear, move, resize, etc.
+          shapeType: shapeType, // line, circle, rectangle, text, etc.
+          userId: userId,
+        };
+
+        // Broadcast to other participants in the room
+        socket.to(roomId).emit('drawing-updated', {
+          operations: appliedOperations,
+          revision,
+          userId,
+          username,
+          timestamp: new Date(),
+          metadata, // Include metadata for Blind Mode
+        });
+
+      } catch (error) {
+        console.error('❌ Error handling draw event:', error);
+        socket.emit('error', { message: 'Failed to update drawing', code: 'DRAW_UPDATE_ERROR' });
+      } finally {
+        // Always release canvas lock
+        if (canvasLockKey) releaseRoomLock(canvasLockKey);
+      }
+    });
+
+    /**
+     * Handle restoring a code, notes or canvas version from the history panel
+     * The current state is snapshotted first so the restore can itself be undone,
+     * then the version is applied and broadcast to every participant
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('restore-version', async (data) => {
+      let restoreLockKey = null;
+
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { versionId } = data || {};
+        if (typeof versionId !== 'string' || !versionId) {
+          socket.emit('error', { message: 'Invalid restore data', code: 'INVALID_DATA' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+
+        const version = await RoomVersion.findForRoom(roomId, versionId);
+        if (!version) {
+          socket.emit('error', { message: 'Version not found', code: 'VERSION_NOT_FOUND' });
+          return;
+        }
+        const { kind } = version;
+
+        // Share the feature's lock so no edit lands between the backup and the restore
+        try {
+          restoreLockKey = await acquireRoomLock(`${roomId}_${kind}`);
+        } catch (lockError) {
+          console.error(`❌ Failed to acquire ${kind} lock for ${roomId}:`, lockError.message);
+          socket.emit('error', { message: 'Room is busy. Please try again in a moment.', code: 'ROOM_BUSY' });
+          return;
+        }
+
+        const room = await Room.findRoomById(roomId);
+        if (!room) {
+          return;
+        }
+
+        if (!checkFeatureAllowed(socket, room, kind, connection)) {
+          return;
+        }
+
+        await saveSnapshot(room, kind, 'restore', connection, 'Before restore');
+
+        let revision;
+        if (kind === 'code') {
+          // Restored files get revisions past their current ones with no history, so edits
+          // still in flight against the old files are refused and their senders resynced
+          const codeDocument = getCodeDocument(roomId, room);
+          const files = getCodeFiles(version.content).map(({ id, path, type, language, content }) => ({
+            id,
+            path,
+            type,
             language,
-            userId: connection.userId,
-            username: connection.username,
-            cursorPosition,
+            content,
+            revision: (codeDocument.files.get(id)?.revision || 0) + 1,
+            history: [],
+          }));
+
+          await saveCodeFiles(room, files, connection);
+          codeDocument.files = new Map(files.map(file => [file.id, file]));
+          revision = room.codeCollaboration.version;
+
+          io.to(roomId).emit('code-files-sync', { files: listCodeFiles(codeDocument) });
+          scheduleCodeLint(roomId, null, connection);
+        } else if (kind === 'notes') {
+          // Snapshots taken before notes were sanitized may still hold unsafe markup
+          const blocks = (version.content?.blocks || blocksFromContent(version.content?.content || ''))
+            .map(block => ({ ...block, html: sanitizeNoteHtml(block.html || '').html }));
+          await room.updateNotesContent({
+            content: blocksToContent(blocks),
+            blocks,
+            userId,
+            username,
+          });
+          revision = room.notesCollaboration.version;
+          io.to(roomId).emit('note-sync', { blocks, revision });
+        } else {
+          const objects = version.content?.objects || [];
+          await room.updateCanvasDrawing({
+            objects,
+            userId,
+            username,
+          });
+          revision = room.canvasDrawing.version;
+          io.to(roomId).emit('draw-sync', { objects, revision });
+        }
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: 'restore-version',
+          kind,
+          userId,
+        };
+
+        io.to(roomId).emit('version-restored', {
+          kind,
+          versionId,
+          revision,
+          restoredBy: { userId, username },
+          timestamp: new Date(),
+          metadata, // Include metadata for Blind Mode
+        });
+
+        const savedAt = new Date(version.createdAt).toLocaleString();
+        await postSystemMessage(roomId, `${username} restored the ${kind} to the version from ${savedAt}`, metadata);
+
+        console.log(`🕘 ${username} restored ${kind} version ${versionId} in room ${roomId}`);
+
+      } catch (error) {
+        console.error('❌ Error restoring version:', error);
+        socket.emit('error', { message: 'Failed to restore version', code: 'VERSION_RESTORE_ERROR' });
+      } finally {
+        if (restoreLockKey) releaseRoomLock(restoreLockKey);
+      }
+    });
+
+    /**
+     * Handle role changes from the participants list
+     * Owners assign any role (assigning 'owner' transfers ownership),
+     * moderators move members between editor and viewer
+     */
+    socket.on('change-role', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { targetUserId, role } = data || {};
+        if (!targetUserId || !ROLES.includes(role)) {
+          socket.emit('error', { message: 'Invalid role change', code: 'INVALID_DATA' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+        const room = await Room.findRoomById(roomId);
+        if (!room) {
+          return;
+        }
+
+        const target = room.participants.find(p => p.userId === targetUserId && p.isActive);
+        if (!target) {
+          socket.emit('error', { message: 'Participant not found', code: 'PARTICIPANT_NOT_FOUND' });
+          return;
+        }
+
+        const actorRole = getMemberRole(room, userId);
+        const targetRole = getMemberRole(room, target.userId);
+        if (target.userId === userId || !canAssignRole(actorRole, targetRole, role)) {
+          socket.emit('error', { message: 'You do not have permission to change this role', code: 'INSUFFICIENT_ROLE' });
+          return;
+        }
+
+        if (role === targetRole) {
+          return;
+        }
+
+        const changedBy = { userId, username };
+        const changes = [{ userId: target.userId, username: target.username, role }];
+
+        if (role === 'owner') {
+          await room.transferOwnership({ userId: target.userId, username: target.username });
+          changes.push({ userId, username, role: 'moderator' });
+        } else {
+          await room.setMemberRole({ userId: target.userId, username: target.username }, role, changedBy);
+        }
+
+        changes.forEach(change => {
+          // Enhanced metadata for Blind Mode
+          const metadata = {
+            author: username,
+            timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+            actionType: 'role_change',
+            role: change.role,
+            userId: change.userId,
+          };
+
+          io.to(roomId).emit('role-changed', {
+            ...change,
+            changedBy,
             timestamp: new Date(),
             metadata, // Include metadata for Blind Mode
           });
+        });
+
+        console.log(`🛡️ ${username} made ${target.username} ${role} in room ${roomId}`);
+
+      } catch (error) {
+        console.error('❌ Error changing role:', error);
+        socket.emit('error', { message: 'Failed to change role', code: 'ROLE_CHANGE_ERROR' });
+      }
+    });
+
+    /**
+     * Handle moderation actions (kick, ban, unban, mute, unmute)
+     * Owners and moderators can act on members ranked below them; every
+     * action is announced to the room as a system chat message
+     */
+    socket.on('moderate-participant', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const {
+          targetUserId,
+          action,
+          scope = 'all',
+          durationMinutes = DEFAULT_MUTE_MINUTES,
+          reason = '',
+        } = data || {};
+
+        if (!targetUserId || !MODERATION_ACTIONS.includes(action) ||
+            (action === 'mute' && (!MUTE_SCOPES.includes(scope) ||
+              !Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_MUTE_MINUTES)) ||
+            typeof reason !== 'string' || reason.length > 200) {
+          socket.emit('error', { message: 'Invalid moderation action', code: 'INVALID_DATA' });
+          return;
+        }
+
+        const room = await Room.findRoomById(connection.roomId);
+        if (!room) {
+          return;
+        }
+
+        // Banned and muted users may have left, so look beyond the participant list
+        const target = room.participants.find(p => p.userId === targetUserId && p.isActive) ||
+          (room.bannedUsers || []).find(ban => ban.userId === targetUserId) ||
+          (room.mutedUsers || []).find(mute => mute.userId === targetUserId);
+        if (!target) {
+          socket.emit('error', { message: 'Participant not found', code: 'PARTICIPANT_NOT_FOUND' });
+          return;
+        }
+
+        await moderateMember(socket, room, connection, target, action, { scope, durationMinutes, reason });
+
+      } catch (error) {
+        console.error('❌ Error moderating participant:', error);
+        socket.emit('error', { message: 'Failed to moderate participant', code: 'MODERATION_ERROR' });
+      }
+    });
+
+    /**
+     * Handle an owner's or moderator's answer to a knock
+     * Approved users are admitted for good and told to join again;
+     * every manager in the room drops the request from their waiting list
+     */
+    socket.on('respond-join-request', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { userId: requesterId, approve } = data || {};
+        if (!requesterId || typeof approve !== 'boolean') {
+          socket.emit('error', { message: 'Invalid join request response', code: 'INVALID_DATA' });
+          return;
+        }
+
+        const { roomId, userId, username } = connection;
+        let room = await Room.findRoomById(roomId);
+        if (!room) {
+          return;
+        }
+
+        if (!canManageRoom(getMemberRole(room, userId))) {
+          socket.emit('error', { message: 'Only room owners and moderators can answer join requests', code: 'INSUFFICIENT_ROLE' });
+          return;
+        }
+
+        const requests = joinRequests.get(roomId);
+        const request = requests?.get(requesterId);
+        if (!request) {
+          socket.emit('error', { message: 'This join request is no longer waiting', code: 'JOIN_REQUEST_NOT_FOUND' });
+          return;
+        }
+
+        requests.delete(requesterId);
+        if (requests.size === 0) {
+          joinRequests.delete(roomId);
+        }
+
+        const requesterSocket = io.sockets.sockets.get(request.socketId);
+        if (approve) {
+          room = await room.admitUser({ userId: request.userId, username: request.username }, 'approval');
+          requesterSocket?.emit('join-approved', { roomId, approvedBy: { userId, username } });
+        } else {
+          requesterSocket?.emit('join-denied', { roomId, message: 'The room owner declined your request to join' });
+        }
+
+        emitToManagers(room, 'join-request-resolved', {
+          roomId,
+          userId: request.userId,
+          status: approve ? 'approved' : 'denied',
+          resolvedBy: { userId, username },
+        });
+
+        console.log(`🚪 ${username} ${approve ? 'let in' : 'turned away'} ${request.username} (room ${roomId})`);
+
+      } catch (error) {
+        console.error('❌ Error answering join request:', error);
+        socket.emit('error', { message: 'Failed to answer join request', code: 'JOIN_REQUEST_ERROR' });
+      }
+    });
+
+    /**
+     * Handle a knocking user giving up on a join request
+     */
+    socket.on('cancel-join-request', async () => {
+      try {
+        await withdrawJoinRequests(socket.id);
+      } catch (error) {
+        console.error('❌ Error cancelling join request:', error);
+      }
+    });
+
+    /**
+     * Handle chat messages
+     * Stores message in database and broadcasts to room participants
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('chat-message', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { message, messageType = 'text', actionType = 'send', replyTo = null, snippet = null, attachments = [] } = data || {};
+
+        // Files are uploaded over REST first and sent here by id
+        const attachmentIds = Array.isArray(attachments) ? [...new Set(attachments)] : null;
+        if (!attachmentIds || attachmentIds.length > MAX_MESSAGE_ATTACHMENTS || attachmentIds.some(id => typeof id !== 'string')) {
+          socket.emit('error', { message: `Messages can carry up to ${MAX_MESSAGE_ATTACHMENTS} attachments`, code: 'INVALID_ATTACHMENT' });
+          return;
+        }
+        
+        if (typeof message !== 'string' || (message.trim().length === 0 && attachmentIds.length === 0)) {
+          socket.emit('error', { message: 'Message cannot be empty', code: 'EMPTY_MESSAGE' });
+          return;
+        }
+
+        if (!CLIENT_MESSAGE_TYPES.includes(messageType)) {
+          socket.emit('error', { message: 'Unknown message type', code: 'INVALID_MESSAGE_TYPE' });
+          return;
+        }
+
+        if (messageType !== 'text' && attachmentIds.length > 0) {
+          socket.emit('error', { message: 'Only text messages can carry attachments', code: 'INVALID_ATTACHMENT' });
+          return;
+        }
+
+        // Code snippets say which lines of which file they were sent from
+        const snippetSource = messageType === 'code' ? normalizeSnippet(snippet) : null;
+        if (messageType === 'code' && !snippetSource) {
+          socket.emit('error', { message: 'Invalid code snippet details', code: 'INVALID_SNIPPET' });
+          return;
+        }
+
+        const maxLength = messageType === 'code' ? MAX_SNIPPET_MESSAGE_LENGTH : MAX_CHAT_MESSAGE_LENGTH;
+        if (message.length > maxLength) {
+          socket.emit('error', { message: 'Message too long', code: 'MESSAGE_TOO_LONG' });
+          return;
+        }
+
+        // Store the message in the room's chat
+        const room = await Room.findRoomById(connection.roomId);
+        if (room && checkFeatureAllowed(socket, room, 'chat', connection)) {
+          // Text and code snippets pass the content filter; repeating a slash command is not spam
+          let content = message;
+          if (message.trim().length > 0) {
+            const isCommand = messageType === 'text' && !!parseCommand(message);
+            content = filterChatText(socket, 'chat-message', message, connection, !isCommand);
+            if (content === null) {
+              return;
+            }
+          }
+
+          const command = messageType === 'text' && attachmentIds.length === 0 ? parseCommand(content) : null;
+          if (command) {
+            await runChatCommand(socket, room, connection, command);
+            return;
+          }
+
+          // Replies join the thread of the message they answer, threads are one level deep
+          let threadId = null;
+          if (replyTo) {
+            const parent = await ChatMessage.findInRoom(room.roomId, replyTo);
+            if (!parent || parent.messageType === 'system') {
+              socket.emit('error', { message: 'The message you replied to no longer exists', code: 'REPLY_NOT_FOUND' });
+              return;
+            }
+            threadId = parent.replyTo || parent.id;
+          }
+
+          // Only your own uploads to this room that were not sent yet can be attached
+          const uploads = attachmentIds.length > 0
+            ? await ChatAttachment.findUnsent(room.roomId, connection.userId, attachmentIds)
+            : [];
+          if (uploads.length !== attachmentIds.length) {
+            socket.emit('error', { message: 'An attachment was not found or was already sent', code: 'ATTACHMENT_NOT_FOUND' });
+            return;
+          }
+
+          // A leading "//" sends text that starts with a slash
+          const text = messageType === 'text' && content.trim().startsWith('//') ? content.trim().slice(1) : content.trim();
+          const sent = await sendChatMessage(room, connection, {
+            message: text,
+            messageType,
+            replyTo: threadId,
+            snippet: snippetSource,
+            // Keep the order the files were attached in
+            attachments: attachmentIds.map(id => uploads.find(upload => upload.id === id)),
+          }, actionType);
+          // Sending the same uploads twice at once: only one message gets them
+          if (!sent) {
+            socket.emit('error', { message: 'An attachment was not found or was already sent', code: 'ATTACHMENT_NOT_FOUND' });
+          }
+        }
+
+      } catch (error) {
+        console.error('❌ Error handling chat message:', error);
+        socket.emit('error', { message: 'Failed to send message', code: 'CHAT_ERROR' });
+      }
+    });
+
+    /**
+     * Handle edits to the sender's own chat messages (within the edit window)
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('edit-chat-message', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { messageId, message } = data || {};
+
+        if (typeof message !== 'string' || message.trim().length === 0) {
+          socket.emit('error', { message: 'Message cannot be empty', code: 'EMPTY_MESSAGE' });
+          return;
+        }
+
+        const room = await Room.findRoomById(connection.roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'chat', connection)) {
+          return;
+        }
+
+        const chatMessage = await getEditableChatMessage(socket, room, connection, messageId);
+        if (!chatMessage) {
+          return;
+        }
+
+        // Votes were cast on the question as asked
+        if (chatMessage.messageType === 'poll') {
+          socket.emit('error', { message: 'Polls cannot be edited once asked', code: 'POLL_NOT_EDITABLE' });
+          return;
+        }
+
+        const maxLength = chatMessage.messageType === 'code' ? MAX_SNIPPET_MESSAGE_LENGTH : MAX_CHAT_MESSAGE_LENGTH;
+        if (message.length > maxLength) {
+          socket.emit('error', { message: 'Message too long', code: 'MESSAGE_TOO_LONG' });
+          return;
+        }
+
+        // Edited text and snippets are filtered like new ones, but correcting a message is never a repeat
+        const text = filterChatText(socket, 'edit-chat-message', message.trim(), connection, false);
+        if (text === null) {
+          return;
         }
 
+        await chatMessage.edit(text, getMentions(text, room.participants, connection.userId));
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: connection.username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: 'edit',
+          messageLength: message.trim().length,
+          userId: connection.userId,
+        };
+
+        io.to(connection.roomId).emit('chat-message-updated', {
+          id: messageId,
+          message: chatMessage.message,
+          editedAt: chatMessage.editedAt,
+          mentions: chatMessage.mentions,
+          mentionedUserIds: chatMessage.mentionedUserIds,
+          metadata, // Include metadata for Blind Mode
+        });
+
       } catch (error) {
-        console.error('❌ Error handling code change:', error);
-        socket.emit('error', { message: 'Failed to update code', code: 'CODE_UPDATE_ERROR' });
+        console.error('❌ Error editing chat message:', error);
+        socket.emit('error', { message: 'Failed to edit message', code: 'CHAT_ERROR' });
       }
     });
 
     /**
-     * Handle notes changes in collaborative notes editor
-     * Broadcasts changes to other participants in the room
+     * Handle deletion of the sender's own chat messages (within the edit window)
      * Enhanced with metadata for Blind Mode support
      */
-    socket.on('note-change', async (data) => {
+    socket.on('delete-chat-message', async (data) => {
       try {
         const connection = activeConnections.get(socket.id);
         if (!connection || !connection.roomId) {
@@ -646,48 +3328,106 @@ const socketHandler = (io) => {
           return;
         }
 
-        const { content, actionType = 'edit', wordsChanged = 0 } = data;
-        
-        // Update room's notes content
+        const { messageId } = data || {};
+
         const room = await Room.findRoomById(connection.roomId);
-        if (room) {
-          await room.updateNotesContent({
-            content,
-            userId: connection.userId,
-            username: connection.username,
-          });
+        if (!room || !checkFeatureAllowed(socket, room, 'chat', connection)) {
+          return;
+        }
 
-          // Enhanced metadata for Blind Mode
-          const metadata = {
-            author: connection.username,
-            timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
-            actionType: actionType, // insert, delete, edit, format, etc.
-            wordsChanged: wordsChanged,
-            userId: connection.userId,
-          };
+        const chatMessage = await getEditableChatMessage(socket, room, connection, messageId);
+        if (!chatMessage) {
+          return;
+        }
 
-          // Broadcast to other participants in the room
-          socket.to(connection.roomId).emit('note-changed', {
-            content,
-            userId: connection.userId,
-            username: connection.username,
-            timestamp: new Date(),
-            metadata, // Include metadata for Blind Mode
-          });
+        await chatMessage.softDelete();
+        await removeAttachments({ roomId: connection.roomId, messageId });
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: connection.username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: 'delete',
+          userId: connection.userId,
+        };
+
+        io.to(connection.roomId).emit('chat-message-deleted', {
+          id: messageId,
+          metadata, // Include metadata for Blind Mode
+        });
+
+      } catch (error) {
+        console.error('❌ Error deleting chat message:', error);
+        socket.emit('error', { message: 'Failed to delete message', code: 'CHAT_ERROR' });
+      }
+    });
+
+    /**
+     * Handle emoji reactions on chat messages
+     * Reacting again with the same emoji removes the reaction
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('react-chat-message', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { messageId, emoji } = data || {};
+
+        if (typeof emoji !== 'string' || !EMOJI_PATTERN.test(emoji) || !PICTOGRAPH_PATTERN.test(emoji)) {
+          socket.emit('error', { message: 'Invalid reaction', code: 'INVALID_REACTION' });
+          return;
+        }
+
+        const room = await Room.findRoomById(connection.roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'chat', connection)) {
+          return;
+        }
+
+        const chatMessage = await ChatMessage.findInRoom(room.roomId, messageId);
+        if (!chatMessage || chatMessage.deleted || chatMessage.messageType === 'system') {
+          socket.emit('error', { message: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+          return;
+        }
+
+        const distinctEmoji = new Set(chatMessage.reactions.map(reaction => reaction.emoji));
+        if (!distinctEmoji.has(emoji) && distinctEmoji.size >= MAX_CHAT_REACTIONS) {
+          socket.emit('error', { message: 'This message has too many different reactions', code: 'TOO_MANY_REACTIONS' });
+          return;
         }
 
+        const added = await chatMessage.toggleReaction(emoji, connection);
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: connection.username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: added ? 'react' : 'unreact',
+          emoji,
+          userId: connection.userId,
+        };
+
+        io.to(connection.roomId).emit('chat-reactions-updated', {
+          id: messageId,
+          reactions: formatChatMessage(chatMessage).reactions,
+          metadata, // Include metadata for Blind Mode
+        });
+
       } catch (error) {
-        console.error('❌ Error handling note change:', error);
-        socket.emit('error', { message: 'Failed to update notes', code: 'NOTE_UPDATE_ERROR' });
+        console.error('❌ Error reacting to chat message:', error);
+        socket.emit('error', { message: 'Failed to react to message', code: 'CHAT_ERROR' });
       }
     });
 
     /**
-     * Handle canvas drawing events
-     * Broadcasts drawing data to other participants in the room
+     * Handle a new poll from the chat panel's poll composer
+     * The poll is posted as a chat message; /poll creates the same message
      * Enhanced with metadata for Blind Mode support
      */
-    socket.on('draw-event', async (data) => {
+    socket.on('create-poll', async (data) => {
       try {
         const connection = activeConnections.get(socket.id);
         if (!connection || !connection.roomId) {
@@ -695,49 +3435,114 @@ const socketHandler = (io) => {
           return;
         }
 
-        const { drawingData, action, actionType = 'draw', shapeType = 'unknown' } = data;
-        
-        // Update room's canvas drawing
+        const { poll, error } = normalizePoll(data);
+        if (error) {
+          socket.emit('error', { message: error, code: 'INVALID_POLL' });
+          return;
+        }
+
         const room = await Room.findRoomById(connection.roomId);
-        if (room) {
-          await room.updateCanvasDrawing({
-            drawingData,
-            userId: connection.userId,
-            username: connection.username,
-          });
+        if (!room || !checkFeatureAllowed(socket, room, 'chat', connection)) {
+          return;
+        }
 
-          // Enhanced metadata for Blind Mode
-          const metadata = {
-            author: connection.username,
-            timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
-            actionType: actionType, // draw, erase, clear, move, resize, etc.
-            shapeType: shapeType, // line, circle, rectangle, text, etc.
-            userId: connection.userId,
-          };
+        // The question and options pass the content filter like any chat text
+        const texts = [];
+        for (const text of [poll.question, ...poll.options.map(option => option.text)]) {
+          const filtered = filterChatText(socket, 'create-poll', text, connection, false);
+          if (filtered === null) {
+            return;
+          }
+          texts.push(filtered);
+        }
+        const [question, ...optionTexts] = texts;
+        poll.question = question;
+        poll.options = poll.options.map((option, index) => ({ ...option, text: optionTexts[index] }));
 
-          // Broadcast to other participants in the room
-          socket.to(connection.roomId).emit('drawing-updated', {
-            drawingData,
-            action,
-            userId: connection.userId,
-            username: connection.username,
-            timestamp: new Date(),
-            metadata, // Include metadata for Blind Mode
+        await sendChatMessage(room, connection, { message: poll.question, messageType: 'poll', poll }, 'poll');
+        console.log(`📊 ${connection.username} started a poll in room ${room.roomId}`);
+
+      } catch (error) {
+        console.error('❌ Error creating poll:', error);
+        socket.emit('error', { message: 'Failed to create poll', code: 'POLL_ERROR' });
+      }
+    });
+
+    /**
+     * Handle a vote in a poll, replacing the voter's earlier vote
+     * An empty choice withdraws the vote; the room gets the new results and
+     * the voter's own tabs get their choice
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('vote-poll', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { messageId, optionIds } = data || {};
+        if (!Array.isArray(optionIds) || optionIds.some(optionId => typeof optionId !== 'string')) {
+          socket.emit('error', { message: 'Invalid vote', code: 'INVALID_VOTE' });
+          return;
+        }
+
+        const room = await Room.findRoomById(connection.roomId);
+        if (!room || !checkFeatureAllowed(socket, room, 'chat', connection)) {
+          return;
+        }
+
+        const chatMessage = await ChatMessage.findInRoom(room.roomId, messageId);
+        if (!chatMessage || chatMessage.deleted || !chatMessage.poll) {
+          socket.emit('error', { message: 'Poll not found', code: 'POLL_NOT_FOUND' });
+          return;
+        }
+
+        const { poll } = chatMessage;
+        if (isPollClosed(poll)) {
+          socket.emit('error', { message: 'This poll is closed', code: 'POLL_CLOSED' });
+          return;
+        }
+
+        const choice = [...new Set(optionIds)];
+        const validIds = poll.options.map(option => option.id);
+        if (choice.some(optionId => !validIds.includes(optionId)) || (!poll.multipleChoice && choice.length > 1)) {
+          socket.emit('error', {
+            message: poll.multipleChoice ? 'Choose options from this poll' : 'Choose one option from this poll',
+            code: 'INVALID_VOTE',
           });
+          return;
         }
 
+        await chatMessage.castPollVote(connection, choice);
+
+        // Enhanced metadata for Blind Mode; anonymous votes are not attributed
+        const metadata = {
+          author: poll.anonymous ? 'Someone' : connection.username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: choice.length > 0 ? 'vote' : 'unvote',
+          userId: poll.anonymous ? null : connection.userId,
+        };
+
+        io.to(room.roomId).emit('poll-updated', {
+          id: chatMessage.id,
+          poll: formatPoll(chatMessage.poll),
+          metadata, // Include metadata for Blind Mode
+        });
+        emitToUser(room.roomId, connection.userId, 'poll-vote-recorded', { id: chatMessage.id, optionIds: choice });
+
       } catch (error) {
-        console.error('❌ Error handling draw event:', error);
-        socket.emit('error', { message: 'Failed to update drawing', code: 'DRAW_UPDATE_ERROR' });
+        console.error('❌ Error voting in poll:', error);
+        socket.emit('error', { message: 'Failed to record your vote', code: 'POLL_ERROR' });
       }
     });
 
     /**
-     * Handle chat messages
-     * Stores message in database and broadcasts to room participants
+     * Handle closing a poll early, by its author or an owner or moderator
      * Enhanced with metadata for Blind Mode support
      */
-    socket.on('chat-message', async (data) => {
+    socket.on('close-poll', async (data) => {
       try {
         const connection = activeConnections.get(socket.id);
         if (!connection || !connection.roomId) {
@@ -745,57 +3550,195 @@ const socketHandler = (io) => {
           return;
         }
 
-        const { message, messageType = 'text', actionType = 'send' } = data;
-        
-        if (!message || message.trim().length === 0) {
+        const { messageId } = data || {};
+
+        const room = await Room.findRoomById(connection.roomId);
+        if (!room) {
+          return;
+        }
+
+        const chatMessage = await ChatMessage.findInRoom(room.roomId, messageId);
+        if (!chatMessage || chatMessage.deleted || !chatMessage.poll) {
+          socket.emit('error', { message: 'Poll not found', code: 'POLL_NOT_FOUND' });
+          return;
+        }
+        if (chatMessage.userId !== connection.userId && !canManageRoom(getMemberRole(room, connection.userId))) {
+          socket.emit('error', { message: 'Only whoever asked the poll, an owner or a moderator can close it', code: 'INSUFFICIENT_ROLE' });
+          return;
+        }
+        if (isPollClosed(chatMessage.poll)) {
+          socket.emit('error', { message: 'This poll is already closed', code: 'POLL_CLOSED' });
+          return;
+        }
+
+        await chatMessage.closePoll();
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: connection.username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: 'close-poll',
+          userId: connection.userId,
+        };
+
+        io.to(room.roomId).emit('poll-updated', {
+          id: chatMessage.id,
+          poll: formatPoll(chatMessage.poll),
+          metadata, // Include metadata for Blind Mode
+        });
+        await postSystemMessage(room.roomId, `${connection.username} closed the poll "${chatMessage.poll.question}"`, metadata);
+
+      } catch (error) {
+        console.error('❌ Error closing poll:', error);
+        socket.emit('error', { message: 'Failed to close poll', code: 'POLL_ERROR' });
+      }
+    });
+
+    /**
+     * Handle read receipts: the newest room chat message a user has seen
+     * Read markers only move forward and are shared with the room for "seen by"
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('mark-chat-read', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { messageId } = data || {};
+        const chatMessage = await ChatMessage.findInRoom(connection.roomId, messageId);
+        if (!chatMessage) {
+          socket.emit('error', { message: 'Message not found', code: 'MESSAGE_NOT_FOUND' });
+          return;
+        }
+
+        const readState = await ChatReadState.markRead(connection.roomId, connection, chatMessage);
+        if (!readState) return; // Already read further on
+
+        // Enhanced metadata for Blind Mode
+        const metadata = {
+          author: connection.username,
+          timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
+          actionType: 'read',
+          userId: connection.userId,
+        };
+
+        io.to(connection.roomId).emit('chat-read-updated', {
+          ...formatReadState(readState),
+          metadata, // Include metadata for Blind Mode
+        });
+
+      } catch (error) {
+        console.error('❌ Error marking chat read:', error);
+        socket.emit('error', { message: 'Failed to update read receipts', code: 'CHAT_READ_ERROR' });
+      }
+    });
+
+    /**
+     * Handle private messages between two participants of the same room
+     * Delivered only to the sender's and recipient's sockets, never the room
+     * Enhanced with metadata for Blind Mode support
+     */
+    socket.on('direct-message', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { recipientId, message } = data || {};
+
+        if (typeof message !== 'string' || message.trim().length === 0) {
           socket.emit('error', { message: 'Message cannot be empty', code: 'EMPTY_MESSAGE' });
           return;
         }
 
-        if (message.length > 1000) {
+        if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
           socket.emit('error', { message: 'Message too long', code: 'MESSAGE_TOO_LONG' });
           return;
         }
 
-        // Update room's chat messages
+        if (typeof recipientId !== 'string' || recipientId === connection.userId) {
+          socket.emit('error', { message: 'Choose someone else to message', code: 'INVALID_RECIPIENT' });
+          return;
+        }
+
         const room = await Room.findRoomById(connection.roomId);
-        if (room) {
-          const messageData = {
-            userId: connection.userId,
-            username: connection.username,
-            message: message.trim(),
-            messageType,
-          };
+        if (!room || !checkFeatureAllowed(socket, room, 'chat', connection)) {
+          return;
+        }
 
-          await room.addChatMessage(messageData);
+        // Only people in the room can be messaged
+        const recipient = room.participants.find(participant => participant.userId === recipientId);
+        if (!recipient) {
+          socket.emit('error', { message: 'That person is not in this room', code: 'RECIPIENT_NOT_FOUND' });
+          return;
+        }
 
-          // Update user's message count
-          const user = await User.findByUserId(connection.userId);
-          if (user) {
-            await user.incrementMessageCount();
-          }
+        const text = filterChatText(socket, 'direct-message', message.trim(), connection);
+        if (text === null) {
+          return;
+        }
 
-          // Enhanced metadata for Blind Mode
-          const metadata = {
+        const directMessage = await DirectMessage.create({
+          roomId: room.roomId,
+          conversationId: DirectMessage.conversationKey(connection.userId, recipientId),
+          senderId: connection.userId,
+          senderUsername: connection.username,
+          recipientId,
+          recipientUsername: recipient.username,
+          message: text,
+        });
+
+        // Enhanced metadata for Blind Mode
+        const payload = {
+          ...formatDirectMessage(directMessage),
+          metadata: {
             author: connection.username,
             timestamp: Math.floor(Date.now() / 1000), // Unix timestamp
-            actionType: actionType, // send, edit, delete, react, etc.
-            messageLength: message.trim().length,
+            actionType: 'direct-message',
+            messageLength: directMessage.message.length,
             userId: connection.userId,
-          };
+          }, // Include metadata for Blind Mode
+        };
 
-          // Broadcast to all participants in the room (including sender)
-          io.to(connection.roomId).emit('chat-message', {
-            ...messageData,
-            timestamp: new Date(),
-            id: uuidv4(),
-            metadata, // Include metadata for Blind Mode
-          });
+        // Both sides get it on every socket they have open in the room
+        emitToUser(room.roomId, connection.userId, 'direct-message', payload);
+        emitToUser(room.roomId, recipientId, 'direct-message', payload);
+
+      } catch (error) {
+        console.error('❌ Error sending direct message:', error);
+        socket.emit('error', { message: 'Failed to send direct message', code: 'DIRECT_MESSAGE_ERROR' });
+      }
+    });
+
+    /**
+     * Handle a participant reading a private conversation
+     * Clears its unread count on all of the reader's sockets
+     */
+    socket.on('mark-direct-messages-read', async (data) => {
+      try {
+        const connection = activeConnections.get(socket.id);
+        if (!connection || !connection.roomId) {
+          socket.emit('error', { message: 'Not in a room', code: 'NOT_IN_ROOM' });
+          return;
+        }
+
+        const { userId } = data || {};
+        if (typeof userId !== 'string') {
+          socket.emit('error', { message: 'Invalid conversation', code: 'INVALID_RECIPIENT' });
+          return;
         }
 
+        await DirectMessage.markRead(connection.roomId, connection.userId, userId);
+        emitToUser(connection.roomId, connection.userId, 'direct-messages-read', { userId });
+
       } catch (error) {
-        console.error('❌ Error handling chat message:', error);
-        socket.emit('error', { message: 'Failed to send message', code: 'CHAT_ERROR' });
+        console.error('❌ Error marking direct messages read:', error);
+        socket.emit('error', { message: 'Failed to update direct messages', code: 'DIRECT_MESSAGE_ERROR' });
       }
     });
 
@@ -902,13 +3845,12 @@ const socketHandler = (io) => {
         // Leave socket room
         socket.leave(roomId);
         
-        // Update connection info
+        // Update connection info, keeping the authenticated identity
         activeConnections.set(socket.id, {
-          userId: null,
+          ...connection,
           roomId: null,
-          username: null,
-          connectedAt: new Date(),
         });
+        releaseReplDriver(roomId, userId);
 
         console.log(`👋 ${username} left room ${roomId}`);
 
@@ -937,6 +3879,9 @@ const socketHandler = (io) => {
         
         // Clean up connection state
         connectionStates.delete(socket.id);
+
+        // A user who disconnects while knocking leaves the waiting room
+        await withdrawJoinRequests(socket.id);
         
         const connection = activeConnections.get(socket.id);
         if (connection && connection.roomId) {
@@ -986,6 +3931,8 @@ const socketHandler = (io) => {
             console.error('❌ Error updating user room status:', userError);
           }
 
+          releaseReplDriver(roomId, userId, socket.id);
+
           console.log(`🔌 ${username || 'User'} disconnected from room ${roomId}`);
         }
 
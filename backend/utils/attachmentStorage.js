@@ -0,0 +1,94 @@
+/**
+ * Attachment Storage
+ *
+ * Chat attachments are kept behind a small storage interface so the local disk
+ * can be swapped for object storage without touching the routes. A storage is
+ * an object with:
+ * - save(key, buffer, { contentType }) - store a new file
+ * - createReadStream(key) - resolve to a readable stream of the file
+ * - remove(key) - delete the file, ignoring files that are already gone
+ * Storages are registered by name and picked with ATTACHMENT_STORAGE ("local" by default)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Where the local disk storage keeps files unless ATTACHMENT_UPLOAD_DIR says otherwise
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+/**
+ * Create a storage that keeps files on the local disk, one file per key
+ * @param {Object} options - { directory }
+ * @returns {Object} Attachment storage
+ */
+const createLocalDiskStorage = ({ directory = process.env.ATTACHMENT_UPLOAD_DIR || DEFAULT_UPLOAD_DIR } = {}) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the server, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid attachment key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async createReadStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+// Storage factories by name
+const storageFactories = new Map([
+  ['local', createLocalDiskStorage],
+]);
+
+let attachmentStorage = null;
+
+/**
+ * Make a storage available under a name for ATTACHMENT_STORAGE
+ * @param {string} name - Storage name
+ * @param {Function} factory - Creates the storage
+ */
+const registerAttachmentStorage = (name, factory) => {
+  storageFactories.set(name, factory);
+};
+
+/**
+ * Get the configured attachment storage, creating it on first use
+ * @returns {Object} Attachment storage
+ */
+const getAttachmentStorage = () => {
+  if (!attachmentStorage) {
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    const factory = storageFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown attachment storage: ${name}`);
+    }
+    attachmentStorage = factory();
+    console.log(`📎 Storing chat attachments with the ${name} storage`);
+  }
+  return attachmentStorage;
+};
+
+module.exports = {
+  createLocalDiskStorage,
+  registerAttachmentStorage,
+  getAttachmentStorage,
+};
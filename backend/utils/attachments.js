@@ -0,0 +1,111 @@
+/**
+ * Chat Attachment Utilities
+ *
+ * Size and type limits for files uploaded to chat, the client-facing shape of
+ * attachments and removal of their stored files. A file's type comes from its
+ * extension, and images must also start with their format's signature, so
+ * nothing is served as a type other than what it is.
+ */
+
+const path = require('path');
+const ChatAttachment = require('../models/ChatAttachment');
+const { getAttachmentStorage } = require('./attachmentStorage');
+
+// Largest upload in bytes (10 MB unless ATTACHMENT_MAX_BYTES is set)
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Attachments one chat message can carry
+const MAX_MESSAGE_ATTACHMENTS = 5;
+
+// Accepted extensions and the type each is stored and served as; SVG is left out as it can carry scripts
+const ATTACHMENT_TYPES = {
+  '.png': { contentType: 'image/png', kind: 'image' },
+  '.jpg': { contentType: 'image/jpeg', kind: 'image' },
+  '.jpeg': { contentType: 'image/jpeg', kind: 'image' },
+  '.gif': { contentType: 'image/gif', kind: 'image' },
+  '.webp': { contentType: 'image/webp', kind: 'image' },
+  '.txt': { contentType: 'text/plain', kind: 'file' },
+  '.log': { contentType: 'text/plain', kind: 'file' },
+  '.md': { contentType: 'text/markdown', kind: 'file' },
+  '.csv': { contentType: 'text/csv', kind: 'file' },
+  '.json': { contentType: 'application/json', kind: 'file' },
+  '.pdf': { contentType: 'application/pdf', kind: 'file' },
+  '.zip': { contentType: 'application/zip', kind: 'file' },
+};
+
+// Leading bytes of each image format
+const IMAGE_SIGNATURES = {
+  'image/png': (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  'image/gif': (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii')),
+  'image/webp': (buffer) => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP',
+};
+
+/**
+ * Clean an uploaded file's name for storing and showing
+ * @param {string} name - Name sent by the client
+ * @returns {string} Name without directories or control characters, at most 255 characters
+ */
+const sanitizeFilename = (name) => (
+  path.basename(String(name).replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .slice(-255)
+);
+
+/**
+ * Work out what an uploaded file is and whether it is accepted
+ * @param {string} name - Sanitized file name
+ * @param {Buffer} buffer - File content
+ * @returns {Object} { contentType, kind }, or { error } describing why it was refused
+ */
+const detectAttachmentType = (name, buffer) => {
+  const type = ATTACHMENT_TYPES[path.extname(name).toLowerCase()];
+  if (!type) {
+    return { error: `Only ${Object.keys(ATTACHMENT_TYPES).join(', ')} files can be attached` };
+  }
+  if (type.kind === 'image' && !IMAGE_SIGNATURES[type.contentType](buffer)) {
+    return { error: `${name} is not a valid ${type.contentType.replace('image/', '').toUpperCase()} image` };
+  }
+  return type;
+};
+
+/**
+ * Shape an attachment for clients
+ * @param {Object} attachment - ChatAttachment document, or attachment metadata stored on a message
+ * @param {string} roomId - Room the attachment belongs to
+ * @returns {Object} { id, name, contentType, kind, size, url }
+ */
+const formatAttachment = (attachment, roomId) => ({
+  id: attachment.id,
+  name: attachment.name,
+  contentType: attachment.contentType,
+  kind: attachment.kind,
+  size: attachment.size,
+  url: `/api/rooms/${roomId}/attachments/${attachment.id}`,
+});
+
+/**
+ * Delete attachments and their stored files
+ * @param {Object} filter - ChatAttachment query, e.g. { roomId, messageId }
+ * @returns {Promise<number>} Number of attachments removed
+ */
+const removeAttachments = async (filter) => {
+  const attachments = await ChatAttachment.find(filter);
+  if (attachments.length === 0) return 0;
+
+  const storage = getAttachmentStorage();
+  await Promise.all(attachments.map(attachment => storage.remove(attachment.storageKey)));
+  await ChatAttachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  return attachments.length;
+};
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_MESSAGE_ATTACHMENTS,
+  ATTACHMENT_TYPES,
+  sanitizeFilename,
+  detectAttachmentType,
+  formatAttachment,
+  removeAttachments,
+};
@@ -0,0 +1,101 @@
+/**
+ * Auth Token Utilities
+ *
+ * Signs and verifies the JWTs used for REST and socket authentication:
+ * - access tokens are short-lived and sent with every request / handshake
+ * - refresh tokens are long-lived and only exchanged for new token pairs;
+ *   they carry the user's tokenVersion so logging out revokes them
+ */
+
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+/**
+ * Get the secret for a token type
+ * Refresh tokens use their own secret when one is configured
+ * @param {string} type - 'access' or 'refresh'
+ * @returns {string} Signing secret
+ */
+const getSecret = (type) => {
+  const secret = type === 'refresh'
+    ? process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+    : process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+};
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user.userId, username: user.username, type: 'access' },
+    getSecret('access'),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Sign a refresh token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+const generateRefreshToken = (user) => {
+  return jwt.sign(
+    { sub: user.userId, version: user.tokenVersion || 0, type: 'refresh' },
+    getSecret('refresh'),
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Issue a new access/refresh token pair
+ * @param {Object} user - User document
+ * @returns {Object} { accessToken, refreshToken }
+ */
+const issueTokens = (user) => ({
+  accessToken: generateAccessToken(user),
+  refreshToken: generateRefreshToken(user),
+});
+
+/**
+ * Verify a token and check its type
+ * @param {string} token - Signed JWT
+ * @param {string} type - Expected type ('access' or 'refresh')
+ * @returns {Object} Decoded payload
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError} If the token is invalid
+ */
+const verifyToken = (token, type) => {
+  const payload = jwt.verify(token, getSecret(type));
+  if (payload.type !== type) {
+    throw new jwt.JsonWebTokenError(`Invalid token type, expected ${type}`);
+  }
+  return payload;
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed JWT
+ * @returns {Object} Decoded payload ({ sub, username })
+ */
+const verifyAccessToken = (token) => verifyToken(token, 'access');
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Signed JWT
+ * @returns {Object} Decoded payload ({ sub, version })
+ */
+const verifyRefreshToken = (token) => verifyToken(token, 'refresh');
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken,
+};
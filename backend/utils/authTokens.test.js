@@ -0,0 +1,60 @@
+const jwt = require('jsonwebtoken');
+const { issueTokens, verifyAccessToken, verifyRefreshToken } = require('./authTokens');
+
+const user = { userId: 'user-1', username: 'Ann', tokenVersion: 2 };
+const saved = { JWT_SECRET: process.env.JWT_SECRET, JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET };
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'access-secret';
+  delete process.env.JWT_REFRESH_SECRET;
+});
+
+afterAll(() => {
+  Object.entries(saved).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+});
+
+describe('issueTokens', () => {
+  test('issues an access token naming the user', () => {
+    const { accessToken } = issueTokens(user);
+    expect(verifyAccessToken(accessToken)).toMatchObject({ sub: 'user-1', username: 'Ann', type: 'access' });
+  });
+
+  test('issues a refresh token carrying the token version', () => {
+    const { refreshToken } = issueTokens(user);
+    expect(verifyRefreshToken(refreshToken)).toMatchObject({ sub: 'user-1', version: 2, type: 'refresh' });
+    expect(verifyRefreshToken(issueTokens({ userId: 'user-2' }).refreshToken).version).toBe(0);
+  });
+
+  test('signs refresh tokens with their own secret when one is set', () => {
+    process.env.JWT_REFRESH_SECRET = 'refresh-secret';
+    const { refreshToken } = issueTokens(user);
+    expect(() => jwt.verify(refreshToken, 'access-secret')).toThrow(jwt.JsonWebTokenError);
+    expect(verifyRefreshToken(refreshToken).sub).toBe('user-1');
+  });
+
+  test('refuses to sign without a secret', () => {
+    delete process.env.JWT_SECRET;
+    expect(() => issueTokens(user)).toThrow('JWT_SECRET is not configured');
+  });
+});
+
+describe('verifying tokens', () => {
+  test('does not take one kind of token for the other', () => {
+    const { accessToken, refreshToken } = issueTokens(user);
+    expect(() => verifyAccessToken(refreshToken)).toThrow('Invalid token type, expected access');
+    expect(() => verifyRefreshToken(accessToken)).toThrow('Invalid token type, expected refresh');
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const forged = jwt.sign({ sub: 'user-1', username: 'Ann', type: 'access' }, 'guessed');
+    expect(() => verifyAccessToken(forged)).toThrow(jwt.JsonWebTokenError);
+  });
+
+  test('rejects expired tokens', () => {
+    const expired = jwt.sign({ sub: 'user-1', type: 'access', exp: Math.floor(Date.now() / 1000) - 10 }, 'access-secret');
+    expect(() => verifyAccessToken(expired)).toThrow(jwt.TokenExpiredError);
+  });
+});
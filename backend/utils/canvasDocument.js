@@ -0,0 +1,128 @@
+/**
+ * Canvas Document Utilities
+ *
+ * Object-level model for the collaborative canvas.
+ * Every fabric object carries a stable `objectId`; clients send operations:
+ * - add: append an object (fabric JSON) to the top of the stack
+ * - modify: replace an object's fabric JSON
+ * - remove: delete an object
+ * - clear: delete every object
+ *
+ * Operations on different objects never conflict; concurrent modifications
+ * of the same object resolve to the last one received.
+ *
+ * Objects are limited to the shapes and text the canvas draws (no images or
+ * groups), to MAX_CANVAS_OBJECT_BYTES of JSON each and to MAX_CANVAS_OBJECTS
+ * per canvas, so one member cannot grow the room past what it can store.
+ */
+
+const OPERATION_TYPES = ['add', 'modify', 'remove', 'clear'];
+
+// Fabric object types that can be drawn
+const CANVAS_OBJECT_TYPES = [
+  'path', 'line', 'rect', 'circle', 'ellipse', 'triangle', 'polyline', 'polygon', 'text', 'i-text', 'textbox',
+];
+
+// Largest object, as JSON, and most objects one canvas holds
+const MAX_CANVAS_OBJECT_BYTES = 64 * 1024;
+const MAX_CANVAS_OBJECTS = 1000;
+
+/**
+ * Check that a canvas operation is well formed
+ * @param {*} operation - Value received from a client
+ * @returns {boolean} True if the operation can be applied
+ */
+const isValidCanvasOperation = (operation) => {
+  if (!operation || !OPERATION_TYPES.includes(operation.type)) {
+    return false;
+  }
+  if (operation.type === 'clear') {
+    return true;
+  }
+  if (typeof operation.objectId !== 'string' || !operation.objectId || operation.objectId.length > 64) {
+    return false;
+  }
+  if (operation.type === 'remove') {
+    return true;
+  }
+  const { object } = operation;
+  if (!object || typeof object !== 'object' || Array.isArray(object) || !CANVAS_OBJECT_TYPES.includes(object.type)) {
+    return false;
+  }
+  return Buffer.byteLength(JSON.stringify(object)) <= MAX_CANVAS_OBJECT_BYTES;
+};
+
+/**
+ * Build canvas objects from drawing data stored before objects had ids
+ * @param {Object} drawingData - Legacy fabric canvas JSON
+ * @returns {Array} Canvas objects with generated ids
+ */
+const objectsFromDrawingData = (drawingData) => {
+  if (!drawingData || !Array.isArray(drawingData.objects)) {
+    return [];
+  }
+  // Ids are derived from the position so every participant sees the same ones
+  return drawingData.objects.map((object, index) => {
+    const objectId = object.objectId || `legacy-${index}`;
+    return { objectId, data: { ...object, objectId }, version: 1 };
+  });
+};
+
+/**
+ * Apply a canvas operation to a list of objects
+ * @param {Array} objects - Canvas objects (mutated)
+ * @param {Object} operation - Canvas operation
+ * @param {Object} author - { userId, username } of the sender
+ * @returns {Object|null} Operation to broadcast, or null if nothing changed
+ */
+const applyCanvasOperation = (objects, operation, author) => {
+  if (operation.type === 'clear') {
+    if (objects.length === 0) {
+      return null;
+    }
+    objects.splice(0, objects.length);
+    return { type: 'clear' };
+  }
+
+  const index = objects.findIndex(object => object.objectId === operation.objectId);
+
+  switch (operation.type) {
+    case 'remove':
+      if (index === -1) {
+        return null;
+      }
+      objects.splice(index, 1);
+      return { type: 'remove', objectId: operation.objectId };
+
+    case 'add':
+    case 'modify': {
+      const data = { ...operation.object, objectId: operation.objectId };
+
+      if (index === -1) {
+        // Modifying an object removed concurrently brings it back so no edit is lost
+        objects.push({ objectId: operation.objectId, data, version: 1, lastModifiedBy: author });
+        return { type: 'add', objectId: operation.objectId, object: data };
+      }
+
+      objects[index] = {
+        ...objects[index],
+        data,
+        version: (objects[index].version || 0) + 1,
+        lastModifiedBy: author,
+      };
+      return { type: 'modify', objectId: operation.objectId, object: data };
+    }
+
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  CANVAS_OBJECT_TYPES,
+  MAX_CANVAS_OBJECT_BYTES,
+  MAX_CANVAS_OBJECTS,
+  isValidCanvasOperation,
+  objectsFromDrawingData,
+  applyCanvasOperation,
+};
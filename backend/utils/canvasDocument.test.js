@@ -0,0 +1,57 @@
+const {
+  MAX_CANVAS_OBJECT_BYTES,
+  isValidCanvasOperation,
+  applyCanvasOperation,
+} = require('./canvasDocument');
+
+const rect = { type: 'rect', left: 10, top: 20, width: 30, height: 40, fill: '#f00' };
+
+describe('isValidCanvasOperation', () => {
+  test('accepts the shapes, paths and text the canvas draws', () => {
+    expect(isValidCanvasOperation({ type: 'add', objectId: 'a', object: rect })).toBe(true);
+    expect(isValidCanvasOperation({ type: 'modify', objectId: 'a', object: { type: 'path', path: [['M', 0, 0]] } })).toBe(true);
+    expect(isValidCanvasOperation({ type: 'add', objectId: 'a', object: { type: 'i-text', text: 'hi' } })).toBe(true);
+    expect(isValidCanvasOperation({ type: 'remove', objectId: 'a' })).toBe(true);
+    expect(isValidCanvasOperation({ type: 'clear' })).toBe(true);
+  });
+
+  test.each([
+    [null],
+    [{ type: 'move', objectId: 'a' }],
+    [{ type: 'remove', objectId: '' }],
+    [{ type: 'remove', objectId: 'x'.repeat(65) }],
+    [{ type: 'add', objectId: 'a' }],
+    [{ type: 'add', objectId: 'a', object: [rect] }],
+    [{ type: 'add', objectId: 'a', object: { left: 1 } }],
+    [{ type: 'add', objectId: 'a', object: { type: 'image', src: 'https://example.com/x.png' } }],
+    [{ type: 'modify', objectId: 'a', object: { type: 'group', objects: [rect] } }],
+  ])('rejects %p', (operation) => {
+    expect(isValidCanvasOperation(operation)).toBe(false);
+  });
+
+  test('rejects objects over the size limit', () => {
+    const path = (length) => ({ type: 'path', path: 'x'.repeat(length) });
+    const overhead = JSON.stringify(path(0)).length;
+    expect(isValidCanvasOperation({ type: 'add', objectId: 'a', object: path(MAX_CANVAS_OBJECT_BYTES - overhead) })).toBe(true);
+    expect(isValidCanvasOperation({ type: 'add', objectId: 'a', object: path(MAX_CANVAS_OBJECT_BYTES - overhead + 1) })).toBe(false);
+  });
+});
+
+describe('applyCanvasOperation', () => {
+  const author = { userId: 'u1', username: 'Ann' };
+
+  test('adds, modifies and removes objects by id', () => {
+    const objects = [];
+    expect(applyCanvasOperation(objects, { type: 'add', objectId: 'a', object: rect }, author))
+      .toEqual({ type: 'add', objectId: 'a', object: { ...rect, objectId: 'a' } });
+    applyCanvasOperation(objects, { type: 'modify', objectId: 'a', object: { ...rect, left: 50 } }, author);
+    expect(objects).toEqual([{ objectId: 'a', data: { ...rect, left: 50, objectId: 'a' }, version: 2, lastModifiedBy: author }]);
+    expect(applyCanvasOperation(objects, { type: 'remove', objectId: 'a' }, author)).toEqual({ type: 'remove', objectId: 'a' });
+    expect(objects).toEqual([]);
+  });
+
+  test('changes nothing when removing a missing object or clearing an empty canvas', () => {
+    expect(applyCanvasOperation([], { type: 'remove', objectId: 'a' }, author)).toBeNull();
+    expect(applyCanvasOperation([], { type: 'clear' }, author)).toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Chat Command Utilities
+ *
+ * Slash commands typed into chat (`/roll 2d6`, `/topic Sprint 12`) are run by
+ * the server instead of being sent. Commands live in a registry so features can
+ * add their own; this module holds the registry, the parser and helpers for
+ * reading command arguments.
+ */
+
+// "/name" or "/name arguments"; anything else (e.g. "/usr/bin") is ordinary text
+const COMMAND_PATTERN = /^\/([a-z][a-z-]{0,29})(?:\s+([\s\S]*))?$/i;
+const COMMAND_NAME = /^[a-z][a-z-]{0,29}$/i;
+
+// Characters that would make a name part of a longer name, as for mentions
+const NAME_CHARACTER = /[a-zA-Z0-9_-]/;
+
+/**
+ * Parse a chat message as a slash command
+ * A leading "//" escapes the slash and sends the rest as text
+ * @param {string} text - Message text
+ * @returns {Object|null} { name, args } or null when the message is not a command
+ */
+const parseCommand = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('/') || trimmed.startsWith('//')) return null;
+
+  const match = COMMAND_PATTERN.exec(trimmed);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+};
+
+/**
+ * Create a command registry
+ * Commands are { name, usage, description, managersOnly, run(context) } where
+ * run receives { args, room, connection, socket, reply, fail }
+ * @returns {Object} Registry with register, get and list
+ */
+const createCommandRegistry = () => {
+  const commands = new Map();
+
+  return {
+    /**
+     * Add a command, replacing any with the same name
+     * @param {Object} command - Command definition
+     */
+    register(command) {
+      if (!COMMAND_NAME.test(command.name || '') || typeof command.run !== 'function') {
+        throw new Error(`Invalid chat command: ${command.name}`);
+      }
+      commands.set(command.name.toLowerCase(), {
+        usage: `/${command.name}`,
+        description: '',
+        managersOnly: false,
+        ...command,
+      });
+    },
+
+    /**
+     * Find a command by name
+     * @param {string} name - Command name without the slash
+     * @returns {Object|undefined} Command definition
+     */
+    get(name) {
+      return commands.get(name.toLowerCase());
+    },
+
+    /**
+     * Describe the commands for autocomplete and /help
+     * @returns {Array} { name, usage, description, managersOnly } sorted by name
+     */
+    list() {
+      return Array.from(commands.values())
+        .map(({ name, usage, description, managersOnly }) => ({ name, usage, description, managersOnly }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+  };
+};
+
+/**
+ * Split a participant's name off the front of command arguments
+ * Usernames may contain spaces, so the longest matching name wins; a leading @ is allowed
+ * @param {string} args - Command arguments
+ * @param {Array<string>} usernames - Names that can be given
+ * @returns {Object|null} { username, rest } or null when no name matches
+ */
+const takeUsername = (args, usernames) => {
+  const text = args.startsWith('@') ? args.slice(1) : args;
+  const lowerText = text.toLowerCase();
+  const username = [...new Set(usernames.filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .find(name => lowerText.startsWith(name.toLowerCase()) && !NAME_CHARACTER.test(text[name.length] || ''));
+
+  if (!username) return null;
+  return { username, rest: text.slice(username.length).trim() };
+};
+
+/**
+ * Parse dice notation such as "d20", "2d6" or "3d8+2"
+ * @param {string} spec - Dice notation
+ * @param {Object} limits - { maxDice, maxSides, maxModifier }
+ * @returns {Object|null} { count, sides, modifier } or null when invalid or out of range
+ */
+const parseDice = (spec, { maxDice = 20, maxSides = 1000, maxModifier = 1000 } = {}) => {
+  const match = /^(\d{0,3})d(\d{1,4})(?:([+-])(\d{1,4}))?$/i.exec(spec.trim());
+  if (!match) return null;
+
+  const count = match[1] ? parseInt(match[1], 10) : 1;
+  const sides = parseInt(match[2], 10);
+  const modifier = match[3] ? parseInt(match[4], 10) * (match[3] === '-' ? -1 : 1) : 0;
+  if (count < 1 || count > maxDice || sides < 2 || sides > maxSides || Math.abs(modifier) > maxModifier) {
+    return null;
+  }
+  return { count, sides, modifier };
+};
+
+module.exports = {
+  parseCommand,
+  createCommandRegistry,
+  takeUsername,
+  parseDice,
+};
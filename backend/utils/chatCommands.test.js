@@ -0,0 +1,104 @@
+const { parseCommand, createCommandRegistry, takeUsername, parseDice } = require('./chatCommands');
+
+describe('parseCommand', () => {
+  test('splits the name from its arguments', () => {
+    expect(parseCommand('/topic  Sprint 12 ')).toEqual({ name: 'topic', args: 'Sprint 12' });
+    expect(parseCommand('/ROLL')).toEqual({ name: 'roll', args: '' });
+  });
+
+  test('keeps multi-line arguments', () => {
+    expect(parseCommand('/me waves\nand leaves')).toEqual({ name: 'me', args: 'waves\nand leaves' });
+  });
+
+  test('treats "//" as an escaped slash', () => {
+    expect(parseCommand('//roll is a command')).toBeNull();
+    expect(parseCommand('  //topic')).toBeNull();
+  });
+
+  test('ignores text that only starts with a slash', () => {
+    expect(parseCommand('/usr/bin/env node')).toBeNull();
+    expect(parseCommand('/1d6')).toBeNull();
+    expect(parseCommand('/')).toBeNull();
+    expect(parseCommand('hello /roll')).toBeNull();
+  });
+});
+
+describe('createCommandRegistry', () => {
+  test('registers commands with defaults and finds them case-insensitively', () => {
+    const registry = createCommandRegistry();
+    const run = jest.fn();
+    registry.register({ name: 'shrug', run });
+
+    expect(registry.get('SHRUG')).toMatchObject({ name: 'shrug', usage: '/shrug', description: '', managersOnly: false, run });
+    expect(registry.get('missing')).toBeUndefined();
+  });
+
+  test('lists commands by name without their handlers', () => {
+    const registry = createCommandRegistry();
+    registry.register({ name: 'topic', usage: '/topic <text>', managersOnly: true, run: () => {} });
+    registry.register({ name: 'me', run: () => {} });
+
+    expect(registry.list()).toEqual([
+      { name: 'me', usage: '/me', description: '', managersOnly: false },
+      { name: 'topic', usage: '/topic <text>', description: '', managersOnly: true },
+    ]);
+  });
+
+  test('rejects invalid names and missing handlers', () => {
+    const registry = createCommandRegistry();
+    expect(() => registry.register({ name: 'two words', run: () => {} })).toThrow('Invalid chat command');
+    expect(() => registry.register({ name: 'norun' })).toThrow('Invalid chat command');
+  });
+});
+
+describe('takeUsername', () => {
+  const usernames = ['ann', 'Ann Lee', 'bob'];
+
+  test('prefers the longest matching name', () => {
+    expect(takeUsername('ann lee too loud', usernames)).toEqual({ username: 'Ann Lee', rest: 'too loud' });
+  });
+
+  test('accepts a leading @', () => {
+    expect(takeUsername('@bob 10m', usernames)).toEqual({ username: 'bob', rest: '10m' });
+  });
+
+  test('does not match the start of a longer name', () => {
+    expect(takeUsername('bobby hi', usernames)).toBeNull();
+    expect(takeUsername('ann_b', usernames)).toBeNull();
+  });
+
+  test('returns null when nobody matches', () => {
+    expect(takeUsername('carol', usernames)).toBeNull();
+    expect(takeUsername('', usernames)).toBeNull();
+  });
+});
+
+describe('parseDice', () => {
+  test('parses count, sides and modifier', () => {
+    expect(parseDice('d20')).toEqual({ count: 1, sides: 20, modifier: 0 });
+    expect(parseDice('2D6')).toEqual({ count: 2, sides: 6, modifier: 0 });
+    expect(parseDice(' 3d8+2 ')).toEqual({ count: 3, sides: 8, modifier: 2 });
+    expect(parseDice('1d4-1')).toEqual({ count: 1, sides: 4, modifier: -1 });
+  });
+
+  test('enforces the default limits', () => {
+    expect(parseDice('20d1000+1000')).toEqual({ count: 20, sides: 1000, modifier: 1000 });
+    expect(parseDice('21d6')).toBeNull();
+    expect(parseDice('0d6')).toBeNull();
+    expect(parseDice('1d1')).toBeNull();
+    expect(parseDice('1d1001')).toBeNull();
+    expect(parseDice('1d6+1001')).toBeNull();
+  });
+
+  test('enforces custom limits', () => {
+    expect(parseDice('5d6', { maxDice: 4 })).toBeNull();
+    expect(parseDice('1d12', { maxSides: 10 })).toBeNull();
+    expect(parseDice('1d6-3', { maxModifier: 2 })).toBeNull();
+  });
+
+  test('rejects malformed notation', () => {
+    ['', 'd', '2x6', '1000d6', 'd6+', '2d6*2', '1d6+1+1'].forEach(spec => {
+      expect(parseDice(spec)).toBeNull();
+    });
+  });
+});
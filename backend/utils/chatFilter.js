@@ -0,0 +1,141 @@
+/**
+ * Chat Content Filter
+ *
+ * An optional pipeline run over chat and direct message text before it is
+ * stored. Each step gets the text and either passes it on, possibly changed,
+ * or blocks the message with a reason. Steps are only on when configured:
+ * - CHAT_FILTER_WORDS / CHAT_FILTER_WORDS_FILE: words (comma-separated, or one
+ *   per line in the file) masked with asterisks
+ * - CHAT_FILTER_BLOCK_LINKS=true: refuse messages containing links
+ * - CHAT_FILTER_REPEAT_LIMIT: how many times in a row the same text may be sent
+ *   within CHAT_FILTER_REPEAT_WINDOW_MS (a minute by default)
+ */
+
+const fs = require('fs');
+
+// Links with a scheme or "www.", and bare domains on common top-level domains
+const LINK_PATTERN = /\b(?:https?:\/\/|ftp:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|gg|ly|me|xyz|info|biz|ru|cn|tk)\b/i;
+
+const DEFAULT_REPEAT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Escape text for use inside a regular expression
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read the filter settings from the environment
+ * @returns {Object} { words, blockLinks, repeatLimit, repeatWindowMs }
+ */
+const loadChatFilterOptions = () => {
+  const words = (process.env.CHAT_FILTER_WORDS || '').split(',');
+  if (process.env.CHAT_FILTER_WORDS_FILE) {
+    try {
+      words.push(...fs.readFileSync(process.env.CHAT_FILTER_WORDS_FILE, 'utf8').split(/\r?\n/));
+    } catch (error) {
+      console.warn(`⚠️ Could not read CHAT_FILTER_WORDS_FILE: ${error.message}`);
+    }
+  }
+
+  return {
+    words: words.map(word => word.trim()).filter(word => word && !word.startsWith('#')),
+    blockLinks: process.env.CHAT_FILTER_BLOCK_LINKS === 'true',
+    repeatLimit: parseInt(process.env.CHAT_FILTER_REPEAT_LIMIT) || 0,
+    repeatWindowMs: parseInt(process.env.CHAT_FILTER_REPEAT_WINDOW_MS) || DEFAULT_REPEAT_WINDOW_MS,
+  };
+};
+
+/**
+ * Step masking listed words, matched whole and ignoring case
+ * @param {Array<string>} words - Words to mask
+ * @returns {Function} Filter step
+ */
+const maskWords = (words) => {
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+    'giu'
+  );
+  return (text) => ({ text: text.replace(pattern, match => '*'.repeat(match.length)) });
+};
+
+/**
+ * Step refusing messages that contain links
+ * @returns {Function} Filter step
+ */
+const blockLinks = () => (text) => (
+  LINK_PATTERN.test(text) ? { blocked: true, reason: 'Links are not allowed in chat' } : { text }
+);
+
+/**
+ * Step refusing the same text sent too many times in a row
+ * Remembers the last text per sender; edits and slash commands skip it
+ * @param {number} limit - Times the same text may be sent
+ * @param {number} windowMs - How long a repeat still counts
+ * @returns {Function} Filter step
+ */
+const blockRepeats = (limit, windowMs) => {
+  const lastMessages = new Map();
+
+  return (text, { sender, checkRepeats = true }) => {
+    if (!checkRepeats || !sender) return { text };
+
+    const now = Date.now();
+    const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    const last = lastMessages.get(sender);
+
+    // Forget senders whose last message is too old to count
+    lastMessages.forEach((entry, key) => {
+      if (now - entry.at > windowMs) lastMessages.delete(key);
+    });
+
+    if (last && last.text === normalized && now - last.at <= windowMs) {
+      if (last.count >= limit) {
+        return { blocked: true, reason: 'Please stop repeating the same message' };
+      }
+      lastMessages.set(sender, { text: normalized, count: last.count + 1, at: now });
+    } else {
+      lastMessages.set(sender, { text: normalized, count: 1, at: now });
+    }
+    return { text };
+  };
+};
+
+/**
+ * Create the content filter
+ * @param {Object} options - { words, blockLinks, repeatLimit, repeatWindowMs }, from the environment by default
+ * @returns {Object} { enabled, apply(text, context) } where apply returns { text } or { blocked, reason };
+ *   context is { sender } identifying who sent it and, for repeats, { checkRepeats }
+ */
+const createChatFilter = (options = loadChatFilterOptions()) => {
+  const steps = [];
+  if (options.words?.length > 0) steps.push(maskWords(options.words));
+  if (options.blockLinks) steps.push(blockLinks());
+  if (options.repeatLimit > 0) steps.push(blockRepeats(options.repeatLimit, options.repeatWindowMs || DEFAULT_REPEAT_WINDOW_MS));
+
+  if (steps.length > 0) {
+    console.log(`🧹 Chat filter on: ${[
+      options.words?.length > 0 && `${options.words.length} masked words`,
+      options.blockLinks && 'links blocked',
+      options.repeatLimit > 0 && `repeats limited to ${options.repeatLimit}`,
+    ].filter(Boolean).join(', ')}`);
+  }
+
+  return {
+    enabled: steps.length > 0,
+
+    apply(text, context = {}) {
+      let current = text;
+      for (const step of steps) {
+        const result = step(current, context);
+        if (result.blocked) return result;
+        current = result.text;
+      }
+      return { text: current };
+    },
+  };
+};
+
+module.exports = {
+  loadChatFilterOptions,
+  createChatFilter,
+};
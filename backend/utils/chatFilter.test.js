@@ -0,0 +1,114 @@
+const { loadChatFilterOptions, createChatFilter } = require('./chatFilter');
+
+let now;
+
+beforeEach(() => {
+  now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('loadChatFilterOptions', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  test('reads the settings from the environment', () => {
+    process.env.CHAT_FILTER_WORDS = ' darn, heck ,,';
+    process.env.CHAT_FILTER_BLOCK_LINKS = 'true';
+    process.env.CHAT_FILTER_REPEAT_LIMIT = '3';
+    process.env.CHAT_FILTER_REPEAT_WINDOW_MS = '5000';
+    expect(loadChatFilterOptions()).toEqual({
+      words: ['darn', 'heck'],
+      blockLinks: true,
+      repeatLimit: 3,
+      repeatWindowMs: 5000,
+    });
+  });
+
+  test('is off by default', () => {
+    delete process.env.CHAT_FILTER_WORDS;
+    delete process.env.CHAT_FILTER_WORDS_FILE;
+    delete process.env.CHAT_FILTER_BLOCK_LINKS;
+    delete process.env.CHAT_FILTER_REPEAT_LIMIT;
+    const options = loadChatFilterOptions();
+    expect(options).toMatchObject({ words: [], blockLinks: false, repeatLimit: 0 });
+    expect(createChatFilter(options).enabled).toBe(false);
+  });
+});
+
+describe('createChatFilter', () => {
+  test('passes text through unchanged when nothing is configured', () => {
+    expect(createChatFilter({}).apply('anything at www.example.com')).toEqual({ text: 'anything at www.example.com' });
+  });
+
+  test('masks listed words whole and ignoring case', () => {
+    const filter = createChatFilter({ words: ['darn', 'a.b'] });
+    expect(filter.apply('Darn it, darned DARN!').text).toBe('**** it, darned ****!');
+    expect(filter.apply('a.b axb').text).toBe('*** axb');
+  });
+
+  test('masks words next to non-Latin letters only when they stand alone', () => {
+    const filter = createChatFilter({ words: ['darn'] });
+    expect(filter.apply('ädarn darn').text).toBe('ädarn ****');
+  });
+
+  test.each([
+    'see https://example.com',
+    'WWW.example.org/page',
+    'go to example.io now',
+  ])('blocks links when configured: %s', (text) => {
+    expect(createChatFilter({ blockLinks: true }).apply(text)).toEqual({
+      blocked: true,
+      reason: 'Links are not allowed in chat',
+    });
+  });
+
+  test('allows text that only looks like a link', () => {
+    expect(createChatFilter({ blockLinks: true }).apply('the file is notes.txt')).toEqual({ text: 'the file is notes.txt' });
+  });
+
+  describe('repeats', () => {
+    const sender = 'room:user';
+
+    test('blocks the same text sent too many times in a row', () => {
+      const filter = createChatFilter({ repeatLimit: 2, repeatWindowMs: 1000 });
+      expect(filter.apply('spam', { sender }).blocked).toBeUndefined();
+      expect(filter.apply(' SPAM  ', { sender }).blocked).toBeUndefined();
+      expect(filter.apply('spam', { sender })).toEqual({ blocked: true, reason: 'Please stop repeating the same message' });
+    });
+
+    test('counts each sender separately', () => {
+      const filter = createChatFilter({ repeatLimit: 1 });
+      filter.apply('hi', { sender });
+      expect(filter.apply('hi', { sender: 'room:other' }).blocked).toBeUndefined();
+      expect(filter.apply('hi', { sender }).blocked).toBe(true);
+    });
+
+    test('starts over after different text or once the window passes', () => {
+      const filter = createChatFilter({ repeatLimit: 1, repeatWindowMs: 1000 });
+      filter.apply('hi', { sender });
+      expect(filter.apply('hello', { sender }).blocked).toBeUndefined();
+      now = 1001;
+      expect(filter.apply('hello', { sender }).blocked).toBeUndefined();
+    });
+
+    test('skips the check for edits and commands', () => {
+      const filter = createChatFilter({ repeatLimit: 1 });
+      filter.apply('/roll d20', { sender });
+      expect(filter.apply('/roll d20', { sender, checkRepeats: false }).blocked).toBeUndefined();
+    });
+  });
+
+  test('stops at the first step that blocks', () => {
+    const filter = createChatFilter({ words: ['darn'], blockLinks: true });
+    expect(filter.apply('darn www.example.com').blocked).toBe(true);
+    expect(filter.apply('darn').text).toBe('****');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Chat History Utilities
+ *
+ * Page sizes and the client-facing shape of stored chat and direct
+ * messages, shared by the chat routes and the socket handler
+ */
+
+// Messages per history page by default, and at most
+const CHAT_PAGE_SIZE = 50;
+const MAX_CHAT_PAGE_SIZE = 100;
+
+const { formatPoll } = require('./polls');
+const { formatAttachment } = require('./attachments');
+
+// Messages sent to a client when it joins a room
+const JOIN_HISTORY_SIZE = 20;
+
+/**
+ * Shape a stored chat message for clients
+ * @param {Object} message - ChatMessage document
+ * @param {string} viewerId - User the message is for, to include their poll vote (optional)
+ * @returns {Object} Message as broadcast over the socket
+ */
+const formatChatMessage = (message, viewerId) => ({
+  id: message.id,
+  userId: message.userId,
+  username: message.username,
+  message: message.message,
+  messageType: message.messageType,
+  timestamp: message.timestamp,
+  replyTo: message.replyTo,
+  editedAt: message.editedAt,
+  deleted: message.deleted,
+  reactions: (message.reactions || []).map(({ emoji, userId, username }) => ({ emoji, userId, username })),
+  mentions: message.mentions || [],
+  mentionedUserIds: message.mentionedUserIds || [],
+  snippet: message.snippet || null,
+  poll: message.poll && !message.deleted ? formatPoll(message.poll, viewerId) : null,
+  attachments: (message.attachments || []).map(attachment => formatAttachment(attachment, message.roomId)),
+});
+
+/**
+ * Shape a user's chat read marker for clients
+ * @param {Object} state - ChatReadState document
+ * @returns {Object} { userId, username, lastReadMessageId, lastReadAt }
+ */
+const formatReadState = (state) => ({
+  userId: state.userId,
+  username: state.username,
+  lastReadMessageId: state.lastReadMessageId,
+  lastReadAt: state.lastReadAt,
+});
+
+/**
+ * Shape a stored direct message for clients
+ * @param {Object} message - DirectMessage document
+ * @returns {Object} Message as delivered over the socket
+ */
+const formatDirectMessage = (message) => ({
+  id: message.id,
+  from: { userId: message.senderId, username: message.senderUsername },
+  to: { userId: message.recipientId, username: message.recipientUsername },
+  message: message.message,
+  timestamp: message.timestamp,
+  readAt: message.readAt,
+});
+
+module.exports = {
+  CHAT_PAGE_SIZE,
+  MAX_CHAT_PAGE_SIZE,
+  JOIN_HISTORY_SIZE,
+  formatChatMessage,
+  formatReadState,
+  formatDirectMessage,
+};
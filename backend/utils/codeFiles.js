@@ -0,0 +1,271 @@
+/**
+ * Code Files Utilities
+ *
+ * A room's code is a tree of files and folders. Every entry has a stable `id`
+ * and a `path` such as "src/app.js"; files carry their own language and
+ * content. Folders only need an entry of their own while empty, otherwise
+ * they come from the paths of what is inside them, so moving or deleting a
+ * folder applies to every path under it.
+ *
+ * Paths are kept normalized: forward slashes, no leading or trailing slash,
+ * and no empty, "." or ".." segments.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Languages the code editor offers
+const EDITOR_LANGUAGES = [
+  'javascript', 'typescript', 'python', 'java', 'cpp', 'csharp', 'go', 'rust',
+  'html', 'css', 'json', 'xml', 'yaml', 'markdown', 'sql', 'plaintext',
+];
+
+// File extensions of each language; the first one names new and converted files
+const LANGUAGE_EXTENSIONS = {
+  javascript: ['js', 'jsx', 'mjs', 'cjs'],
+  typescript: ['ts', 'tsx'],
+  python: ['py'],
+  java: ['java'],
+  cpp: ['cpp', 'cc', 'cxx', 'c', 'h', 'hpp'],
+  csharp: ['cs'],
+  go: ['go'],
+  rust: ['rs'],
+  html: ['html', 'htm'],
+  css: ['css'],
+  json: ['json'],
+  xml: ['xml', 'svg'],
+  yaml: ['yaml', 'yml'],
+  markdown: ['md'],
+  sql: ['sql'],
+  plaintext: ['txt'],
+};
+
+const EXTENSION_LANGUAGES = Object.entries(LANGUAGE_EXTENSIONS).reduce((languages, [language, extensions]) => {
+  extensions.forEach(extension => { languages[extension] = language; });
+  return languages;
+}, {});
+
+const CODE_ENTRY_TYPES = ['file', 'folder'];
+
+// Most files and folders a room can hold, and the longest path and name
+const MAX_CODE_FILES = 200;
+const MAX_PATH_LENGTH = 255;
+const MAX_NAME_LENGTH = 100;
+
+// Characters not allowed in file and folder names
+const INVALID_NAME_PATTERN = /[\u0000-\u001f\u007f<>:"|?*\\]/;
+
+/**
+ * Normalize a file or folder path sent by a client
+ * @param {*} path - Path such as "src/app.js"
+ * @returns {string|null} Normalized path, or null when it is not a valid path
+ */
+const normalizeCodePath = (path) => {
+  if (typeof path !== 'string') return null;
+
+  const segments = path.trim().replace(/\\/g, '/').split('/').filter(segment => segment !== '');
+  if (segments.length === 0) return null;
+  const isValidSegment = (segment) => (
+    segment !== '.' &&
+    segment !== '..' &&
+    segment.trim() === segment &&
+    segment.length <= MAX_NAME_LENGTH &&
+    !INVALID_NAME_PATTERN.test(segment)
+  );
+  if (!segments.every(isValidSegment)) return null;
+
+  const normalized = segments.join('/');
+  return normalized.length <= MAX_PATH_LENGTH ? normalized : null;
+};
+
+/**
+ * Last segment of a path
+ * @param {string} path - Normalized path
+ * @returns {string} File or folder name
+ */
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+/**
+ * Whether a path is a folder or inside it
+ * @param {string} path - Normalized path
+ * @param {string} folder - Normalized folder path
+ * @returns {boolean} True for the folder itself and everything under it
+ */
+const isWithin = (path, folder) => path === folder || path.startsWith(`${folder}/`);
+
+/**
+ * Editor language for a file, from its extension
+ * @param {string} path - File path
+ * @returns {string} Language, plaintext when the extension is unknown
+ */
+const languageForPath = (path) => {
+  const name = baseName(path);
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+  return EXTENSION_LANGUAGES[extension] || 'plaintext';
+};
+
+/**
+ * Build the file list for code stored before rooms had files
+ * @param {Object} code - { content, language, version } of the single document
+ * @returns {Array} One file, main.<extension>, holding the old content
+ */
+const legacyCodeFiles = (code) => {
+  const language = EDITOR_LANGUAGES.includes(code?.language) ? code.language : 'javascript';
+  // A fixed id so every participant and every old snapshot refers to the same file
+  return [{
+    id: 'main',
+    path: `main.${LANGUAGE_EXTENSIONS[language][0]}`,
+    type: 'file',
+    language,
+    content: code?.content || '',
+    version: code?.version || 0,
+  }];
+};
+
+/**
+ * Get stored code as plain files, converting the single legacy document
+ * @param {Object} code - Room codeCollaboration, or code version snapshot content
+ * @returns {Array} Files and folders: { id, path, type, language, content, version }
+ */
+const getCodeFiles = (code) => {
+  if (!Array.isArray(code?.files)) {
+    return legacyCodeFiles(code);
+  }
+  return code.files.map(file => {
+    const { id, path, type, language, content, version } = file.toObject ? file.toObject() : file;
+    return { id, path, type, language, content: content || '', version: version || 0 };
+  });
+};
+
+/**
+ * Sort files and folders by path, numbers in names in numeric order
+ * @param {Array} entries - Files and folders
+ * @returns {Array} Sorted copy
+ */
+const sortCodeEntries = (entries) => [...entries].sort((a, b) => (
+  a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: 'base' })
+));
+
+/**
+ * Find what stands in the way of putting an entry at a path
+ * @param {Array} entries - Existing files and folders, without those being moved
+ * @param {string} path - Normalized target path
+ * @returns {string|null} Why the path cannot be used, or null when it is free
+ */
+const findPathConflict = (entries, path) => {
+  if (entries.some(entry => isWithin(entry.path, path))) {
+    return `${path} already exists`;
+  }
+  const blockingFile = entries.find(entry => entry.type === 'file' && isWithin(path, entry.path));
+  if (blockingFile) {
+    return `${blockingFile.path} is a file, not a folder`;
+  }
+  return null;
+};
+
+/**
+ * Plan creating a file or folder
+ * @param {Array} entries - Existing files and folders
+ * @param {Object} request - { path, type, language } sent by the client
+ * @returns {Object} { entry } to add, or { error, code } when it cannot be created
+ */
+const planCreate = (entries, { path, type = 'file', language }) => {
+  const normalized = normalizeCodePath(path);
+  if (!normalized || !CODE_ENTRY_TYPES.includes(type)) {
+    return { error: 'Invalid file or folder name', code: 'INVALID_FILE_PATH' };
+  }
+  if (entries.length >= MAX_CODE_FILES) {
+    return { error: `A room can hold at most ${MAX_CODE_FILES} files and folders`, code: 'TOO_MANY_FILES' };
+  }
+  const conflict = findPathConflict(entries, normalized);
+  if (conflict) {
+    return { error: conflict, code: 'FILE_EXISTS' };
+  }
+
+  return {
+    entry: {
+      id: uuidv4(),
+      path: normalized,
+      type,
+      language: type === 'file' && EDITOR_LANGUAGES.includes(language) ? language : languageForPath(normalized),
+      content: '',
+      version: 0,
+    },
+  };
+};
+
+/**
+ * Plan renaming or moving a file or folder
+ * Files whose extension changes switch to the language of the new extension
+ * @param {Array} entries - Existing files and folders
+ * @param {string} path - Path of the file or folder to move
+ * @param {string} newPath - Where it goes
+ * @returns {Object} { changes: [{ entry, path, language }] }, or { error, code }
+ */
+const planRename = (entries, path, newPath) => {
+  const from = normalizeCodePath(path);
+  const to = normalizeCodePath(newPath);
+  if (!from || !to) {
+    return { error: 'Invalid file or folder name', code: 'INVALID_FILE_PATH' };
+  }
+
+  const moving = entries.filter(entry => isWithin(entry.path, from));
+  if (moving.length === 0) {
+    return { error: `${from} does not exist`, code: 'FILE_NOT_FOUND' };
+  }
+  if (from === to) {
+    return { changes: [] };
+  }
+  if (isWithin(to, from)) {
+    return { error: 'A folder cannot be moved into itself', code: 'INVALID_FILE_PATH' };
+  }
+  const conflict = findPathConflict(entries.filter(entry => !moving.includes(entry)), to);
+  if (conflict) {
+    return { error: conflict, code: 'FILE_EXISTS' };
+  }
+
+  return {
+    changes: moving.map(entry => {
+      const movedPath = `${to}${entry.path.slice(from.length)}`;
+      const extensionChanged = entry.type === 'file' && languageForPath(movedPath) !== languageForPath(entry.path);
+      return {
+        entry,
+        path: movedPath,
+        language: extensionChanged ? languageForPath(movedPath) : entry.language,
+      };
+    }),
+  };
+};
+
+/**
+ * Plan deleting a file or folder, with everything inside a folder
+ * @param {Array} entries - Existing files and folders
+ * @param {string} path - Path to delete
+ * @returns {Object} { removed: entries }, or { error, code }
+ */
+const planDelete = (entries, path) => {
+  const normalized = normalizeCodePath(path);
+  if (!normalized) {
+    return { error: 'Invalid file or folder name', code: 'INVALID_FILE_PATH' };
+  }
+  const removed = entries.filter(entry => isWithin(entry.path, normalized));
+  if (removed.length === 0) {
+    return { error: `${normalized} does not exist`, code: 'FILE_NOT_FOUND' };
+  }
+  return { removed };
+};
+
+module.exports = {
+  EDITOR_LANGUAGES,
+  LANGUAGE_EXTENSIONS,
+  MAX_CODE_FILES,
+  normalizeCodePath,
+  baseName,
+  isWithin,
+  languageForPath,
+  legacyCodeFiles,
+  getCodeFiles,
+  sortCodeEntries,
+  planCreate,
+  planRename,
+  planDelete,
+};
@@ -0,0 +1,154 @@
+const {
+  MAX_CODE_FILES,
+  normalizeCodePath,
+  isWithin,
+  languageForPath,
+  legacyCodeFiles,
+  getCodeFiles,
+  sortCodeEntries,
+  planCreate,
+  planRename,
+  planDelete,
+} = require('./codeFiles');
+
+const file = (path, language = languageForPath(path)) => ({ id: path, path, type: 'file', language });
+const folder = (path) => ({ id: path, path, type: 'folder' });
+
+describe('normalizeCodePath', () => {
+  test('trims slashes and collapses empty segments', () => {
+    expect(normalizeCodePath(' /src//app.js/ ')).toBe('src/app.js');
+    expect(normalizeCodePath('src\\lib\\util.js')).toBe('src/lib/util.js');
+  });
+
+  test.each([
+    undefined, 42, '', '/', '../secret', 'src/./app.js', 'src/../app.js',
+    'src/ app.js', 'a<b', 'a:b', 'a|b', 'a?b', 'a*b', 'a\u0000b',
+  ])('rejects %p', (path) => {
+    expect(normalizeCodePath(path)).toBeNull();
+  });
+
+  test('limits name and path lengths', () => {
+    expect(normalizeCodePath('x'.repeat(100))).toBe('x'.repeat(100));
+    expect(normalizeCodePath('x'.repeat(101))).toBeNull();
+    expect(normalizeCodePath(Array(64).fill('abc').join('/'))).toBe(Array(64).fill('abc').join('/'));
+    expect(normalizeCodePath(Array(65).fill('abc').join('/'))).toBeNull();
+  });
+});
+
+describe('isWithin', () => {
+  test('matches the folder itself and paths under it, not siblings sharing a prefix', () => {
+    expect(isWithin('src', 'src')).toBe(true);
+    expect(isWithin('src/app.js', 'src')).toBe(true);
+    expect(isWithin('src2/app.js', 'src')).toBe(false);
+  });
+});
+
+describe('languageForPath', () => {
+  test('picks the language from the extension', () => {
+    expect(languageForPath('src/App.TSX')).toBe('typescript');
+    expect(languageForPath('main.cc')).toBe('cpp');
+    expect(languageForPath('notes.md')).toBe('markdown');
+  });
+
+  test('falls back to plaintext', () => {
+    expect(languageForPath('Makefile')).toBe('plaintext');
+    expect(languageForPath('archive.tar.gz')).toBe('plaintext');
+  });
+});
+
+describe('getCodeFiles', () => {
+  test('turns a legacy single document into main.<extension>', () => {
+    expect(getCodeFiles({ content: 'print(1)', language: 'python', version: 4 })).toEqual([
+      { id: 'main', path: 'main.py', type: 'file', language: 'python', content: 'print(1)', version: 4 },
+    ]);
+    expect(legacyCodeFiles(null)[0]).toMatchObject({ path: 'main.js', language: 'javascript', content: '', version: 0 });
+  });
+
+  test('returns stored files as plain objects with defaults', () => {
+    const stored = { toObject: () => ({ id: 'a', path: 'a.js', type: 'file', language: 'javascript', extra: true }) };
+    expect(getCodeFiles({ files: [stored] })).toEqual([
+      { id: 'a', path: 'a.js', type: 'file', language: 'javascript', content: '', version: 0 },
+    ]);
+  });
+});
+
+describe('sortCodeEntries', () => {
+  test('sorts by path with numbers in numeric order', () => {
+    const sorted = sortCodeEntries([file('b.js'), file('a10.js'), file('A2.js')]);
+    expect(sorted.map(entry => entry.path)).toEqual(['A2.js', 'a10.js', 'b.js']);
+  });
+});
+
+describe('planCreate', () => {
+  const entries = [file('src/app.js'), folder('docs')];
+
+  test('creates a file with the language of its extension', () => {
+    const { entry } = planCreate(entries, { path: '/src/util.py' });
+    expect(entry).toMatchObject({ path: 'src/util.py', type: 'file', language: 'python', content: '', version: 0 });
+    expect(typeof entry.id).toBe('string');
+  });
+
+  test('keeps a chosen editor language', () => {
+    expect(planCreate(entries, { path: 'script', language: 'python' }).entry.language).toBe('python');
+    expect(planCreate(entries, { path: 'script', language: 'cobol' }).entry.language).toBe('plaintext');
+  });
+
+  test.each([
+    [{ path: '../x' }, 'INVALID_FILE_PATH'],
+    [{ path: 'x', type: 'link' }, 'INVALID_FILE_PATH'],
+    [{ path: 'src' }, 'FILE_EXISTS'],
+    [{ path: 'src/app.js' }, 'FILE_EXISTS'],
+    [{ path: 'src/app.js/inner.js' }, 'FILE_EXISTS'],
+  ])('refuses %o', (request, code) => {
+    expect(planCreate(entries, request)).toMatchObject({ code });
+  });
+
+  test('limits how many entries a room holds', () => {
+    const full = Array.from({ length: MAX_CODE_FILES }, (_, i) => file(`f${i}.js`));
+    expect(planCreate(full, { path: 'one-more.js' })).toMatchObject({ code: 'TOO_MANY_FILES' });
+  });
+});
+
+describe('planRename', () => {
+  const entries = [file('src/app.js'), file('src/lib/util.js'), file('readme.md'), folder('empty')];
+
+  test('moves a folder with everything under it', () => {
+    const { changes } = planRename(entries, 'src', 'app');
+    expect(changes.map(change => [change.entry.path, change.path])).toEqual([
+      ['src/app.js', 'app/app.js'],
+      ['src/lib/util.js', 'app/lib/util.js'],
+    ]);
+  });
+
+  test('switches the language when the extension changes', () => {
+    expect(planRename(entries, 'src/app.js', 'src/app.ts').changes[0].language).toBe('typescript');
+    expect(planRename(entries, 'readme.md', 'docs/readme.md').changes[0].language).toBe('markdown');
+  });
+
+  test('does nothing when the path stays the same', () => {
+    expect(planRename(entries, 'src/', '/src')).toEqual({ changes: [] });
+  });
+
+  test.each([
+    ['src', 'bad/../path', 'INVALID_FILE_PATH'],
+    ['missing', 'other', 'FILE_NOT_FOUND'],
+    ['src', 'src/lib/src', 'INVALID_FILE_PATH'],
+    ['readme.md', 'empty', 'FILE_EXISTS'],
+    ['readme.md', 'src/app.js/readme.md', 'FILE_EXISTS'],
+  ])('refuses moving %s to %s', (from, to, code) => {
+    expect(planRename(entries, from, to)).toMatchObject({ code });
+  });
+});
+
+describe('planDelete', () => {
+  const entries = [file('src/app.js'), file('src/lib/util.js'), file('src2/app.js')];
+
+  test('removes a folder with everything under it', () => {
+    expect(planDelete(entries, 'src').removed.map(entry => entry.path)).toEqual(['src/app.js', 'src/lib/util.js']);
+  });
+
+  test('refuses invalid and missing paths', () => {
+    expect(planDelete(entries, '..')).toMatchObject({ code: 'INVALID_FILE_PATH' });
+    expect(planDelete(entries, 'lib')).toMatchObject({ code: 'FILE_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Code Formatter
+ *
+ * Prettier formatting for the room's code files, run on the server so one
+ * style applies to everyone in the room. Each room picks its own style
+ * options; the result is turned into a single text operation so the whole
+ * format is one change in the file's history and on everyone's screen.
+ */
+
+const prettier = require('prettier');
+const { diffLines } = require('./versionHistory');
+const { pushComponent, applyOperation } = require('./operationalTransform');
+
+// Prettier parser for each formatted language
+const FORMAT_PARSERS = {
+  javascript: 'babel',
+  json: 'json',
+  css: 'css',
+  html: 'html',
+  markdown: 'markdown',
+};
+
+const FORMAT_LANGUAGES = Object.keys(FORMAT_PARSERS);
+
+const TRAILING_COMMA_STYLES = ['all', 'es5', 'none'];
+
+// Largest file formatted, in bytes
+const MAX_FORMAT_BYTES = 200 * 1024;
+
+// Room style options used when a room has not set them
+const DEFAULT_FORMAT_OPTIONS = {
+  printWidth: 80,
+  tabWidth: 2,
+  useTabs: false,
+  semi: true,
+  singleQuote: false,
+  trailingComma: 'all',
+  bracketSpacing: true,
+  formatOnSave: false,
+};
+
+const clampInteger = (value, min, max, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+};
+
+const toBoolean = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+/**
+ * Fill in and clamp a room's style options
+ * @param {Object} options - Options as stored or sent, possibly partial
+ * @param {Object} base - Options the missing ones come from
+ * @returns {Object} Complete options
+ */
+const normalizeFormatOptions = (options = {}, base = DEFAULT_FORMAT_OPTIONS) => ({
+  printWidth: clampInteger(options.printWidth, 40, 200, base.printWidth),
+  tabWidth: clampInteger(options.tabWidth, 1, 8, base.tabWidth),
+  useTabs: toBoolean(options.useTabs, base.useTabs),
+  semi: toBoolean(options.semi, base.semi),
+  singleQuote: toBoolean(options.singleQuote, base.singleQuote),
+  trailingComma: TRAILING_COMMA_STYLES.includes(options.trailingComma) ? options.trailingComma : base.trailingComma,
+  bracketSpacing: toBoolean(options.bracketSpacing, base.bracketSpacing),
+  formatOnSave: toBoolean(options.formatOnSave, base.formatOnSave),
+});
+
+/**
+ * Whether a file can be formatted
+ * @param {Object} file - { type, language }
+ * @returns {boolean} True for files in a formatted language
+ */
+const canFormat = (file) => file?.type === 'file' && FORMAT_LANGUAGES.includes(file.language);
+
+/**
+ * Format a file's content
+ * @param {Object} file - { type, language, content }
+ * @param {Object} options - Room style options
+ * @returns {Promise<string>} Formatted content
+ * @throws {Error} For unsupported languages, files over the size limit and syntax errors
+ */
+const formatCode = async (file, options = {}) => {
+  if (!canFormat(file)) {
+    throw new Error(`${file?.language || 'This'} files cannot be formatted`);
+  }
+  if (Buffer.byteLength(file.content) > MAX_FORMAT_BYTES) {
+    throw new Error(`Files over ${Math.round(MAX_FORMAT_BYTES / 1024)} KB are not formatted`);
+  }
+
+  const { formatOnSave, ...style } = normalizeFormatOptions(options);
+  return prettier.format(file.content, { ...style, parser: FORMAT_PARSERS[file.language] });
+};
+
+/**
+ * Build the text operation that turns one content into another
+ * Unchanged lines are retained so people's cursors elsewhere stay put
+ * @param {string} oldText - Content before
+ * @param {string} newText - Content after
+ * @returns {Array} Operation over oldText
+ */
+const operationFromTextChange = (oldText, newText) => {
+  // Lines carry their newline, except the last, so the pieces join back into the text
+  const unitsOf = (lines, isLast) => lines.map((line, index) => (isLast(index) ? line : `${line}\n`));
+
+  const operation = [];
+  if (oldText && newText) {
+    const { hunks } = diffLines(oldText, newText);
+    const oldLineCount = oldText.split('\n').length;
+    const newLineCount = newText.split('\n').length;
+    let oldLine = 0;
+    let newLine = 0;
+
+    hunks.forEach(hunk => {
+      if (hunk.type === 'equal') {
+        const oldUnits = unitsOf(hunk.lines, index => oldLine + index === oldLineCount - 1);
+        const newUnits = unitsOf(hunk.lines, index => newLine + index === newLineCount - 1);
+        oldUnits.forEach((unit, index) => {
+          // A line that stops or starts being last gains or loses its newline
+          if (unit === newUnits[index]) {
+            pushComponent(operation, unit.length);
+          } else {
+            pushComponent(operation, -unit.length);
+            pushComponent(operation, newUnits[index]);
+          }
+        });
+        oldLine += hunk.lines.length;
+        newLine += hunk.lines.length;
+      } else if (hunk.type === 'delete') {
+        const units = unitsOf(hunk.lines, index => oldLine + index === oldLineCount - 1);
+        pushComponent(operation, -units.join('').length);
+        oldLine += hunk.lines.length;
+      } else {
+        pushComponent(operation, unitsOf(hunk.lines, index => newLine + index === newLineCount - 1).join(''));
+        newLine += hunk.lines.length;
+      }
+    });
+  } else {
+    pushComponent(operation, -oldText.length);
+    pushComponent(operation, newText);
+  }
+
+  // Large files fall back to a whole-text diff; check the result either way
+  let applied = null;
+  try {
+    applied = applyOperation(oldText, operation);
+  } catch {
+    applied = null;
+  }
+  if (applied !== newText) {
+    const replaceAll = [];
+    pushComponent(replaceAll, -oldText.length);
+    pushComponent(replaceAll, newText);
+    return replaceAll;
+  }
+  return operation;
+};
+
+module.exports = {
+  FORMAT_LANGUAGES,
+  DEFAULT_FORMAT_OPTIONS,
+  normalizeFormatOptions,
+  canFormat,
+  formatCode,
+  operationFromTextChange,
+};
@@ -0,0 +1,54 @@
+// Prettier loads its ES module build with a dynamic import jest cannot run; these tests never format
+jest.mock('prettier', () => ({}));
+jest.mock('./versionHistory', () => {
+  const actual = jest.requireActual('./versionHistory');
+  return { ...actual, diffLines: jest.fn(actual.diffLines) };
+});
+
+const { diffLines } = require('./versionHistory');
+const { applyOperation } = require('./operationalTransform');
+const { operationFromTextChange } = require('./codeFormatter');
+
+// Build the operation and check it turns the old text into the new one
+const change = (oldText, newText) => {
+  const operation = operationFromTextChange(oldText, newText);
+  expect(applyOperation(oldText, operation)).toBe(newText);
+  return operation;
+};
+
+describe('operationFromTextChange', () => {
+  test('retains the lines that did not change', () => {
+    expect(change('a\nbb\nc', 'a\nBB\nc')).toEqual([2, 'BB\n', -3, 1]);
+  });
+
+  test('adds and removes the newline at the end of the last line', () => {
+    expect(change('a\nb', 'a\nb\n')).toEqual([2, 'b\n', -1]);
+    expect(change('a\nb\n', 'a\nb')).toEqual([2, 'b', -2]);
+    change('x', 'x\n');
+    change('x\n', 'x');
+  });
+
+  test('moves the last line\'s missing newline when lines are appended or removed', () => {
+    change('a\nb', 'a\nb\nc');
+    change('a\nb\nc', 'a\nb');
+    change('a', 'z\na');
+  });
+
+  test('handles empty texts', () => {
+    expect(change('', 'let a;\n')).toEqual(['let a;\n']);
+    expect(change('let a;\n', '')).toEqual([-7]);
+    expect(change('', '')).toEqual([]);
+    expect(change('same\n', 'same\n')).toEqual([5]);
+  });
+
+  test('still applies when the line diff gives up on a large change', () => {
+    const oldText = Array.from({ length: 2500 }, (_, index) => `old ${index}`).join('\n');
+    const newText = Array.from({ length: 2500 }, (_, index) => `new ${index}`).join('\n');
+    change(oldText, newText);
+  });
+
+  test('falls back to replacing the whole text when the diff does not add up', () => {
+    diffLines.mockReturnValueOnce({ hunks: [{ type: 'equal', lines: ['something else'] }], added: 0, removed: 0 });
+    expect(change('a\nb', 'a\nc')).toEqual(['a\nc', -3]);
+  });
+});
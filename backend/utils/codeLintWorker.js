@@ -0,0 +1,18 @@
+/**
+ * Code Lint Worker
+ *
+ * Worker thread running lint passes for ./codeLinter, so ESLint and room
+ * schemas run off the socket server's event loop. Receives { file, files }
+ * and answers { diagnostics }, or { error } when the pass fails.
+ */
+
+const { parentPort } = require('worker_threads');
+const { lintFile } = require('./codeLinter');
+
+parentPort.on('message', ({ file, files }) => {
+  try {
+    parentPort.postMessage({ diagnostics: lintFile(file, files) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
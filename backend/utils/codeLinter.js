@@ -0,0 +1,577 @@
+/**
+ * Code Linter
+ *
+ * Lint passes for the room's code files, run on the server so everyone in the
+ * room sees the same diagnostics:
+ * - JavaScript: ESLint's recommended rules, with browser and Node globals, modules and JSX
+ * - JSON: syntax errors, then validation against a JSON Schema, either another
+ *   room file named by the file's "$schema" or the bundled one for package.json,
+ *   tsconfig.json and jsconfig.json
+ * - Markdown: markdownlint's default rules, without the line length rule
+ *
+ * Diagnostics are { severity, message, source, rule, startLineNumber, startColumn,
+ * endLineNumber, endColumn } with lines and columns counted from 1, as Monaco
+ * markers use them; severity is 'error', 'warning' or 'info'.
+ *
+ * The passes run in a worker thread (./codeLintWorker) with a time limit, so a
+ * slow file cannot hold up the socket server. Schemas from the room are not
+ * trusted: they are size-limited and compiled without their regular
+ * expressions ("pattern" and "patternProperties").
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { Linter } = require('eslint');
+const eslintJs = require('@eslint/js');
+const globals = require('globals');
+const Ajv = require('ajv');
+const jsonc = require('jsonc-parser');
+const markdownlint = require('markdownlint');
+const { baseName, normalizeCodePath } = require('./codeFiles');
+
+// Languages that have a lint pass
+const LINT_LANGUAGES = ['javascript', 'json', 'markdown'];
+
+// Most diagnostics kept per file
+const MAX_DIAGNOSTICS = 100;
+
+// Compiled room schemas kept, by schema text
+const MAX_CACHED_SCHEMAS = 20;
+
+// Largest room file used as a schema
+const MAX_SCHEMA_BYTES = 64 * 1024;
+
+// Heap the lint worker may use
+const WORKER_HEAP_MB = 256;
+
+// Schema keywords holding schemas by name, and keywords holding data rather than schemas
+const SCHEMA_MAP_KEYWORDS = ['properties', 'definitions', '$defs', 'dependentSchemas', 'dependencies'];
+const DATA_KEYWORDS = ['enum', 'const', 'default', 'examples'];
+
+/**
+ * Load lint settings from the environment
+ * @returns {Object} { enabled, debounceMs, maxBytes, timeoutMs }
+ */
+const loadLintOptions = () => ({
+  enabled: process.env.CODE_LINT_ENABLED !== 'false',
+  debounceMs: parseInt(process.env.CODE_LINT_DEBOUNCE_MS) || 1000,
+  maxBytes: parseInt(process.env.CODE_LINT_MAX_BYTES) || 100 * 1024,
+  timeoutMs: parseInt(process.env.CODE_LINT_TIMEOUT_MS) || 5000,
+});
+
+const eslintLinter = new Linter();
+const eslintConfig = (sourceType) => [{
+  ...eslintJs.configs.recommended,
+  languageOptions: {
+    ecmaVersion: 'latest',
+    sourceType,
+    globals: { ...globals.browser, ...globals.node },
+    parserOptions: { ecmaFeatures: { jsx: true } },
+  },
+  rules: {
+    ...eslintJs.configs.recommended.rules,
+    // Unused code is common while people are still typing it
+    'no-unused-vars': 'warn',
+  },
+}];
+
+// Schemas for well-known files; only what editors most often get wrong is checked
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+const stringList = { type: 'array', items: { type: 'string' } };
+const compilerConfigSchema = {
+  type: 'object',
+  properties: {
+    extends: { anyOf: [{ type: 'string' }, stringList] },
+    compilerOptions: {
+      type: 'object',
+      properties: {
+        target: { type: 'string' },
+        module: { type: 'string' },
+        moduleResolution: { type: 'string' },
+        lib: stringList,
+        jsx: { enum: ['preserve', 'react', 'react-jsx', 'react-jsxdev', 'react-native'] },
+        strict: { type: 'boolean' },
+        allowJs: { type: 'boolean' },
+        checkJs: { type: 'boolean' },
+        esModuleInterop: { type: 'boolean' },
+        skipLibCheck: { type: 'boolean' },
+        noEmit: { type: 'boolean' },
+        outDir: { type: 'string' },
+        rootDir: { type: 'string' },
+        baseUrl: { type: 'string' },
+        paths: { type: 'object', additionalProperties: stringList },
+        types: stringList,
+      },
+    },
+    files: stringList,
+    include: stringList,
+    exclude: stringList,
+  },
+};
+const BUNDLED_SCHEMAS = {
+  'package.json': {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 214, pattern: '^(?:@[a-z0-9-*~][a-z0-9-*._~]*/)?[a-z0-9-~][a-z0-9-._~]*$' },
+      version: { type: 'string' },
+      description: { type: 'string' },
+      main: { type: 'string' },
+      type: { enum: ['module', 'commonjs'] },
+      private: { type: 'boolean' },
+      license: { type: 'string' },
+      keywords: stringList,
+      scripts: stringMap,
+      bin: { anyOf: [{ type: 'string' }, stringMap] },
+      engines: stringMap,
+      dependencies: stringMap,
+      devDependencies: stringMap,
+      peerDependencies: stringMap,
+      optionalDependencies: stringMap,
+      workspaces: { anyOf: [stringList, { type: 'object' }] },
+    },
+  },
+  'tsconfig.json': compilerConfigSchema,
+  'jsconfig.json': compilerConfigSchema,
+};
+
+// JSON files that may hold comments and trailing commas
+const JSONC_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+const ajv = new Ajv({ allErrors: true, strict: false, validateSchema: false });
+const bundledValidators = new Map();
+const roomValidators = new Map();
+
+/**
+ * Compile a schema, reusing earlier compilations
+ * @param {Map} cache - Validators by key
+ * @param {string} key - Cache key
+ * @param {Function} getSchema - Returns the schema object
+ * @returns {Function} Ajv validate function
+ */
+const getValidator = (cache, key, getSchema) => {
+  if (!cache.has(key)) {
+    if (cache === roomValidators && cache.size >= MAX_CACHED_SCHEMAS) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, ajv.compile(getSchema()));
+  }
+  return cache.get(key);
+};
+
+/**
+ * Build a function turning character offsets into 1-based line and column numbers
+ * @param {string} text - File content
+ * @returns {Function} offset -> { lineNumber, column }
+ */
+const createPositionLookup = (text) => {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { lineNumber: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+};
+
+/**
+ * Diagnostic covering a span of the text
+ */
+const rangeDiagnostic = (positionAt, offset, length, details) => {
+  const start = positionAt(offset);
+  const end = positionAt(offset + Math.max(length, 1));
+  return {
+    ...details,
+    startLineNumber: start.lineNumber,
+    startColumn: start.column,
+    endLineNumber: end.lineNumber,
+    endColumn: end.column,
+  };
+};
+
+/**
+ * Lint JavaScript with ESLint
+ */
+const lintJavaScript = (file) => {
+  const sourceType = file.path.endsWith('.cjs') ? 'commonjs' : 'module';
+  return eslintLinter.verify(file.content, eslintConfig(sourceType), { filename: baseName(file.path) })
+    .map(message => ({
+      severity: message.severity === 2 ? 'error' : 'warning',
+      message: message.message,
+      source: 'eslint',
+      rule: message.ruleId || null,
+      startLineNumber: message.line,
+      startColumn: message.column,
+      endLineNumber: message.endLine || message.line,
+      endColumn: message.endColumn || message.column + 1,
+    }));
+};
+
+/**
+ * Turn a JSON pointer into path segments for jsonc-parser
+ */
+const pointerSegments = (pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .map(segment => (/^\d+$/.test(segment) ? Number(segment) : segment));
+
+/**
+ * Find where a schema error should be marked: the property name for objects
+ * and arrays, so a whole block is not underlined, otherwise the value
+ */
+const schemaErrorNode = (tree, error) => {
+  const segments = pointerSegments(error.instancePath);
+  if (error.keyword === 'additionalProperties') {
+    const valueNode = jsonc.findNodeAtLocation(tree, [...segments, error.params.additionalProperty]);
+    if (valueNode?.parent?.type === 'property') return valueNode.parent.children[0];
+  }
+  const node = jsonc.findNodeAtLocation(tree, segments) || tree;
+  if ((node.type === 'object' || node.type === 'array') && node.parent?.type === 'property') {
+    return node.parent.children[0];
+  }
+  return node.type === 'object' || node.type === 'array' ? { offset: node.offset, length: 1 } : node;
+};
+
+/**
+ * Resolve a path written in a file, relative to that file's folder
+ * @param {string} fromPath - Path of the file
+ * @param {string} target - e.g. "../schemas/user.json", or "/schemas/user.json" from the top level
+ * @returns {string|null} Normalized path, or null when it leaves the room's files
+ */
+const resolveRelativePath = (fromPath, target) => {
+  const segments = target.startsWith('/') ? [] : fromPath.split('/').slice(0, -1);
+  for (const segment of target.split('/')) {
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else if (segment !== '.' && segment !== '') {
+      segments.push(segment);
+    }
+  }
+  return normalizeCodePath(segments.join('/'));
+};
+
+/**
+ * Describe a schema error in words
+ */
+const describeSchemaError = (error) => {
+  if (error.keyword === 'additionalProperties') return `must not have the property "${error.params.additionalProperty}"`;
+  if (error.keyword === 'enum') return `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  if (error.keyword === 'pattern') return 'is not in the expected format';
+  return error.message;
+};
+
+/**
+ * Copy a room schema without its regular expressions
+ * Ajv runs patterns with JavaScript's backtracking engine, so a pattern such as
+ * "^(a+)+$" could take minutes on a short string
+ * @param {*} schema - Parsed schema, or part of one
+ * @returns {*} Copy without "pattern" and "patternProperties"
+ */
+const withoutPatterns = (schema) => {
+  if (Array.isArray(schema)) return schema.map(withoutPatterns);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  return Object.entries(schema).reduce((copy, [keyword, value]) => {
+    if (keyword === 'pattern' || keyword === 'patternProperties') return copy;
+    if (DATA_KEYWORDS.includes(keyword)) {
+      copy[keyword] = value;
+    } else if (SCHEMA_MAP_KEYWORDS.includes(keyword) && value && typeof value === 'object' && !Array.isArray(value)) {
+      copy[keyword] = Object.fromEntries(Object.entries(value).map(([name, subschema]) => [name, withoutPatterns(subschema)]));
+    } else {
+      copy[keyword] = withoutPatterns(value);
+    }
+    return copy;
+  }, {});
+};
+
+/**
+ * Find the schema a JSON file is checked against
+ * @param {Object} file - { path, content }
+ * @param {*} value - Parsed file
+ * @param {Array} files - Room files, to resolve "$schema"
+ * @returns {Object|null} { validate, name } or { error, name } when the schema cannot be used
+ */
+const findJsonSchema = (file, value, files) => {
+  const schemaRef = value && typeof value === 'object' && !Array.isArray(value) ? value.$schema : undefined;
+  if (typeof schemaRef === 'string' && !/^[a-z]+:/i.test(schemaRef)) {
+    const schemaPath = resolveRelativePath(file.path, schemaRef);
+    const schemaFile = files.find(entry => entry.type === 'file' && entry.path === schemaPath);
+    if (!schemaFile) {
+      return { error: `Schema ${schemaRef} is not a file in this room`, name: schemaRef };
+    }
+    if (Buffer.byteLength(schemaFile.content) > MAX_SCHEMA_BYTES) {
+      return { error: `Schema ${schemaFile.path} is over ${MAX_SCHEMA_BYTES / 1024} KB`, name: schemaFile.path };
+    }
+    try {
+      return {
+        validate: getValidator(roomValidators, schemaFile.content, () => withoutPatterns(JSON.parse(schemaFile.content))),
+        name: schemaFile.path,
+        named: true,
+      };
+    } catch (error) {
+      return { error: `Schema ${schemaFile.path} cannot be used: ${error.message}`, name: schemaFile.path };
+    }
+  }
+
+  const name = baseName(file.path);
+  if (BUNDLED_SCHEMAS[name]) {
+    return { validate: getValidator(bundledValidators, name, () => BUNDLED_SCHEMAS[name]), name };
+  }
+  return null;
+};
+
+/**
+ * Lint JSON: syntax first, then the schema when the file parses
+ */
+const lintJson = (file, files) => {
+  const { content } = file;
+  const positionAt = createPositionLookup(content);
+  const allowComments = JSONC_FILES.includes(baseName(file.path));
+  const errors = [];
+  const tree = jsonc.parseTree(content, errors, { allowTrailingComma: allowComments, disallowComments: !allowComments });
+
+  if (errors.length > 0 || !tree) {
+    // Later errors usually follow from the first one at the same place
+    const seenOffsets = new Set();
+    return errors
+      .filter(error => !seenOffsets.has(error.offset) && seenOffsets.add(error.offset))
+      .map(error => {
+        const code = jsonc.printParseErrorCode(error.error).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+        return rangeDiagnostic(positionAt, error.offset, error.length, {
+          severity: 'error',
+          message: code.charAt(0).toUpperCase() + code.slice(1),
+          source: 'json',
+          rule: null,
+        });
+      });
+  }
+
+  const value = jsonc.getNodeValue(tree);
+  const schema = findJsonSchema(file, value, files);
+  if (!schema) return [];
+  if (schema.error) {
+    const schemaNode = jsonc.findNodeAtLocation(tree, ['$schema']) || tree;
+    return [rangeDiagnostic(positionAt, schemaNode.offset, schemaNode.length, {
+      severity: 'warning',
+      message: schema.error,
+      source: 'json-schema',
+      rule: null,
+    })];
+  }
+  // "$schema" only names the schema, it is not part of the data
+  const data = schema.named ? { ...value } : value;
+  if (schema.named) delete data.$schema;
+  if (schema.validate(data)) return [];
+
+  return schema.validate.errors.map(error => {
+    const node = schemaErrorNode(tree, error);
+    const where = error.instancePath ? `${pointerSegments(error.instancePath).join('.')}: ` : '';
+    return rangeDiagnostic(positionAt, node.offset, node.length, {
+      severity: 'warning',
+      message: `${where}${describeSchemaError(error)} (${schema.name})`,
+      source: 'json-schema',
+      rule: error.keyword,
+    });
+  });
+};
+
+/**
+ * Lint Markdown with markdownlint
+ */
+const lintMarkdown = (file) => {
+  const lines = file.content.split('\n');
+  const results = markdownlint.sync({
+    strings: { content: file.content },
+    config: { default: true, MD013: false },
+  }).content;
+
+  return results.map(result => {
+    const [column, length] = result.errorRange || [1, (lines[result.lineNumber - 1] || '').length];
+    return {
+      severity: 'warning',
+      message: `${result.ruleDescription}${result.errorDetail ? ` (${result.errorDetail})` : ''}`,
+      source: 'markdownlint',
+      rule: result.ruleNames.slice(0, 2).join('/'),
+      startLineNumber: result.lineNumber,
+      startColumn: column,
+      endLineNumber: result.lineNumber,
+      endColumn: column + Math.max(length, 1),
+    };
+  });
+};
+
+const LINTERS = {
+  javascript: lintJavaScript,
+  json: lintJson,
+  markdown: lintMarkdown,
+};
+
+/**
+ * Run a file's lint pass, in the lint worker
+ * @param {Object} file - { path, type, language, content }
+ * @param {Array} files - Room files, for JSON files naming a schema
+ * @returns {Array} Diagnostics sorted by position, at most MAX_DIAGNOSTICS
+ * @throws {Error} When the linter fails
+ */
+const lintFile = (file, files) => LINTERS[file.language](file, files)
+  .sort((a, b) => a.startLineNumber - b.startLineNumber || a.startColumn - b.startColumn)
+  .slice(0, MAX_DIAGNOSTICS);
+
+/**
+ * Diagnostic noting why a file has no lint results
+ */
+const noteDiagnostic = (message) => ({
+  severity: 'info',
+  message,
+  source: 'syncspace',
+  rule: null,
+  startLineNumber: 1,
+  startColumn: 1,
+  endLineNumber: 1,
+  endColumn: 1,
+});
+
+/**
+ * Create the worker thread running lint passes one at a time
+ * A pass taking longer than timeoutMs ends the worker; the next pass starts a new one
+ * @param {number} timeoutMs - Time a pass may take
+ * @returns {Object} { run(job) resolving to { diagnostics }, { error } or { timedOut }, close() }
+ */
+const createLintWorker = (timeoutMs) => {
+  const queue = [];
+  let worker = null;
+  let current = null;
+
+  const stopWorker = () => {
+    if (!worker) return;
+    worker.removeAllListeners();
+    worker.terminate();
+    worker = null;
+  };
+
+  const finish = (result) => {
+    clearTimeout(current.timer);
+    current.resolve(result);
+    current = null;
+    next();
+  };
+
+  const startWorker = () => {
+    worker = new Worker(path.join(__dirname, 'codeLintWorker.js'), {
+      resourceLimits: { maxOldGenerationSizeMb: WORKER_HEAP_MB },
+    });
+    // Waiting for lint results never keeps the process alive
+    worker.unref();
+    worker.on('message', (result) => {
+      if (current) finish(result);
+    });
+    worker.on('error', (error) => {
+      stopWorker();
+      if (current) finish({ error: error.message });
+    });
+    worker.on('exit', (code) => {
+      worker = null;
+      if (current) finish({ error: `Lint worker exited with code ${code}` });
+    });
+  };
+
+  const next = () => {
+    if (current || queue.length === 0) return;
+    current = queue.shift();
+    if (!worker) startWorker();
+    current.timer = setTimeout(() => {
+      stopWorker();
+      finish({ timedOut: true });
+    }, timeoutMs);
+    worker.postMessage(current.job);
+  };
+
+  return {
+    run(job) {
+      return new Promise((resolve) => {
+        queue.push({ job, resolve });
+        next();
+      });
+    },
+    close() {
+      stopWorker();
+    },
+  };
+};
+
+/**
+ * Create the code linter
+ * @param {Object} options - Settings, from the environment by default
+ * @returns {Object} { enabled, debounceMs, languages, canLint(file), lint(file, files), close() }
+ */
+const createCodeLinter = (options = loadLintOptions()) => {
+  const worker = createLintWorker(options.timeoutMs || 5000);
+
+  /**
+   * Whether a file gets a lint pass
+   * @param {Object} file - { type, language }
+   * @returns {boolean} True for files in a linted language
+   */
+  const canLint = (file) => options.enabled && file.type === 'file' && LINT_LANGUAGES.includes(file.language);
+
+  return {
+    enabled: options.enabled,
+    debounceMs: options.debounceMs,
+    languages: options.enabled ? LINT_LANGUAGES : [],
+    canLint,
+
+    /**
+     * Lint a file
+     * Files over the size limit, or whose pass takes too long, get a single note
+     * instead; a linter that throws is logged and gives no diagnostics rather
+     * than failing the caller
+     * @param {Object} file - { path, type, language, content }
+     * @param {Array} files - All room files, for JSON files naming a schema
+     * @returns {Promise<Array>} Diagnostics sorted by position, at most MAX_DIAGNOSTICS
+     */
+    async lint(file, files = []) {
+      if (!canLint(file) || !file.content.trim()) return [];
+      if (Buffer.byteLength(file.content) > options.maxBytes) {
+        return [noteDiagnostic(`Files over ${Math.round(options.maxBytes / 1024)} KB are not linted`)];
+      }
+
+      // Only JSON files look at other files, and only the parts needed are copied to the worker
+      const toJob = ({ path: filePath, type, language, content }) => ({ path: filePath, type, language, content });
+      const result = await worker.run({
+        file: toJob(file),
+        files: file.language === 'json' ? files.filter(entry => entry.type === 'file').map(toJob) : [],
+      });
+      if (result.timedOut) {
+        console.warn(`⚠️ Linting ${file.path} took over ${options.timeoutMs}ms and was stopped`);
+        return [noteDiagnostic('Linting this file took too long')];
+      }
+      if (result.error) {
+        console.error(`❌ Linting ${file.path} failed:`, result.error);
+        return [];
+      }
+      return result.diagnostics;
+    },
+
+    /**
+     * Stop the lint worker
+     */
+    close() {
+      worker.close();
+    },
+  };
+};
+
+module.exports = {
+  LINT_LANGUAGES,
+  loadLintOptions,
+  lintFile,
+  createCodeLinter,
+};
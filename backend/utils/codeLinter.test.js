@@ -0,0 +1,143 @@
+const { LINT_LANGUAGES, lintFile, createCodeLinter } = require('./codeLinter');
+
+const file = (path, language, content) => ({ id: path, path, type: 'file', language, content });
+const json = (path, value) => file(path, 'json', JSON.stringify(value, null, 2));
+
+describe('lintFile', () => {
+  test('lints JavaScript with ESLint', () => {
+    const diagnostics = lintFile(file('app.js', 'javascript', 'let unused = 1;\nundefinedThing();\n'), []);
+    expect(diagnostics.map(({ severity, rule, startLineNumber }) => ({ severity, rule, startLineNumber }))).toEqual([
+      { severity: 'warning', rule: 'no-unused-vars', startLineNumber: 1 },
+      { severity: 'error', rule: 'no-undef', startLineNumber: 2 },
+    ]);
+  });
+
+  test('knows browser and Node globals, and CommonJS in .cjs files', () => {
+    expect(lintFile(file('a.js', 'javascript', 'document.title = process.env.X;\n'), [])).toEqual([]);
+    expect(lintFile(file('a.cjs', 'javascript', 'module.exports = require("x");\n'), [])).toEqual([]);
+  });
+
+  test('reports JSON syntax errors with their position', () => {
+    const [diagnostic] = lintFile(file('data.json', 'json', '{\n  "a": 1,\n}'), []);
+    expect(diagnostic).toMatchObject({ severity: 'error', source: 'json', startLineNumber: 3 });
+  });
+
+  test('allows comments and trailing commas in tsconfig.json only', () => {
+    expect(lintFile(file('tsconfig.json', 'json', '{\n  // note\n  "files": [],\n}'), [])).toEqual([]);
+    expect(lintFile(file('other.json', 'json', '{\n  // note\n  "files": []\n}'), []).length).toBeGreaterThan(0);
+  });
+
+  test('checks well-known files against the bundled schemas', () => {
+    const [diagnostic] = lintFile(json('pkg/package.json', { name: 'Bad Name', private: 'yes' }), []);
+    expect(diagnostic).toMatchObject({ source: 'json-schema', rule: 'pattern' });
+    expect(diagnostic.message).toContain('name: is not in the expected format (package.json)');
+  });
+
+  test('lints Markdown with markdownlint', () => {
+    const diagnostics = lintFile(file('README.md', 'markdown', '# Title\n\n## Part\n\n## Part\n'), []);
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ source: 'markdownlint', rule: 'MD024/no-duplicate-heading', startLineNumber: 5 }),
+    ]);
+  });
+
+  describe('$schema', () => {
+    const schema = json('schemas/user.json', {
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name'],
+    });
+
+    test('resolves the schema relative to the file', () => {
+      const data = json('data/user.json', { $schema: '../schemas/user.json', name: 3 });
+      const [diagnostic] = lintFile(data, [schema, data]);
+      expect(diagnostic.message).toBe('name: must be string (schemas/user.json)');
+    });
+
+    test('resolves paths from the top level and does not treat $schema as data', () => {
+      const data = json('data/user.json', { $schema: '/schemas/user.json', name: 'Ann' });
+      expect(lintFile(data, [schema, data])).toEqual([]);
+    });
+
+    test('warns when the schema cannot be found or used', () => {
+      const missing = json('a.json', { $schema: './nope.json' });
+      expect(lintFile(missing, [missing])[0].message).toBe('Schema ./nope.json is not a file in this room');
+
+      const outside = json('a.json', { $schema: '../../schema.json' });
+      expect(lintFile(outside, [outside])[0].message).toContain('is not a file in this room');
+
+      const broken = file('broken.json', 'json', '{');
+      const data = json('a.json', { $schema: './broken.json' });
+      expect(lintFile(data, [broken, data])[0].message).toContain('Schema broken.json cannot be used');
+    });
+
+    test('ignores schemas on the web', () => {
+      const data = json('a.json', { $schema: 'https://json.schemastore.org/foo.json', x: 1 });
+      expect(lintFile(data, [data])).toEqual([]);
+    });
+
+    test('refuses schemas over the size limit', () => {
+      const big = file('big.json', 'json', JSON.stringify({ description: 'x'.repeat(70 * 1024) }));
+      const data = json('a.json', { $schema: './big.json' });
+      expect(lintFile(data, [big, data])[0].message).toBe('Schema big.json is over 64 KB');
+    });
+
+    test('drops patterns from room schemas but keeps properties named "pattern"', () => {
+      const unsafe = json('unsafe.json', {
+        type: 'object',
+        properties: {
+          value: { type: 'string', pattern: '^(a+)+$' },
+          pattern: { type: 'number' },
+        },
+        patternProperties: { '^(a+)+$': { type: 'number' } },
+        enum: [{ pattern: 'kept as data', value: 'a', $schema: './unsafe.json' }],
+      });
+      const data = json('a.json', { $schema: './unsafe.json', value: `${'a'.repeat(40)}!`, pattern: 'x' });
+      const diagnostics = lintFile(data, [unsafe, data]);
+      expect(diagnostics.map(diagnostic => diagnostic.rule)).toEqual(['enum', 'type']);
+      expect(diagnostics[1].message).toContain('pattern: must be number');
+    });
+  });
+});
+
+describe('createCodeLinter', () => {
+  let linter;
+
+  afterEach(() => {
+    linter.close();
+  });
+
+  test('only lints files in a linted language', () => {
+    linter = createCodeLinter({ enabled: true, debounceMs: 0, maxBytes: 1024 });
+    expect(linter.languages).toEqual(LINT_LANGUAGES);
+    expect(linter.canLint(file('a.js', 'javascript', ''))).toBe(true);
+    expect(linter.canLint(file('a.py', 'python', ''))).toBe(false);
+    expect(linter.canLint({ path: 'src', type: 'folder', language: 'javascript' })).toBe(false);
+  });
+
+  test('lints nothing when turned off', async () => {
+    linter = createCodeLinter({ enabled: false, debounceMs: 0, maxBytes: 1024 });
+    expect(linter.languages).toEqual([]);
+    await expect(linter.lint(file('a.js', 'javascript', 'x('))).resolves.toEqual([]);
+  });
+
+  test('lints in the worker', async () => {
+    linter = createCodeLinter({ enabled: true, debounceMs: 0, maxBytes: 1024, timeoutMs: 30000 });
+    const diagnostics = await linter.lint(file('a.js', 'javascript', 'let unused;\n'));
+    expect(diagnostics.map(diagnostic => diagnostic.rule)).toEqual(['no-unused-vars']);
+    await expect(linter.lint(file('empty.js', 'javascript', '  \n'))).resolves.toEqual([]);
+  });
+
+  test('notes files over the size limit instead of linting them', async () => {
+    linter = createCodeLinter({ enabled: true, debounceMs: 0, maxBytes: 1024 });
+    const diagnostics = await linter.lint(file('big.js', 'javascript', `// ${'x'.repeat(2000)}`));
+    expect(diagnostics).toEqual([expect.objectContaining({ severity: 'info', message: 'Files over 1 KB are not linted' })]);
+  });
+
+  test('stops a pass that takes too long', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    linter = createCodeLinter({ enabled: true, debounceMs: 0, maxBytes: 1024, timeoutMs: 1 });
+    const diagnostics = await linter.lint(file('a.js', 'javascript', 'let unused;\n'));
+    expect(diagnostics).toEqual([expect.objectContaining({ severity: 'info', message: 'Linting this file took too long' })]);
+    console.warn.mockRestore();
+  });
+});
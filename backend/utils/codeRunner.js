@@ -0,0 +1,519 @@
+/**
+ * Code Runner
+ *
+ * Runs a room's JavaScript and Python files on the server, and interactive
+ * Node and Python REPLs shared by the room. Every run and REPL gets:
+ * - a fresh temporary directory holding the room's files, used as working
+ *   directory and HOME and deleted afterwards
+ * - an environment holding only PATH and a locale, so server secrets never reach it
+ * - a CPU time limit and a memory limit (ulimit), and a wall-clock limit after
+ *   which its whole process group is killed (REPLs also end when left idle)
+ * - no network and no view of the server's files: it runs in new user, network
+ *   and mount namespaces (`unshare -rnm`), chrooted into a root holding only its
+ *   run directory and, read-only, the system and interpreter directories
+ * - a cap on the output it may print; reaching it stops the program
+ * JavaScript also runs under Node's permission model, which keeps it to its
+ * own directory and stops it starting processes; Node versions without one
+ * are not used. A language whose confinement cannot be set up is not offered.
+ *
+ * Running code is off unless CODE_RUN_ENABLED=true; the other settings come
+ * from the CODE_RUN_* environment variables.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+
+// How often buffered output is handed on, so chatty programs send a few events a second
+const OUTPUT_FLUSH_MS = 100;
+
+// Address space V8 reserves beyond the heap; Node does not start inside a tighter limit
+const NODE_RESERVED_MB = 1024;
+
+// Largest file a program may write, in 512-byte blocks (10 MB)
+const MAX_FILE_BLOCKS = 20480;
+
+// Applies the limits given as arguments, then becomes the program
+const LIMITS_SCRIPT = 'ulimit -t "$1" && ulimit -v "$2" && ulimit -f "$3" && shift 3 && exec "$@"';
+
+// Directories of the system a confined program sees, read-only
+const SYSTEM_DIRECTORIES = ['/bin', '/lib', '/lib32', '/lib64', '/usr'];
+
+// Run inside new user and mount namespaces with the new root, the run directory, chroot, the number of
+// read-only directories and those directories as arguments: builds the root, then runs the rest of the
+// arguments chrooted into it, from the run directory. Exits with 125 when the root cannot be built
+const CONFINE_SCRIPT = [
+  'root=$1 directory=$2 chroot=$3 count=$4',
+  'shift 4',
+  'while [ "$count" -gt 0 ]; do',
+  '  if [ -L "$1" ]; then ln -s "$(readlink "$1")" "$root$1" || exit 125',
+  '  elif [ -d "$1" ]; then mkdir -p "$root$1" && mount --rbind "$1" "$root$1" && mount -o remount,bind,ro "$root$1" || exit 125',
+  '  fi',
+  '  shift',
+  '  count=$((count - 1))',
+  'done',
+  'mkdir -p "$root/dev" || exit 125',
+  'for device in null zero random urandom; do',
+  '  touch "$root/dev/$device" && mount --bind "/dev/$device" "$root/dev/$device" || exit 125',
+  'done',
+  'mkdir -p "$root$directory" && mount --bind "$directory" "$root$directory" || exit 125',
+  'exec "$chroot" "$root" /bin/sh -c \'cd "$1" && shift && exec "$@"\' sh "$directory" "$@"',
+].join('\n');
+
+// The server's own files, which the confinement checks make sure a program cannot see
+const SERVER_DIRECTORY = path.resolve(__dirname, '..');
+
+/**
+ * Read the runner settings from the environment
+ * @returns {Object} { enabled, timeoutMs, cpuSeconds, memoryMb, maxOutputBytes, maxConcurrentRuns, node, python,
+ *   replCpuSeconds, replIdleMs, replMaxMs, replMaxOutputBytes, maxReplSessions }
+ */
+const loadCodeRunOptions = () => ({
+  enabled: process.env.CODE_RUN_ENABLED === 'true',
+  timeoutMs: parseInt(process.env.CODE_RUN_TIMEOUT_MS) || 10 * 1000,
+  cpuSeconds: parseInt(process.env.CODE_RUN_CPU_SECONDS) || 5,
+  memoryMb: parseInt(process.env.CODE_RUN_MEMORY_MB) || 256,
+  maxOutputBytes: parseInt(process.env.CODE_RUN_MAX_OUTPUT_BYTES) || 64 * 1024,
+  maxConcurrentRuns: parseInt(process.env.CODE_RUN_MAX_CONCURRENT) || 2,
+  node: process.env.CODE_RUN_NODE || process.execPath,
+  python: process.env.CODE_RUN_PYTHON || 'python3',
+  replCpuSeconds: parseInt(process.env.CODE_REPL_CPU_SECONDS) || 60,
+  replIdleMs: parseInt(process.env.CODE_REPL_IDLE_MS) || 10 * 60 * 1000,
+  replMaxMs: parseInt(process.env.CODE_REPL_MAX_MS) || 60 * 60 * 1000,
+  replMaxOutputBytes: parseInt(process.env.CODE_REPL_MAX_OUTPUT_BYTES) || 1024 * 1024,
+  maxReplSessions: parseInt(process.env.CODE_REPL_MAX_SESSIONS) || 4,
+});
+
+/**
+ * Ask an interpreter about itself
+ * @param {string} command - Interpreter to run
+ * @param {Array<string>} args - Arguments printing one line of output
+ * @returns {string|null} What it printed, or null when it could not be run
+ */
+const probe = (command, args) => {
+  const result = spawnSync(command, args, { encoding: 'utf8', timeout: 5000 });
+  return result.status === 0 ? result.stdout.trim() : null;
+};
+
+/**
+ * Find the interpreters to run code with
+ * @param {Object} options - Runner settings
+ * @returns {Object} { javascript, python } for those found: { command, directories } where directories
+ *   hold the installation, and for JavaScript the permissionFlag turning Node's permission model on
+ */
+const findInterpreters = (options) => {
+  const interpreters = {};
+
+  const node = probe(options.node, ['-p', `JSON.stringify({
+    command: process.execPath,
+    directories: [require('path').dirname(require('fs').realpathSync(process.execPath))],
+    permissionFlag: ['--permission', '--experimental-permission'].find(flag => process.allowedNodeEnvironmentFlags.has(flag)) || null,
+  })`]);
+  if (!node) {
+    console.warn(`⚠️ Cannot run JavaScript: ${options.node} did not start`);
+  } else if (!JSON.parse(node).permissionFlag) {
+    console.warn(`⚠️ Cannot run JavaScript: ${options.node} has no permission model (Node 20 or later is needed)`);
+  } else {
+    interpreters.javascript = JSON.parse(node);
+  }
+
+  // Resolved once, as the runs' PATH may not reach version manager shims
+  const python = probe(options.python, ['-c', `import json, os, sys; print(json.dumps({
+    "command": sys.executable,
+    "directories": sorted({sys.prefix, sys.base_prefix, os.path.dirname(os.path.realpath(sys.executable))}),
+  }))`]);
+  if (python) {
+    interpreters.python = JSON.parse(python);
+  } else {
+    console.warn(`⚠️ Cannot run Python: ${options.python} did not start`);
+  }
+
+  return interpreters;
+};
+
+/**
+ * Command running a file or a REPL, and the address space it may use
+ * @param {string} language - javascript or python
+ * @param {Object} interpreter - { command, permissionFlag }
+ * @param {string} directory - Run directory
+ * @param {string|null} entry - File to run, null for a REPL
+ * @param {number} memoryMb - Memory limit
+ * @returns {Object} { command, args, addressSpaceMb }
+ */
+const buildCommand = (language, interpreter, directory, entry, memoryMb) => {
+  if (language === 'javascript') {
+    return {
+      command: interpreter.command,
+      args: [
+        interpreter.permissionFlag,
+        `--allow-fs-read=${directory}${path.sep}*`,
+        `--max-old-space-size=${memoryMb}`,
+        '--no-warnings',
+        ...(entry ? [entry] : ['-i']),
+      ],
+      addressSpaceMb: memoryMb + NODE_RESERVED_MB,
+    };
+  }
+  // Ignores PYTHON* variables and user site packages but, unlike isolated mode (-I), keeps the
+  // script's directory on sys.path so the room's other files can be imported; unbuffered so output streams
+  return {
+    command: interpreter.command,
+    args: ['-E', '-s', '-B', '-u', ...(entry ? [entry] : ['-i', '-q'])],
+    addressSpaceMb: memoryMb,
+  };
+};
+
+/**
+ * Command running a program chrooted into a root holding only its run directory and, read-only,
+ * the system directories and the given ones
+ * @param {string} chroot - Path of chroot
+ * @param {string} root - Empty directory to build the root in
+ * @param {string} directory - Run directory, at the same path inside the root
+ * @param {Array<string>} directories - Other directories to show, such as the interpreter's
+ * @param {Array<string>} command - Command and arguments to run there
+ * @returns {Object} { command, args } to spawn
+ */
+const confineCommand = (chroot, root, directory, directories, command) => {
+  const readOnly = [...new Set([...SYSTEM_DIRECTORIES, ...directories])]
+    .filter(dir => !SYSTEM_DIRECTORIES.some(system => dir !== system && dir.startsWith(`${system}/`)));
+  return {
+    command: 'unshare',
+    args: ['-rnm', '--', '/bin/sh', '-c', CONFINE_SCRIPT, 'sh', root, directory, chroot, String(readOnly.length), ...readOnly, ...command],
+  };
+};
+
+// Arguments making an interpreter exit with 0 when it sees the directory given first but not the second
+const CONFINEMENT_CHECKS = {
+  javascript: ['-e', 'const fs = require("fs"); process.exit(fs.existsSync(process.argv[1]) && !fs.existsSync(process.argv[2]) ? 0 : 1)'],
+  python: ['-I', '-c', 'import os, sys; sys.exit(0 if os.path.isdir(sys.argv[1]) and not os.path.exists(sys.argv[2]) else 1)'],
+};
+
+/**
+ * Check that an interpreter can be run confined to its directory
+ * @param {string} chroot - Path of chroot
+ * @param {string} language - javascript or python
+ * @param {Object} interpreter - { command, directories }
+ * @returns {boolean} True if the confined interpreter saw its run directory but not the server's files
+ */
+const canConfine = (chroot, language, interpreter) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'syncspace-root-'));
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'syncspace-run-'));
+  try {
+    const { command, args } = confineCommand(chroot, root, directory, interpreter.directories, [
+      interpreter.command, ...CONFINEMENT_CHECKS[language], directory, SERVER_DIRECTORY,
+    ]);
+    return spawnSync(command, args, { cwd: directory, timeout: 10000 }).status === 0;
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Environment of a run: nothing from the server's own environment
+ * @param {string} directory - Run directory, also HOME
+ * @returns {Object} Environment variables
+ */
+const runEnvironment = (directory) => ({
+  PATH: '/usr/local/bin:/usr/bin:/bin',
+  HOME: directory,
+  LANG: 'C.UTF-8',
+  // The Node REPL may not write its history file
+  NODE_REPL_HISTORY: '',
+});
+
+/**
+ * Write the room's files into the run directory
+ * @param {string} directory - Run directory
+ * @param {Array} files - [{ path, type, content }] with normalized paths
+ */
+const writeFiles = async (directory, files) => {
+  for (const file of files) {
+    const target = path.join(directory, ...file.path.split('/'));
+    if (file.type === 'folder') {
+      await fs.promises.mkdir(target, { recursive: true });
+    } else {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, file.content || '');
+    }
+  }
+};
+
+/**
+ * Collect a program's output, batched per stream and handed on every OUTPUT_FLUSH_MS
+ * @param {number} maxBytes - Output allowed
+ * @param {Function} onOutput - Called with [{ stream: 'stdout'|'stderr', text }]
+ * @param {Function} onLimit - Called once the output reaches maxBytes; the rest is dropped
+ * @returns {Object} { read(stream, name) to collect a stream, flush() }
+ */
+const createOutputCollector = (maxBytes, onOutput, onLimit) => {
+  let outputBytes = 0;
+  let limited = false;
+  let pending = [];
+  let flushTimer = null;
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (pending.length > 0) {
+      const chunks = pending;
+      pending = [];
+      onOutput(chunks);
+    }
+  };
+
+  const read = (stream, name) => {
+    const decoder = new StringDecoder('utf8');
+    stream.on('data', (data) => {
+      if (limited) return;
+      const remaining = maxBytes - outputBytes;
+      const text = decoder.write(data.length > remaining ? data.subarray(0, remaining) : data);
+      outputBytes += Math.min(data.length, remaining);
+      if (text) {
+        const last = pending[pending.length - 1];
+        if (last && last.stream === name) last.text += text;
+        else pending.push({ stream: name, text });
+        if (!flushTimer) flushTimer = setTimeout(flush, OUTPUT_FLUSH_MS);
+      }
+      if (data.length > remaining) {
+        limited = true;
+        onLimit();
+      }
+    });
+  };
+
+  return { read, flush };
+};
+
+/**
+ * Create the code runner
+ * @param {Object} options - Settings, from the environment by default (see loadCodeRunOptions)
+ * @returns {Object} { enabled, languages, isBusy(), isReplBusy(), run(program, handlers), startRepl(session, handlers) }
+ */
+const createCodeRunner = (options = loadCodeRunOptions()) => {
+  let interpreters = {};
+  let chroot = null;
+  let activeRuns = 0;
+  let activeRepls = 0;
+
+  if (options.enabled) {
+    chroot = probe('/bin/sh', ['-c', 'PATH="$PATH:/usr/sbin:/sbin"; command -v chroot']);
+    interpreters = findInterpreters(options);
+    // Code only runs where it can be cut off from the network and the server's files
+    Object.keys(interpreters).forEach(language => {
+      if (!chroot || !canConfine(chroot, language, interpreters[language])) {
+        delete interpreters[language];
+        console.warn(`⚠️ Cannot run ${language}: unshare and chroot cannot confine it to its own directory here`);
+      }
+    });
+  }
+
+  const languages = Object.keys(interpreters);
+  if (languages.length > 0) {
+    console.log(`▶️ Code runner on: ${languages.join(', ')} (${options.timeoutMs / 1000}s, ${options.cpuSeconds}s CPU, ${options.memoryMb} MB)`);
+  }
+
+  /**
+   * Start a program in the sandbox
+   * @param {Object} program - { language, entryPath (null for a REPL), files, cpuSeconds, timeoutMs, maxOutputBytes, idleMs }
+   * @param {Function} onOutput - Called with [{ stream, text }]
+   * @returns {Object} { write(text), stop(), done } where done resolves to { exitCode, signal, endedBy, error, durationMs };
+   *   endedBy is why the program was killed: 'stop', 'timeout', 'idle' or 'output-limit', null when it exited by itself
+   */
+  const startProcess = (program, onOutput) => {
+    const startedAt = Date.now();
+    let child = null;
+    let endedBy = null;
+    let idleTimer = null;
+
+    const kill = (reason) => {
+      if (!endedBy) endedBy = reason;
+      if (!child || child.exitCode !== null || child.signalCode !== null) return;
+      try {
+        // Negative pid: the whole process group, including anything the program started
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already gone
+      }
+    };
+
+    const resetIdleTimer = () => {
+      if (!program.idleMs) return;
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => kill('idle'), program.idleMs);
+    };
+
+    const output = createOutputCollector(program.maxOutputBytes, onOutput, () => kill('output-limit'));
+
+    const execute = async () => {
+      const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'syncspace-run-'));
+      let root = null;
+      try {
+        await writeFiles(directory, program.files);
+        if (endedBy) {
+          return { exitCode: null, signal: null };
+        }
+
+        const entry = program.entryPath ? path.join(directory, ...program.entryPath.split('/')) : null;
+        const command = buildCommand(program.language, interpreters[program.language], directory, entry, options.memoryMb);
+        const limits = [program.cpuSeconds, command.addressSpaceMb * 1024, MAX_FILE_BLOCKS].map(String);
+        const shellArgs = ['-c', LIMITS_SCRIPT, 'sh', ...limits, command.command, ...command.args];
+
+        root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'syncspace-root-'));
+        const sandbox = confineCommand(chroot, root, directory, interpreters[program.language].directories, ['/bin/sh', ...shellArgs]);
+
+        return await new Promise((resolve) => {
+          child = spawn(sandbox.command, sandbox.args, {
+            cwd: directory,
+            env: runEnvironment(directory),
+            stdio: [entry ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+            // Its own process group, so a kill reaches every process it starts
+            detached: true,
+          });
+          const timeout = setTimeout(() => kill('timeout'), program.timeoutMs);
+          resetIdleTimer();
+
+          // Input to a program that has just ended is dropped
+          child.stdin?.on('error', () => {});
+          output.read(child.stdout, 'stdout');
+          output.read(child.stderr, 'stderr');
+          child.on('error', (error) => {
+            clearTimeout(timeout);
+            console.error(`❌ Could not start ${program.language} ${entry ? 'run' : 'REPL'}:`, error.message);
+            resolve({ exitCode: null, signal: null, error: 'The program could not be started' });
+          });
+          child.on('close', (exitCode, signal) => {
+            clearTimeout(timeout);
+            resolve({ exitCode, signal });
+          });
+        });
+      } finally {
+        clearTimeout(idleTimer);
+        await fs.promises.rm(directory, { recursive: true, force: true });
+        if (root) {
+          await fs.promises.rm(root, { recursive: true, force: true });
+        }
+      }
+    };
+
+    const done = execute()
+      .catch((error) => {
+        console.error(`❌ Error running ${program.entryPath || `${program.language} REPL`}:`, error);
+        return { exitCode: null, signal: null, error: 'The program could not be run' };
+      })
+      .then((result) => {
+        output.flush();
+        return { ...result, endedBy, durationMs: Date.now() - startedAt };
+      });
+
+    return {
+      write(text) {
+        if (!child?.stdin?.writable) return false;
+        child.stdin.write(text);
+        resetIdleTimer();
+        return true;
+      },
+      stop() {
+        kill('stop');
+      },
+      done,
+    };
+  };
+
+  return {
+    enabled: languages.length > 0,
+    languages,
+
+    /**
+     * Whether the server is already running as many programs as it allows
+     */
+    isBusy() {
+      return activeRuns >= options.maxConcurrentRuns;
+    },
+
+    /**
+     * Whether the server already has as many REPLs open as it allows
+     */
+    isReplBusy() {
+      return activeRepls >= options.maxReplSessions;
+    },
+
+    /**
+     * Run a file
+     * @param {Object} program - { language, path, files } where path is the file to run and
+     *   files every file and folder to put beside it: [{ path, type, content }]
+     * @param {Object} handlers - { onOutput(chunks) } called with [{ stream: 'stdout'|'stderr', text }]
+     * @returns {Object} { stop(), done } where done resolves to
+     *   { exitCode, signal, timedOut, stopped, outputLimited, durationMs, error }
+     */
+    run({ language, path: entryPath, files }, { onOutput }) {
+      activeRuns++;
+      const execution = startProcess({
+        language,
+        entryPath,
+        files,
+        cpuSeconds: options.cpuSeconds,
+        timeoutMs: options.timeoutMs,
+        maxOutputBytes: options.maxOutputBytes,
+      }, onOutput);
+
+      return {
+        stop: execution.stop,
+        done: execution.done.then(({ exitCode, signal, endedBy, error, durationMs }) => {
+          activeRuns--;
+          return {
+            exitCode,
+            signal,
+            timedOut: endedBy === 'timeout',
+            stopped: endedBy === 'stop',
+            outputLimited: endedBy === 'output-limit',
+            durationMs,
+            error,
+          };
+        }),
+      };
+    },
+
+    /**
+     * Start an interactive REPL
+     * It ends when stopped, when its input has been idle for replIdleMs, after
+     * replMaxMs, or once it has used its CPU time or printed replMaxOutputBytes
+     * @param {Object} session - { language, files } where files are put in its working directory
+     * @param {Object} handlers - { onOutput(chunks) } called with [{ stream: 'stdout'|'stderr', text }]
+     * @returns {Object} { write(text), stop(), done } where write returns false once the REPL is gone and done
+     *   resolves to { exitCode, signal, reason, durationMs, error }; reason is 'stopped', 'idle', 'timeout',
+     *   'output-limit', 'exited' or 'error'
+     */
+    startRepl({ language, files }, { onOutput }) {
+      activeRepls++;
+      const session = startProcess({
+        language,
+        entryPath: null,
+        files,
+        cpuSeconds: options.replCpuSeconds,
+        timeoutMs: options.replMaxMs,
+        maxOutputBytes: options.replMaxOutputBytes,
+        idleMs: options.replIdleMs,
+      }, onOutput);
+
+      return {
+        write: session.write,
+        stop: session.stop,
+        done: session.done.then(({ exitCode, signal, endedBy, error, durationMs }) => {
+          activeRepls--;
+          const reason = endedBy === 'stop' ? 'stopped' : endedBy || (error ? 'error' : 'exited');
+          return { exitCode, signal, reason, durationMs, error };
+        }),
+      };
+    },
+  };
+};
+
+module.exports = {
+  loadCodeRunOptions,
+  buildCommand,
+  runEnvironment,
+  createCodeRunner,
+};
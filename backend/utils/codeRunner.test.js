@@ -0,0 +1,114 @@
+const { loadCodeRunOptions, buildCommand, runEnvironment, createCodeRunner } = require('./codeRunner');
+
+describe('loadCodeRunOptions', () => {
+  const saved = process.env.CODE_RUN_ENABLED;
+
+  afterEach(() => {
+    if (saved === undefined) delete process.env.CODE_RUN_ENABLED;
+    else process.env.CODE_RUN_ENABLED = saved;
+  });
+
+  test('leaves running code off unless it is turned on', () => {
+    delete process.env.CODE_RUN_ENABLED;
+    expect(loadCodeRunOptions().enabled).toBe(false);
+    process.env.CODE_RUN_ENABLED = 'yes';
+    expect(loadCodeRunOptions().enabled).toBe(false);
+    process.env.CODE_RUN_ENABLED = 'true';
+    expect(loadCodeRunOptions().enabled).toBe(true);
+  });
+});
+
+describe('createCodeRunner', () => {
+  test('offers no languages when turned off', () => {
+    const runner = createCodeRunner({ ...loadCodeRunOptions(), enabled: false });
+    expect(runner.enabled).toBe(false);
+    expect(runner.languages).toEqual([]);
+  });
+});
+
+describe('buildCommand', () => {
+  const directory = '/tmp/syncspace-run-abc';
+
+  test('runs JavaScript under the permission model, reading only its directory', () => {
+    const node = { command: '/usr/bin/node', permissionFlag: '--permission' };
+    expect(buildCommand('javascript', node, directory, `${directory}/app.js`, 256)).toEqual({
+      command: '/usr/bin/node',
+      args: ['--permission', `--allow-fs-read=${directory}/*`, '--max-old-space-size=256', '--no-warnings', `${directory}/app.js`],
+      addressSpaceMb: 256 + 1024,
+    });
+  });
+
+  test('opens the Node REPL without an entry file', () => {
+    const node = { command: 'node', permissionFlag: '--experimental-permission' };
+    const { args } = buildCommand('javascript', node, directory, null, 128);
+    expect(args[0]).toBe('--experimental-permission');
+    expect(args[args.length - 1]).toBe('-i');
+  });
+
+  test('runs Python without PYTHON* variables or user site packages', () => {
+    const python = { command: '/usr/bin/python3' };
+    expect(buildCommand('python', python, directory, `${directory}/main.py`, 256)).toEqual({
+      command: '/usr/bin/python3',
+      args: ['-E', '-s', '-B', '-u', `${directory}/main.py`],
+      addressSpaceMb: 256,
+    });
+    expect(buildCommand('python', python, directory, null, 256).args.slice(-2)).toEqual(['-i', '-q']);
+  });
+});
+
+describe('runEnvironment', () => {
+  test('holds nothing from the server environment', () => {
+    expect(runEnvironment('/tmp/run')).toEqual({
+      PATH: '/usr/local/bin:/usr/bin:/bin',
+      HOME: '/tmp/run',
+      LANG: 'C.UTF-8',
+      NODE_REPL_HISTORY: '',
+    });
+  });
+});
+
+// Only where this machine can confine runs (unshare and chroot), as the server would
+describe('confined runs', () => {
+  let runner;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    runner = createCodeRunner({ ...loadCodeRunOptions(), enabled: true });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const run = async (language, path, content) => {
+    const output = [];
+    const result = await runner.run({ language, path, files: [{ path, type: 'file', content }] }, {
+      onOutput: chunks => output.push(...chunks),
+    }).done;
+    return { ...result, output: output.map(chunk => chunk.text).join('') };
+  };
+
+  test('cannot see the server\'s files or environment from Python', async () => {
+    if (!runner.languages.includes('python')) return;
+    const { exitCode, output } = await run('python', 'main.py', [
+      'import json, os',
+      `print(json.dumps([os.path.exists(${JSON.stringify(__dirname)}), sorted(os.environ)]))`,
+    ].join('\n'));
+    expect(exitCode).toBe(0);
+    const [serverVisible, variables] = JSON.parse(output);
+    expect(serverVisible).toBe(false);
+    // The shell starting the program adds PWD and OLDPWD as it changes into the run directory
+    expect(variables).toEqual([...Object.keys(runEnvironment('')), 'OLDPWD', 'PWD'].sort());
+  });
+
+  test('cannot see the server\'s files from JavaScript', async () => {
+    if (!runner.languages.includes('javascript')) return;
+    const { exitCode, output } = await run('javascript', 'app.js', [
+      'const fs = require("fs");',
+      `try { fs.statSync(${JSON.stringify(__dirname)}); console.log("visible"); } catch (error) { console.log(error.code); }`,
+    ].join('\n'));
+    expect(exitCode).toBe(0);
+    expect(output.trim()).toBe('ERR_ACCESS_DENIED');
+  });
+});
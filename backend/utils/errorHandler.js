@@ -57,9 +57,51 @@ const sendConflictError = (res, errorType, message) => {
   });
 };
 
+/**
+ * Send a standardized 401 error response
+ * @param {Object} res - Express response object
+ * @param {string} errorType - Type of error (e.g., 'Authentication required')
+ * @param {string} message - Human-readable error message
+ */
+const sendUnauthorizedError = (res, errorType, message) => {
+  res.status(401).json({
+    error: errorType,
+    message: message,
+  });
+};
+
+/**
+ * Send a standardized 403 error response
+ * @param {Object} res - Express response object
+ * @param {string} errorType - Type of error (e.g., 'Insufficient role')
+ * @param {string} message - Human-readable error message
+ */
+const sendForbiddenError = (res, errorType, message) => {
+  res.status(403).json({
+    error: errorType,
+    message: message,
+  });
+};
+
+/**
+ * Send a standardized 413 error response
+ * @param {Object} res - Express response object
+ * @param {string} errorType - Type of error (e.g., 'File too large')
+ * @param {string} message - Human-readable error message
+ */
+const sendPayloadTooLargeError = (res, errorType, message) => {
+  res.status(413).json({
+    error: errorType,
+    message: message,
+  });
+};
+
 module.exports = {
   sendServerError,
   sendNotFoundError,
   sendBadRequestError,
   sendConflictError,
+  sendUnauthorizedError,
+  sendForbiddenError,
+  sendPayloadTooLargeError,
 };
@@ -0,0 +1,73 @@
+/**
+ * Mention Utilities
+ *
+ * Finds `@username` mentions in chat messages. Usernames may contain
+ * spaces, so mentions are matched against the names actually in the room,
+ * longest first, rather than parsed from the text alone. Names need not be
+ * unique, so mentions are delivered by the user ids behind them.
+ */
+
+// Characters that would make a mention part of a longer name
+const NAME_CHARACTER = /[a-zA-Z0-9_-]/;
+
+/**
+ * Find the usernames mentioned in a message
+ * @param {string} text - Message text
+ * @param {Array<string>} usernames - Usernames that can be mentioned
+ * @returns {Array<string>} Mentioned usernames, as spelled in `usernames`
+ */
+const findMentions = (text, usernames) => {
+  if (!text || !text.includes('@')) {
+    return [];
+  }
+
+  const lowerText = text.toLowerCase();
+  const candidates = [...new Set(usernames.filter(Boolean))].sort((a, b) => b.length - a.length);
+  const claimed = [];
+  const mentioned = [];
+
+  candidates.forEach(username => {
+    const needle = `@${username.toLowerCase()}`;
+    let index = lowerText.indexOf(needle);
+
+    while (index !== -1) {
+      const end = index + needle.length;
+      const before = index > 0 ? text[index - 1] : '';
+      const after = text[end] || '';
+      // A longer name already matched here (e.g. "@Ann Lee" over "@Ann")
+      const overlaps = claimed.some(([start, stop]) => index < stop && end > start);
+
+      if (!NAME_CHARACTER.test(before) && !NAME_CHARACTER.test(after) && !overlaps) {
+        claimed.push([index, end]);
+        if (!mentioned.includes(username)) {
+          mentioned.push(username);
+        }
+      }
+      index = lowerText.indexOf(needle, index + 1);
+    }
+  });
+
+  return mentioned;
+};
+
+/**
+ * Find the room members a message mentions
+ * Everyone going by a mentioned name is mentioned; the author never is
+ * @param {string} text - Message text
+ * @param {Array<Object>} members - { userId, username } of the members who can be mentioned
+ * @param {string} authorId - User id of the message's author
+ * @returns {Object} { usernames, userIds } of the mentioned members
+ */
+const getMentions = (text, members, authorId) => {
+  const candidates = members.filter(member => member.userId && member.userId !== authorId);
+  const usernames = findMentions(text, candidates.map(member => member.username));
+  const userIds = candidates
+    .filter(member => usernames.includes(member.username))
+    .map(member => member.userId);
+  return { usernames, userIds: [...new Set(userIds)] };
+};
+
+module.exports = {
+  findMentions,
+  getMentions,
+};
@@ -0,0 +1,49 @@
+const { findMentions, getMentions } = require('./mentions');
+
+describe('findMentions', () => {
+  test('finds names with spaces, ignoring case', () => {
+    expect(findMentions('hi @ann lee and @Bob!', ['Ann Lee', 'Bob', 'Cy'])).toEqual(['Ann Lee', 'Bob']);
+  });
+
+  test('prefers the longest name at a position', () => {
+    expect(findMentions('@Ann Lee, look', ['Ann', 'Ann Lee'])).toEqual(['Ann Lee']);
+    expect(findMentions('@Ann and @Ann Lee', ['Ann', 'Ann Lee'])).toEqual(['Ann Lee', 'Ann']);
+  });
+
+  test('does not match inside longer words or addresses', () => {
+    expect(findMentions('@Annie mail ann@bob.com', ['Ann', 'bob'])).toEqual([]);
+    expect(findMentions('@Bob_2', ['Bob'])).toEqual([]);
+  });
+
+  test('finds nothing without an @', () => {
+    expect(findMentions('Ann', ['Ann'])).toEqual([]);
+    expect(findMentions('', ['Ann'])).toEqual([]);
+  });
+});
+
+describe('getMentions', () => {
+  const members = [
+    { userId: 'u1', username: 'Ann' },
+    { userId: 'u2', username: 'Ann' },
+    { userId: 'u3', username: 'Bob' },
+    { userId: 'u4', username: 'Cy' },
+  ];
+
+  test('resolves mentioned names to user ids', () => {
+    expect(getMentions('@Bob and @Cy', members, 'u1')).toEqual({ usernames: ['Bob', 'Cy'], userIds: ['u3', 'u4'] });
+  });
+
+  test('mentions everyone going by a name, except the author', () => {
+    expect(getMentions('@Ann', members, 'u3')).toEqual({ usernames: ['Ann'], userIds: ['u1', 'u2'] });
+    expect(getMentions('@Ann', members, 'u1')).toEqual({ usernames: ['Ann'], userIds: ['u2'] });
+  });
+
+  test('does not let the author mention themselves', () => {
+    expect(getMentions('@Bob', members, 'u3')).toEqual({ usernames: [], userIds: [] });
+  });
+
+  test('lists a member once however often they are mentioned', () => {
+    const rejoined = [...members, { userId: 'u3', username: 'Bob' }];
+    expect(getMentions('@Bob @bob', rejoined, 'u1')).toEqual({ usernames: ['Bob'], userIds: ['u3'] });
+  });
+});
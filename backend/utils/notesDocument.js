@@ -0,0 +1,223 @@
+/**
+ * Notes Document Utilities
+ *
+ * Structured document model for collaborative notes.
+ * A notes document is an ordered list of blocks (paragraphs, headings,
+ * lists, ...) identified by stable ids. Clients send block operations:
+ * - insert: add a block after `afterId` (null for the start)
+ * - update: replace a block's tag and HTML
+ * - delete: remove a block
+ *
+ * Operations touching different blocks never conflict; concurrent
+ * updates to the same block resolve to the last one received.
+ *
+ * Block HTML comes from a contentEditable region and is rendered by every
+ * peer, so it is reduced to an allow-list of formatting markup before it
+ * is stored or broadcast.
+ */
+
+const sanitizeHtml = require('sanitize-html');
+
+// Top-level elements a notes block may use
+const BLOCK_TAGS = ['p', 'div', 'h1', 'h2', 'h3', 'ul', 'ol', 'blockquote', 'pre'];
+
+const OPERATION_TYPES = ['insert', 'update', 'delete'];
+
+// Inline styles the browser's formatting commands write: alignment, the
+// indented blockquote, and bold/italic/underline when they are done with CSS
+// Mirrored in frontend/src/utils/notesDocument.js
+const LENGTH_LIST = /^(0|\d{1,3}(\.\d+)?(px|em|rem))( (0|\d{1,3}(\.\d+)?(px|em|rem))){0,3}$/;
+const NOTE_STYLES = {
+  'text-align': [/^(left|right|center|justify)$/],
+  margin: [LENGTH_LIST],
+  'margin-left': [LENGTH_LIST],
+  padding: [LENGTH_LIST],
+  border: [/^(none|0(px)?)$/],
+  'font-weight': [/^(normal|bold|[1-9]00)$/],
+  'font-style': [/^(normal|italic)$/],
+  'text-decoration': [/^(none|underline|line-through)( (underline|line-through))?$/],
+  'text-decoration-line': [/^(none|underline|line-through)( (underline|line-through))?$/],
+};
+
+// Markup the notes toolbar produces; everything else is stripped
+// Mirrored in frontend/src/utils/notesDocument.js
+const NOTE_HTML_POLICY = {
+  allowedTags: [
+    ...BLOCK_TAGS, 'li', 'br', 'span', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del',
+    'sub', 'sup', 'code', 'a',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    '*': ['style'],
+  },
+  allowedStyles: {
+    '*': NOTE_STYLES,
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  // Links always open in a new tab without access to the room page
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' }),
+  },
+};
+
+// Serializes HTML the same way without removing anything, so the two can be
+// compared; URL schemes are not checked here, so a dropped javascript: link counts
+const NOTE_HTML_PASSTHROUGH = {
+  allowedTags: false,
+  allowedAttributes: false,
+  allowVulnerableTags: true,
+  allowedSchemesAppliedToAttributes: [],
+  transformTags: NOTE_HTML_POLICY.transformTags,
+};
+
+/**
+ * Reduce a block's HTML to the allowed formatting markup
+ * @param {string} html - Block HTML from a client
+ * @returns {Object} { html, stripped } where stripped is true if markup was removed
+ */
+const sanitizeNoteHtml = (html) => {
+  const clean = sanitizeHtml(html, NOTE_HTML_POLICY);
+  return {
+    html: clean,
+    stripped: clean !== sanitizeHtml(html, NOTE_HTML_PASSTHROUGH),
+  };
+};
+
+/**
+ * Check that a block operation is well formed
+ * @param {*} operation - Value received from a client
+ * @returns {boolean} True if the operation can be applied
+ */
+const isValidNoteOperation = (operation) => {
+  if (!operation || !OPERATION_TYPES.includes(operation.type)) {
+    return false;
+  }
+  if (typeof operation.blockId !== 'string' || !operation.blockId || operation.blockId.length > 64) {
+    return false;
+  }
+  if (operation.type === 'delete') {
+    return true;
+  }
+  return BLOCK_TAGS.includes(operation.tag) && typeof operation.html === 'string';
+};
+
+/**
+ * Build blocks for notes stored before the block model existed
+ * @param {string} content - Legacy notes HTML
+ * @returns {Array} Blocks holding the legacy content
+ */
+const blocksFromContent = (content) => {
+  if (!content) {
+    return [];
+  }
+  return [{ blockId: 'legacy', tag: 'div', html: content, version: 1 }];
+};
+
+/**
+ * Serialize blocks into a single HTML string
+ * @param {Array} blocks - Notes blocks
+ * @returns {string} Notes HTML
+ */
+const blocksToContent = (blocks) => {
+  return blocks.map(block => `<${block.tag}>${block.html}</${block.tag}>`).join('');
+};
+
+/**
+ * Insert a block using the operation's placement hints
+ * @returns {Object} Applied insert and whether the sender must resync
+ */
+const insertBlock = (blocks, operation, author) => {
+  let position = 0;
+  let resync = false;
+
+  if (operation.afterId) {
+    const anchorIndex = blocks.findIndex(block => block.blockId === operation.afterId);
+    if (anchorIndex === -1) {
+      // Anchor was deleted concurrently, fall back to the index hint
+      const index = Number.isInteger(operation.index) ? operation.index : blocks.length;
+      position = Math.max(0, Math.min(index, blocks.length));
+      resync = true;
+    } else {
+      position = anchorIndex + 1;
+    }
+  }
+
+  const block = {
+    blockId: operation.blockId,
+    tag: operation.tag,
+    html: operation.html,
+    version: 1,
+    lastModifiedBy: author,
+  };
+  blocks.splice(position, 0, block);
+
+  return {
+    applied: {
+      type: 'insert',
+      blockId: block.blockId,
+      tag: block.tag,
+      html: block.html,
+      afterId: position > 0 ? blocks[position - 1].blockId : null,
+      index: position,
+    },
+    resync,
+  };
+};
+
+/**
+ * Apply a block operation to a notes document
+ * @param {Array} blocks - Notes blocks (mutated)
+ * @param {Object} operation - Block operation
+ * @param {Object} author - { userId, username } of the sender
+ * @returns {Object} { applied, resync } where applied is the operation to
+ * broadcast (null if nothing changed) and resync asks the sender to reload
+ */
+const applyNoteOperation = (blocks, operation, author) => {
+  const index = blocks.findIndex(block => block.blockId === operation.blockId);
+
+  switch (operation.type) {
+    case 'delete':
+      if (index === -1) {
+        return { applied: null, resync: false };
+      }
+      blocks.splice(index, 1);
+      return { applied: { type: 'delete', blockId: operation.blockId }, resync: false };
+
+    case 'insert':
+    case 'update':
+      if (index === -1) {
+        // Updating a block deleted concurrently brings it back so no edit is lost
+        return insertBlock(blocks, operation, author);
+      }
+
+      blocks[index] = {
+        ...blocks[index],
+        tag: operation.tag,
+        html: operation.html,
+        version: (blocks[index].version || 0) + 1,
+        lastModifiedBy: author,
+      };
+      return {
+        applied: {
+          type: 'update',
+          blockId: operation.blockId,
+          tag: operation.tag,
+          html: operation.html,
+        },
+        resync: false,
+      };
+
+    default:
+      return { applied: null, resync: false };
+  }
+};
+
+module.exports = {
+  BLOCK_TAGS,
+  sanitizeNoteHtml,
+  isValidNoteOperation,
+  blocksFromContent,
+  blocksToContent,
+  applyNoteOperation,
+};
@@ -0,0 +1,103 @@
+const { sanitizeNoteHtml } = require('./notesDocument');
+
+describe('sanitizeNoteHtml', () => {
+  describe('script payloads', () => {
+    test('drops script elements with their content', () => {
+      expect(sanitizeNoteHtml('<p>hi</p><script>alert(1)</script>')).toEqual({
+        html: '<p>hi</p>',
+        stripped: true,
+      });
+    });
+
+    test('drops images carrying an onerror handler', () => {
+      expect(sanitizeNoteHtml('<img src="x" onerror="alert(1)">after')).toEqual({
+        html: 'after',
+        stripped: true,
+      });
+    });
+
+    test('drops event handlers on allowed tags', () => {
+      expect(sanitizeNoteHtml('<b onclick="alert(1)">bold</b>')).toEqual({
+        html: '<b>bold</b>',
+        stripped: true,
+      });
+    });
+
+    test('drops svg with an onload handler', () => {
+      expect(sanitizeNoteHtml('<svg onload="alert(1)"><circle r="1"></circle></svg>text')).toEqual({
+        html: 'text',
+        stripped: true,
+      });
+    });
+  });
+
+  describe('links', () => {
+    test.each([
+      ['javascript:alert(1)'],
+      ['JaVaScRiPt:alert(1)'],
+      [' javascript:alert(1)'],
+      ['data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=='],
+      ['vbscript:msgbox(1)'],
+    ])('drops the %s href and reports it', (href) => {
+      expect(sanitizeNoteHtml(`<a href="${href}">link</a>`)).toEqual({
+        html: '<a target="_blank" rel="noopener noreferrer">link</a>',
+        stripped: true,
+      });
+    });
+
+    test('keeps http links and opens them in a new tab', () => {
+      expect(sanitizeNoteHtml('<a href="https://example.com">site</a>')).toEqual({
+        html: '<a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a>',
+        stripped: false,
+      });
+    });
+
+    test('does not report the target and rel it adds itself', () => {
+      expect(sanitizeNoteHtml('<a href="mailto:a@example.com" target="_self">mail</a>').stripped).toBe(false);
+    });
+  });
+
+  describe('styles', () => {
+    test('drops style declarations outside the allow-list', () => {
+      expect(sanitizeNoteHtml('<p style="position: fixed; top: 0; text-align: center">x</p>')).toEqual({
+        html: '<p style="text-align:center">x</p>',
+        stripped: true,
+      });
+    });
+
+    test('drops url() backgrounds', () => {
+      expect(sanitizeNoteHtml('<p style="background: url(javascript:alert(1))">x</p>')).toEqual({
+        html: '<p>x</p>',
+        stripped: true,
+      });
+    });
+
+    test('drops expression() and behavior styles', () => {
+      expect(sanitizeNoteHtml('<span style="width: expression(alert(1)); behavior: url(x.htc)">y</span>')).toEqual({
+        html: '<span>y</span>',
+        stripped: true,
+      });
+    });
+
+    test('keeps the indented blockquote the toolbar writes', () => {
+      expect(sanitizeNoteHtml('<blockquote style="margin: 0 0 0 40px; border: none; padding: 0px;">quote</blockquote>')).toEqual({
+        html: '<blockquote style="margin:0 0 0 40px;border:none;padding:0px">quote</blockquote>',
+        stripped: false,
+      });
+    });
+
+    test('keeps alignment and CSS bold', () => {
+      expect(sanitizeNoteHtml('<p style="text-align: right;"><span style="font-weight: bold;">b</span></p>')).toEqual({
+        html: '<p style="text-align:right"><span style="font-weight:bold">b</span></p>',
+        stripped: false,
+      });
+    });
+  });
+
+  test('leaves plain formatting untouched', () => {
+    expect(sanitizeNoteHtml('plain &amp; <b>bold</b> <em>em</em><br>')).toEqual({
+      html: 'plain &amp; <b>bold</b> <em>em</em><br />',
+      stripped: false,
+    });
+  });
+});
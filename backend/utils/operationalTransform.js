@@ -0,0 +1,283 @@
+/**
+ * Operational Transform Utilities
+ *
+ * Text operations for collaborative editing of plain-text documents.
+ * An operation is an array of components applied left to right:
+ * - positive integer: retain that many characters
+ * - string: insert the string at the current position
+ * - negative integer: delete that many characters
+ *
+ * Concurrent operations are merged with transformOperations so that
+ * every participant converges on the same document.
+ */
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isInsert = (component) => typeof component === 'string';
+const isDelete = (component) => typeof component === 'number' && component < 0;
+
+/**
+ * Append a component to an operation, merging with the previous one when possible
+ * Inserts are always placed before deletes so equivalent operations share one shape
+ * @param {Array} operation - Operation being built (mutated)
+ * @param {number|string} component - Component to append
+ * @returns {Array} The same operation
+ */
+const pushComponent = (operation, component) => {
+  if (component === 0 || component === '') {
+    return operation;
+  }
+
+  const last = operation[operation.length - 1];
+
+  if (isRetain(component)) {
+    if (isRetain(last)) {
+      operation[operation.length - 1] = last + component;
+    } else {
+      operation.push(component);
+    }
+  } else if (isInsert(component)) {
+    if (isInsert(last)) {
+      operation[operation.length - 1] = last + component;
+    } else if (isDelete(last)) {
+      const beforeLast = operation[operation.length - 2];
+      if (isInsert(beforeLast)) {
+        operation[operation.length - 2] = beforeLast + component;
+      } else {
+        operation[operation.length - 1] = component;
+        operation.push(last);
+      }
+    } else {
+      operation.push(component);
+    }
+  } else if (isDelete(component)) {
+    if (isDelete(last)) {
+      operation[operation.length - 1] = last + component;
+    } else {
+      operation.push(component);
+    }
+  }
+
+  return operation;
+};
+
+/**
+ * Check that an operation is well formed
+ * @param {*} operation - Value received from a client
+ * @returns {boolean} True if every component is a retain, insert or delete
+ */
+const isValidOperation = (operation) => {
+  if (!Array.isArray(operation)) {
+    return false;
+  }
+
+  return operation.every(component =>
+    isInsert(component) ||
+    (Number.isInteger(component) && component !== 0)
+  );
+};
+
+/**
+ * Length of the document an operation can be applied to
+ * @param {Array} operation - Text operation
+ * @returns {number} Base document length
+ */
+const getBaseLength = (operation) => {
+  return operation.reduce((length, component) => {
+    if (isRetain(component)) return length + component;
+    if (isDelete(component)) return length - component;
+    return length;
+  }, 0);
+};
+
+/**
+ * Length of the document after an operation is applied
+ * @param {Array} operation - Text operation
+ * @returns {number} Target document length
+ */
+const getTargetLength = (operation) => {
+  return operation.reduce((length, component) => {
+    if (isRetain(component)) return length + component;
+    if (isInsert(component)) return length + component.length;
+    return length;
+  }, 0);
+};
+
+/**
+ * Check whether an operation leaves the document unchanged
+ * @param {Array} operation - Text operation
+ * @returns {boolean} True if the operation only retains
+ */
+const isNoop = (operation) => {
+  return operation.every(isRetain);
+};
+
+/**
+ * Apply an operation to a document
+ * @param {string} content - Current document content
+ * @param {Array} operation - Text operation
+ * @returns {string} New document content
+ * @throws {Error} If the operation does not match the document length
+ */
+const applyOperation = (content, operation) => {
+  if (getBaseLength(operation) !== content.length) {
+    throw new Error('Operation base length does not match document length');
+  }
+
+  let result = '';
+  let index = 0;
+
+  operation.forEach(component => {
+    if (isRetain(component)) {
+      result += content.slice(index, index + component);
+      index += component;
+    } else if (isInsert(component)) {
+      result += component;
+    } else {
+      index -= component;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Combine two consecutive operations into one
+ * @param {Array} first - Operation applied first
+ * @param {Array} second - Operation applied to the result of the first
+ * @returns {Array} Operation with the same effect as applying both
+ * @throws {Error} If the operations are not consecutive
+ */
+const composeOperations = (first, second) => {
+  if (getTargetLength(first) !== getBaseLength(second)) {
+    throw new Error('Operations cannot be composed: length mismatch');
+  }
+
+  const composed = [];
+  const a = [...first];
+  const b = [...second];
+  let i = 0;
+  let j = 0;
+  let componentA = a[i++];
+  let componentB = b[j++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isDelete(componentA)) {
+      pushComponent(composed, componentA);
+      componentA = a[i++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      pushComponent(composed, componentB);
+      componentB = b[j++];
+      continue;
+    }
+
+    if (componentA === undefined || componentB === undefined) {
+      throw new Error('Operations cannot be composed: first operation is too short');
+    }
+
+    if (isRetain(componentA) && isRetain(componentB)) {
+      const length = Math.min(componentA, componentB);
+      pushComponent(composed, length);
+      componentA = componentA > length ? componentA - length : a[i++];
+      componentB = componentB > length ? componentB - length : b[j++];
+    } else if (isInsert(componentA) && isDelete(componentB)) {
+      const length = Math.min(componentA.length, -componentB);
+      componentA = componentA.length > length ? componentA.slice(length) : a[i++];
+      componentB = -componentB > length ? componentB + length : b[j++];
+    } else if (isInsert(componentA) && isRetain(componentB)) {
+      const length = Math.min(componentA.length, componentB);
+      pushComponent(composed, componentA.slice(0, length));
+      componentA = componentA.length > length ? componentA.slice(length) : a[i++];
+      componentB = componentB > length ? componentB - length : b[j++];
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      const length = Math.min(componentA, -componentB);
+      pushComponent(composed, -length);
+      componentA = componentA > length ? componentA - length : a[i++];
+      componentB = -componentB > length ? componentB + length : b[j++];
+    }
+  }
+
+  return composed;
+};
+
+/**
+ * Transform two concurrent operations against each other
+ *
+ * Given operations `a` and `b` made against the same document, returns
+ * `[aPrime, bPrime]` such that applying a then bPrime gives the same result
+ * as applying b then aPrime. When both insert at the same position the
+ * insert from `a` is placed first.
+ *
+ * @param {Array} a - Operation to transform
+ * @param {Array} b - Concurrent operation
+ * @returns {Array} Pair of transformed operations [aPrime, bPrime]
+ * @throws {Error} If the operations were not made against the same document
+ */
+const transformOperations = (a, b) => {
+  if (getBaseLength(a) !== getBaseLength(b)) {
+    throw new Error('Operations cannot be transformed: base length mismatch');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let componentA = a[i++];
+  let componentB = b[j++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isInsert(componentA)) {
+      pushComponent(aPrime, componentA);
+      pushComponent(bPrime, componentA.length);
+      componentA = a[i++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      pushComponent(aPrime, componentB.length);
+      pushComponent(bPrime, componentB);
+      componentB = b[j++];
+      continue;
+    }
+
+    if (componentA === undefined || componentB === undefined) {
+      throw new Error('Operations cannot be transformed: operation is too short');
+    }
+
+    if (isRetain(componentA) && isRetain(componentB)) {
+      const length = Math.min(componentA, componentB);
+      pushComponent(aPrime, length);
+      pushComponent(bPrime, length);
+      componentA = componentA > length ? componentA - length : a[i++];
+      componentB = componentB > length ? componentB - length : b[j++];
+    } else if (isDelete(componentA) && isDelete(componentB)) {
+      // Both sides deleted the same text, nothing left to do
+      const length = Math.min(-componentA, -componentB);
+      componentA = -componentA > length ? componentA + length : a[i++];
+      componentB = -componentB > length ? componentB + length : b[j++];
+    } else if (isDelete(componentA) && isRetain(componentB)) {
+      const length = Math.min(-componentA, componentB);
+      pushComponent(aPrime, -length);
+      componentA = -componentA > length ? componentA + length : a[i++];
+      componentB = componentB > length ? componentB - length : b[j++];
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      const length = Math.min(componentA, -componentB);
+      pushComponent(bPrime, -length);
+      componentA = componentA > length ? componentA - length : a[i++];
+      componentB = -componentB > length ? componentB + length : b[j++];
+    }
+  }
+
+  return [aPrime, bPrime];
+};
+
+module.exports = {
+  pushComponent,
+  isValidOperation,
+  getBaseLength,
+  getTargetLength,
+  isNoop,
+  applyOperation,
+  composeOperations,
+  transformOperations,
+};
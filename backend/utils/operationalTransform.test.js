@@ -0,0 +1,112 @@
+const {
+  pushComponent,
+  isValidOperation,
+  getBaseLength,
+  getTargetLength,
+  isNoop,
+  applyOperation,
+  composeOperations,
+  transformOperations,
+} = require('./operationalTransform');
+
+describe('pushComponent', () => {
+  test('merges neighbouring components of the same kind and drops empty ones', () => {
+    const operation = [];
+    [2, 3, 'a', 'b', -1, -2, 0, ''].forEach(component => pushComponent(operation, component));
+    expect(operation).toEqual([5, 'ab', -3]);
+  });
+
+  test('puts inserts before deletes', () => {
+    expect(pushComponent([1, -2], 'x')).toEqual([1, 'x', -2]);
+    expect(pushComponent([1, 'a', -2], 'b')).toEqual([1, 'ab', -2]);
+  });
+});
+
+describe('isValidOperation', () => {
+  test('accepts retains, inserts and deletes', () => {
+    expect(isValidOperation([3, 'x', -2])).toBe(true);
+    expect(isValidOperation([])).toBe(true);
+  });
+
+  test.each([[null], ['abc'], [[0]], [[1.5]], [[{}]], [[NaN]]])('rejects %p', (operation) => {
+    expect(isValidOperation(operation)).toBe(false);
+  });
+});
+
+describe('lengths', () => {
+  test('measures the documents before and after', () => {
+    expect(getBaseLength([2, 'abc', -3, 1])).toBe(6);
+    expect(getTargetLength([2, 'abc', -3, 1])).toBe(6);
+    expect(getTargetLength(['hi', -5])).toBe(2);
+  });
+
+  test('detects operations that change nothing', () => {
+    expect(isNoop([5])).toBe(true);
+    expect(isNoop([])).toBe(true);
+    expect(isNoop([2, 'x', 3])).toBe(false);
+  });
+});
+
+describe('applyOperation', () => {
+  test('retains, inserts and deletes', () => {
+    expect(applyOperation('hello world', [6, 'big ', -5, 'there'])).toBe('hello big there');
+  });
+
+  test('refuses operations made for a different length', () => {
+    expect(() => applyOperation('abc', [2])).toThrow('base length');
+  });
+});
+
+describe('composeOperations', () => {
+  test('has the effect of applying both in turn', () => {
+    const doc = 'hello world';
+    const first = [5, ',', 6];
+    const second = [6, -6, 'there', 'friend'];
+    const composed = composeOperations(first, second);
+    expect(applyOperation(doc, composed)).toBe(applyOperation(applyOperation(doc, first), second));
+    expect(applyOperation(doc, composed)).toBe('hello,therefriend');
+  });
+
+  test('cancels text inserted then deleted', () => {
+    expect(composeOperations([2, 'xyz', 1], [2, -3, 1])).toEqual([3]);
+  });
+
+  test('refuses operations that do not follow each other', () => {
+    expect(() => composeOperations([3], [4])).toThrow('length mismatch');
+  });
+});
+
+describe('transformOperations', () => {
+  const converges = (doc, a, b) => {
+    const [aPrime, bPrime] = transformOperations(a, b);
+    const viaA = applyOperation(applyOperation(doc, a), bPrime);
+    const viaB = applyOperation(applyOperation(doc, b), aPrime);
+    expect(viaA).toBe(viaB);
+    return viaA;
+  };
+
+  test('merges inserts at different places', () => {
+    expect(converges('abc', [1, 'X', 2], [3, 'Y'])).toBe('aXbcY');
+  });
+
+  test('puts the first operation\'s insert first when both insert at the same place', () => {
+    expect(converges('abc', [1, 'X', 2], [1, 'Y', 2])).toBe('aXYbc');
+    expect(converges('abc', [1, 'Y', 2], [1, 'X', 2])).toBe('aYXbc');
+  });
+
+  test('deletes overlapping text once', () => {
+    expect(converges('abcdef', [1, -3, 2], [2, -3, 1])).toBe('af');
+  });
+
+  test('keeps an insert made inside text the other side deleted', () => {
+    expect(converges('abcdef', [3, 'X', 3], [1, -4, 1])).toBe('aXf');
+  });
+
+  test('handles one side replacing everything', () => {
+    expect(converges('abc', ['new', -3], [3, '!'])).toBe('new!');
+  });
+
+  test('refuses operations made against different documents', () => {
+    expect(() => transformOperations([3], [4])).toThrow('base length mismatch');
+  });
+});
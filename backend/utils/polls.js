@@ -0,0 +1,120 @@
+/**
+ * Poll Utilities
+ *
+ * Polls are chat messages with a question, options and votes. This module
+ * checks poll definitions from clients and /poll, decides whether a poll is
+ * still open and shapes results for clients, hiding who voted in anonymous polls.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+
+// Longest a poll may stay open when given a close time: one week
+const MAX_POLL_MINUTES = 7 * 24 * 60;
+
+/**
+ * Check and clean a poll definition
+ * @param {Object} data - { question, options, multipleChoice, anonymous, closesInMinutes }
+ * @param {Date} now - Creation time, for the close time
+ * @returns {Object} { poll } ready to store, or { error } describing what is wrong
+ */
+const normalizePoll = (data, now = new Date()) => {
+  const { question, options, multipleChoice = false, anonymous = false, closesInMinutes = null } = data || {};
+
+  if (typeof question !== 'string' || question.trim().length === 0) {
+    return { error: 'A poll needs a question' };
+  }
+  if (question.trim().length > MAX_QUESTION_LENGTH) {
+    return { error: `Poll questions can be at most ${MAX_QUESTION_LENGTH} characters` };
+  }
+  if (!Array.isArray(options) || options.some(option => typeof option !== 'string')) {
+    return { error: 'Poll options must be text' };
+  }
+
+  const texts = options.map(option => option.trim());
+  if (texts.length < MIN_POLL_OPTIONS || texts.length > MAX_POLL_OPTIONS || texts.some(text => !text)) {
+    return { error: `Polls need between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options` };
+  }
+  if (texts.some(text => text.length > MAX_OPTION_LENGTH)) {
+    return { error: `Poll options can be at most ${MAX_OPTION_LENGTH} characters` };
+  }
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    return { error: 'Poll options must be different from each other' };
+  }
+  if (typeof multipleChoice !== 'boolean' || typeof anonymous !== 'boolean') {
+    return { error: 'Invalid poll settings' };
+  }
+  if (closesInMinutes !== null &&
+      (!Number.isInteger(closesInMinutes) || closesInMinutes < 1 || closesInMinutes > MAX_POLL_MINUTES)) {
+    return { error: `Polls can close after 1 to ${MAX_POLL_MINUTES} minutes` };
+  }
+
+  return {
+    poll: {
+      question: question.trim(),
+      options: texts.map(text => ({ id: uuidv4().slice(0, 8), text })),
+      multipleChoice,
+      anonymous,
+      closesAt: closesInMinutes ? new Date(now.getTime() + closesInMinutes * 60 * 1000) : null,
+      closedAt: null,
+      votes: [],
+    },
+  };
+};
+
+/**
+ * Whether a poll no longer takes votes
+ * @param {Object} poll - Stored poll
+ * @param {Date} now - Current time
+ * @returns {boolean} True once closed by hand or past its close time
+ */
+const isPollClosed = (poll, now = new Date()) => (
+  !!poll.closedAt || (!!poll.closesAt && new Date(poll.closesAt) <= now)
+);
+
+/**
+ * Shape a poll's results for clients
+ * Anonymous polls only report counts; `myVote` is included when a viewer is given
+ * @param {Object} poll - Stored poll
+ * @param {string} viewerId - User the results are for (optional)
+ * @returns {Object} Poll as sent to clients
+ */
+const formatPoll = (poll, viewerId) => {
+  const votes = poll.votes || [];
+  const formatted = {
+    question: poll.question,
+    options: poll.options.map(option => {
+      const voters = votes.filter(vote => vote.optionIds.includes(option.id));
+      return {
+        id: option.id,
+        text: option.text,
+        votes: voters.length,
+        ...(poll.anonymous ? {} : { voters: voters.map(({ userId, username }) => ({ userId, username })) }),
+      };
+    }),
+    multipleChoice: poll.multipleChoice,
+    anonymous: poll.anonymous,
+    closesAt: poll.closesAt || null,
+    closedAt: poll.closedAt || null,
+    closed: isPollClosed(poll),
+    totalVoters: votes.length,
+  };
+
+  if (viewerId) {
+    formatted.myVote = [...(votes.find(vote => vote.userId === viewerId)?.optionIds || [])];
+  }
+  return formatted;
+};
+
+module.exports = {
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  MAX_POLL_MINUTES,
+  normalizePoll,
+  isPollClosed,
+  formatPoll,
+};
@@ -0,0 +1,104 @@
+const { MAX_POLL_OPTIONS, MAX_POLL_MINUTES, normalizePoll, isPollClosed, formatPoll } = require('./polls');
+
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+describe('normalizePoll', () => {
+  test('trims the question and options and gives options ids', () => {
+    const { poll, error } = normalizePoll({ question: ' Lunch? ', options: [' Pizza ', 'Sushi'] }, NOW);
+    expect(error).toBeUndefined();
+    expect(poll).toMatchObject({
+      question: 'Lunch?',
+      multipleChoice: false,
+      anonymous: false,
+      closesAt: null,
+      closedAt: null,
+      votes: [],
+    });
+    expect(poll.options.map(option => option.text)).toEqual(['Pizza', 'Sushi']);
+    expect(new Set(poll.options.map(option => option.id)).size).toBe(2);
+  });
+
+  test('sets the close time from closesInMinutes', () => {
+    const { poll } = normalizePoll({ question: 'Q', options: ['a', 'b'], closesInMinutes: 30 }, NOW);
+    expect(poll.closesAt).toEqual(new Date('2026-01-01T12:30:00Z'));
+  });
+
+  test.each([
+    [{ options: ['a', 'b'] }, 'A poll needs a question'],
+    [{ question: 'x'.repeat(301), options: ['a', 'b'] }, 'at most 300 characters'],
+    [{ question: 'Q', options: 'a,b' }, 'Poll options must be text'],
+    [{ question: 'Q', options: ['a'] }, 'between 2 and'],
+    [{ question: 'Q', options: Array.from({ length: MAX_POLL_OPTIONS + 1 }, (_, i) => `o${i}`) }, 'between 2 and'],
+    [{ question: 'Q', options: ['a', '  '] }, 'between 2 and'],
+    [{ question: 'Q', options: ['a', 'x'.repeat(101)] }, 'at most 100 characters'],
+    [{ question: 'Q', options: ['Yes', 'yes'] }, 'different from each other'],
+    [{ question: 'Q', options: ['a', 'b'], anonymous: 'yes' }, 'Invalid poll settings'],
+    [{ question: 'Q', options: ['a', 'b'], closesInMinutes: 0 }, 'close after 1 to'],
+    [{ question: 'Q', options: ['a', 'b'], closesInMinutes: MAX_POLL_MINUTES + 1 }, 'close after 1 to'],
+    [{ question: 'Q', options: ['a', 'b'], closesInMinutes: 1.5 }, 'close after 1 to'],
+  ])('rejects %o', (data, message) => {
+    const result = normalizePoll(data, NOW);
+    expect(result.poll).toBeUndefined();
+    expect(result.error).toContain(message);
+  });
+});
+
+describe('isPollClosed', () => {
+  test('is open without a close time', () => {
+    expect(isPollClosed({ closesAt: null, closedAt: null }, NOW)).toBe(false);
+  });
+
+  test('closes at its close time', () => {
+    expect(isPollClosed({ closesAt: new Date('2026-01-01T12:00:01Z') }, NOW)).toBe(false);
+    expect(isPollClosed({ closesAt: new Date('2026-01-01T12:00:00Z') }, NOW)).toBe(true);
+  });
+
+  test('is closed once closed by hand', () => {
+    expect(isPollClosed({ closesAt: null, closedAt: new Date('2026-01-01T11:00:00Z') }, NOW)).toBe(true);
+  });
+});
+
+describe('formatPoll', () => {
+  const poll = {
+    question: 'Lunch?',
+    options: [{ id: 'p', text: 'Pizza' }, { id: 's', text: 'Sushi' }],
+    multipleChoice: true,
+    anonymous: false,
+    closesAt: null,
+    closedAt: null,
+    votes: [
+      { userId: 'u1', username: 'ann', optionIds: ['p', 's'] },
+      { userId: 'u2', username: 'bob', optionIds: ['p'] },
+    ],
+  };
+
+  test('counts votes per option and names the voters', () => {
+    expect(formatPoll(poll)).toEqual({
+      question: 'Lunch?',
+      options: [
+        { id: 'p', text: 'Pizza', votes: 2, voters: [{ userId: 'u1', username: 'ann' }, { userId: 'u2', username: 'bob' }] },
+        { id: 's', text: 'Sushi', votes: 1, voters: [{ userId: 'u1', username: 'ann' }] },
+      ],
+      multipleChoice: true,
+      anonymous: false,
+      closesAt: null,
+      closedAt: null,
+      closed: false,
+      totalVoters: 2,
+    });
+  });
+
+  test('hides voters of anonymous polls', () => {
+    const formatted = formatPoll({ ...poll, anonymous: true });
+    expect(formatted.options).toEqual([
+      { id: 'p', text: 'Pizza', votes: 2 },
+      { id: 's', text: 'Sushi', votes: 1 },
+    ]);
+  });
+
+  test('includes the viewer\'s own vote', () => {
+    expect(formatPoll(poll, 'u2').myVote).toEqual(['p']);
+    expect(formatPoll(poll, 'u3').myVote).toEqual([]);
+    expect(formatPoll(poll)).not.toHaveProperty('myVote');
+  });
+});
@@ -7,6 +7,11 @@
 
 const Room = require('../models/Room');
 const User = require('../models/User');
+const ChatMessage = require('../models/ChatMessage');
+const DirectMessage = require('../models/DirectMessage');
+const ChatReadState = require('../models/ChatReadState');
+const ReplTranscript = require('../models/ReplTranscript');
+const { removeAttachments } = require('./attachments');
 
 /**
  * Clean up inactive rooms and users
@@ -41,29 +46,28 @@ const cleanupInactiveData = async () => {
     
     console.log(`👤 Deactivated ${userResult.modifiedCount} inactive users`);
 
-    // Clean up old chat messages (keep only last 100 per room)
-    const rooms = await Room.find({ isActive: true });
-    let totalMessagesRemoved = 0;
-    
-    for (const room of rooms) {
-      if (room.chatMessages.length > 100) {
-        const messagesToRemove = room.chatMessages.length - 100;
-        room.chatMessages = room.chatMessages.slice(-100);
-        await room.save();
-        totalMessagesRemoved += messagesToRemove;
-      }
-    }
-    
-    console.log(`💬 Removed ${totalMessagesRemoved} old chat messages`);
-
-    // Clean up old inactive rooms completely (older than 7 days)
+    // Clean up old inactive rooms completely (older than 7 days), with their chat history, read markers, attachments,
+    // direct messages and REPL transcripts
     const oldRoomCutoffTime = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
-    const oldRoomResult = await Room.deleteMany({
+    const oldRoomFilter = {
       isActive: false,
       lastActivity: { $lt: oldRoomCutoffTime }
-    });
+    };
+    const oldRoomIds = (await Room.find(oldRoomFilter).select('roomId')).map(room => room.roomId);
+    const oldRoomResult = await Room.deleteMany(oldRoomFilter);
+    const messageResult = await ChatMessage.deleteMany({ roomId: { $in: oldRoomIds } });
+    const directMessageResult = await DirectMessage.deleteMany({ roomId: { $in: oldRoomIds } });
+    await ChatReadState.deleteMany({ roomId: { $in: oldRoomIds } });
+    await ReplTranscript.deleteMany({ roomId: { $in: oldRoomIds } });
+    const attachmentsRemoved = await removeAttachments({ roomId: { $in: oldRoomIds } });
+
+    // Uploads that were never sent within a day are dropped
+    const unsentCutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
+    const unsentAttachmentsRemoved = await removeAttachments({ messageId: null, createdAt: { $lt: unsentCutoffTime } });
     
     console.log(`🗑️ Permanently deleted ${oldRoomResult.deletedCount} old inactive rooms`);
+    console.log(`💬 Removed ${messageResult.deletedCount} chat messages and ${directMessageResult.deletedCount} direct messages of deleted rooms`);
+    console.log(`📎 Removed ${attachmentsRemoved} attachments of deleted rooms and ${unsentAttachmentsRemoved} unsent uploads`);
 
     // Clean up old inactive users completely (older than 30 days)
     const oldUserCutoffTime = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
@@ -79,7 +83,9 @@ const cleanupInactiveData = async () => {
     return {
       roomsDeactivated: roomResult.modifiedCount,
       usersDeactivated: userResult.modifiedCount,
-      messagesRemoved: totalMessagesRemoved,
+      messagesRemoved: messageResult.deletedCount,
+      directMessagesRemoved: directMessageResult.deletedCount,
+      attachmentsRemoved: attachmentsRemoved + unsentAttachmentsRemoved,
       oldRoomsDeleted: oldRoomResult.deletedCount,
       oldUsersDeleted: oldUserResult.deletedCount,
     };
@@ -129,11 +135,7 @@ const getCleanupStats = async () => {
       }),
       Room.countDocuments({}),
       User.countDocuments({}),
-      Room.aggregate([
-        { $match: { isActive: true } },
-        { $project: { messageCount: { $size: '$chatMessages' } } },
-        { $group: { _id: null, totalMessages: { $sum: '$messageCount' } } }
-      ])
+      ChatMessage.countDocuments({}),
     ]);
 
     return {
@@ -143,7 +145,7 @@ const getCleanupStats = async () => {
       oldInactiveUsers,
       totalRooms,
       totalUsers,
-      totalMessages: totalMessages[0]?.totalMessages || 0,
+      totalMessages,
       lastChecked: new Date(),
     };
 
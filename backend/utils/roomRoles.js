@@ -0,0 +1,99 @@
+/**
+ * Room Role Utilities
+ *
+ * Per-room roles and the permission rules built on them:
+ * - owner: created (or was handed) the room; manages everything and can transfer ownership
+ * - moderator: changes settings, deletes the room, promotes/demotes editors and viewers
+ * - editor: edits code, notes and canvas (default for new participants)
+ * - viewer: read-only workspace, can still chat
+ */
+
+const ROLES = ['owner', 'moderator', 'editor', 'viewer'];
+
+// Role given to participants without an assignment
+const DEFAULT_ROLE = 'editor';
+
+// Higher rank means more power
+const ROLE_RANK = {
+  owner: 3,
+  moderator: 2,
+  editor: 1,
+  viewer: 0,
+};
+
+/**
+ * Get a member's role in a room
+ * Roles follow the account id, since usernames can be changed and then taken by someone else
+ * @param {Object} room - Room document
+ * @param {string} userId - Member's user id
+ * @returns {string} Role name
+ */
+const getMemberRole = (room, userId) => {
+  if (!room || !userId) {
+    return DEFAULT_ROLE;
+  }
+  if (room.createdBy?.userId === userId) {
+    return 'owner';
+  }
+  const assignment = (room.memberRoles || []).find(member => member.userId === userId);
+  return assignment && ROLES.includes(assignment.role) && assignment.role !== 'owner'
+    ? assignment.role
+    : DEFAULT_ROLE;
+};
+
+/**
+ * Check whether a role may edit code, notes and canvas
+ * @param {string} role - Role name
+ * @returns {boolean} True unless the role is read-only
+ */
+const canEditContent = (role) => role !== 'viewer';
+
+/**
+ * Check whether a role may manage the room (settings, deletion, roles)
+ * @param {string} role - Role name
+ * @returns {boolean} True for owners and moderators
+ */
+const canManageRoom = (role) => role === 'owner' || role === 'moderator';
+
+/**
+ * Check whether a member may give another member a new role
+ * Owners can assign any role (assigning owner transfers ownership);
+ * moderators can only move members below them between editor and viewer
+ * @param {string} actorRole - Role of the member making the change
+ * @param {string} targetRole - Current role of the member being changed
+ * @param {string} newRole - Requested role
+ * @returns {boolean} True if the change is allowed
+ */
+const canAssignRole = (actorRole, targetRole, newRole) => {
+  if (!ROLES.includes(newRole) || targetRole === 'owner') {
+    return false;
+  }
+  if (actorRole === 'owner') {
+    return true;
+  }
+  if (actorRole === 'moderator') {
+    return ROLE_RANK[targetRole] < ROLE_RANK.moderator && ROLE_RANK[newRole] < ROLE_RANK.moderator;
+  }
+  return false;
+};
+
+/**
+ * Check whether a member may kick, ban or mute another member
+ * Only owners and moderators moderate, and only members ranked below them
+ * @param {string} actorRole - Role of the moderating member
+ * @param {string} targetRole - Role of the member being moderated
+ * @returns {boolean} True if the action is allowed
+ */
+const canModerate = (actorRole, targetRole) => {
+  return canManageRoom(actorRole) && ROLE_RANK[targetRole] < ROLE_RANK[actorRole];
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  getMemberRole,
+  canEditContent,
+  canManageRoom,
+  canAssignRole,
+  canModerate,
+};
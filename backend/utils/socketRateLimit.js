@@ -0,0 +1,143 @@
+/**
+ * Socket Rate Limiting
+ *
+ * express-rate-limit only covers the REST API, so socket events are throttled
+ * here: every socket gets a token bucket per event. A bucket holds up to
+ * `capacity` tokens (the burst allowed), each event takes one, and tokens come
+ * back at `refillPerSecond`. Events without their own limit share a single
+ * `default` bucket, so made-up event names cannot grow a socket's buckets.
+ *
+ * Limits can be changed with SOCKET_RATE_LIMITS, a JSON object merged over the
+ * defaults, e.g. {"chat-message":{"capacity":10,"refillPerSecond":2}}; null
+ * turns an event's limit off.
+ */
+
+// Default limits per event: burst size and tokens regained per second
+const DEFAULT_SOCKET_RATE_LIMITS = {
+  default: { capacity: 30, refillPerSecond: 10 },
+  joinRoom: { capacity: 5, refillPerSecond: 0.2 },
+  'code-change': { capacity: 60, refillPerSecond: 20 },
+  'note-change': { capacity: 30, refillPerSecond: 10 },
+  'draw-event': { capacity: 120, refillPerSecond: 40 },
+  'chat-message': { capacity: 5, refillPerSecond: 1 },
+  'direct-message': { capacity: 5, refillPerSecond: 1 },
+  'edit-chat-message': { capacity: 5, refillPerSecond: 0.5 },
+  'delete-chat-message': { capacity: 5, refillPerSecond: 0.5 },
+  'react-chat-message': { capacity: 10, refillPerSecond: 2 },
+  'create-poll': { capacity: 3, refillPerSecond: 0.1 },
+  'vote-poll': { capacity: 10, refillPerSecond: 2 },
+  'restore-version': { capacity: 3, refillPerSecond: 0.2 },
+  'run-code': { capacity: 3, refillPerSecond: 0.1 },
+  'format-code': { capacity: 5, refillPerSecond: 0.5 },
+  'start-repl': { capacity: 3, refillPerSecond: 0.1 },
+  'repl-input': { capacity: 20, refillPerSecond: 5 },
+  'request-repl-driver': { capacity: 3, refillPerSecond: 0.1 },
+  'presence-update': { capacity: 10, refillPerSecond: 2 },
+  // Control events get their own buckets too, so spamming one cannot lock a member out of the others
+  leaveRoom: { capacity: 5, refillPerSecond: 0.5 },
+  'change-role': { capacity: 10, refillPerSecond: 2 },
+  'moderate-participant': { capacity: 10, refillPerSecond: 2 },
+  'respond-join-request': { capacity: 20, refillPerSecond: 5 },
+  'cancel-join-request': { capacity: 5, refillPerSecond: 0.5 },
+  'create-code-file': { capacity: 10, refillPerSecond: 2 },
+  'rename-code-file': { capacity: 10, refillPerSecond: 2 },
+  'move-code-file': { capacity: 10, refillPerSecond: 2 },
+  'delete-code-file': { capacity: 10, refillPerSecond: 2 },
+  'stop-code-run': { capacity: 5, refillPerSecond: 1 },
+  'set-repl-driver': { capacity: 5, refillPerSecond: 1 },
+  'stop-repl': { capacity: 5, refillPerSecond: 1 },
+  'close-poll': { capacity: 5, refillPerSecond: 0.5 },
+  'mark-chat-read': { capacity: 10, refillPerSecond: 2 },
+  'mark-direct-messages-read': { capacity: 10, refillPerSecond: 2 },
+};
+
+/**
+ * Whether a configured limit is usable
+ * @param {Object} limit - { capacity, refillPerSecond }
+ * @returns {boolean} True if both are positive numbers
+ */
+const isValidLimit = (limit) => (
+  !!limit &&
+  Number.isFinite(limit.capacity) && limit.capacity >= 1 &&
+  Number.isFinite(limit.refillPerSecond) && limit.refillPerSecond > 0
+);
+
+/**
+ * Read the limits from the defaults and SOCKET_RATE_LIMITS
+ * @param {string} [overrides] - JSON object of limits by event name
+ * @returns {Object} Limits by event name; null where an event is not limited
+ */
+const loadSocketRateLimits = (overrides = process.env.SOCKET_RATE_LIMITS) => {
+  if (!overrides) return { ...DEFAULT_SOCKET_RATE_LIMITS };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(overrides);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring SOCKET_RATE_LIMITS, it is not valid JSON: ${error.message}`);
+    return { ...DEFAULT_SOCKET_RATE_LIMITS };
+  }
+
+  const limits = { ...DEFAULT_SOCKET_RATE_LIMITS };
+  Object.entries(parsed || {}).forEach(([event, limit]) => {
+    if (limit === null || isValidLimit(limit)) {
+      limits[event] = limit;
+    } else {
+      console.warn(`⚠️ Ignoring SOCKET_RATE_LIMITS for ${event}: capacity must be at least 1 and refillPerSecond above 0`);
+    }
+  });
+  return limits;
+};
+
+/**
+ * Create a token bucket
+ * @param {Object} limit - { capacity, refillPerSecond }
+ * @returns {Object} { take() } where take returns 0 when a token was taken, else ms until one is free
+ */
+const createTokenBucket = ({ capacity, refillPerSecond }) => {
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * refillPerSecond);
+      updatedAt = now;
+
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil(((1 - tokens) / refillPerSecond) * 1000);
+    },
+  };
+};
+
+/**
+ * Create the rate limiter for one socket
+ * @param {Object} limits - Limits by event name, from loadSocketRateLimits
+ * @returns {Object} { consume(event) } returning 0 when the event may go ahead, else ms to wait
+ */
+const createSocketRateLimiter = (limits) => {
+  const buckets = new Map();
+
+  return {
+    consume(event) {
+      const key = Object.prototype.hasOwnProperty.call(limits, event) ? event : 'default';
+      const limit = limits[key];
+      if (!limit) return 0;
+
+      if (!buckets.has(key)) {
+        buckets.set(key, createTokenBucket(limit));
+      }
+      return buckets.get(key).take();
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_SOCKET_RATE_LIMITS,
+  loadSocketRateLimits,
+  createTokenBucket,
+  createSocketRateLimiter,
+};
@@ -0,0 +1,131 @@
+const {
+  DEFAULT_SOCKET_RATE_LIMITS,
+  loadSocketRateLimits,
+  createTokenBucket,
+  createSocketRateLimiter,
+} = require('./socketRateLimit');
+
+let now;
+
+beforeEach(() => {
+  now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('loadSocketRateLimits', () => {
+  test('uses the defaults without overrides', () => {
+    expect(loadSocketRateLimits('')).toEqual(DEFAULT_SOCKET_RATE_LIMITS);
+  });
+
+  test('merges overrides over the defaults', () => {
+    const limits = loadSocketRateLimits(JSON.stringify({
+      'chat-message': { capacity: 10, refillPerSecond: 2 },
+      'custom-event': { capacity: 1, refillPerSecond: 0.5 },
+    }));
+    expect(limits['chat-message']).toEqual({ capacity: 10, refillPerSecond: 2 });
+    expect(limits['custom-event']).toEqual({ capacity: 1, refillPerSecond: 0.5 });
+    expect(limits.default).toEqual(DEFAULT_SOCKET_RATE_LIMITS.default);
+  });
+
+  test('turns a limit off with null', () => {
+    expect(loadSocketRateLimits('{"draw-event":null}')['draw-event']).toBeNull();
+  });
+
+  test('ignores invalid limits and invalid JSON', () => {
+    const limits = loadSocketRateLimits(JSON.stringify({
+      'chat-message': { capacity: 0, refillPerSecond: 1 },
+      'vote-poll': { capacity: 5, refillPerSecond: -1 },
+      'run-code': 'fast',
+    }));
+    expect(limits).toEqual(DEFAULT_SOCKET_RATE_LIMITS);
+    expect(loadSocketRateLimits('{not json')).toEqual(DEFAULT_SOCKET_RATE_LIMITS);
+    expect(console.warn).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('createTokenBucket', () => {
+  test('allows a burst up to its capacity', () => {
+    const bucket = createTokenBucket({ capacity: 3, refillPerSecond: 1 });
+    expect([bucket.take(), bucket.take(), bucket.take()]).toEqual([0, 0, 0]);
+    expect(bucket.take()).toBe(1000);
+  });
+
+  test('refills over time', () => {
+    const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 2 });
+    bucket.take();
+    bucket.take();
+    now = 200;
+    expect(bucket.take()).toBe(300);
+    now = 500;
+    expect(bucket.take()).toBe(0);
+    expect(bucket.take()).toBe(500);
+  });
+
+  test('never holds more than its capacity', () => {
+    const bucket = createTokenBucket({ capacity: 2, refillPerSecond: 1 });
+    now = 60 * 1000;
+    expect([bucket.take(), bucket.take()]).toEqual([0, 0]);
+    expect(bucket.take()).toBeGreaterThan(0);
+  });
+});
+
+describe('createSocketRateLimiter', () => {
+  const limits = {
+    default: { capacity: 2, refillPerSecond: 1 },
+    'chat-message': { capacity: 1, refillPerSecond: 1 },
+    'draw-event': null,
+  };
+
+  test('keeps a bucket per configured event', () => {
+    const limiter = createSocketRateLimiter(limits);
+    expect(limiter.consume('chat-message')).toBe(0);
+    expect(limiter.consume('chat-message')).toBe(1000);
+    expect(limiter.consume('join-room')).toBe(0);
+  });
+
+  test('shares one default bucket between unconfigured events', () => {
+    const limiter = createSocketRateLimiter(limits);
+    expect(limiter.consume('made-up-1')).toBe(0);
+    expect(limiter.consume('made-up-2')).toBe(0);
+    expect(limiter.consume('made-up-3')).toBe(1000);
+  });
+
+  test('does not take prototype keys for limits', () => {
+    const limiter = createSocketRateLimiter(limits);
+    expect(limiter.consume('constructor')).toBe(0);
+    expect(limiter.consume('__proto__')).toBe(0);
+    expect(limiter.consume('toString')).toBe(1000);
+  });
+
+  test('lets events without a limit through', () => {
+    const limiter = createSocketRateLimiter(limits);
+    for (let i = 0; i < 10; i++) {
+      expect(limiter.consume('draw-event')).toBe(0);
+    }
+    expect(createSocketRateLimiter({ default: null }).consume('anything')).toBe(0);
+  });
+
+  test('does not let spam of one event hold up leaving or moderating', () => {
+    const limiter = createSocketRateLimiter(DEFAULT_SOCKET_RATE_LIMITS);
+    for (let i = 0; i <= DEFAULT_SOCKET_RATE_LIMITS['mark-chat-read'].capacity; i++) {
+      limiter.consume('mark-chat-read');
+    }
+    expect(limiter.consume('mark-chat-read')).toBeGreaterThan(0);
+    ['leaveRoom', 'change-role', 'moderate-participant', 'create-code-file', 'rename-code-file',
+      'move-code-file', 'delete-code-file'].forEach(event => {
+      expect(limiter.consume(event)).toBe(0);
+    });
+  });
+
+  test('keeps separate buckets per socket', () => {
+    const first = createSocketRateLimiter(limits);
+    const second = createSocketRateLimiter(limits);
+    first.consume('chat-message');
+    expect(second.consume('chat-message')).toBe(0);
+  });
+});
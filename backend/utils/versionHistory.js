@@ -0,0 +1,273 @@
+/**
+ * Version History Utilities
+ *
+ * Helpers for room version snapshots:
+ * - which kinds of content are versioned and how a room's content is captured
+ * - line diffs for notes and for each code file
+ * - object diffs for the canvas
+ */
+
+const { blocksFromContent } = require('./notesDocument');
+const { objectsFromDrawingData } = require('./canvasDocument');
+const { getCodeFiles } = require('./codeFiles');
+
+// Kinds of collaborative content that are versioned
+const VERSION_KINDS = ['code', 'notes', 'canvas'];
+
+// Largest line-by-line comparison table before a diff falls back to replace-all
+const MAX_DIFF_CELLS = 4000000;
+
+// Turn mongoose subdocuments into plain objects for storing in a snapshot
+const toPlain = (item) => (item.toObject ? item.toObject() : { ...item });
+
+/**
+ * Capture a room's current content of one kind
+ * @param {Object} room - Room document
+ * @param {string} kind - code, notes or canvas
+ * @returns {Object} { revision, content } ready for a snapshot
+ */
+const getVersionContent = (room, kind) => {
+  if (kind === 'code') {
+    const code = room.codeCollaboration;
+    return {
+      revision: code?.version || 0,
+      content: { files: getCodeFiles(code).map(({ id, path, type, language, content }) => ({ id, path, type, language, content })) },
+    };
+  }
+  if (kind === 'notes') {
+    const notes = room.notesCollaboration;
+    const blocks = notes?.blocks?.length ? notes.blocks.map(toPlain) : blocksFromContent(notes?.content || '');
+    return {
+      revision: notes?.version || 0,
+      content: { content: notes?.content || '', blocks },
+    };
+  }
+  const canvas = room.canvasDrawing;
+  const objects = canvas?.objects?.length ? canvas.objects.map(toPlain) : objectsFromDrawingData(canvas?.drawingData);
+  return {
+    revision: canvas?.version || 0,
+    content: { objects },
+  };
+};
+
+/**
+ * Shape a version for API responses and socket broadcasts
+ * @param {Object} version - RoomVersion document
+ * @param {boolean} includeContent - Whether to include the snapshot content
+ * @returns {Object} Version data
+ */
+const formatVersion = (version, includeContent = false) => ({
+  versionId: version.versionId,
+  roomId: version.roomId,
+  kind: version.kind,
+  revision: version.revision,
+  label: version.label,
+  trigger: version.trigger,
+  createdBy: version.createdBy,
+  createdAt: version.createdAt,
+  ...(includeContent && { content: version.content }),
+});
+
+/**
+ * Append lines to a diff, merging with the previous hunk of the same type
+ * @param {Array} hunks - Hunks being built (mutated)
+ * @param {string} type - 'equal', 'insert' or 'delete'
+ * @param {Array} lines - Lines to append
+ */
+const pushHunk = (hunks, type, lines) => {
+  if (lines.length === 0) return;
+  const last = hunks[hunks.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(...lines);
+  } else {
+    hunks.push({ type, lines: [...lines] });
+  }
+};
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * @param {string} oldText - Text before
+ * @param {string} newText - Text after
+ * @returns {Object} { hunks: [{ type, lines }], added, removed }
+ */
+const diffLines = (oldText, newText) => {
+  const oldLines = oldText ? oldText.split('\n') : [];
+  const newLines = newText ? newText.split('\n') : [];
+  const hunks = [];
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  pushHunk(hunks, 'equal', oldLines.slice(0, start));
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    pushHunk(hunks, 'delete', oldMiddle);
+    pushHunk(hunks, 'insert', newMiddle);
+  } else {
+    // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+    const rows = oldMiddle.length + 1;
+    const cols = newMiddle.length + 1;
+    const lengths = new Uint32Array(rows * cols);
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+      for (let j = newMiddle.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = oldMiddle[i] === newMiddle[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length && j < newMiddle.length) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        pushHunk(hunks, 'equal', [oldMiddle[i]]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+        pushHunk(hunks, 'delete', [oldMiddle[i]]);
+        i++;
+      } else {
+        pushHunk(hunks, 'insert', [newMiddle[j]]);
+        j++;
+      }
+    }
+    pushHunk(hunks, 'delete', oldMiddle.slice(i));
+    pushHunk(hunks, 'insert', newMiddle.slice(j));
+  }
+
+  pushHunk(hunks, 'equal', oldLines.slice(oldEnd));
+
+  return {
+    hunks,
+    added: hunks.filter(hunk => hunk.type === 'insert').reduce((sum, hunk) => sum + hunk.lines.length, 0),
+    removed: hunks.filter(hunk => hunk.type === 'delete').reduce((sum, hunk) => sum + hunk.lines.length, 0),
+  };
+};
+
+/**
+ * Turn notes blocks into plain text, one line per paragraph or list item
+ * @param {Array} blocks - Notes blocks
+ * @returns {string} Readable text
+ */
+const notesToText = (blocks = []) => {
+  return blocks
+    .map(block => (block.html || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(li|p|div|h[1-6])>/gi, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\n+$/, ''))
+    .join('\n');
+};
+
+/**
+ * Diff two canvas object stacks by object id
+ * @param {Array} oldObjects - Objects before
+ * @param {Array} newObjects - Objects after
+ * @returns {Object} { added, removed, modified } lists of { objectId, type }
+ */
+const diffObjects = (oldObjects = [], newObjects = []) => {
+  const describe = (object) => ({ objectId: object.objectId, type: object.data?.type || 'object' });
+  const oldById = new Map(oldObjects.map(object => [object.objectId, object]));
+  const newIds = new Set(newObjects.map(object => object.objectId));
+
+  return {
+    added: newObjects.filter(object => !oldById.has(object.objectId)).map(describe),
+    removed: oldObjects.filter(object => !newIds.has(object.objectId)).map(describe),
+    modified: newObjects
+      .filter(object => oldById.has(object.objectId) &&
+        JSON.stringify(oldById.get(object.objectId).data) !== JSON.stringify(object.data))
+      .map(describe),
+  };
+};
+
+/**
+ * Diff two code snapshots file by file, matching files by id so renames are followed
+ * Snapshots from before rooms had files count as one file
+ * @param {Object} from - Code snapshot content before
+ * @param {Object} to - Code snapshot content after
+ * @returns {Object} { files: [{ id, path, oldPath, status, hunks, added, removed, languageChanged }], added, removed }
+ *   listing only files that changed; status is added, removed, renamed or modified
+ */
+const diffCodeFiles = (from, to) => {
+  const oldFiles = getCodeFiles(from).filter(file => file.type === 'file');
+  const newFiles = getCodeFiles(to).filter(file => file.type === 'file');
+  const oldById = new Map(oldFiles.map(file => [file.id, file]));
+  const newIds = new Set(newFiles.map(file => file.id));
+
+  const files = [
+    ...newFiles.map(file => {
+      const oldFile = oldById.get(file.id);
+      const diff = diffLines(oldFile?.content || '', file.content);
+      let status = 'modified';
+      if (!oldFile) status = 'added';
+      else if (oldFile.path !== file.path) status = 'renamed';
+      return {
+        id: file.id,
+        path: file.path,
+        oldPath: oldFile && oldFile.path !== file.path ? oldFile.path : undefined,
+        status,
+        ...diff,
+        languageChanged: !!oldFile && oldFile.language !== file.language,
+      };
+    }).filter(file => file.status !== 'modified' || file.added > 0 || file.removed > 0 || file.languageChanged),
+    ...oldFiles.filter(file => !newIds.has(file.id)).map(file => ({
+      id: file.id,
+      path: file.path,
+      status: 'removed',
+      ...diffLines(file.content, ''),
+      languageChanged: false,
+    })),
+  ].sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    files,
+    added: files.reduce((sum, file) => sum + file.added, 0),
+    removed: files.reduce((sum, file) => sum + file.removed, 0),
+  };
+};
+
+/**
+ * Diff two snapshots of the same kind of content
+ * @param {string} kind - code, notes or canvas
+ * @param {Object} from - Snapshot content before
+ * @param {Object} to - Snapshot content after
+ * @returns {Object} Per-file line diffs for code, line diff for notes, object diff for canvas
+ */
+const diffVersionContent = (kind, from = {}, to = {}) => {
+  if (kind === 'code') {
+    return diffCodeFiles(from, to);
+  }
+  if (kind === 'notes') {
+    return diffLines(notesToText(from.blocks), notesToText(to.blocks));
+  }
+  return diffObjects(from.objects, to.objects);
+};
+
+module.exports = {
+  VERSION_KINDS,
+  getVersionContent,
+  formatVersion,
+  diffLines,
+  notesToText,
+  diffObjects,
+  diffCodeFiles,
+  diffVersionContent,
+};
@@ -89,6 +89,15 @@ const AICaptioning = ({
     }
   }, [isEnabled, autoCaption, canvasData]);
 
+  /**
+   * Describe a new image as soon as it is given, when auto-captioning
+   */
+  useEffect(() => {
+    if (isEnabled && autoCaption && imageData) {
+      generateImageDataDescription();
+    }
+  }, [isEnabled, autoCaption, imageData]);
+
   /**
    * Generate description for canvas content
    */
@@ -213,6 +222,49 @@ const AICaptioning = ({
     return parseAIResponse(result, selectedService);
   }, [selectedService, apiKey, isConfigured, aiServices]);
 
+  /**
+   * Generate description for the image passed in imageData (a data URL)
+   */
+  const generateImageDataDescription = useCallback(async () => {
+    if (!isEnabled || !imageData || isProcessing) return;
+
+    setIsProcessing(true);
+
+    try {
+      const description = await generateImageDescription(imageData);
+
+      if (description) {
+        const newDescription = {
+          id: `desc-${Date.now()}-${Math.random()}`,
+          type: 'image',
+          content: description.text,
+          confidence: description.confidence || 0.8,
+          timestamp: Date.now(),
+          service: selectedService,
+          language: captionLanguage
+        };
+
+        setDescriptions(prev => [...prev, newDescription]);
+
+        if (screenReader) {
+          announce(`Image description: ${description.text}`, 'polite');
+        }
+
+        if (onDescriptionGenerated) {
+          onDescriptionGenerated(newDescription);
+        }
+      }
+    } catch (error) {
+      console.error('Error generating image description:', error);
+
+      if (screenReader) {
+        announce('Error generating image description', 'polite');
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  }, [isEnabled, imageData, isProcessing, selectedService, captionLanguage, screenReader, announce, onDescriptionGenerated, generateImageDescription]);
+
   /**
    * Parse AI service response
    */
@@ -318,10 +370,12 @@ const AICaptioning = ({
    * Manual description generation
    */
   const handleGenerateDescription = useCallback(() => {
-    if (canvasData) {
+    if (imageData) {
+      generateImageDataDescription();
+    } else if (canvasData) {
       generateCanvasDescription();
     }
-  }, [canvasData, generateCanvasDescription]);
+  }, [imageData, canvasData, generateImageDataDescription, generateCanvasDescription]);
 
   /**
    * Clear descriptions
@@ -417,10 +471,10 @@ const AICaptioning = ({
           <div className="flex items-center space-x-2">
             <button
               onClick={handleGenerateDescription}
-              disabled={!isConfigured || isProcessing || !canvasData}
+              disabled={!isConfigured || isProcessing || !(canvasData || imageData)}
               className="btn btn-sm btn-primary"
               aria-label="Generate description"
-              title="Generate description for current canvas"
+              title={imageData ? 'Generate description for this image' : 'Generate description for current canvas'}
             >
               {isProcessing ? '🔄 Processing...' : '🤖 Generate'}
             </button>
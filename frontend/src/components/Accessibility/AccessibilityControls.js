@@ -83,6 +83,7 @@ const AccessibilityControls = ({
       { key: 'Ctrl+2', description: 'Switch to Notes tab' },
       { key: 'Ctrl+3', description: 'Switch to Canvas tab' },
       { key: 'Ctrl+4', description: 'Switch to Chat tab' },
+      { key: 'Ctrl+5', description: 'Switch to Terminal tab' },
       { key: 'Ctrl+F', description: 'Toggle fullscreen mode' },
       { key: 'Ctrl+T', description: 'Toggle theme (light/dark)' }
     ],
@@ -123,6 +124,7 @@ const AccessibilityControls = ({
       { key: 'Ctrl+2', description: 'Switch to Notes tab' },
       { key: 'Ctrl+3', description: 'Switch to Canvas Log' },
       { key: 'Ctrl+4', description: 'Switch to Chat tab' },
+      { key: 'Ctrl+5', description: 'Switch to Terminal tab' },
       { key: 'Ctrl+Shift+D', description: 'Read last code change' },
       { key: 'Ctrl+Shift+N', description: 'Read last note update' },
       { key: 'Ctrl+Shift+C', description: 'Read last canvas action' },
@@ -237,7 +239,7 @@ const AccessibilityControls = ({
     // If enabling Blind Mode, provide instructions
     if (!blindModeEnabled) {
       setTimeout(() => {
-        const instructions = 'Use Ctrl+1 Code, Ctrl+2 Notes, Ctrl+3 Canvas Log, Ctrl+4 Chat.';
+        const instructions = 'Use Ctrl+1 Code, Ctrl+2 Notes, Ctrl+3 Canvas Log, Ctrl+4 Chat, Ctrl+5 Terminal.';
         announceToScreenReader(instructions);
         announce(instructions, 'polite');
       }, 1000);
@@ -542,7 +544,7 @@ const AccessibilityControls = ({
                 </h3>
                 <ul className="space-y-2 text-sm text-gray-600 dark:text-gray-400">
                   <li>• Provides enhanced announcements for completely blind users</li>
-                  <li>• Use Ctrl+1 for Code, Ctrl+2 for Notes, Ctrl+3 for Canvas Log, Ctrl+4 for Chat</li>
+                  <li>• Use Ctrl+1 for Code, Ctrl+2 for Notes, Ctrl+3 for Canvas Log, Ctrl+4 for Chat, Ctrl+5 for Terminal</li>
                   <li>• Use Ctrl+Shift+D to read last code change</li>
                   <li>• Use Ctrl+Shift+N to read last note update</li>
                   <li>• Use Ctrl+Shift+C to read last canvas action</li>
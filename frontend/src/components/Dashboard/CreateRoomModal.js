@@ -3,6 +3,7 @@
  * 
  * Modal for creating new collaborative rooms with:
  * - Room configuration options
+ * - Optional join password and owner approval
  * - Accessibility settings
  * - Form validation
  * - Keyboard navigation
@@ -25,6 +26,7 @@ const CreateRoomModal = ({ onClose, onCreateRoom }) => {
     roomName: '',
     description: '',
     maxParticipants: 50,
+    password: '',
     settings: {
       allowAnonymous: true,
       allowCodeEditing: true,
@@ -32,6 +34,7 @@ const CreateRoomModal = ({ onClose, onCreateRoom }) => {
       allowCanvasDrawing: true,
       allowChat: true,
       isPublic: true,
+      requireApproval: false,
     },
   });
   
@@ -83,6 +86,10 @@ const CreateRoomModal = ({ onClose, onCreateRoom }) => {
       newErrors.maxParticipants = 'Max participants must be between 2 and 100';
     }
     
+    if (formData.password && (formData.password.length < 4 || formData.password.length > 128)) {
+      newErrors.password = 'Room password must be between 4 and 128 characters';
+    }
+    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -240,6 +247,33 @@ const CreateRoomModal = ({ onClose, onCreateRoom }) => {
               )}
             </div>
 
+            {/* Room Password */}
+            <div>
+              <label htmlFor="room-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Room Password
+              </label>
+              <input
+                id="room-password"
+                type="password"
+                value={formData.password}
+                onChange={(e) => handleInputChange('password', e.target.value)}
+                className={`input w-full ${errors.password ? 'border-red-500' : ''}`}
+                placeholder="Leave empty for no password"
+                aria-describedby={errors.password ? 'room-password-error' : 'room-password-help'}
+                autoComplete="new-password"
+                maxLength={128}
+              />
+              {errors.password ? (
+                <p id="room-password-error" className="mt-1 text-sm text-red-600 dark:text-red-400">
+                  {errors.password}
+                </p>
+              ) : (
+                <p id="room-password-help" className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                  People joining with the room ID must enter this password (optional)
+                </p>
+              )}
+            </div>
+
             {/* Room Settings */}
             <div>
               <h3 className="text-md font-medium text-gray-900 dark:text-white mb-4">
@@ -254,6 +288,7 @@ const CreateRoomModal = ({ onClose, onCreateRoom }) => {
                   { key: 'allowChat', label: 'Chat', description: 'Enable real-time chat' },
                   { key: 'allowAnonymous', label: 'Anonymous Users', description: 'Allow users without accounts to join' },
                   { key: 'isPublic', label: 'Public Room', description: 'Make room discoverable in room list' },
+                  { key: 'requireApproval', label: 'Waiting Room', description: 'New people knock and wait for you to let them in' },
                 ].map((setting) => (
                   <div key={setting.key} className="flex items-center justify-between">
                     <div>
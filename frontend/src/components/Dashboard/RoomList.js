@@ -311,6 +311,16 @@ const RoomCard = ({ room, onJoin }) => {
                     💬
                   </span>
                 )}
+                {room.hasPassword && (
+                  <span title="Password required" aria-label="Password required">
+                    🔒
+                  </span>
+                )}
+                {room.settings.requireApproval && (
+                  <span title="Owner approval required" aria-label="Owner approval required">
+                    🚪
+                  </span>
+                )}
               </div>
             )}
           </div>
@@ -53,6 +53,7 @@ const UserSettings = ({ onClose }) => {
       userJoinLeave: user?.preferences?.notifications?.userJoinLeave ?? true,
       codeChanges: user?.preferences?.notifications?.codeChanges ?? false,
       systemAnnouncements: user?.preferences?.notifications?.systemAnnouncements ?? true,
+      mentions: user?.preferences?.notifications?.mentions ?? true,
     },
   });
 
@@ -466,6 +467,7 @@ const getNotificationDescription = (key) => {
     userJoinLeave: 'Show notifications when users join or leave',
     codeChanges: 'Show notifications for code changes',
     systemAnnouncements: 'Show system announcements and updates',
+    mentions: 'Toast, chime and announce right away when someone @mentions you',
   };
   
   return descriptions[key] || 'Notification setting';
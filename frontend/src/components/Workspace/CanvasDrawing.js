@@ -14,9 +14,17 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAccessibility } from '../../contexts/AccessibilityContext';
 import { useSocket } from '../../contexts/SocketContext';
+import ReadOnlyNotice from './ReadOnlyNotice';
 import { useUser } from '../../contexts/UserContext';
 import { useBlindMode } from '../../contexts/BlindModeContext';
 import { fabric } from 'fabric';
+import {
+  createObjectId,
+  serializeCanvasObject,
+  diffCanvasObjects,
+  enlivenCanvasObjects,
+  applyOperationsToCanvas,
+} from '../../utils/canvasDocument';
 
 /**
  * Canvas Drawing Component
@@ -26,15 +34,24 @@ import { fabric } from 'fabric';
  */
 const CanvasDrawing = ({ 
   roomId, 
-  roomData, 
   participants, 
   onRoomUpdate 
 }) => {
   const { announce, screenReader, keyboardNavigation } = useAccessibility();
-  const { connected, sendEvent } = useSocket();
+  const {
+    connected,
+    sendEvent,
+    sendCanvasOperations,
+    subscribeToCanvas,
+    getCanvasDocument,
+    isFeatureEnabled,
+  } = useSocket();
   const { user } = useUser();
   const { enabled: blindModeEnabled, announceToScreenReader } = useBlindMode();
 
+  // Canvas drawing can be turned off in the room settings
+  const readOnly = !isFeatureEnabled('allowCanvasDrawing');
+
   // Canvas and drawing state
   const [canvas, setCanvas] = useState(null);
   const [currentTool, setCurrentTool] = useState('brush');
@@ -80,6 +97,7 @@ const CanvasDrawing = ({
   const [userCursors, setUserCursors] = useState({});
 
   // Drawing history and undo/redo
+  // Each entry holds the objects a local change touched, before and after it
   const [drawingHistory, setDrawingHistory] = useState([]);
   const [historyIndex, setHistoryIndex] = useState(-1);
   const [canUndo, setCanUndo] = useState(false);
@@ -106,6 +124,8 @@ const CanvasDrawing = ({
   const shapeStartRef = useRef(null);
   const activeShapeRef = useRef(null);
   const fabricInstanceRef = useRef(null);
+  const canvasQueueRef = useRef(Promise.resolve());
+  const logCanvasActionRef = useRef(null);
 
   // Drawing constants
   const MIN_STROKE_WIDTH = 1;
@@ -179,6 +199,10 @@ const CanvasDrawing = ({
         }
         break;
         
+      case 'modify':
+        description = `${author} moved or resized ${tool}`;
+        break;
+        
       case 'clear':
         description = `${author} cleared canvas`;
         break;
@@ -263,19 +287,53 @@ const CanvasDrawing = ({
     }]);
   }, [blindModeEnabled, generateActionDescription, announceToScreenReader]);
 
+  logCanvasActionRef.current = logCanvasAction;
+
+  /**
+   * Run a canvas update after the ones before it
+   * Fabric creates objects asynchronously, so updates are queued to keep their order
+   */
+  const queueCanvasUpdate = useCallback((task) => {
+    canvasQueueRef.current = canvasQueueRef.current
+      .then(task)
+      .catch(error => console.error('Error updating canvas:', error));
+  }, []);
+
+  /**
+   * Record a local change so it can be undone
+   * 
+   * @param {Array} before - Serialized objects touched by the change, before it
+   * @param {Array} after - The same objects after the change
+   */
+  const recordHistory = useCallback((before, after) => {
+    setDrawingHistory(prev => [...prev.slice(0, historyIndex + 1), { before, after }].slice(-50));
+    setHistoryIndex(prev => Math.min(prev + 1, 49)); // Keep last 50 changes
+    setCanUndo(true);
+    setCanRedo(false);
+  }, [historyIndex]);
+
+  /**
+   * Apply operations to the local canvas and send them to the room
+   */
+  const applyLocalOperations = useCallback((operations, details) => {
+    if (!canvas || readOnly || operations.length === 0) return;
+
+    queueCanvasUpdate(() => applyOperationsToCanvas(canvas, operations));
+    sendCanvasOperations(operations, details);
+  }, [canvas, readOnly, queueCanvasUpdate, sendCanvasOperations]);
 
   /**
    * Handle redo
    */
   const handleRedo = useCallback(() => {
-    if (!canvas || !canRedo) return;
+    if (!canvas || !canRedo || readOnly) return;
 
     if (historyIndex < drawingHistory.length - 1) {
       const newIndex = historyIndex + 1;
+      const { before, after } = drawingHistory[newIndex];
       setHistoryIndex(newIndex);
-      canvas.loadFromJSON(drawingHistory[newIndex], () => {
-        canvas.renderAll();
-      });
+      // Only the objects this change touched are restored, others' drawings stay
+      applyLocalOperations(diffCanvasObjects(before, after), { actionType: 'redo', shapeType: currentTool });
       setCanRedo(newIndex < drawingHistory.length - 1);
       setCanUndo(true);
       
@@ -286,7 +344,7 @@ const CanvasDrawing = ({
     if (screenReader) {
       announce('Redid last action', 'polite');
     }
-  }, [canvas, canRedo, historyIndex, drawingHistory, screenReader, announce, logCanvasAction, currentTool]);
+  }, [canvas, canRedo, readOnly, historyIndex, drawingHistory, applyLocalOperations, screenReader, announce, logCanvasAction, currentTool]);
 
   /**
    * Clean up empty shapes from canvas
@@ -319,7 +377,7 @@ const CanvasDrawing = ({
   const handleClearCanvas = useCallback(() => {
     if (!canvas) return;
 
-    canvas.clear();
+    applyLocalOperations([{ type: 'clear' }], { actionType: 'clear', shapeType: currentTool });
     setDrawingHistory([]);
     setHistoryIndex(-1);
     setCanUndo(false);
@@ -337,7 +395,7 @@ const CanvasDrawing = ({
     if (screenReader) {
       announce('Canvas cleared', 'polite');
     }
-  }, [canvas, screenReader, announce, logCanvasAction, currentTool]);
+  }, [canvas, applyLocalOperations, screenReader, announce, logCanvasAction, currentTool]);
 
   /**
    * Handle save canvas
@@ -360,15 +418,15 @@ const CanvasDrawing = ({
    * Handle undo
    */
   const handleUndo = useCallback(() => {
-    if (!canvas || !canUndo) return;
+    if (!canvas || !canUndo || readOnly) return;
 
-    if (historyIndex > 0) {
+    if (historyIndex >= 0) {
       const newIndex = historyIndex - 1;
+      const { before, after } = drawingHistory[historyIndex];
       setHistoryIndex(newIndex);
-      canvas.loadFromJSON(drawingHistory[newIndex], () => {
-        canvas.renderAll();
-      });
-      setCanUndo(newIndex > 0);
+      // Only the objects this change touched are reverted, others' drawings stay
+      applyLocalOperations(diffCanvasObjects(after, before), { actionType: 'undo', shapeType: currentTool });
+      setCanUndo(newIndex >= 0);
       setCanRedo(true);
       
       // Log undo action for Blind Mode
@@ -378,7 +436,7 @@ const CanvasDrawing = ({
     if (screenReader) {
       announce('Undid last action', 'polite');
     }
-  }, [canvas, canUndo, historyIndex, drawingHistory, screenReader, announce, logCanvasAction, currentTool]);
+  }, [canvas, canUndo, readOnly, historyIndex, drawingHistory, applyLocalOperations, screenReader, announce, logCanvasAction, currentTool]);
 
   /**
    * Process voice commands
@@ -578,7 +636,7 @@ const CanvasDrawing = ({
    * Handle drawing start
    */
   const handleDrawingStart = useCallback((event) => {
-    if (!canvas || !canvasRef.current) return;
+    if (!canvas || !canvasRef.current || readOnly) return;
 
     try {
       const pointer = canvas.getPointer(event.e);
@@ -663,7 +721,7 @@ const CanvasDrawing = ({
     } catch (error) {
       console.error('Error in handleDrawingStart:', error);
     }
-  }, [canvas, user, connected, sendEvent, roomId, currentTool, currentStrokeWidth, currentColor, currentOpacity, canvasSettings.backgroundColor]);
+  }, [canvas, readOnly, user, connected, sendEvent, roomId, currentTool, currentStrokeWidth, currentColor, currentOpacity, canvasSettings.backgroundColor]);
 
   /**
    * Handle drawing move
@@ -761,6 +819,15 @@ const CanvasDrawing = ({
         if (!shouldKeep) {
           // Remove the shape if it's too small
           canvas.remove(shape);
+        } else {
+          // Send the finished shape; free drawing paths are sent on path:created
+          shape.objectId = createObjectId();
+          const object = serializeCanvasObject(shape);
+          sendCanvasOperations([{ type: 'add', objectId: shape.objectId, object }], {
+            actionType: 'add_shape',
+            shapeType: currentTool,
+          });
+          recordHistory([], [object]);
         }
         
         activeShapeRef.current = null;
@@ -769,17 +836,6 @@ const CanvasDrawing = ({
         canvas.requestRenderAll();
       }
 
-      // Save to history
-      const canvasState = canvas.toJSON();
-      setDrawingHistory(prev => {
-        const newHistory = prev.slice(0, historyIndex + 1);
-        newHistory.push(canvasState);
-        return newHistory.slice(-50); // Keep last 50 states
-      });
-      setHistoryIndex(prev => prev + 1);
-      setCanUndo(true);
-      setCanRedo(false);
-
       // Log action
       const actionType = currentTool === 'rectangle' || currentTool === 'circle' ? 'add_shape' : 'draw';
       logCanvasAction(actionType, currentTool, {
@@ -788,29 +844,63 @@ const CanvasDrawing = ({
         pathLength: currentPathRef.current.length
       });
 
-      // Generate description
-
-      // Send event
-      if (connected && sendEvent) {
-        sendEvent('draw-event', {
-          roomId,
-          action: 'drawing_complete',
-          canvasData: canvasState,
-          tool: currentTool,
-          color: currentColor,
-          strokeWidth: currentStrokeWidth,
-          timestamp: Date.now()
-        });
-      }
-
       // Update room
       if (onRoomUpdate) {
-        onRoomUpdate({ canvas: canvasState });
+        onRoomUpdate({ canvas: canvas.toJSON(['objectId']) });
       }
     } catch (error) {
       console.error('Error in handleDrawingEnd:', error);
     }
-  }, [canvas, connected, sendEvent, roomId, currentTool, currentColor, currentStrokeWidth, onRoomUpdate, historyIndex, logCanvasAction]);
+  }, [canvas, currentTool, currentColor, currentStrokeWidth, onRoomUpdate, sendCanvasOperations, recordHistory, logCanvasAction]);
+
+  /**
+   * Handle a finished free drawing path
+   * Gives the path an id and sends it to the room
+   */
+  const handlePathCreated = useCallback(({ path }) => {
+    if (!path) return;
+
+    path.objectId = createObjectId();
+    const object = serializeCanvasObject(path);
+    sendCanvasOperations([{ type: 'add', objectId: path.objectId, object }], {
+      actionType: 'draw',
+      shapeType: currentTool,
+    });
+    recordHistory([], [object]);
+  }, [currentTool, sendCanvasOperations, recordHistory]);
+
+  /**
+   * Handle objects moved, scaled or rotated with the selection tool
+   */
+  const handleObjectModified = useCallback(({ target }) => {
+    if (!canvas || !target) return;
+
+    let targets = [target];
+    if (target.type === 'activeSelection') {
+      targets = target.getObjects();
+      // Grouped objects report coordinates relative to the selection
+      canvas.discardActiveObject();
+      canvas.requestRenderAll();
+    }
+
+    const previousObjects = getCanvasDocument().objects;
+    const before = [];
+    const after = [];
+    targets.filter(object => object.objectId).forEach(object => {
+      const previous = previousObjects.find(item => item.objectId === object.objectId);
+      if (previous) before.push(previous.data);
+      after.push(serializeCanvasObject(object));
+    });
+
+    if (after.length === 0) return;
+
+    sendCanvasOperations(after.map(object => ({ type: 'modify', objectId: object.objectId, object })), {
+      actionType: 'modify',
+      shapeType: target.type,
+    });
+    recordHistory(before, after);
+    logCanvasAction('modify', target.type);
+  }, [canvas, getCanvasDocument, sendCanvasOperations, recordHistory, logCanvasAction]);
 
   /**
    * Handle tool change
@@ -897,31 +987,9 @@ const CanvasDrawing = ({
       fabricCanvas.on('mouse:down', handleDrawingStart);
       fabricCanvas.on('mouse:move', handleDrawingMove);
       fabricCanvas.on('mouse:up', handleDrawingEnd);
-      fabricCanvas.on('path:created', () => {
-        if (connected && sendEvent) {
-          const canvasState = fabricCanvas.toJSON();
-          sendEvent('draw-event', {
-            roomId,
-            action: 'path_created',
-            canvasData: canvasState,
-            tool: currentTool,
-            color: currentColor,
-            strokeWidth: currentStrokeWidth,
-            timestamp: Date.now()
-          });
-        }
-      });
 
       fabricInstanceRef.current = fabricCanvas;
       setCanvas(fabricCanvas);
-
-      // Load existing state
-      if (roomData?.canvas) {
-        fabricCanvas.loadFromJSON(roomData.canvas, () => {
-          fabricCanvas.renderAll();
-        });
-      }
-
     };
 
     rafId = window.requestAnimationFrame(mountCanvas);
@@ -957,8 +1025,55 @@ const CanvasDrawing = ({
     canvas.on('mouse:down', handleDrawingStart);
     canvas.on('mouse:move', handleDrawingMove);
     canvas.on('mouse:up', handleDrawingEnd);
+    canvas.on('path:created', handlePathCreated);
+    canvas.on('object:modified', handleObjectModified);
 
-  }, [canvas, handleDrawingStart, handleDrawingMove, handleDrawingEnd]);
+    return () => {
+      canvas.off('path:created', handlePathCreated);
+      canvas.off('object:modified', handleObjectModified);
+    };
+  }, [canvas, handleDrawingStart, handleDrawingMove, handleDrawingEnd, handlePathCreated, handleObjectModified]);
+
+  /**
+   * Load the shared drawing and apply operations from other participants
+   */
+  useEffect(() => {
+    if (!canvas) return;
+
+    const loadObjects = (objects) => queueCanvasUpdate(async () => {
+      const fabricObjects = await enlivenCanvasObjects(objects.map(object => object.data));
+      const existing = canvas.getObjects().filter(object => object.objectId);
+      if (existing.length > 0) canvas.remove(...existing);
+      fabricObjects.forEach(object => canvas.add(object));
+      canvas.requestRenderAll();
+    });
+
+    loadObjects(getCanvasDocument().objects);
+
+    return subscribeToCanvas((event) => {
+      if (event.type === 'reset') {
+        loadObjects(event.objects);
+        setDrawingHistory([]);
+        setHistoryIndex(-1);
+        setCanUndo(false);
+        setCanRedo(false);
+        return;
+      }
+
+      queueCanvasUpdate(() => applyOperationsToCanvas(canvas, event.operations, event.keepIds));
+
+      // Log remote action for Blind Mode
+      const metadata = event.metadata || {};
+      const object = event.operations[0].object || {};
+      logCanvasActionRef.current?.(metadata.actionType || event.operations[0].type, metadata.shapeType || object.type, {
+        x: object.left,
+        y: object.top,
+        width: Math.round(object.width || 0),
+        height: Math.round(object.height || 0),
+        radius: Math.round(object.radius || 0),
+      }, metadata.author || 'Someone');
+    });
+  }, [canvas, getCanvasDocument, subscribeToCanvas, queueCanvasUpdate]);
 
   /**
    * Update canvas settings when they change
@@ -974,6 +1089,19 @@ const CanvasDrawing = ({
     }
   }, [canvas, currentStrokeWidth, currentColor, currentOpacity, currentTool, canvasSettings.backgroundColor]);
 
+  /**
+   * Lock the canvas while drawing is disabled in the room settings
+   */
+  useEffect(() => {
+    if (!canvas) return;
+
+    canvas.isDrawingMode = !readOnly && ['brush', 'marker', 'eraser'].includes(currentTool);
+    canvas.selection = !readOnly;
+    canvas.skipTargetFind = readOnly;
+    canvas.discardActiveObject();
+    canvas.requestRenderAll();
+  }, [canvas, readOnly, currentTool]);
+
   /**
    * Clean up empty shapes when canvas is ready
    */
@@ -1253,7 +1381,7 @@ const CanvasDrawing = ({
         <div className="flex items-center space-x-2">
           <button
             onClick={handleUndo}
-            disabled={!canUndo}
+            disabled={!canUndo || readOnly}
             className="btn btn-xs btn-outline"
             aria-label="Undo (Ctrl+Z)"
             title="Undo (Ctrl+Z)"
@@ -1263,7 +1391,7 @@ const CanvasDrawing = ({
           
           <button
             onClick={handleRedo}
-            disabled={!canRedo}
+            disabled={!canRedo || readOnly}
             className="btn btn-xs btn-outline"
             aria-label="Redo (Ctrl+Shift+Z)"
             title="Redo (Ctrl+Shift+Z)"
@@ -1273,6 +1401,7 @@ const CanvasDrawing = ({
           
           <button
             onClick={handleClearCanvas}
+            disabled={readOnly}
             className="btn btn-xs btn-outline"
             aria-label="Clear canvas (Ctrl+A)"
             title="Clear canvas (Ctrl+A)"
@@ -1295,25 +1424,33 @@ const CanvasDrawing = ({
 
   return (
     <div className="h-full flex flex-col bg-white dark:bg-gray-900 min-h-0">
-      {/* Tool Palette */}
-      <div className="flex-shrink-0">
-        {renderToolPalette()}
-      </div>
+      {readOnly ? (
+        <div className="flex-shrink-0">
+          <ReadOnlyNotice message="Canvas drawing is disabled in this room. The canvas is view-only." />
+        </div>
+      ) : (
+        <>
+          {/* Tool Palette */}
+          <div className="flex-shrink-0">
+            {renderToolPalette()}
+          </div>
 
-      {/* Color Palette */}
-      <div className="flex-shrink-0">
-        {renderColorPalette()}
-      </div>
+          {/* Color Palette */}
+          <div className="flex-shrink-0">
+            {renderColorPalette()}
+          </div>
 
-      {/* Stroke Width Controls */}
-      <div className="flex-shrink-0">
-        {renderStrokeWidthControls()}
-      </div>
+          {/* Stroke Width Controls */}
+          <div className="flex-shrink-0">
+            {renderStrokeWidthControls()}
+          </div>
 
-      {/* Voice Commands Controls */}
-      <div className="flex-shrink-0">
-        {renderVoiceCommandsControls()}
-      </div>
+          {/* Voice Commands Controls */}
+          <div className="flex-shrink-0">
+            {renderVoiceCommandsControls()}
+          </div>
+        </>
+      )}
 
       {/* Canvas Container */}
       <div className="flex-1 relative overflow-hidden min-h-0">
@@ -0,0 +1,176 @@
+/**
+ * Chat Attachments Component
+ *
+ * Files and images sent with a chat message:
+ * - Inline previews for images, with the file name for screen readers
+ * - Download buttons for other files, with their size
+ * - A "Describe image" action that hands an image to AI captioning in Blind Mode
+ * Attachments need your session to download, so they are fetched with it and
+ * shown from blob URLs
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { roomAPI } from '../../services/api';
+
+/**
+ * Format a file size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "3.2 KB", "1.5 MB"
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Read a blob as a data URL, the form AI captioning takes images in
+ * @param {Blob} blob - Image
+ * @returns {Promise<string>} data: URL
+ */
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * An image attachment shown inline
+ */
+const AttachmentImage = ({ attachment, description, onDescribe }) => {
+  const [image, setImage] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  /**
+   * Fetch the image with your session and show it from a blob URL
+   */
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+    setFailed(false);
+
+    roomAPI.getAttachment(attachment.url)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setImage({ blob, url: objectUrl });
+      })
+      .catch(() => {
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment.url]);
+
+  const handleDescribe = useCallback(async () => {
+    if (!image) return;
+    onDescribe(attachment, await blobToDataUrl(image.blob));
+  }, [image, attachment, onDescribe]);
+
+  return (
+    <figure className="mt-1">
+      {image ? (
+        <a href={image.url} target="_blank" rel="noopener noreferrer" title={`Open ${attachment.name}`}>
+          <img
+            src={image.url}
+            alt={description || attachment.name}
+            className="max-h-48 max-w-full rounded"
+          />
+        </a>
+      ) : (
+        <div className="h-24 flex items-center justify-center text-xs opacity-75 bg-black bg-opacity-10 rounded">
+          {failed ? 'Image unavailable' : 'Loading image…'}
+        </div>
+      )}
+      <figcaption className="text-xs opacity-75 mt-1 break-all">
+        {attachment.name}
+        {description && <span className="block italic break-normal">{description}</span>}
+      </figcaption>
+      {onDescribe && image && (
+        <button
+          onClick={handleDescribe}
+          className="text-xs underline"
+          aria-label={`Describe image ${attachment.name}`}
+        >
+          🤖 Describe image
+        </button>
+      )}
+    </figure>
+  );
+};
+
+/**
+ * A file attachment offered for download
+ */
+const AttachmentFile = ({ attachment }) => {
+  const [isDownloading, setIsDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDownload = useCallback(async () => {
+    setIsDownloading(true);
+    setError(null);
+    try {
+      const blob = await roomAPI.getAttachment(attachment.url);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (downloadError) {
+      setError(downloadError.message || 'Download failed');
+    } finally {
+      setIsDownloading(false);
+    }
+  }, [attachment]);
+
+  return (
+    <div className="mt-1">
+      <button
+        onClick={handleDownload}
+        disabled={isDownloading}
+        className="text-sm underline text-left break-all"
+        aria-label={`Download ${attachment.name}, ${formatFileSize(attachment.size)}`}
+      >
+        📄 {attachment.name}
+      </button>
+      <span className="text-xs opacity-75 ml-1">
+        {isDownloading ? 'Downloading…' : formatFileSize(attachment.size)}
+      </span>
+      {error && (
+        <p className="text-xs" role="alert">{error}</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Chat Attachments Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.attachments - [{ id, name, contentType, kind, size, url }]
+ * @param {Object} props.descriptions - AI descriptions of images by attachment id
+ * @param {Function} props.onDescribeImage - Called with (attachment, dataUrl); leave out to hide "Describe image"
+ */
+const ChatAttachments = ({ attachments, descriptions = {}, onDescribeImage }) => (
+  <div aria-label={`${attachments.length} attachment${attachments.length === 1 ? '' : 's'}`} role="group">
+    {attachments.map(attachment => (
+      attachment.kind === 'image' ? (
+        <AttachmentImage
+          key={attachment.id}
+          attachment={attachment}
+          description={descriptions[attachment.id]}
+          onDescribe={onDescribeImage}
+        />
+      ) : (
+        <AttachmentFile key={attachment.id} attachment={attachment} />
+      )
+    ))}
+  </div>
+);
+
+export default ChatAttachments;
@@ -0,0 +1,152 @@
+/**
+ * Chat Markdown Component
+ *
+ * Renders chat message text as safe Markdown:
+ * - Bold, italics, inline code, links and lists as React elements
+ * - Fenced code blocks highlighted with the code editor's own tokenizer
+ * - @mentions of room members highlighted, mentions of you stand out
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { loader } from '@monaco-editor/react';
+import DOMPurify from 'dompurify';
+import { parseChatMarkdown, splitMentions } from '../../utils/chatMarkdown';
+
+/**
+ * Code block highlighted the way the editor would show it
+ * Falls back to plain text until (or if) Monaco has loaded
+ */
+const CodeBlock = ({ code, language }) => {
+  const [highlighted, setHighlighted] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setHighlighted(null);
+    if (language === 'plaintext') return undefined;
+
+    loader.init()
+      .then(monaco => {
+        // Match the editor's theme so token colours suit the dark block
+        monaco.editor.setTheme('vs-dark');
+        return monaco.editor.colorize(code, language, { tabSize: 2 });
+      })
+      .then(html => {
+        if (!cancelled) setHighlighted(DOMPurify.sanitize(html));
+      })
+      .catch(error => {
+        console.warn('Code highlighting failed:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code, language]);
+
+  return (
+    <pre
+      className="my-1 p-2 rounded bg-gray-900 text-gray-100 text-xs font-mono overflow-x-auto"
+      aria-label={`${language} code`}
+    >
+      {highlighted ? (
+        <code dangerouslySetInnerHTML={{ __html: highlighted }} />
+      ) : (
+        <code>{code}</code>
+      )}
+    </pre>
+  );
+};
+
+/**
+ * Chat Markdown Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Message text
+ * @param {Array<string>} props.mentions - Usernames mentioned in the message
+ * @param {string} props.currentUsername - Your username, to highlight mentions of you
+ */
+const ChatMarkdown = ({ text, mentions = [], currentUsername }) => {
+  const blocks = useMemo(() => parseChatMarkdown(text), [text]);
+
+  const renderText = (value, key) => (
+    splitMentions(value, mentions).map((part, index) => (
+      typeof part === 'string' ? (
+        <React.Fragment key={`${key}-${index}`}>{part}</React.Fragment>
+      ) : (
+        <span
+          key={`${key}-${index}`}
+          className={`font-semibold ${
+            part.mention.toLowerCase() === currentUsername?.toLowerCase()
+              ? 'bg-yellow-200 text-yellow-900 rounded px-0.5'
+              : ''
+          }`}
+        >
+          @{part.mention}
+        </span>
+      )
+    ))
+  );
+
+  const renderInline = (nodes, keyPrefix) => nodes.map((node, index) => {
+    const key = `${keyPrefix}-${index}`;
+    switch (node.type) {
+      case 'text':
+        return renderText(node.text, key);
+      case 'code':
+        return (
+          <code key={key} className="px-1 rounded bg-black bg-opacity-10 font-mono text-xs">
+            {node.text}
+          </code>
+        );
+      case 'bold':
+        return <strong key={key}>{renderInline(node.children, key)}</strong>;
+      case 'italic':
+        return <em key={key}>{renderInline(node.children, key)}</em>;
+      case 'link':
+        return (
+          <a key={key} href={node.href} target="_blank" rel="noopener noreferrer" className="underline break-all">
+            {renderInline(node.children, key)}
+          </a>
+        );
+      default:
+        return null;
+    }
+  });
+
+  return (
+    <div className="text-sm break-words">
+      {blocks.map((block, blockIndex) => {
+        switch (block.type) {
+          case 'code':
+            return <CodeBlock key={blockIndex} code={block.code} language={block.language} />;
+          case 'list': {
+            const ListTag = block.ordered ? 'ol' : 'ul';
+            return (
+              <ListTag
+                key={blockIndex}
+                start={block.ordered ? block.start : undefined}
+                className={`pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+              >
+                {block.items.map((item, itemIndex) => (
+                  <li key={itemIndex}>{renderInline(item, `${blockIndex}-${itemIndex}`)}</li>
+                ))}
+              </ListTag>
+            );
+          }
+          default:
+            return (
+              <p key={blockIndex}>
+                {block.lines.map((line, lineIndex) => (
+                  <React.Fragment key={lineIndex}>
+                    {lineIndex > 0 && <br />}
+                    {renderInline(line, `${blockIndex}-${lineIndex}`)}
+                  </React.Fragment>
+                ))}
+              </p>
+            );
+        }
+      })}
+    </div>
+  );
+};
+
+export default ChatMarkdown;
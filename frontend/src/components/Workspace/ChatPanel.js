@@ -9,13 +9,142 @@
  * - Focus management and keyboard navigation
  * - Real-time typing indicators
  * - Message history and search
+ * - Threaded replies, editing and deleting your own messages, emoji reactions
+ * - @mention autocomplete from the room's participants and highlighted mentions
+ * - Markdown formatting and highlighted code snippets shared from the editor
+ * - Older history loaded on scroll, and search that jumps to a message
+ * - A Direct tab for private conversations with other participants
+ * - Slash commands (/me, /poll, /roll...) with autocomplete and usage hints
+ * - Polls with live results, asked from the poll composer or /poll
+ * - Read receipts: a "new messages" divider when you come back and "seen by" under messages
+ * - File and image attachments with inline previews, and AI image descriptions in Blind Mode
+ * - Notices when the server refuses a message for sending too fast or by its content filter
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { useAccessibility } from '../../contexts/AccessibilityContext';
 import { useSocket } from '../../contexts/SocketContext';
 import { useUser } from '../../contexts/UserContext';
 import { useBlindMode } from '../../contexts/BlindModeContext';
+import { roomAPI } from '../../services/api';
+import ChatMarkdown from './ChatMarkdown';
+import DirectMessages from './DirectMessages';
+import ChatPoll from './ChatPoll';
+import PollComposer from './PollComposer';
+import ChatAttachments, { formatFileSize } from './ChatAttachments';
+import AICaptioning from '../Accessibility/AICaptioning';
+import { isUnreadMessage, getSeenBy } from '../../utils/chatReceipts';
+
+// Reactions offered on every message
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '👀'];
+
+// How long authors may edit or delete their messages, mirroring the server
+const CHAT_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Longest message, and longest code snippet, mirroring the server
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_SNIPPET_LENGTH = 4000;
+
+// Largest attachment and attachments per message, mirroring the server's defaults
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_MESSAGE_ATTACHMENTS = 5;
+
+/**
+ * Describe a message's attachments for announcements
+ * @param {Array} attachments - [{ name, kind }]
+ * @returns {string} e.g. " with 2 attachments: photo.png, notes.txt", or '' when there are none
+ */
+const describeAttachments = (attachments = []) => (
+  attachments.length > 0
+    ? ` with ${attachments.length} attachment${attachments.length === 1 ? '' : 's'}: ${attachments.map(attachment => attachment.name).join(', ')}`
+    : ''
+);
+
+/**
+ * Describe where a shared code snippet came from
+ * @param {Object} snippet - { file, startLine, endLine }
+ * @returns {string} e.g. "main.js, lines 3-7"
+ */
+const describeSnippet = (snippet) => (
+  snippet.startLine === snippet.endLine
+    ? `${snippet.file}, line ${snippet.startLine}`
+    : `${snippet.file}, lines ${snippet.startLine}-${snippet.endLine}`
+);
+
+// Messages loaded per history page, and how close to an edge (px) scrolling loads more
+const CHAT_PAGE_SIZE = 50;
+const SCROLL_LOAD_THRESHOLD = 80;
+
+/**
+ * Changes a chat event makes to the message it is about
+ * @param {Object} event - Event from subscribeToChat
+ * @param {Object} message - The message as currently shown
+ * @returns {Object|null} Message fields to update
+ */
+const chatEventChanges = (event, message) => {
+  switch (event.type) {
+    case 'edit':
+      return { message: event.message, editedAt: event.editedAt, mentions: event.mentions, mentionedUserIds: event.mentionedUserIds };
+    case 'delete':
+      return { deleted: true, message: '', reactions: [], attachments: [] };
+    case 'reaction':
+      return { reactions: event.reactions };
+    case 'poll':
+      // Results are the same for everyone; keep your own vote
+      return message.poll ? { poll: { ...message.poll, ...event.poll, myVote: message.poll.myVote } } : null;
+    case 'poll-vote':
+      return message.poll ? { poll: { ...message.poll, myVote: event.optionIds } } : null;
+    default:
+      return null;
+  }
+};
+
+// Participants suggested at once while typing an @mention
+const MAX_MENTION_SUGGESTIONS = 5;
+
+// Readers named under a message before the rest are summed up
+const MAX_SEEN_BY_NAMES = 3;
+
+/**
+ * Find the @mention being typed just before the caret
+ * @param {string} text - Input text
+ * @param {number} caret - Caret position
+ * @returns {Object|null} { start, query } where start is the index of the @
+ */
+const getMentionQuery = (text, caret) => {
+  const match = /(^|\s)@([^@\n]{0,50})$/.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { start: caret - match[2].length - 1, query: match[2] };
+};
+
+/**
+ * Find the slash command being typed, when the whole input is "/" and a partial name
+ * @param {string} text - Input text
+ * @returns {string|null} Partial command name
+ */
+const getCommandQuery = (text) => {
+  const match = /^\/([a-z-]{0,30})$/i.exec(text);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Group a message's reactions by emoji
+ * @param {Array} reactions - [{ emoji, userId, username }]
+ * @returns {Array} [{ emoji, count, usernames, userIds }] in first-use order
+ */
+const groupReactions = (reactions = []) => {
+  const groups = new Map();
+  reactions.forEach(reaction => {
+    if (!groups.has(reaction.emoji)) {
+      groups.set(reaction.emoji, { emoji: reaction.emoji, count: 0, usernames: [], userIds: [] });
+    }
+    const group = groups.get(reaction.emoji);
+    group.count += 1;
+    group.usernames.push(reaction.username);
+    group.userIds.push(reaction.userId);
+  });
+  return Array.from(groups.values());
+};
 
 /**
  * Chat Panel Component
@@ -33,18 +162,88 @@ const ChatPanel = ({
   isVisible = true 
 }) => {
   const { announce, screenReader } = useAccessibility();
-  const { connected, sendEvent, chatMessages, sendChatMessage } = useSocket();
+  const {
+    connected,
+    sendEvent,
+    chatMessages,
+    sendChatMessage,
+    editChatMessage,
+    deleteChatMessage,
+    toggleChatReaction,
+    createPoll,
+    votePoll,
+    closePoll,
+    subscribeToChat,
+    chatHasOlder,
+    loadOlderChat,
+    chatReadStates,
+    chatRejection,
+    chatUnreadCount,
+    markChatRead,
+    isFeatureEnabled,
+    getMyMute,
+    activeDirectChat,
+    directChatRequest,
+    directUnreadCount,
+    myRole,
+  } = useSocket();
   const { user } = useUser();
   const { enabled: blindModeEnabled, announceToScreenReader } = useBlindMode();
 
+  // Chat can be turned off in the room settings; history stays readable
+  const chatDisabled = !isFeatureEnabled('allowChat');
+  const chatMute = getMyMute('chat');
+
+  // Room chat or private conversations; a conversation opened elsewhere shows the latter
+  const [chatView, setChatView] = useState(() => (activeDirectChat ? 'direct' : 'room'));
+  const handledDirectChatRequestRef = useRef(directChatRequest);
+
   // Chat state
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [typingUsers, setTypingUsers] = useState({});
-  const [unreadCount, setUnreadCount] = useState(0);
   const [isFocused, setIsFocused] = useState(false);
 
+  // Read receipt state: the first message that was new when you came back, and whether this tab is showing
+  const [unreadDividerId, setUnreadDividerId] = useState(null);
+  const [pageVisible, setPageVisible] = useState(() => document.visibilityState === 'visible');
+
+  // Thread, edit and reaction state
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [showPollComposer, setShowPollComposer] = useState(false);
+
+  // Files picked for the next message: { key, name, size, id once uploaded, error }
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  // Image being described for Blind Mode ({ attachment, dataUrl }) and descriptions by attachment id
+  const [describingImage, setDescribingImage] = useState(null);
+  const [imageDescriptions, setImageDescriptions] = useState({});
+
+  // Why the server refused your last message ({ code, message, retryAfterMs }); sending waits out a rate limit
+  const [chatNotice, setChatNotice] = useState(null);
+  const lastSentRef = useRef(null);
+  const handledRejectionRef = useRef(chatRejection?.at);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [reactingToId, setReactingToId] = useState(null);
+
+  // @mention and slash command autocomplete state
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [commandQuery, setCommandQuery] = useState(null);
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+  const [collapsedThreads, setCollapsedThreads] = useState({});
+
+  // History paging and search state
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
+  const [isLoadingNewer, setIsLoadingNewer] = useState(false);
+  // Messages around a search result that is no longer in the live history
+  const [historyWindow, setHistoryWindow] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+
   // Activity feed state
   const [recentActivities, setRecentActivities] = useState([]);
   const [activityFilter, setActivityFilter] = useState('all'); // all, messages, joins, leaves, drawing, typing
@@ -72,11 +271,17 @@ const ChatPanel = ({
   // Refs with proper cleanup
   const messagesEndRef = useRef(null);
   const messageInputRef = useRef(null);
+  const fileInputRef = useRef(null);
   const chatContainerRef = useRef(null);
   const typingTimeoutRef = useRef(null);
   const audioContextRef = useRef(null);
   const announcementTimeoutRef = useRef(null);
-  const lastReadRef = useRef(Date.now());
+  const lastMessageIdRef = useRef(null);
+  const lastScrollTopRef = useRef(0);
+  const scrollRestoreRef = useRef(null);
+  const pendingJumpRef = useRef(null);
+  // Set whenever you come back to room chat, so the divider is placed again
+  const placeDividerRef = useRef(true);
   const cleanupRefs = useRef([]);
 
   // Constants
@@ -129,7 +334,36 @@ const ChatPanel = ({
     
     switch (type) {
       case 'message':
-        announcement = `Message from ${messageData.username}: ${messageData.text}`;
+        announcement = messageData.snippet
+          ? `${messageData.username} shared code from ${describeSnippet(messageData.snippet)}`
+          : messageData.messageType === 'action'
+            ? `${messageData.username} ${messageData.message}`
+            : messageData.messageType === 'poll'
+              ? `${messageData.username} started a poll: ${messageData.message}${
+                messageData.poll ? `. Options: ${messageData.poll.options.map(option => option.text).join(', ')}` : ''
+              }`
+              : `Message from ${messageData.username}${describeAttachments(messageData.attachments)}: ${messageData.text || messageData.message}`;
+        break;
+      case 'reply':
+        announcement = `Reply in thread from ${messageData.username}${describeAttachments(messageData.attachments)}: ${messageData.text || messageData.message}`;
+        break;
+      case 'edit':
+        announcement = `${messageData.username} edited a message: ${messageData.message}`;
+        break;
+      case 'delete':
+        announcement = `${messageData.username} deleted a message`;
+        break;
+      case 'poll':
+        announcement = messageData.actionType === 'close-poll'
+          ? `${messageData.username} closed a poll`
+          : messageData.actionType === 'unvote'
+            ? `${messageData.username} withdrew a poll vote`
+            : `${messageData.username} voted in a poll`;
+        break;
+      case 'reaction':
+        announcement = messageData.added
+          ? `${messageData.username} reacted with ${messageData.emoji}`
+          : `${messageData.username} removed their ${messageData.emoji} reaction`;
         break;
       case 'join':
         announcement = `${messageData.username} joined the room`;
@@ -220,18 +454,19 @@ const ChatPanel = ({
    */
   useEffect(() => {
     if (chatMessages && chatMessages.length > 0) {
-      // Only process if we have new messages
-      const previousMessageCount = messages.length;
-      const currentMessageCount = chatMessages.length;
+      // Messages after the last one seen are new; older pages loaded above are not
+      const lastSeenIndex = chatMessages.findIndex(message => message.id === lastMessageIdRef.current);
+      const newMessages = chatMessages.slice(lastSeenIndex + 1);
+      lastMessageIdRef.current = chatMessages[chatMessages.length - 1].id;
       
       setMessages(chatMessages);
       
       // Only handle notifications for truly new messages
-      if (currentMessageCount > previousMessageCount) {
-        const newMessages = chatMessages.slice(previousMessageCount);
+      if (newMessages.length > 0) {
         
         newMessages.forEach(newMessage => {
-          if (newMessage.userId !== user?.userId) {
+          // Command replies are your own and already announced
+          if (newMessage.userId !== user?.userId && !newMessage.ephemeral) {
             // Add to activity feed
             addActivity({
               type: 'message',
@@ -253,7 +488,7 @@ const ChatPanel = ({
             }
 
             // Announce for Blind Mode
-            announceForBlindMode(newMessage, 'message');
+            announceForBlindMode(newMessage, newMessage.replyTo ? 'reply' : 'message');
 
             // Announce to screen readers (fallback)
             if (screenReader && !blindModeEnabled) {
@@ -263,15 +498,53 @@ const ChatPanel = ({
         });
       }
       
-      // Auto-scroll to bottom when new messages arrive
-      setTimeout(() => {
-        if (messagesEndRef.current) {
-          messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
-        }
-      }, 100);
+      // Auto-scroll to bottom when new messages arrive, unless reading older history
+      if (newMessages.length > 0 && !historyWindow) {
+        setTimeout(() => {
+          if (messagesEndRef.current) {
+            messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
+          }
+        }, 100);
+      }
     }
-  }, [chatMessages, user?.userId, isFocused, addActivity, showNotification, announceForBlindMode, screenReader, announce, blindModeEnabled, messages.length]);
+  }, [chatMessages, user?.userId, isFocused, addActivity, showNotification, announceForBlindMode, screenReader, announce, blindModeEnabled, historyWindow]);
+
+
+  /**
+   * Announce other participants' edits, deletions and reactions
+   */
+  useEffect(() => {
+    return subscribeToChat((event) => {
+      // Keep messages shown around a search result up to date
+      setHistoryWindow(prev => prev && {
+        ...prev,
+        messages: prev.messages.map(message => {
+          const changes = message.id === event.id ? chatEventChanges(event, message) : null;
+          return changes ? { ...message, ...changes } : message;
+        }),
+      });
 
+      // Your own vote being recorded needs no announcement
+      if (event.type === 'poll-vote' || event.metadata?.userId === user?.userId) return;
+
+      const details = {
+        username: event.metadata?.author || 'Someone',
+        message: event.message,
+        emoji: event.metadata?.emoji,
+        added: event.metadata?.actionType === 'react',
+        actionType: event.metadata?.actionType,
+      };
+      announceForBlindMode(details, event.type);
+
+      if (screenReader && !blindModeEnabled) {
+        if (event.type === 'edit') {
+          announce(`${details.username} edited a message`, 'polite');
+        } else if (event.type === 'delete') {
+          announce(`${details.username} deleted a message`, 'polite');
+        }
+      }
+    });
+  }, [subscribeToChat, user?.userId, announceForBlindMode, screenReader, blindModeEnabled, announce]);
 
   /**
    * Handle socket events for typing indicators
@@ -368,38 +641,311 @@ const ChatPanel = ({
    * Update filtered messages when messages change
    */
   useEffect(() => {
-    setFilteredMessages(messages);
-  }, [messages]);
+    setFilteredMessages(historyWindow ? historyWindow.messages : messages);
+  }, [messages, historyWindow]);
 
   /**
-   * Auto-scroll to bottom when new messages arrive
+   * Auto-scroll to bottom when new messages arrive or when returning from older history
    */
+  const lastMessageId = messages[messages.length - 1]?.id;
   useEffect(() => {
-    if (messagesEndRef.current) {
+    if (!historyWindow && messagesEndRef.current) {
       messagesEndRef.current.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [messages]);
+  }, [lastMessageId, historyWindow, chatView]);
+
+  /**
+   * Switch to the Direct tab when a conversation is opened from the participants list
+   */
+  useEffect(() => {
+    if (directChatRequest !== handledDirectChatRequestRef.current) {
+      handledDirectChatRequestRef.current = directChatRequest;
+      setChatView('direct');
+    }
+  }, [directChatRequest]);
+
+  /**
+   * Keep the messages on screen in place when older ones are added above them
+   */
+  useLayoutEffect(() => {
+    const container = chatContainerRef.current;
+    if (container && scrollRestoreRef.current) {
+      const { height, top } = scrollRestoreRef.current;
+      container.scrollTop = container.scrollHeight - height + top;
+      scrollRestoreRef.current = null;
+    }
+  }, [filteredMessages]);
+
+  /**
+   * Scroll to and focus a message jumped to from search once it is rendered
+   */
+  useEffect(() => {
+    const messageId = pendingJumpRef.current;
+    if (!messageId) return;
+
+    const element = document.getElementById(`chat-message-${messageId}`);
+    if (element) {
+      pendingJumpRef.current = null;
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      element.focus({ preventScroll: true });
+    }
+  }, [filteredMessages, collapsedThreads, highlightedMessageId]);
+
+  // Fade the highlight on a jumped-to message
+  useEffect(() => {
+    if (!highlightedMessageId) return undefined;
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId]);
+
+  /**
+   * Load the page of messages before the oldest one shown
+   */
+  const loadOlderMessages = useCallback(async () => {
+    const hasOlder = historyWindow ? historyWindow.hasOlder : chatHasOlder;
+    if (isLoadingOlder || !hasOlder) return;
+
+    // Remember the scroll position so the layout effect can restore it
+    const container = chatContainerRef.current;
+    if (container) {
+      scrollRestoreRef.current = { height: container.scrollHeight, top: container.scrollTop };
+    }
+
+    setIsLoadingOlder(true);
+    try {
+      let loaded;
+      if (historyWindow) {
+        const page = await roomAPI.getRoomChat(roomId, { before: historyWindow.messages[0].id, limit: CHAT_PAGE_SIZE });
+        setHistoryWindow(prev => prev && {
+          ...prev,
+          messages: [...page.messages, ...prev.messages],
+          hasOlder: page.hasOlder,
+        });
+        loaded = page.messages.length;
+      } else {
+        loaded = await loadOlderChat();
+      }
+      if (screenReader) {
+        announce(loaded > 0 ? `Loaded ${loaded} older messages` : 'No older messages', 'polite');
+      }
+    } catch (error) {
+      scrollRestoreRef.current = null;
+      console.error('Failed to load older messages:', error);
+      announce('Failed to load older messages', 'assertive');
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  }, [historyWindow, chatHasOlder, isLoadingOlder, roomId, loadOlderChat, screenReader, announce]);
+
+  /**
+   * Leave older history and show the live chat again
+   */
+  const jumpToLatest = useCallback(() => {
+    setHistoryWindow(null);
+    if (screenReader) {
+      announce('Showing latest messages', 'polite');
+    }
+  }, [screenReader, announce]);
+
+  /**
+   * Load the page of messages after the newest one shown around a search result
+   */
+  const loadNewerMessages = useCallback(async () => {
+    if (isLoadingNewer || !historyWindow?.hasNewer) return;
+
+    setIsLoadingNewer(true);
+    try {
+      const newest = historyWindow.messages[historyWindow.messages.length - 1];
+      const page = await roomAPI.getRoomChat(roomId, { after: newest.id, limit: CHAT_PAGE_SIZE });
+      setHistoryWindow(prev => prev && {
+        ...prev,
+        messages: [...prev.messages, ...page.messages],
+        hasNewer: page.hasNewer,
+      });
+    } catch (error) {
+      console.error('Failed to load newer messages:', error);
+      announce('Failed to load newer messages', 'assertive');
+    } finally {
+      setIsLoadingNewer(false);
+    }
+  }, [historyWindow, isLoadingNewer, roomId, announce]);
+
+  /**
+   * Load more history when scrolled near the top (or, around a search result, the bottom)
+   */
+  const handleScroll = useCallback((e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    const scrollingUp = scrollTop < lastScrollTopRef.current;
+    lastScrollTopRef.current = scrollTop;
+
+    if (scrollingUp && scrollTop < SCROLL_LOAD_THRESHOLD) {
+      loadOlderMessages();
+    } else if (!scrollingUp && historyWindow && scrollHeight - scrollTop - clientHeight < SCROLL_LOAD_THRESHOLD) {
+      loadNewerMessages();
+    }
+  }, [historyWindow, loadOlderMessages, loadNewerMessages]);
+
+  /**
+   * Search the room's whole chat history
+   */
+  const handleSearch = useCallback(async (e) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (!query) return;
+
+    setIsSearching(true);
+    try {
+      const data = await roomAPI.searchRoomChat(roomId, query);
+      setSearchResults(data.results);
+      if (screenReader) {
+        announce(`${data.results.length} message${data.results.length === 1 ? '' : 's'} found`, 'polite');
+      }
+    } catch (error) {
+      console.error('Chat search failed:', error);
+      setSearchResults([]);
+      announce(error.message || 'Search failed', 'assertive');
+    } finally {
+      setIsSearching(false);
+    }
+  }, [searchQuery, roomId, screenReader, announce]);
+
+  /**
+   * Show a message from search results, loading the history around it if needed
+   */
+  const jumpToMessage = useCallback(async (message) => {
+    pendingJumpRef.current = message.id;
+    if (message.replyTo) {
+      setCollapsedThreads(prev => ({ ...prev, [message.replyTo]: false }));
+    }
+
+    if (!filteredMessages.some(loaded => loaded.id === message.id)) {
+      try {
+        const page = await roomAPI.getRoomChat(roomId, { around: message.id, limit: CHAT_PAGE_SIZE });
+        setHistoryWindow({ messages: page.messages, hasOlder: page.hasOlder, hasNewer: page.hasNewer });
+      } catch (error) {
+        pendingJumpRef.current = null;
+        console.error('Failed to load message:', error);
+        announce('Failed to load that message', 'assertive');
+        return;
+      }
+    }
+
+    setHighlightedMessageId(message.id);
+    if (screenReader) {
+      announce(`Showing message from ${message.username}`, 'polite');
+    }
+  }, [filteredMessages, roomId, screenReader, announce]);
+
+
+
 
 
+  /**
+   * Upload picked files so they can be sent with the next message
+   */
+  const handleFilesSelected = useCallback((e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    const room = MAX_MESSAGE_ATTACHMENTS - pendingAttachments.length;
+    if (files.length > room) {
+      announce(`You can attach up to ${MAX_MESSAGE_ATTACHMENTS} files to a message`, 'assertive');
+    }
+
+    files.slice(0, Math.max(room, 0)).forEach(file => {
+      const key = `${file.name}-${Date.now()}-${Math.random()}`;
+      const tooLarge = file.size > MAX_ATTACHMENT_BYTES;
+      setPendingAttachments(prev => [...prev, {
+        key,
+        name: file.name,
+        size: file.size,
+        id: null,
+        error: tooLarge ? `Larger than ${formatFileSize(MAX_ATTACHMENT_BYTES)}` : null,
+      }]);
+      if (tooLarge) return;
+
+      const updateAttachment = (changes) => setPendingAttachments(prev => prev.map(attachment => (
+        attachment.key === key ? { ...attachment, ...changes } : attachment
+      )));
+      roomAPI.uploadAttachment(roomId, file)
+        .then(uploaded => {
+          updateAttachment({ id: uploaded.id });
+          if (screenReader) {
+            announce(`${file.name} attached`, 'polite');
+          }
+        })
+        .catch(error => {
+          updateAttachment({ error: error.message || 'Upload failed' });
+          announce(`Could not attach ${file.name}: ${error.message || 'upload failed'}`, 'assertive');
+        });
+    });
+  }, [pendingAttachments.length, roomId, screenReader, announce]);
 
+  const removePendingAttachment = useCallback((key) => {
+    setPendingAttachments(prev => prev.filter(attachment => attachment.key !== key));
+  }, []);
 
+  // Attachments ready to send, and whether any are still uploading
+  const readyAttachmentIds = useMemo(() => (
+    pendingAttachments.filter(attachment => attachment.id).map(attachment => attachment.id)
+  ), [pendingAttachments]);
+  const isUploading = pendingAttachments.some(attachment => !attachment.id && !attachment.error);
+  const isRateLimited = chatNotice?.code === 'RATE_LIMITED';
+
+  /**
+   * Show why the server refused your last message and put its text back in the input
+   */
+  useEffect(() => {
+    if (!chatRejection || handledRejectionRef.current === chatRejection.at) return;
+    handledRejectionRef.current = chatRejection.at;
+
+    const lastSent = lastSentRef.current;
+    lastSentRef.current = null;
+    if (lastSent) {
+      // Unless something new was typed meanwhile
+      setNewMessage(prev => prev || lastSent.text);
+      setPendingAttachments(prev => (prev.length > 0 ? prev : lastSent.attachments));
+    }
+    setChatNotice(chatRejection);
+  }, [chatRejection]);
+
+  /**
+   * Sending is allowed again once a rate limit has passed
+   */
+  useEffect(() => {
+    if (!chatNotice?.retryAfterMs) return undefined;
+    const timeout = setTimeout(() => setChatNotice(null), chatNotice.retryAfterMs);
+    return () => clearTimeout(timeout);
+  }, [chatNotice]);
 
   /**
    * Send message
    */
   const sendMessage = useCallback(() => {
-    if (!newMessage.trim() || !connected) return;
+    if ((!newMessage.trim() && readyAttachmentIds.length === 0) || isUploading || !connected || chatDisabled || isRateLimited) return;
 
     const messageText = newMessage.trim();
+    const attachmentIds = readyAttachmentIds;
+
+    // Kept until the next message in case the server refuses this one
+    lastSentRef.current = { text: newMessage, attachments: pendingAttachments.filter(attachment => attachment.id) };
+    setChatNotice(null);
     
     // Clear input first
     setNewMessage('');
+    setPendingAttachments([]);
+    setMentionQuery(null);
+    setCommandQuery(null);
+
+    // Replies always go to the thread's first message
+    const replyTo = replyingTo ? (replyingTo.replyTo || replyingTo.id) : null;
+    setReplyingTo(null);
 
     // Use onSendMessage prop if provided, otherwise use SocketContext
     if (onSendMessage) {
-      onSendMessage(messageText, 'text');
+      onSendMessage(messageText, 'text', replyTo, null, attachmentIds);
     } else {
-      sendChatMessage(messageText, 'text');
+      sendChatMessage(messageText, 'text', replyTo, null, attachmentIds);
     }
 
     // Stop typing indicator
@@ -410,13 +956,135 @@ const ChatPanel = ({
         userId: user?.userId
       });
     }
-  }, [newMessage, connected, onSendMessage, sendChatMessage, sendEvent, user, roomId]);
+  }, [newMessage, pendingAttachments, readyAttachmentIds, isUploading, isRateLimited, connected, onSendMessage, sendChatMessage, sendEvent,
+    user, roomId, chatDisabled, replyingTo]);
+
+  /**
+   * Hand an image to AI captioning; the description is shown under it and announced
+   */
+  const describeImage = useCallback((attachment, dataUrl) => {
+    setDescribingImage({ attachment, dataUrl });
+    announceToScreenReader(`Describing image ${attachment.name}`);
+  }, [announceToScreenReader]);
+
+  const handleImageDescription = useCallback((description) => {
+    if (!describingImage) return;
+    setImageDescriptions(prev => ({ ...prev, [describingImage.attachment.id]: description.content }));
+    announceToScreenReader(`${describingImage.attachment.name}: ${description.content}`);
+  }, [describingImage, announceToScreenReader]);
+
+  /**
+   * Participants matching the @mention being typed
+   */
+  const mentionSuggestions = useMemo(() => {
+    if (!mentionQuery) return [];
+    const query = mentionQuery.query.toLowerCase();
+    const usernames = new Set(
+      Object.values(participants || {})
+        .map(participant => participant.username)
+        .filter(username => username && username !== user?.username)
+    );
+    return Array.from(usernames)
+      .filter(username => username.toLowerCase().startsWith(query))
+      .sort((a, b) => a.localeCompare(b))
+      .slice(0, MAX_MENTION_SUGGESTIONS);
+  }, [mentionQuery, participants, user?.username]);
+
+  /**
+   * Commands matching the slash command being typed; managers' commands only for managers
+   */
+  const canManage = myRole === 'owner' || myRole === 'moderator';
+  const availableCommands = useMemo(() => (
+    (roomData?.chatCommands || []).filter(command => !command.managersOnly || canManage)
+  ), [roomData?.chatCommands, canManage]);
+
+  const commandSuggestions = useMemo(() => {
+    if (commandQuery === null) return [];
+    return availableCommands.filter(command => command.name.startsWith(commandQuery));
+  }, [commandQuery, availableCommands]);
+
+  /**
+   * Usage of the command typed so far, shown under the input once its name is complete
+   */
+  const commandHint = useMemo(() => {
+    const match = /^\/([a-z][a-z-]*)(\s|$)/i.exec(newMessage);
+    if (!match) return null;
+    return availableCommands.find(command => command.name === match[1].toLowerCase()) || null;
+  }, [newMessage, availableCommands]);
+
+  // Commands are only suggested at the start of the input, so the two lists never overlap
+  const suggestionType = commandSuggestions.length > 0 ? 'command' : mentionSuggestions.length > 0 ? 'mention' : null;
+  const suggestions = suggestionType === 'command' ? commandSuggestions : mentionSuggestions;
+
+  /**
+   * Replace the @mention being typed with a participant's full username
+   */
+  const insertMention = useCallback((username) => {
+    const input = messageInputRef.current;
+    if (!mentionQuery || !input) return;
+
+    const caret = input.selectionStart ?? newMessage.length;
+    const before = `${newMessage.slice(0, mentionQuery.start)}@${username} `;
+    setNewMessage(before + newMessage.slice(caret));
+    setMentionQuery(null);
+
+    // Put the caret after the inserted mention once React has updated the input
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(before.length, before.length);
+    });
+  }, [mentionQuery, newMessage]);
+
+  /**
+   * Complete the slash command being typed, ready for its arguments
+   */
+  const insertCommand = useCallback((command) => {
+    const input = messageInputRef.current;
+    if (!input) return;
+
+    const text = `/${command.name} `;
+    setNewMessage(text);
+    setCommandQuery(null);
+
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(text.length, text.length);
+    });
+  }, []);
+
+  /**
+   * Keyboard navigation for the @mention and command suggestions
+   */
+  const handleSuggestionKeyDown = useCallback((e) => {
+    if (!suggestionType) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSuggestionIndex(index => (index + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      const suggestion = suggestions[Math.min(suggestionIndex, suggestions.length - 1)];
+      if (suggestionType === 'command') {
+        insertCommand(suggestion);
+      } else {
+        insertMention(suggestion);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setMentionQuery(null);
+      setCommandQuery(null);
+    }
+  }, [suggestionType, suggestions, suggestionIndex, insertCommand, insertMention]);
 
   /**
    * Handle input change
    */
   const handleInputChange = useCallback((e) => {
     setNewMessage(e.target.value);
+    setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart ?? e.target.value.length));
+    setCommandQuery(getCommandQuery(e.target.value));
+    setSuggestionIndex(0);
 
     // Start typing indicator
     if (!isTyping && connected && sendEvent) {
@@ -455,13 +1123,79 @@ const ChatPanel = ({
     }
   }, [sendMessage]);
 
+  /**
+   * Start replying to a message in its thread
+   */
+  const startReply = useCallback((message) => {
+    setReplyingTo(message);
+    setEditingMessageId(null);
+    messageInputRef.current?.focus();
+    if (screenReader) {
+      announce(`Replying to ${message.username}`, 'polite');
+    }
+  }, [screenReader, announce]);
+
+  /**
+   * Start editing one of your own messages
+   */
+  const startEdit = useCallback((message) => {
+    setEditingMessageId(message.id);
+    setEditText(message.message);
+    setReactingToId(null);
+  }, []);
+
+  /**
+   * Save or cancel an edit
+   */
+  const saveEdit = useCallback(() => {
+    const text = editText.trim();
+    if (text && editingMessageId) {
+      editChatMessage(editingMessageId, text);
+    }
+    setEditingMessageId(null);
+    setEditText('');
+  }, [editText, editingMessageId, editChatMessage]);
+
+  const handleEditKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      saveEdit();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      setEditingMessageId(null);
+      setEditText('');
+    }
+  }, [saveEdit]);
+
+  /**
+   * Delete one of your own messages after confirming
+   */
+  const handleDelete = useCallback((message) => {
+    if (window.confirm('Delete this message for everyone?')) {
+      deleteChatMessage(message.id);
+    }
+  }, [deleteChatMessage]);
+
+  /**
+   * Add or remove a reaction
+   */
+  const handleReaction = useCallback((message, emoji) => {
+    toggleChatReaction(message.id, emoji);
+    setReactingToId(null);
+  }, [toggleChatReaction]);
+
+  /**
+   * Show or hide a thread's replies
+   */
+  const toggleThread = useCallback((threadId) => {
+    setCollapsedThreads(prev => ({ ...prev, [threadId]: !prev[threadId] }));
+  }, []);
+
   /**
    * Handle focus
    */
   const handleFocus = useCallback(() => {
     setIsFocused(true);
-    setUnreadCount(0);
-    lastReadRef.current = Date.now();
   }, []);
 
   /**
@@ -472,56 +1206,331 @@ const ChatPanel = ({
   }, []);
 
   /**
-   * Update unread count when messages change
+   * Track whether this browser tab is showing; coming back places the divider again
    */
   useEffect(() => {
-    if (!isFocused && messages.length > 0) {
-      const unreadMessages = messages.filter(msg => 
-        msg.userId !== user?.userId && 
-        msg.timestamp > (lastReadRef.current || 0)
-      );
-      setUnreadCount(unreadMessages.length);
-    } else if (isFocused) {
-      // Reset unread count when focused
-      setUnreadCount(0);
+    const handleVisibilityChange = () => {
+      const visible = document.visibilityState === 'visible';
+      if (visible) placeDividerRef.current = true;
+      setPageVisible(visible);
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  /**
+   * Place the divider again when the panel is shown or you switch back from direct messages
+   */
+  useEffect(() => {
+    if (isVisible && chatView === 'room') placeDividerRef.current = true;
+  }, [isVisible, chatView]);
+
+  /**
+   * Mark room chat read while it is on screen, first placing the "new messages"
+   * divider above what arrived while you were away
+   */
+  const myReadState = chatReadStates[user?.userId] || null;
+  useEffect(() => {
+    if (!isVisible || chatView !== 'room' || !pageVisible || historyWindow) return;
+
+    if (placeDividerRef.current && myReadState) {
+      placeDividerRef.current = false;
+      const firstUnread = messages.find(message => isUnreadMessage(message, myReadState, user?.userId));
+      setUnreadDividerId(firstUnread?.id || null);
     }
-  }, [messages, isFocused, user?.userId]);
 
+    const latest = messages.filter(message => !message.ephemeral).pop();
+    if (latest) markChatRead(latest);
+  }, [messages, myReadState, isVisible, chatView, pageVisible, historyWindow, user?.userId, markChatRead]);
+
+  /**
+   * Who has read up to each shown message
+   */
+  const seenBy = useMemo(() => (
+    getSeenBy(filteredMessages, chatReadStates, user?.userId)
+  ), [filteredMessages, chatReadStates, user?.userId]);
+
+
+  /**
+   * Split messages into threads: messages starting a thread and the replies under each
+   * Replies whose first message is no longer loaded are shown on their own
+   */
+  const threads = useMemo(() => {
+    const loadedIds = new Set(filteredMessages.map(message => message.id));
+    const roots = [];
+    const replies = {};
+    filteredMessages.forEach(message => {
+      if (message.replyTo && loadedIds.has(message.replyTo)) {
+        if (!replies[message.replyTo]) replies[message.replyTo] = [];
+        replies[message.replyTo].push(message);
+      } else {
+        roots.push(message);
+      }
+    });
+    return { roots, replies };
+  }, [filteredMessages]);
 
   /**
    * Render message
    */
-  const renderMessage = useCallback((message) => {
+  const renderMessage = useCallback((message, isReply = false) => {
     const isOwnMessage = message.userId === user?.userId;
     const messageTime = new Date(message.timestamp).toLocaleTimeString();
 
+    // Replies to your slash commands are only shown to you and cannot be reacted to
+    if (message.messageType === 'command-reply') {
+      return (
+        <div key={message.id} id={`chat-message-${message.id}`} tabIndex={-1} className="flex justify-center mb-2" role="listitem">
+          <div
+            className={`w-full px-3 py-2 rounded-lg border text-xs ${
+              message.error
+                ? 'border-red-300 bg-red-50 text-red-800 dark:border-red-700 dark:bg-red-900 dark:text-red-100'
+                : 'border-gray-200 bg-gray-50 text-gray-700 dark:border-gray-700 dark:bg-gray-800 dark:text-gray-300'
+            }`}
+          >
+            <p className="font-medium mb-1">
+              /{message.command} · Only visible to you
+            </p>
+            <p className="whitespace-pre-line">{message.message}</p>
+          </div>
+        </div>
+      );
+    }
+
+    // System notices (e.g. moderation actions) are centered and unattributed
+    if (message.messageType === 'system') {
+      return (
+        <div key={message.id} id={`chat-message-${message.id}`} tabIndex={-1} className="flex justify-center mb-2" role="listitem">
+          <p className="text-xs text-gray-500 dark:text-gray-400 italic text-center">
+            {message.message} · {messageTime}
+          </p>
+        </div>
+      );
+    }
+
+    // Polls cannot be edited once people may have voted
+    const canChange = isOwnMessage && !message.deleted && !chatDisabled && message.messageType !== 'poll' &&
+      Date.now() - new Date(message.timestamp).getTime() < CHAT_EDIT_WINDOW_MS;
+    const canInteract = !message.deleted && !chatDisabled;
+    const isEditing = editingMessageId === message.id;
+    const mentionsMe = !isOwnMessage && (message.mentionedUserIds || []).includes(user?.userId);
+    const reactionGroups = groupReactions(message.reactions);
+    const seenByNames = seenBy.get(message.id);
+
     return (
       <div
         key={message.id}
-        className={`flex ${isOwnMessage ? 'justify-end' : 'justify-start'} mb-2`}
+        id={`chat-message-${message.id}`}
+        tabIndex={-1}
+        className={`flex flex-col ${isOwnMessage ? 'items-end' : 'items-start'} mb-2 rounded focus:outline-none ${
+          highlightedMessageId === message.id ? 'bg-yellow-50 dark:bg-yellow-900' : ''
+        }`}
         role="listitem"
+        aria-label={isReply ? `Reply from ${message.username}` : undefined}
       >
+        {message.id === unreadDividerId && (
+          <div className="self-stretch flex items-center my-2 text-xs font-medium text-red-600 dark:text-red-400" role="separator">
+            <span className="flex-1 border-t border-red-300 dark:border-red-700" aria-hidden="true" />
+            <span className="px-2">New messages</span>
+            <span className="flex-1 border-t border-red-300 dark:border-red-700" aria-hidden="true" />
+          </div>
+        )}
         <div
           className={`max-w-xs px-3 py-2 rounded-lg ${
             isOwnMessage
               ? 'bg-primary-500 text-white'
               : 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-100'
-          }`}
+          } ${mentionsMe ? 'ring-2 ring-yellow-400' : ''}`}
           style={isOwnMessage ? {} : { borderLeft: `4px solid ${message.color}` }}
         >
           <div className="flex items-center justify-between mb-1">
             <span className="text-xs font-medium opacity-75">
               {message.username}
             </span>
-            <span className="text-xs opacity-75">
+            <span className="text-xs opacity-75 ml-2">
               {messageTime}
+              {message.editedAt && !message.deleted && ' · edited'}
             </span>
           </div>
-          <p className="text-sm">{message.text || message.message}</p>
+          {message.deleted ? (
+            <p className="text-sm italic opacity-75">Message deleted</p>
+          ) : isEditing ? (
+            <div>
+              <label htmlFor={`edit-${message.id}`} className="sr-only">
+                Edit message
+              </label>
+              <textarea
+                id={`edit-${message.id}`}
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                onKeyDown={handleEditKeyDown}
+                maxLength={message.messageType === 'code' ? MAX_SNIPPET_LENGTH : MAX_MESSAGE_LENGTH}
+                rows={Math.min(8, editText.split('\n').length)}
+                className="w-full px-2 py-1 text-sm text-gray-900 rounded border border-gray-300 resize-none font-mono"
+                aria-describedby="edit-message-help"
+              />
+              <span id="edit-message-help" className="sr-only">
+                Press Enter to save, Shift+Enter for a new line or Escape to cancel
+              </span>
+              <div className="flex justify-end space-x-2 mt-1">
+                <button onClick={() => setEditingMessageId(null)} className="text-xs underline">
+                  Cancel
+                </button>
+                <button onClick={saveEdit} className="text-xs underline font-medium">
+                  Save
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {message.snippet && (
+                <p className="text-xs opacity-75 mb-1">
+                  📎 {describeSnippet(message.snippet)}
+                </p>
+              )}
+              {message.messageType === 'action' ? (
+                <p className="text-sm italic">
+                  * {message.username} {message.message}
+                </p>
+              ) : message.poll ? (
+                <ChatPoll
+                  message={message}
+                  canClose={isOwnMessage || canManage}
+                  disabled={chatDisabled || !!chatMute}
+                  onVote={(optionIds) => votePoll(message.id, optionIds)}
+                  onClose={() => closePoll(message.id)}
+                />
+              ) : (message.text || message.message) && (
+                <ChatMarkdown
+                  text={message.text || message.message}
+                  mentions={message.mentions}
+                  currentUsername={user?.username}
+                />
+              )}
+              {message.attachments?.length > 0 && (
+                <ChatAttachments
+                  attachments={message.attachments}
+                  descriptions={imageDescriptions}
+                  onDescribeImage={blindModeEnabled ? describeImage : undefined}
+                />
+              )}
+            </>
+          )}
         </div>
+
+        {/* Reactions */}
+        {reactionGroups.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-1" aria-label="Reactions">
+            {reactionGroups.map(group => {
+              const reacted = group.userIds.includes(user?.userId);
+              return (
+                <button
+                  key={group.emoji}
+                  onClick={() => handleReaction(message, group.emoji)}
+                  disabled={!canInteract}
+                  className={`text-xs px-1.5 py-0.5 rounded-full border ${
+                    reacted
+                      ? 'border-primary-500 bg-primary-50 dark:bg-primary-900'
+                      : 'border-gray-300 dark:border-gray-600'
+                  }`}
+                  aria-pressed={reacted}
+                  aria-label={`${group.emoji} ${group.count}: ${group.usernames.join(', ')}`}
+                  title={group.usernames.join(', ')}
+                >
+                  {group.emoji} {group.count}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Read receipts */}
+        {seenByNames && (
+          <p className="text-xs text-gray-400 dark:text-gray-500 mt-0.5" title={seenByNames.join(', ')}>
+            Seen by {seenByNames.length > MAX_SEEN_BY_NAMES
+              ? `${seenByNames.slice(0, MAX_SEEN_BY_NAMES).join(', ')} and ${seenByNames.length - MAX_SEEN_BY_NAMES} more`
+              : seenByNames.join(', ')}
+          </p>
+        )}
+
+        {/* Message actions */}
+        {canInteract && !isEditing && (
+          <div className="flex items-center space-x-2 mt-0.5 text-xs text-gray-500 dark:text-gray-400">
+            <button
+              onClick={() => startReply(message)}
+              className="hover:underline"
+              aria-label={`Reply to ${message.username}`}
+            >
+              Reply
+            </button>
+            <button
+              onClick={() => setReactingToId(reactingToId === message.id ? null : message.id)}
+              className="hover:underline"
+              aria-expanded={reactingToId === message.id}
+              aria-label={`React to message from ${message.username}`}
+            >
+              React
+            </button>
+            {canChange && (
+              <>
+                <button onClick={() => startEdit(message)} className="hover:underline">
+                  Edit
+                </button>
+                <button onClick={() => handleDelete(message)} className="hover:underline">
+                  Delete
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        {reactingToId === message.id && (
+          <div className="flex space-x-1 mt-1" role="group" aria-label="Choose a reaction">
+            {QUICK_REACTIONS.map(emoji => (
+              <button
+                key={emoji}
+                onClick={() => handleReaction(message, emoji)}
+                className="text-base px-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                aria-label={`React with ${emoji}`}
+              >
+                {emoji}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
     );
-  }, [user]);
+  }, [user, chatDisabled, chatMute, canManage, editingMessageId, editText, reactingToId, highlightedMessageId,
+    unreadDividerId, seenBy, imageDescriptions, blindModeEnabled, describeImage, handleEditKeyDown, saveEdit, handleReaction,
+    startReply, startEdit, handleDelete, votePoll, closePoll]);
+
+  /**
+   * Render a message with its thread of replies
+   */
+  const renderThread = useCallback((message) => {
+    const replies = threads.replies[message.id] || [];
+    if (replies.length === 0) {
+      return renderMessage(message);
+    }
+
+    const collapsed = collapsedThreads[message.id];
+    return (
+      <div key={message.id}>
+        {renderMessage(message)}
+        <button
+          onClick={() => toggleThread(message.id)}
+          className="text-xs text-primary-600 dark:text-primary-400 hover:underline ml-2 mb-1"
+          aria-expanded={!collapsed}
+        >
+          {collapsed ? 'Show' : 'Hide'} {replies.length} repl{replies.length === 1 ? 'y' : 'ies'}
+        </button>
+        {!collapsed && (
+          <div className="ml-4 pl-2 border-l-2 border-gray-200 dark:border-gray-700" role="list" aria-label={`Replies to ${message.username}`}>
+            {replies.map(reply => renderMessage(reply, true))}
+          </div>
+        )}
+      </div>
+    );
+  }, [threads, collapsedThreads, renderMessage, toggleThread]);
 
   /**
    * Render typing indicator
@@ -623,13 +1632,24 @@ const ChatPanel = ({
       <div className="flex items-center justify-between p-3 border-b border-gray-200 dark:border-gray-700">
         <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
           Chat
-          {unreadCount > 0 && (
+          {chatUnreadCount > 0 && (
             <span className="ml-2 bg-red-500 text-white text-xs px-2 py-1 rounded-full">
-              {unreadCount}
+              {chatUnreadCount}
             </span>
           )}
         </h2>
         <div className="flex items-center space-x-2">
+          {chatView === 'room' && (
+            <button
+              onClick={() => setShowSearch(!showSearch)}
+              className="btn btn-sm btn-outline"
+              aria-label="Search messages"
+              aria-expanded={showSearch}
+              title="Search messages"
+            >
+              🔍
+            </button>
+          )}
           <button
             onClick={() => setShowActivityFeed(!showActivityFeed)}
             className="btn btn-sm btn-outline"
@@ -649,6 +1669,77 @@ const ChatPanel = ({
         </div>
       </div>
 
+      {/* Room / Direct tabs */}
+      <div className="flex border-b border-gray-200 dark:border-gray-700 text-sm" role="tablist" aria-label="Chat conversations">
+        {[
+          { id: 'room', label: 'Room' },
+          { id: 'direct', label: 'Direct', badge: directUnreadCount },
+        ].map(tab => (
+          <button
+            key={tab.id}
+            role="tab"
+            aria-selected={chatView === tab.id}
+            onClick={() => setChatView(tab.id)}
+            className={`flex-1 py-2 font-medium border-b-2 ${
+              chatView === tab.id
+                ? 'border-primary-500 text-primary-600 dark:text-primary-400'
+                : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'
+            }`}
+            aria-label={tab.badge ? `${tab.label}, ${tab.badge} unread` : tab.label}
+          >
+            {tab.label}
+            {tab.badge > 0 && (
+              <span className="ml-1 bg-red-500 text-white text-xs px-1.5 py-0.5 rounded-full">
+                {tab.badge}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {/* Message Search */}
+      {chatView === 'room' && showSearch && (
+        <div className="p-2 border-b border-gray-200 dark:border-gray-700">
+          <form onSubmit={handleSearch} className="flex space-x-1" role="search">
+            <label htmlFor="chat-search" className="sr-only">
+              Search messages
+            </label>
+            <input
+              id="chat-search"
+              type="search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              maxLength={100}
+              placeholder="Search messages..."
+              className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded dark:bg-gray-800 dark:text-gray-100"
+            />
+            <button type="submit" className="btn btn-sm btn-outline" disabled={isSearching || !searchQuery.trim()}>
+              {isSearching ? 'Searching...' : 'Search'}
+            </button>
+          </form>
+          {searchResults && (
+            searchResults.length === 0 ? (
+              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">No messages found</p>
+            ) : (
+              <ul className="mt-2 max-h-40 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700" aria-label="Search results">
+                {searchResults.map(result => (
+                  <li key={result.id}>
+                    <button
+                      onClick={() => jumpToMessage(result)}
+                      className="w-full text-left px-2 py-1 text-xs hover:bg-gray-50 dark:hover:bg-gray-800 text-gray-900 dark:text-gray-100"
+                    >
+                      <span className="font-medium">{result.username}</span>
+                      <span className="ml-1 opacity-75">{new Date(result.timestamp).toLocaleString()}</span>
+                      <span className="block truncate">{result.message}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )
+          )}
+        </div>
+      )}
+
       {/* Activity Feed */}
       {showActivityFeed && (
         <div className="border-b border-gray-200 dark:border-gray-700">
@@ -678,61 +1769,263 @@ const ChatPanel = ({
         </div>
       )}
 
+      {chatView === 'room' && historyWindow && (
+        <div className="flex items-center justify-between px-3 py-1 text-xs bg-yellow-50 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-100" role="status">
+          <span>Viewing older messages</span>
+          <button onClick={jumpToLatest} className="underline font-medium">
+            Jump to latest
+          </button>
+        </div>
+      )}
+
       {/* Messages */}
-      <div
-        ref={chatContainerRef}
-        className="flex-1 overflow-y-auto p-3 space-y-2 min-h-0"
-        onFocus={handleFocus}
-        onBlur={handleBlur}
-        role="log"
-        aria-label="Chat messages"
-        aria-live="polite"
-      >
-        {filteredMessages.map(renderMessage)}
-        {renderTypingIndicator()}
-        <div ref={messagesEndRef} />
-      </div>
+      {chatView === 'direct' ? (
+        <DirectMessages participants={participants} />
+      ) : (
+        <div
+          ref={chatContainerRef}
+          className="flex-1 overflow-y-auto p-3 space-y-2 min-h-0"
+          onFocus={handleFocus}
+          onBlur={handleBlur}
+          onScroll={handleScroll}
+          role="log"
+          aria-label="Chat messages"
+          aria-live="polite"
+        >
+          {(historyWindow ? historyWindow.hasOlder : chatHasOlder) && (
+            <div className="flex justify-center">
+              <button onClick={loadOlderMessages} disabled={isLoadingOlder} className="text-xs text-primary-600 dark:text-primary-400 hover:underline">
+                {isLoadingOlder ? 'Loading...' : 'Load older messages'}
+              </button>
+            </div>
+          )}
+          {threads.roots.map(renderThread)}
+          {historyWindow?.hasNewer && (
+            <div className="flex justify-center">
+              <button onClick={loadNewerMessages} disabled={isLoadingNewer} className="text-xs text-primary-600 dark:text-primary-400 hover:underline">
+                {isLoadingNewer ? 'Loading...' : 'Load newer messages'}
+              </button>
+            </div>
+          )}
+          {!historyWindow && renderTypingIndicator()}
+          <div ref={messagesEndRef} />
+        </div>
+      )}
 
       {/* Footer - Message Input and Status */}
-      <div className="flex-shrink-0 border-t border-gray-200 dark:border-gray-700">
+      <div className={`flex-shrink-0 ${chatView === 'room' ? 'border-t border-gray-200 dark:border-gray-700' : ''}`}>
         {/* Message Input */}
-        <div className="p-3">
-          <div className="flex space-x-2">
-            <input
-              ref={messageInputRef}
-              type="text"
-              value={newMessage}
-              onChange={handleInputChange}
-              onKeyPress={handleKeyPress}
-              placeholder="Type a message..."
-              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-gray-100"
-              aria-label="Message input"
-              aria-describedby="message-help"
-            />
-            <button
-              onClick={sendMessage}
-              disabled={!newMessage.trim() || !connected}
-              className="btn btn-primary"
-              aria-label="Send message"
-              title="Send message (Enter)"
-            >
-              Send
-            </button>
-          </div>
-          <div id="message-help" className="sr-only">
-            Press Enter to send message, Shift+Enter for new line
-            {blindModeEnabled && (
-              <span>Press Ctrl+Shift+M to read last message</span>
+        {chatView === 'room' && (
+          <div className="p-3">
+            {replyingTo && (
+              <div className="flex items-center justify-between mb-2 px-2 py-1 text-xs bg-gray-100 dark:bg-gray-800 rounded">
+                <span className="truncate text-gray-600 dark:text-gray-400">
+                  Replying to <strong>{replyingTo.username}</strong>: {replyingTo.message}
+                </span>
+                <button
+                  onClick={() => setReplyingTo(null)}
+                  className="ml-2 text-gray-500 hover:text-gray-700"
+                  aria-label="Cancel reply"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+            {showPollComposer && (
+              <PollComposer
+                onSubmit={(poll) => {
+                  createPoll(poll);
+                  setShowPollComposer(false);
+                  messageInputRef.current?.focus();
+                }}
+                onCancel={() => {
+                  setShowPollComposer(false);
+                  messageInputRef.current?.focus();
+                }}
+              />
+            )}
+            {chatNotice && (
+              <div
+                className="flex items-center justify-between mb-2 px-2 py-1 text-xs rounded bg-red-50 text-red-800 dark:bg-red-900 dark:text-red-100"
+                role="alert"
+              >
+                <span>{chatNotice.message}</span>
+                <button
+                  onClick={() => setChatNotice(null)}
+                  className="ml-2 opacity-75 hover:opacity-100"
+                  aria-label="Dismiss notice"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+            {blindModeEnabled && describingImage && (
+              <div className="mb-2" role="region" aria-label={`Description of ${describingImage.attachment.name}`}>
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => setDescribingImage(null)}
+                    className="text-xs text-gray-500 hover:text-gray-700"
+                    aria-label="Close image description"
+                  >
+                    ✕
+                  </button>
+                </div>
+                <AICaptioning
+                  key={describingImage.attachment.id}
+                  imageData={describingImage.dataUrl}
+                  onDescriptionGenerated={handleImageDescription}
+                />
+              </div>
             )}
+            {pendingAttachments.length > 0 && (
+              <ul className="flex flex-wrap gap-1 mb-2" aria-label="Attachments to send">
+                {pendingAttachments.map(attachment => (
+                  <li
+                    key={attachment.key}
+                    className={`flex items-center px-2 py-0.5 text-xs rounded-full border ${
+                      attachment.error
+                        ? 'border-red-300 text-red-700 dark:border-red-700 dark:text-red-300'
+                        : 'border-gray-300 text-gray-700 dark:border-gray-600 dark:text-gray-300'
+                    }`}
+                  >
+                    <span className="truncate max-w-[10rem]">{attachment.name}</span>
+                    <span className="ml-1 opacity-75">
+                      {attachment.error || (attachment.id ? formatFileSize(attachment.size) : 'Uploading…')}
+                    </span>
+                    <button
+                      onClick={() => removePendingAttachment(attachment.key)}
+                      className="ml-1 text-gray-500 hover:text-gray-700"
+                      aria-label={`Remove attachment ${attachment.name}`}
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex space-x-2 relative">
+              {suggestionType && (
+                <ul
+                  id="chat-suggestions"
+                  role="listbox"
+                  aria-label={suggestionType === 'command' ? 'Command suggestions' : 'Mention suggestions'}
+                  className={`absolute bottom-full left-0 mb-1 ${suggestionType === 'command' ? 'w-72' : 'w-56'} bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-10 py-1`}
+                >
+                  {suggestions.map((suggestion, index) => (
+                    <li
+                      key={suggestionType === 'command' ? suggestion.name : suggestion}
+                      id={`chat-suggestion-${index}`}
+                      role="option"
+                      aria-selected={index === suggestionIndex}
+                      onMouseDown={(e) => {
+                        // Keep focus in the input
+                        e.preventDefault();
+                        if (suggestionType === 'command') {
+                          insertCommand(suggestion);
+                        } else {
+                          insertMention(suggestion);
+                        }
+                      }}
+                      className={`px-3 py-1 text-sm cursor-pointer ${
+                        index === suggestionIndex
+                          ? 'bg-primary-100 text-primary-900 dark:bg-primary-900 dark:text-primary-100'
+                          : 'text-gray-900 dark:text-gray-100'
+                      }`}
+                    >
+                      {suggestionType === 'command' ? (
+                        <>
+                          <span className="font-mono">{suggestion.usage}</span>
+                          <span className="block text-xs opacity-75">{suggestion.description}</span>
+                        </>
+                      ) : `@${suggestion}`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <textarea
+                ref={messageInputRef}
+                rows={Math.min(5, newMessage.split('\n').length)}
+                value={newMessage}
+                onChange={handleInputChange}
+                onKeyDown={handleSuggestionKeyDown}
+                onKeyPress={handleKeyPress}
+                onBlur={() => {
+                  setMentionQuery(null);
+                  setCommandQuery(null);
+                }}
+                role="combobox"
+                aria-expanded={!!suggestionType}
+                aria-controls="chat-suggestions"
+                aria-autocomplete="list"
+                aria-activedescendant={suggestionType ? `chat-suggestion-${suggestionIndex}` : undefined}
+                disabled={chatDisabled}
+                placeholder={chatMute
+                  ? `You are muted until ${new Date(chatMute.mutedUntil).toLocaleTimeString()}`
+                  : chatDisabled ? 'Chat is disabled in this room' : 'Type a message...'}
+                maxLength={MAX_MESSAGE_LENGTH}
+                className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-gray-100"
+                aria-label="Message input"
+                aria-describedby={commandHint ? 'message-help command-hint' : 'message-help'}
+              />
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                onChange={handleFilesSelected}
+                className="hidden"
+                accept=".png,.jpg,.jpeg,.gif,.webp,.txt,.log,.md,.csv,.json,.pdf,.zip"
+                aria-label="Attach files"
+                tabIndex={-1}
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={!connected || chatDisabled || !!chatMute || pendingAttachments.length >= MAX_MESSAGE_ATTACHMENTS}
+                className="btn btn-outline"
+                aria-label="Attach files"
+                title={`Attach files (up to ${MAX_MESSAGE_ATTACHMENTS}, ${formatFileSize(MAX_ATTACHMENT_BYTES)} each)`}
+              >
+                📎
+              </button>
+              <button
+                onClick={() => setShowPollComposer(prev => !prev)}
+                disabled={!connected || chatDisabled || !!chatMute}
+                className="btn btn-outline"
+                aria-label="Create poll"
+                aria-pressed={showPollComposer}
+                title="Create poll"
+              >
+                📊
+              </button>
+              <button
+                onClick={sendMessage}
+                disabled={(!newMessage.trim() && readyAttachmentIds.length === 0) || isUploading || isRateLimited || !connected || chatDisabled}
+                className="btn btn-primary"
+                aria-label="Send message"
+                title={isRateLimited ? 'Sending too fast, please wait' : 'Send message (Enter)'}
+              >
+                Send
+              </button>
+            </div>
+            {commandHint && !suggestionType && (
+              <p id="command-hint" className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                <span className="font-mono">{commandHint.usage}</span> — {commandHint.description}
+              </p>
+            )}
+            <div id="message-help" className="sr-only">
+              Press Enter to send message, Shift+Enter for new line. Type @ to mention someone or / for commands. Markdown bold, italics, links, lists and code blocks are supported
+              {blindModeEnabled && (
+                <span>Press Ctrl+Shift+M to read last message</span>
+              )}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Notifications */}
         {notifications.map(renderNotification)}
 
         {/* Screen Reader Status */}
         <div className="sr-only" aria-live="polite" aria-atomic="true">
-          {unreadCount > 0 && `${unreadCount} unread messages`}
+          {chatUnreadCount > 0 && `${chatUnreadCount} unread messages`}
           {Object.keys(typingUsers).length > 0 && `${Object.keys(typingUsers).length} users typing`}
         </div>
 
@@ -0,0 +1,158 @@
+/**
+ * Chat Poll Component
+ *
+ * A poll message in the chat panel:
+ * - Radio buttons (single choice) or checkboxes (multiple choice) in a labelled group
+ * - Live results with vote counts, percentages and, unless anonymous, who voted
+ * - Changing or withdrawing your vote until the poll closes
+ * - Closing early for the poll's author, owners and moderators
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Whether a poll takes no more votes, by hand or because its close time passed
+ * @param {Object} poll - Poll from a chat message
+ * @returns {boolean} True once closed
+ */
+const isClosed = (poll) => poll.closed || (!!poll.closesAt && new Date(poll.closesAt) <= new Date());
+
+/**
+ * Chat Poll Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.message - Poll chat message (with `poll`)
+ * @param {boolean} props.canClose - Whether you may close the poll early
+ * @param {boolean} props.disabled - Voting is unavailable (chat disabled or muted)
+ * @param {Function} props.onVote - Called with the chosen option ids; empty withdraws
+ * @param {Function} props.onClose - Called to close the poll
+ */
+const ChatPoll = ({ message, canClose = false, disabled = false, onVote, onClose }) => {
+  const { poll } = message;
+  const myVote = poll.myVote || [];
+  const myVoteKey = myVote.join(',');
+
+  const [selected, setSelected] = useState(myVote);
+  // Flips when the close time passes while the poll is on screen
+  const [closed, setClosed] = useState(() => isClosed(poll));
+
+  /**
+   * Show your recorded vote, also when it was cast from another tab
+   */
+  useEffect(() => {
+    setSelected(myVoteKey ? myVoteKey.split(',') : []);
+  }, [myVoteKey]);
+
+  /**
+   * Close the poll on screen when its close time comes
+   */
+  useEffect(() => {
+    if (isClosed(poll)) {
+      setClosed(true);
+      return undefined;
+    }
+    setClosed(false);
+    if (!poll.closesAt) return undefined;
+
+    const timeout = setTimeout(() => setClosed(true), new Date(poll.closesAt).getTime() - Date.now());
+    return () => clearTimeout(timeout);
+  }, [poll]);
+
+  const totalVotes = poll.options.reduce((total, option) => total + option.votes, 0);
+  const mostVotes = Math.max(0, ...poll.options.map(option => option.votes));
+  const changed = selected.slice().sort().join(',') !== myVote.slice().sort().join(',');
+
+  const toggleOption = useCallback((optionId) => {
+    setSelected(prev => {
+      if (!poll.multipleChoice) return [optionId];
+      return prev.includes(optionId) ? prev.filter(id => id !== optionId) : [...prev, optionId];
+    });
+  }, [poll.multipleChoice]);
+
+  const status = closed
+    ? 'Closed'
+    : poll.closesAt
+      ? `Closes at ${new Date(poll.closesAt).toLocaleString()}`
+      : 'Open';
+  const groupName = `poll-${message.id}`;
+
+  return (
+    <fieldset className="text-sm" aria-describedby={`${groupName}-details`}>
+      <legend className="font-medium mb-1">📊 {poll.question}</legend>
+      <p id={`${groupName}-details`} className="text-xs opacity-75 mb-2">
+        {poll.multipleChoice ? 'Choose any options' : 'Choose one option'}
+        {' · '}{poll.anonymous ? 'Anonymous' : 'Votes are visible'}
+        {' · '}{status}
+        {' · '}{poll.totalVoters} voter{poll.totalVoters === 1 ? '' : 's'}
+      </p>
+
+      <ul className="space-y-2">
+        {poll.options.map(option => {
+          const percent = totalVotes > 0 ? Math.round((option.votes / totalVotes) * 100) : 0;
+          const leading = closed && option.votes > 0 && option.votes === mostVotes;
+          const inputId = `${groupName}-${option.id}`;
+          return (
+            <li key={option.id}>
+              <div className="flex items-start space-x-2">
+                <input
+                  id={inputId}
+                  type={poll.multipleChoice ? 'checkbox' : 'radio'}
+                  name={groupName}
+                  value={option.id}
+                  checked={selected.includes(option.id)}
+                  onChange={() => toggleOption(option.id)}
+                  disabled={closed || disabled}
+                  aria-describedby={`${inputId}-result`}
+                  className="mt-0.5"
+                />
+                <div className="flex-1">
+                  <label htmlFor={inputId} className={`cursor-pointer ${leading ? 'font-semibold' : ''}`}>
+                    {option.text}
+                    {leading && ' 🏆'}
+                  </label>
+                  <span id={`${inputId}-result`} className="block text-xs opacity-75">
+                    {option.votes} vote{option.votes === 1 ? '' : 's'}, {percent}%
+                    {myVote.includes(option.id) && ' · your vote'}
+                  </span>
+                </div>
+              </div>
+              <div className="h-1.5 mt-1 rounded bg-black bg-opacity-10" aria-hidden="true">
+                <div className="h-1.5 rounded bg-current opacity-60" style={{ width: `${percent}%` }} />
+              </div>
+              {!poll.anonymous && option.voters?.length > 0 && (
+                <p className="text-xs opacity-75 mt-0.5">
+                  {option.voters.map(voter => voter.username).join(', ')}
+                </p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {!closed && !disabled && (
+        <div className="flex flex-wrap gap-2 mt-2 text-xs">
+          <button
+            type="button"
+            onClick={() => onVote(selected)}
+            disabled={!changed || selected.length === 0}
+            className="underline font-medium disabled:no-underline disabled:opacity-50"
+          >
+            {myVote.length > 0 ? 'Change vote' : 'Vote'}
+          </button>
+          {myVote.length > 0 && (
+            <button type="button" onClick={() => onVote([])} className="underline">
+              Withdraw vote
+            </button>
+          )}
+          {canClose && (
+            <button type="button" onClick={onClose} className="underline">
+              Close poll
+            </button>
+          )}
+        </div>
+      )}
+    </fieldset>
+  );
+};
+
+export default ChatPoll;
@@ -2,19 +2,108 @@
  * Code Editor Component
  * 
  * Real-time collaborative code editor using Monaco Editor with:
+ * - A file explorer for the room's files and folders, one Monaco model per file
  * - Full accessibility support (ARIA labels, keyboard navigation)
  * - Socket.io integration for live synchronization
- * - Conflict resolution and state management
+ * - Operational transform sync of incremental edits, per file
  * - Screen reader support and focus management
  * - Language detection and syntax highlighting
+ * - Sending the selected lines to chat as a code snippet
+ * - Running JavaScript and Python files on the server, with output shared with the room
+ * - Formatting the open file on the server in the room's code style, on demand or on save
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Editor } from '@monaco-editor/react';
 import { useSocket } from '../../contexts/SocketContext';
+import ReadOnlyNotice from './ReadOnlyNotice';
+import FileExplorer from './FileExplorer';
+import CodeOutputPanel from './CodeOutputPanel';
+import FormatSettings from './FormatSettings';
 import { useAccessibility } from '../../contexts/AccessibilityContext';
 import { useUser } from '../../contexts/UserContext';
 import { useBlindMode } from '../../contexts/BlindModeContext';
+import { operationFromMonacoChanges, operationToEdits } from '../../utils/operationalTransform';
+import { toCodeFence } from '../../utils/chatMarkdown';
+
+// Longest snippet chat accepts, mirroring the server
+const MAX_SNIPPET_LENGTH = 4000;
+
+// Languages the server formats
+const FORMAT_LANGUAGES = ['javascript', 'json', 'css', 'html', 'markdown'];
+
+// Monaco models are addressed by file id so they survive renames
+const MODEL_SCHEME = 'inmemory';
+const MODEL_AUTHORITY = 'code-files';
+const modelPath = (fileId) => `${MODEL_SCHEME}://${MODEL_AUTHORITY}/${fileId}`;
+const fileIdOfModel = (model) => (
+  model?.uri.scheme === MODEL_SCHEME && model.uri.authority === MODEL_AUTHORITY ? model.uri.path.slice(1) : null
+);
+
+// Owner of the lint markers the server's diagnostics become
+const LINT_MARKER_OWNER = 'syncspace-lint';
+
+/**
+ * Describe a list of line numbers, e.g. "line 14" or "lines 3, 7 and 14"
+ */
+const describeLines = (lines) => {
+  const sorted = Array.from(new Set(lines)).sort((a, b) => a - b);
+  if (sorted.length === 1) return `line ${sorted[0]}`;
+  return `lines ${sorted.slice(0, -1).join(', ')} and ${sorted[sorted.length - 1]}`;
+};
+
+/**
+ * Summarize how a file's errors and warnings changed between two lint passes
+ * Diagnostics are matched by severity, rule and message, since edits move them between lines
+ * @param {Array} previous - Earlier diagnostics
+ * @param {Array} current - New diagnostics
+ * @returns {string} e.g. "2 new errors on line 14, 1 warning fixed", or '' when nothing changed
+ */
+const summarizeDiagnosticChanges = (previous, current) => {
+  const keyOf = (diagnostic) => `${diagnostic.severity}|${diagnostic.rule}|${diagnostic.message}`;
+  const remaining = new Map();
+  previous.forEach(diagnostic => remaining.set(keyOf(diagnostic), (remaining.get(keyOf(diagnostic)) || 0) + 1));
+  const added = current.filter(diagnostic => {
+    const count = remaining.get(keyOf(diagnostic)) || 0;
+    if (count === 0) return true;
+    remaining.set(keyOf(diagnostic), count - 1);
+    return false;
+  });
+
+  const parts = [];
+  ['error', 'warning'].forEach(severity => {
+    const newOnes = added.filter(diagnostic => diagnostic.severity === severity);
+    if (newOnes.length > 0) {
+      parts.push(`${newOnes.length} new ${severity}${newOnes.length > 1 ? 's' : ''} on ${describeLines(newOnes.map(diagnostic => diagnostic.startLineNumber))}`);
+    }
+  });
+  ['error', 'warning'].forEach(severity => {
+    const fixed = Array.from(remaining.entries())
+      .filter(([key]) => key.startsWith(`${severity}|`))
+      .reduce((total, [, count]) => total + count, 0);
+    if (fixed > 0) {
+      parts.push(`${fixed} ${severity}${fixed > 1 ? 's' : ''} fixed`);
+    }
+  });
+  return parts.join(', ');
+};
+
+/**
+ * Turn server diagnostics into Monaco markers
+ */
+const toMarkers = (monaco, diagnostics = []) => diagnostics.map(diagnostic => ({
+  severity: {
+    error: monaco.MarkerSeverity.Error,
+    warning: monaco.MarkerSeverity.Warning,
+  }[diagnostic.severity] || monaco.MarkerSeverity.Info,
+  message: diagnostic.message,
+  source: diagnostic.source,
+  code: diagnostic.rule || undefined,
+  startLineNumber: diagnostic.startLineNumber,
+  startColumn: diagnostic.startColumn,
+  endLineNumber: diagnostic.endLineNumber,
+  endColumn: diagnostic.endColumn,
+}));
 
 /**
  * Code Editor Component
@@ -24,18 +113,46 @@ import { useBlindMode } from '../../contexts/BlindModeContext';
  */
 const CodeEditor = ({ onCodeChange, participants }) => {
   const { 
-    codeContent, 
-    codeLanguage, 
-    sendCodeChange, 
+    codeFiles,
+    sendCodeOperation, 
+    sendCodeLanguage,
+    subscribeToCode,
+    getCodeDocument,
+    createCodeFile,
+    renameCodeFile,
+    moveCodeFile,
+    deleteCodeFile,
+    formatCode,
+    codeRun,
+    codeRunLanguages,
+    codeDiagnostics,
+    runCode,
+    stopCodeRun,
+    sendChatMessage,
     connected,
-    codeMetadata 
+    currentRoom,
+    roomData,
+    myRole,
+    isFeatureEnabled,
   } = useSocket();
   const { announce, screenReader, keyboardNavigation } = useAccessibility();
   const { enabled: blindModeEnabled, announceToScreenReader } = useBlindMode();
+  const { user } = useUser();
+
+  // Code editing can be turned off in the room settings
+  const readOnly = !isFeatureEnabled('allowCodeEditing');
+  const chatEnabled = isFeatureEnabled('allowChat');
+
+  // File open in the editor, the first file until one is chosen
+  const [activeFileId, setActiveFileId] = useState(() => codeFiles.find(file => file.type === 'file')?.id || null);
+  const [showExplorer, setShowExplorer] = useState(true);
+  const [showFormatSettings, setShowFormatSettings] = useState(false);
+  const activeFile = codeFiles.find(file => file.id === activeFileId && file.type === 'file') || null;
+  const currentFile = activeFile?.path || '';
+  const localLanguage = activeFile?.language || 'plaintext';
 
   // Local state
-  const [localContent, setLocalContent] = useState(codeContent || '');
-  const [localLanguage, setLocalLanguage] = useState(codeLanguage || 'javascript');
+  const [localContent, setLocalContent] = useState(() => getCodeDocument(activeFileId)?.content || '');
   const [isTyping, setIsTyping] = useState(false);
   const [lastChangeTime, setLastChangeTime] = useState(0);
   const [cursorPosition, setCursorPosition] = useState({ line: 1, column: 1 });
@@ -46,22 +163,60 @@ const CodeEditor = ({ onCodeChange, participants }) => {
   // Blind Mode state
   const [lastChangeSummary, setLastChangeSummary] = useState(null);
   const [changeHistory, setChangeHistory] = useState([]);
-  const [currentFile, setCurrentFile] = useState('main.js');
 
   // Refs with proper cleanup
   const editorRef = useRef(null);
   const monacoRef = useRef(null);
   const typingTimeoutRef = useRef(null);
-  const lastSyncedContentRef = useRef(codeContent || '');
   const isLocalChangeRef = useRef(false);
-  const previousContentRef = useRef(codeContent || '');
+  const activeFileIdRef = useRef(activeFileId);
+  const sendCodeOperationRef = useRef(sendCodeOperation);
   const changeAnnouncementRef = useRef(null);
   const cleanupRefs = useRef([]);
+  const sendSelectionToChatRef = useRef(null);
+  const runActiveFileRef = useRef(null);
+  const formatActiveFileRef = useRef(null);
+  const saveActiveFileRef = useRef(null);
+  const codeDiagnosticsRef = useRef(codeDiagnostics);
 
-  // Debounce delay for sending changes (ms)
-  const DEBOUNCE_DELAY = 300;
   const TYPING_INDICATOR_DELAY = 1000;
 
+  // Keep the latest send function for listeners registered on mount
+  useEffect(() => {
+    sendCodeOperationRef.current = sendCodeOperation;
+  }, [sendCodeOperation]);
+
+  // Show every open file's lint results; models opened later get theirs when they are opened
+  useEffect(() => {
+    codeDiagnosticsRef.current = codeDiagnostics;
+    const monaco = monacoRef.current;
+    if (!monaco) return;
+    monaco.editor.getModels().forEach(model => {
+      const fileId = fileIdOfModel(model);
+      if (fileId) {
+        monaco.editor.setModelMarkers(model, LINT_MARKER_OWNER, toMarkers(monaco, codeDiagnostics[fileId]));
+      }
+    });
+  }, [codeDiagnostics]);
+
+  // Open another file when the open one is deleted, or the first file once there is one
+  useEffect(() => {
+    if (!activeFile) {
+      setActiveFileId(codeFiles.find(file => file.type === 'file')?.id || null);
+    }
+  }, [activeFile, codeFiles]);
+
+  // Show the content of the file just opened
+  useEffect(() => {
+    activeFileIdRef.current = activeFileId;
+    setLocalContent(getCodeDocument(activeFileId)?.content || '');
+  }, [activeFileId, getCodeDocument]);
+
+  // Switch the editor in and out of read-only mode when room settings change
+  useEffect(() => {
+    editorRef.current?.updateOptions({ readOnly });
+  }, [readOnly]);
+
   // Cleanup function to prevent memory leaks
   const cleanup = useCallback(() => {
     // Clear all timeouts
@@ -82,12 +237,15 @@ const CodeEditor = ({ onCodeChange, participants }) => {
     });
     cleanupRefs.current = [];
     
-    // Dispose Monaco editor
+    // Dispose Monaco editor and the file models
     if (editorRef.current) {
       editorRef.current.dispose();
       editorRef.current = null;
     }
     if (monacoRef.current) {
+      monacoRef.current.editor.getModels()
+        .filter(model => fileIdOfModel(model))
+        .forEach(model => model.dispose());
       monacoRef.current = null;
     }
   }, []);
@@ -103,10 +261,12 @@ const CodeEditor = ({ onCodeChange, participants }) => {
    * @param {string} oldContent - Previous content
    * @param {string} newContent - New content
    * @param {string} author - Author of the change
-   * @param {string} actionType - Type of action (insert, delete, edit)
+   * @param {string} actionType - Type of action (insert, delete, edit, format)
+   * @param {string} file - Path of the file changed
+   * @param {Object} diagnostics - { previous, current } lint results, to mention new errors and warnings
    * @returns {Object} Change analysis with summary
    */
-  const analyzeCodeChange = useCallback((oldContent, newContent, author, actionType = 'edit') => {
+  const analyzeCodeChange = useCallback((oldContent, newContent, author, actionType = 'edit', file = '', diagnostics = null) => {
     const oldLines = oldContent.split('\n');
     const newLines = newContent.split('\n');
     
@@ -139,9 +299,19 @@ const CodeEditor = ({ onCodeChange, participants }) => {
     
     const { addedFunctions, removedFunctions } = detectFunctionChanges(oldLines, newLines);
     
-    // Generate change summary
+    const diagnosticsSummary = diagnostics
+      ? summarizeDiagnosticChanges(diagnostics.previous || [], diagnostics.current || [])
+      : '';
+
+    // Generate change summary; a lint pass alone only reports what it found
     let summary = '';
-    if (linesAdded > 0) {
+    if (oldContent === newContent && diagnosticsSummary) {
+      summary = diagnosticsSummary;
+    } else if (actionType === 'format') {
+      // A format moves code around without changing it, so line counts say little
+      const reformatted = newLines.filter((line, index) => line !== oldLines[index]).length;
+      summary = `${author} formatted ${file}, ${reformatted} line${reformatted === 1 ? '' : 's'} changed`;
+    } else if (linesAdded > 0) {
       summary += `${author} added ${linesAdded} line${linesAdded > 1 ? 's' : ''}`;
     } else if (linesRemoved > 0) {
       summary += `${author} removed ${linesRemoved} line${linesRemoved > 1 ? 's' : ''}`;
@@ -151,10 +321,12 @@ const CodeEditor = ({ onCodeChange, participants }) => {
       summary += `${author} made changes`;
     }
     
-    summary += ` in ${currentFile}`;
+    if (actionType !== 'format') {
+      summary += ` in ${file}`;
+    }
     
     // Add function information
-    if (addedFunctions.length > 0) {
+    if (addedFunctions.length > 0 && actionType !== 'format') {
       const functionNames = addedFunctions.map(func => {
         const match = func.match(/(?:function|const|let|var)\s+(\w+)/i) || 
                      func.match(/(\w+)\s*[:=]\s*(?:function|\(.*\)\s*=>)/i);
@@ -163,7 +335,7 @@ const CodeEditor = ({ onCodeChange, participants }) => {
       summary += `, function${functionNames.length > 1 ? 's' : ''} ${functionNames.join(', ')} added`;
     }
     
-    if (removedFunctions.length > 0) {
+    if (removedFunctions.length > 0 && actionType !== 'format') {
       const functionNames = removedFunctions.map(func => {
         const match = func.match(/(?:function|const|let|var)\s+(\w+)/i) || 
                      func.match(/(\w+)\s*[:=]\s*(?:function|\(.*\)\s*=>)/i);
@@ -171,6 +343,10 @@ const CodeEditor = ({ onCodeChange, participants }) => {
       });
       summary += `, function${functionNames.length > 1 ? 's' : ''} ${functionNames.join(', ')} removed`;
     }
+
+    if (diagnosticsSummary && oldContent !== newContent) {
+      summary += `, ${diagnosticsSummary}`;
+    }
     
     return {
       summary,
@@ -179,10 +355,11 @@ const CodeEditor = ({ onCodeChange, participants }) => {
       linesRemoved,
       addedFunctions: addedFunctions.length,
       removedFunctions: removedFunctions.length,
+      diagnosticsSummary,
       actionType,
       timestamp: Date.now()
     };
-  }, [currentFile]);
+  }, []);
 
   /**
    * Announce code changes for Blind Mode
@@ -219,11 +396,15 @@ const CodeEditor = ({ onCodeChange, participants }) => {
     editorRef.current = editor;
     monacoRef.current = monaco;
 
+    // The editor is unmounted while the room has no file open
+    editor.onDidDispose(() => {
+      if (editorRef.current === editor) editorRef.current = null;
+    });
+
     // Configure editor for accessibility
     editor.updateOptions({
       // Accessibility options
       accessibilitySupport: screenReader ? 'on' : 'auto',
-      readOnly: false,
       wordWrap: 'on',
       lineNumbers: 'on',
       minimap: { enabled: false }, // Disable minimap for better accessibility
@@ -245,14 +426,69 @@ const CodeEditor = ({ onCodeChange, participants }) => {
       automaticLayout: true,
     });
 
+    // Show the open file's lint results
+    const mountedFileId = fileIdOfModel(editor.getModel());
+    if (mountedFileId) {
+      monaco.editor.setModelMarkers(editor.getModel(), LINT_MARKER_OWNER, toMarkers(monaco, codeDiagnosticsRef.current[mountedFileId]));
+    }
+
+    // Pick up remote edits that arrived before the editor mounted
+    const codeDocument = getCodeDocument(mountedFileId);
+    if (codeDocument && editor.getValue() !== codeDocument.content) {
+      isLocalChangeRef.current = true;
+      try {
+        editor.setValue(codeDocument.content);
+      } finally {
+        isLocalChangeRef.current = false;
+      }
+      setLocalContent(codeDocument.content);
+    }
+
     // Set up event listeners
     setupEventListeners(editor);
 
+    // Context menu entry for sharing the selected lines
+    editor.addAction({
+      id: 'send-selection-to-chat',
+      label: 'Send Selection to Chat',
+      contextMenuGroupId: '9_cutcopypaste',
+      contextMenuOrder: 10,
+      run: () => sendSelectionToChatRef.current?.(),
+    });
+
+    // Run the open file from the keyboard and the context menu
+    editor.addAction({
+      id: 'run-file',
+      label: 'Run File',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter],
+      contextMenuGroupId: 'navigation',
+      contextMenuOrder: 10,
+      run: () => runActiveFileRef.current?.(),
+    });
+
+    // Format with the room's style on the server; replaces Monaco's own formatter
+    editor.addAction({
+      id: 'format-document',
+      label: 'Format Document',
+      keybindings: [monaco.KeyMod.Shift | monaco.KeyMod.Alt | monaco.KeyCode.KeyF],
+      contextMenuGroupId: '1_modification',
+      contextMenuOrder: 1,
+      run: () => formatActiveFileRef.current?.(),
+    });
+
+    // Changes save as they are typed; Ctrl+S formats first when the room asks for it
+    editor.addAction({
+      id: 'save-file',
+      label: 'Save File',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS],
+      run: () => saveActiveFileRef.current?.(),
+    });
+
     // Announce editor ready for screen readers
     if (screenReader) {
       announce('Code editor loaded and ready for input', 'polite');
     }
-  }, [screenReader, announce]);
+  }, [screenReader, announce, getCodeDocument]);
 
   /**
    * Set up Monaco Editor event listeners
@@ -262,46 +498,54 @@ const CodeEditor = ({ onCodeChange, participants }) => {
   const setupEventListeners = useCallback((editor) => {
     // Content change handler
     editor.onDidChangeModelContent((event) => {
+      // Remote edits are applied by the code subscription and must not be echoed
       if (isLocalChangeRef.current) {
-        isLocalChangeRef.current = false;
         return;
       }
 
+      // The file's document still holds the content from before this change
+      const model = editor.getModel();
+      const fileId = fileIdOfModel(model);
+      const codeDocument = getCodeDocument(fileId);
+      if (!codeDocument) return;
+
       const content = editor.getValue();
-      const language = editor.getModel()?.getLanguageId() || 'javascript';
-      const previousContent = previousContentRef.current;
+      const language = model.getLanguageId();
+      const previousContent = codeDocument.content;
       
       setLocalContent(content);
-      setLocalLanguage(language);
-      setHasUnsavedChanges(content !== lastSyncedContentRef.current);
+      setHasUnsavedChanges(true);
       setLastChangeTime(Date.now());
 
+      // Send the delta immediately; the socket context batches edits while one is in flight
+      const operation = operationFromMonacoChanges(event.changes, previousContent.length);
+      const insertsOnly = event.changes.every(change => change.rangeLength === 0);
+      const deletesOnly = event.changes.every(change => change.text === '');
+      const linesChanged = event.changes.reduce((total, change) => (
+        total +
+        (change.range.endLineNumber - change.range.startLineNumber) +
+        (change.text.split('\n').length - 1)
+      ), 0);
+
+      sendCodeOperationRef.current(fileId, operation, {
+        language,
+        cursorPosition: editor.getPosition(),
+        actionType: insertsOnly ? 'insert' : deletesOnly ? 'delete' : 'edit',
+        linesChanged: Math.max(linesChanged, 1),
+      });
+
       // Analyze changes for Blind Mode
       if (blindModeEnabled && previousContent !== content) {
-        const changeAnalysis = analyzeCodeChange(previousContent, content, 'You', 'edit');
+        const changeAnalysis = analyzeCodeChange(previousContent, content, 'You', 'edit', codeDocument.path);
         announceCodeChange(changeAnalysis, true);
       }
-      
-      // Update previous content reference
-      previousContentRef.current = content;
 
-      // Debounce sending changes to server
+      // Show typing indicator
+      setIsTyping(true);
       if (typingTimeoutRef.current) {
         clearTimeout(typingTimeoutRef.current);
       }
-
-      typingTimeoutRef.current = setTimeout(() => {
-        if (connected && onCodeChange) {
-          const cursor = editor.getPosition();
-          sendCodeChange(content, language, cursor);
-          lastSyncedContentRef.current = content;
-          setHasUnsavedChanges(false);
-        }
-      }, DEBOUNCE_DELAY);
-
-      // Show typing indicator
-      setIsTyping(true);
-      setTimeout(() => setIsTyping(false), TYPING_INDICATOR_DELAY);
+      typingTimeoutRef.current = setTimeout(() => setIsTyping(false), TYPING_INDICATOR_DELAY);
     });
 
     // Cursor position change handler
@@ -351,9 +595,6 @@ const CodeEditor = ({ onCodeChange, participants }) => {
       if (screenReader && event.ctrlKey) {
         let shortcut = '';
         switch (event.keyCode) {
-          case monacoRef.current.KeyCode.KeyS:
-            shortcut = 'Save';
-            break;
           case monacoRef.current.KeyCode.KeyA:
             shortcut = 'Select all';
             break;
@@ -380,69 +621,166 @@ const CodeEditor = ({ onCodeChange, participants }) => {
       }
     });
 
-    // Model change handler (language switching)
+    // Model change handler (switching files)
     editor.onDidChangeModel((event) => {
-      const language = event.newModel?.getLanguageId() || 'javascript';
-      setLocalLanguage(language);
+      const fileId = fileIdOfModel(event.newModel);
+      const codeDocument = getCodeDocument(fileId);
+      const monaco = monacoRef.current;
+      if (fileId && monaco) {
+        monaco.editor.setModelMarkers(event.newModel, LINT_MARKER_OWNER, toMarkers(monaco, codeDiagnosticsRef.current[fileId]));
+      }
       
-      if (screenReader) {
-        announce(`Language changed to ${language}`, 'polite');
+      if (screenReader && codeDocument) {
+        announce(`Opened ${codeDocument.path}, ${codeDocument.language}`, 'polite');
       }
     });
-  }, [connected, onCodeChange, sendCodeChange, screenReader, announce, blindModeEnabled, analyzeCodeChange, announceCodeChange]);
+  }, [screenReader, announce, blindModeEnabled, analyzeCodeChange, announceCodeChange, getCodeDocument]);
+
+  /**
+   * Apply a remote text operation to the Monaco model
+   * Edits are applied in one batch against the current model so the
+   * local cursor and selections are shifted rather than reset
+   */
+  const applyRemoteOperation = useCallback((model, operation) => {
+    const edits = operationToEdits(operation).map(edit => ({
+      range: monacoRef.current.Range.fromPositions(
+        model.getPositionAt(edit.offset),
+        model.getPositionAt(edit.offset + edit.length)
+      ),
+      text: edit.text,
+    }));
+
+    model.pushEditOperations([], edits, () => null);
+  }, []);
 
   /**
    * Handle external content changes from other users
    * 
-   * Updates the editor content when receiving changes from Socket.io
+   * Applies transformed operations (or full resyncs) from the socket context
+   * to the model of the file they belong to; files never opened have no model
+   * yet and are created from their latest content when opened
    */
   useEffect(() => {
-    if (codeContent !== localContent && codeContent !== lastSyncedContentRef.current) {
-      isLocalChangeRef.current = true;
-      
-      if (editorRef.current) {
-        const previousContent = previousContentRef.current;
-        
-        editorRef.current.setValue(codeContent);
-        setLocalContent(codeContent);
-        lastSyncedContentRef.current = codeContent;
+    return subscribeToCode((event) => {
+      if (event.type === 'synced') {
         setHasUnsavedChanges(false);
-        
-        // Analyze changes for Blind Mode
-        if (blindModeEnabled && previousContent !== codeContent) {
-          // Extract author from socket metadata if available
-          const author = codeMetadata?.author || 'Another user';
-          const actionType = codeMetadata?.actionType || 'edit';
-          const changeAnalysis = analyzeCodeChange(previousContent, codeContent, author, actionType);
+        return;
+      }
+
+      const monaco = monacoRef.current;
+      if (!monaco) return;
+      const getModel = (fileId) => monaco.editor.getModel(monaco.Uri.parse(modelPath(fileId)));
+
+      // Markers are set from the diagnostics state; new problems in the open file are announced
+      if (event.type === 'diagnostics') {
+        if (event.fileId !== activeFileIdRef.current || (!blindModeEnabled && !screenReader)) return;
+        const content = getCodeDocument(event.fileId)?.content || '';
+        const changeAnalysis = analyzeCodeChange(content, content, event.metadata?.author || 'Someone', 'lint', event.path, {
+          previous: event.previous,
+          current: event.diagnostics,
+        });
+        if (!changeAnalysis.diagnosticsSummary) return;
+        if (blindModeEnabled) {
           announceCodeChange(changeAnalysis, false);
+        } else {
+          announce(changeAnalysis.summary, 'polite');
         }
-        
-        // Update previous content reference
-        previousContentRef.current = codeContent;
-        
-        if (screenReader) {
-          announce('Code updated by another user', 'polite');
+        return;
+      }
+
+      if (event.type === 'files' || event.type === 'reset-all') {
+        // Drop the models of deleted files and bring the others up to date
+        isLocalChangeRef.current = true;
+        try {
+          monaco.editor.getModels().forEach(model => {
+            const fileId = fileIdOfModel(model);
+            if (!fileId) return;
+            const codeDocument = getCodeDocument(fileId);
+            if (!codeDocument) {
+              model.dispose();
+            } else if (event.type === 'reset-all' && model.getValue() !== codeDocument.content) {
+              model.setValue(codeDocument.content);
+            }
+          });
+        } finally {
+          isLocalChangeRef.current = false;
         }
+        if (event.type === 'reset-all') {
+          setLocalContent(getCodeDocument(activeFileIdRef.current)?.content || '');
+          setHasUnsavedChanges(false);
+          return;
+        }
+
+        // Announce files others created, renamed, moved or deleted
+        if (event.metadata?.userId !== user?.userId) {
+          const target = event.newPath ? `${event.path} to ${event.newPath}` : event.path;
+          const message = `${event.metadata?.author || event.username || 'Another user'} ${event.action}d ${event.fileType} ${target}`;
+          if (blindModeEnabled) {
+            announceToScreenReader(message);
+          } else if (screenReader) {
+            announce(message, 'polite');
+          }
+        }
+        return;
       }
-    }
-  }, [codeContent, screenReader, announce, blindModeEnabled, analyzeCodeChange, announceCodeChange, codeMetadata]);
+
+      const model = getModel(event.fileId);
+      if (!model) return;
+
+      isLocalChangeRef.current = true;
+      try {
+        if (event.type === 'reset') {
+          if (model.getValue() !== event.content) {
+            model.setValue(event.content);
+          }
+          setHasUnsavedChanges(false);
+        } else {
+          applyRemoteOperation(model, event.operation);
+        }
+      } finally {
+        isLocalChangeRef.current = false;
+      }
+
+      if (event.fileId === activeFileIdRef.current) {
+        setLocalContent(model.getValue());
+      }
+
+      if (event.type !== 'remote') return;
+      const isOwnChange = !!user?.userId && event.metadata?.userId === user.userId;
+
+      // Analyze changes for Blind Mode
+      if (blindModeEnabled && event.previousContent !== event.content) {
+        // Extract author from socket metadata if available; formats come back to whoever asked
+        const author = isOwnChange ? 'You' : (event.metadata?.author || 'Another user');
+        const actionType = event.metadata?.actionType || 'edit';
+        const changeAnalysis = analyzeCodeChange(event.previousContent, event.content, author, actionType, event.path);
+        announceCodeChange(changeAnalysis, false);
+      }
+      
+      if (screenReader) {
+        announce(isOwnChange ? `${event.path} formatted` : `${event.path} updated by another user`, 'polite');
+      }
+    });
+  }, [subscribeToCode, getCodeDocument, applyRemoteOperation, screenReader, announce, blindModeEnabled, announceToScreenReader, analyzeCodeChange, announceCodeChange, user]);
 
   /**
    * Handle language changes from other users
+   * Models follow their file's language, e.g. after /lang or a rename to another extension
    */
   useEffect(() => {
-    if (codeLanguage !== localLanguage && editorRef.current) {
-      const model = editorRef.current.getModel();
-      if (model) {
-        monacoRef.current?.editor.setModelLanguage(model, codeLanguage);
-        setLocalLanguage(codeLanguage);
-        
-        if (screenReader) {
-          announce(`Language changed to ${codeLanguage}`, 'polite');
+    const monaco = monacoRef.current;
+    if (!monaco) return;
+
+    codeFiles.forEach(file => {
+      const model = monaco.editor.getModel(monaco.Uri.parse(modelPath(file.id)));
+      if (model && model.getLanguageId() !== file.language) {
+        monaco.editor.setModelLanguage(model, file.language);
+        if (screenReader && file.id === activeFileIdRef.current) {
+          announce(`Language of ${file.path} changed to ${file.language}`, 'polite');
         }
       }
-    }
-  }, [codeLanguage, localLanguage, screenReader, announce]);
+    });
+  }, [codeFiles, screenReader, announce]);
 
   /**
    * Handle keyboard navigation for accessibility
@@ -511,32 +849,167 @@ const CodeEditor = ({ onCodeChange, participants }) => {
     const characters = localContent.length;
     const words = localContent.split(/\s+/).filter(word => word.length > 0).length;
     
-    return `Code editor: ${lines} lines, ${characters} characters, ${words} words. Language: ${localLanguage}. ${hasUnsavedChanges ? 'Unsaved changes.' : 'All changes saved.'}`;
+    return `Code editor${currentFile ? ` for ${currentFile}` : ''}: ${lines} lines, ${characters} characters, ${words} words. Language: ${localLanguage}. ${hasUnsavedChanges ? 'Unsaved changes.' : 'All changes saved.'}`;
   };
 
   /**
-   * Handle language change
+   * Handle language change of the open file
    */
   const handleLanguageChange = (newLanguage) => {
+    if (readOnly || !activeFile) return;
+
     if (editorRef.current && monacoRef.current) {
       const model = editorRef.current.getModel();
       if (model) {
         monacoRef.current.editor.setModelLanguage(model, newLanguage);
-        setLocalLanguage(newLanguage);
         
         // Send language change to server
         if (connected && onCodeChange) {
-          const cursor = editorRef.current.getPosition();
-          sendCodeChange(localContent, newLanguage, cursor);
+          sendCodeLanguage(activeFile.id, newLanguage);
         }
         
         if (screenReader) {
-          announce(`Language changed to ${newLanguage}`, 'polite');
+          announce(`Language of ${activeFile.path} changed to ${newLanguage}`, 'polite');
         }
       }
     }
   };
 
+  /**
+   * Post the selected lines to chat with the file and line numbers they came from
+   */
+  const sendSelectionToChat = useCallback(() => {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    const range = editor?.getSelection();
+    if (!model || !range || range.isEmpty() || !chatEnabled || !currentFile) return;
+
+    // Whole lines, leaving out a last line the selection only touches at its start
+    const startLine = range.startLineNumber;
+    const endLine = range.endColumn === 1 && range.endLineNumber > startLine
+      ? range.endLineNumber - 1
+      : range.endLineNumber;
+    const code = model.getValueInRange({
+      startLineNumber: startLine,
+      startColumn: 1,
+      endLineNumber: endLine,
+      endColumn: model.getLineMaxColumn(endLine),
+    });
+
+    const message = toCodeFence(code, localLanguage);
+    if (message.length > MAX_SNIPPET_LENGTH) {
+      announce(`Selection is too long to send to chat, the limit is ${MAX_SNIPPET_LENGTH} characters`, 'assertive');
+      return;
+    }
+
+    sendChatMessage(message, 'code', null, {
+      file: currentFile,
+      language: localLanguage,
+      startLine,
+      endLine,
+    });
+
+    const lines = startLine === endLine ? `line ${startLine}` : `lines ${startLine} to ${endLine}`;
+    if (blindModeEnabled) {
+      announceToScreenReader(`Sent ${lines} of ${currentFile} to chat`);
+    } else if (screenReader) {
+      announce(`Sent ${lines} to chat`, 'polite');
+    }
+  }, [chatEnabled, localLanguage, currentFile, sendChatMessage, blindModeEnabled, announceToScreenReader, screenReader, announce]);
+
+  // The editor action registered on mount always sends with the latest state
+  useEffect(() => {
+    sendSelectionToChatRef.current = sendSelectionToChat;
+  }, [sendSelectionToChat]);
+
+  // Lint problems in the open file, for the footer
+  const activeDiagnostics = (activeFile && codeDiagnostics[activeFile.id]) || [];
+  const activeProblems = {
+    total: activeDiagnostics.length,
+    errors: activeDiagnostics.filter(diagnostic => diagnostic.severity === 'error').length,
+    warnings: activeDiagnostics.filter(diagnostic => diagnostic.severity === 'warning').length,
+  };
+
+  // Runs are offered for the languages the server can run, one at a time per room
+  const isRunnable = !!activeFile && codeRunLanguages.includes(activeFile.language);
+  const isCodeRunning = codeRun?.status === 'running';
+  const canRun = isRunnable && connected && !readOnly && !isCodeRunning;
+  const runTitle = readOnly
+    ? 'Code editing is disabled in this room'
+    : !isRunnable
+      ? (codeRunLanguages.length > 0 ? `Only ${codeRunLanguages.join(' and ')} files can be run` : 'Running code is not available')
+      : isCodeRunning
+        ? 'Code is already running in this room'
+        : 'Run the open file for everyone in the room (Ctrl+Enter)';
+
+  /**
+   * Run the open file on the server
+   */
+  const runActiveFile = useCallback(() => {
+    if (!canRun) {
+      announce(runTitle, 'polite');
+      return;
+    }
+    runCode(activeFile.id);
+    if (blindModeEnabled) {
+      announceToScreenReader(`Running ${activeFile.path}`);
+    } else if (screenReader) {
+      announce(`Running ${activeFile.path}`, 'polite');
+    }
+  }, [canRun, runTitle, activeFile, runCode, blindModeEnabled, announceToScreenReader, screenReader, announce]);
+
+  // The editor action registered on mount always runs the file open now
+  useEffect(() => {
+    runActiveFileRef.current = runActiveFile;
+  }, [runActiveFile]);
+
+  // Formatting uses the room's style, which owners and moderators choose
+  const formatOptions = roomData?.settings?.codeFormatting;
+  const canManageStyle = myRole === 'owner' || myRole === 'moderator';
+  const isFormattable = !!activeFile && FORMAT_LANGUAGES.includes(activeFile.language);
+  const canFormat = isFormattable && connected && !readOnly;
+  const formatTitle = readOnly
+    ? 'Code editing is disabled in this room'
+    : !isFormattable
+      ? 'Only JavaScript, JSON, CSS, HTML and Markdown files can be formatted'
+      : 'Format the open file in the room\'s code style (Shift+Alt+F)';
+
+  /**
+   * Format the open file on the server; everyone gets the result as one change
+   */
+  const formatActiveFile = useCallback(() => {
+    if (!canFormat) {
+      announce(formatTitle, 'polite');
+      return;
+    }
+    formatCode(activeFile.id);
+    if (screenReader && !blindModeEnabled) {
+      announce(`Formatting ${activeFile.path}`, 'polite');
+    }
+  }, [canFormat, formatTitle, activeFile, formatCode, screenReader, blindModeEnabled, announce]);
+
+  /**
+   * Ctrl+S: changes are already saved, so it only formats when the room turns that on
+   */
+  const saveActiveFile = useCallback(() => {
+    if (formatOptions?.formatOnSave && canFormat) {
+      formatActiveFile();
+    } else if (screenReader) {
+      announce('All changes are saved automatically', 'polite');
+    }
+  }, [formatOptions, canFormat, formatActiveFile, screenReader, announce]);
+
+  // The editor actions registered on mount always act on the file open now
+  useEffect(() => {
+    formatActiveFileRef.current = formatActiveFile;
+    saveActiveFileRef.current = saveActiveFile;
+  }, [formatActiveFile, saveActiveFile]);
+
+  const hasSelection = !!selection && !(
+    selection.startLineNumber === selection.endLineNumber &&
+    selection.startColumn === selection.endColumn
+  );
+
   /**
    * Handle editor focus
    */
@@ -549,6 +1022,15 @@ const CodeEditor = ({ onCodeChange, participants }) => {
       {/* Editor Toolbar */}
       <div className="flex items-center justify-between p-3 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800">
         <div className="flex items-center space-x-4">
+          <button
+            onClick={() => setShowExplorer(show => !show)}
+            className="btn btn-outline text-sm py-1 px-3"
+            aria-expanded={showExplorer}
+            aria-controls="code-file-explorer"
+          >
+            Files
+          </button>
+
           {/* Language Selector */}
           <div className="flex items-center space-x-2">
             <label 
@@ -561,6 +1043,7 @@ const CodeEditor = ({ onCodeChange, participants }) => {
               id="language-select"
               value={localLanguage}
               onChange={(e) => handleLanguageChange(e.target.value)}
+              disabled={readOnly || !activeFile}
               className="input text-sm py-1 px-2"
               aria-describedby="language-help"
             >
@@ -582,7 +1065,7 @@ const CodeEditor = ({ onCodeChange, participants }) => {
               <option value="plaintext">Plain Text</option>
             </select>
             <p id="language-help" className="sr-only">
-              Select the programming language for syntax highlighting
+              Select the programming language of the open file for syntax highlighting
             </p>
           </div>
 
@@ -619,6 +1102,41 @@ const CodeEditor = ({ onCodeChange, participants }) => {
 
         {/* Editor Actions */}
         <div className="flex items-center space-x-2">
+          <button
+            onClick={runActiveFile}
+            disabled={!canRun}
+            className="btn btn-primary text-sm py-1 px-3"
+            title={runTitle}
+            aria-keyshortcuts="Control+Enter"
+          >
+            ▶ Run
+          </button>
+          <button
+            onClick={formatActiveFile}
+            disabled={!canFormat}
+            className="btn btn-outline text-sm py-1 px-3"
+            title={formatTitle}
+            aria-keyshortcuts="Shift+Alt+F"
+          >
+            Format
+          </button>
+          <button
+            onClick={() => setShowFormatSettings(show => !show)}
+            className="btn btn-outline text-sm py-1 px-3"
+            aria-expanded={showFormatSettings}
+            aria-controls="code-format-settings"
+            title={canManageStyle ? 'Choose the room\'s code style' : 'See the room\'s code style'}
+          >
+            Style
+          </button>
+          <button
+            onClick={sendSelectionToChat}
+            disabled={!hasSelection || !chatEnabled || !connected}
+            className="btn btn-outline text-sm py-1 px-3"
+            title={chatEnabled ? 'Send the selected lines to chat' : 'Chat is disabled in this room'}
+          >
+            Send to Chat
+          </button>
           <button
             onClick={handleFocus}
             className="btn btn-outline text-sm py-1 px-3"
@@ -629,93 +1147,146 @@ const CodeEditor = ({ onCodeChange, participants }) => {
         </div>
       </div>
 
-      {/* Monaco Editor Container */}
-      <div className="flex-1 relative">
-        <Editor
-          height="100%"
-          language={localLanguage}
-          value={localContent}
-          onMount={handleEditorDidMount}
-          theme="vs-dark"
-          options={{
-            // Accessibility options
-            accessibilitySupport: screenReader ? 'on' : 'auto',
-            readOnly: false,
-            wordWrap: 'on',
-            lineNumbers: 'on',
-            minimap: { enabled: false },
-            scrollBeyondLastLine: false,
-            smoothScrolling: true,
-            
-            // Keyboard navigation
-            tabSize: 2,
-            insertSpaces: true,
-            detectIndentation: true,
-            
-            // Visual accessibility
-            fontSize: screenReader ? 16 : 14,
-            lineHeight: screenReader ? 1.6 : 1.2,
-            fontFamily: 'Monaco, Menlo, "Ubuntu Mono", monospace',
-            
-            // Focus and selection
-            selectOnLineNumbers: true,
-            automaticLayout: true,
-            
-            // Additional accessibility
-            cursorBlinking: 'blink',
-            cursorSmoothCaretAnimation: true,
-            renderWhitespace: 'selection',
-            renderControlCharacters: true,
-            renderIndentGuides: true,
-            highlightActiveIndentGuide: true,
-            
-            // Screen reader support
-            ariaLabel: 'Code editor for collaborative programming',
-            ariaDescription: getEditorStatus(),
-          }}
-        />
-
-        {/* Screen Reader Status */}
-        <div 
-          className="sr-only" 
-          aria-live="polite" 
-          aria-atomic="true"
-          id="editor-status"
-        >
-          {getEditorStatus()}
+      {showFormatSettings && (
+        <div id="code-format-settings">
+          <FormatSettings
+            roomId={currentRoom}
+            options={formatOptions}
+            canEdit={canManageStyle}
+            onClose={() => setShowFormatSettings(false)}
+          />
         </div>
+      )}
+
+      {readOnly && (
+        <ReadOnlyNotice message="Code editing is disabled in this room. The editor is read-only." />
+      )}
+
+      <div className="flex-1 flex min-h-0">
+        {showExplorer && (
+          <div id="code-file-explorer" className="flex">
+            <FileExplorer
+              files={codeFiles}
+              activeFileId={activeFile?.id}
+              onOpenFile={setActiveFileId}
+              onCreate={createCodeFile}
+              onRename={renameCodeFile}
+              onMove={moveCodeFile}
+              onDelete={deleteCodeFile}
+              readOnly={readOnly}
+            />
+          </div>
+        )}
+
+        {/* Monaco Editor Container */}
+        <div className="flex-1 relative min-w-0">
+          {activeFile ? (
+            <Editor
+              height="100%"
+              path={modelPath(activeFile.id)}
+              defaultLanguage={activeFile.language}
+              defaultValue={getCodeDocument(activeFile.id)?.content || ''}
+              keepCurrentModel
+              onMount={handleEditorDidMount}
+              theme="vs-dark"
+              options={{
+                // Accessibility options
+                accessibilitySupport: screenReader ? 'on' : 'auto',
+                readOnly,
+                wordWrap: 'on',
+                lineNumbers: 'on',
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                smoothScrolling: true,
+                
+                // Keyboard navigation
+                tabSize: 2,
+                insertSpaces: true,
+                detectIndentation: true,
+                
+                // Visual accessibility
+                fontSize: screenReader ? 16 : 14,
+                lineHeight: screenReader ? 1.6 : 1.2,
+                fontFamily: 'Monaco, Menlo, "Ubuntu Mono", monospace',
+                
+                // Focus and selection
+                selectOnLineNumbers: true,
+                automaticLayout: true,
+                
+                // Additional accessibility
+                cursorBlinking: 'blink',
+                cursorSmoothCaretAnimation: true,
+                renderWhitespace: 'selection',
+                renderControlCharacters: true,
+                renderIndentGuides: true,
+                highlightActiveIndentGuide: true,
+                
+                // Screen reader support
+                ariaLabel: `Code editor for ${currentFile}`,
+                ariaDescription: getEditorStatus(),
+              }}
+            />
+          ) : (
+            <div className="h-full flex items-center justify-center p-4 text-sm text-gray-500 dark:text-gray-400">
+              {codeFiles.length === 0 && !readOnly
+                ? 'This room has no files yet. Create one in the file explorer.'
+                : 'Open a file from the file explorer.'}
+            </div>
+          )}
 
-        {/* Blind Mode Change Announcements */}
-        {blindModeEnabled && (
+          {/* Screen Reader Status */}
           <div 
             className="sr-only" 
             aria-live="polite" 
             aria-atomic="true"
-            id="code-change-announcements"
-            role="status"
-            aria-label="Code change announcements"
+            id="editor-status"
           >
-            {/* Dynamic announcements will be inserted here */}
+            {getEditorStatus()}
           </div>
-        )}
 
-        {/* Focus Trap for Keyboard Navigation */}
-        {keyboardNavigation && (
-          <div 
-            className="absolute inset-0 pointer-events-none"
-            tabIndex={-1}
-            onFocus={handleFocus}
-            aria-hidden="true"
-          />
-        )}
+          {/* Blind Mode Change Announcements */}
+          {blindModeEnabled && (
+            <div 
+              className="sr-only" 
+              aria-live="polite" 
+              aria-atomic="true"
+              id="code-change-announcements"
+              role="status"
+              aria-label="Code change announcements"
+            >
+              {/* Dynamic announcements will be inserted here */}
+            </div>
+          )}
+
+          {/* Focus Trap for Keyboard Navigation */}
+          {keyboardNavigation && (
+            <div 
+              className="absolute inset-0 pointer-events-none"
+              tabIndex={-1}
+              onFocus={handleFocus}
+              aria-hidden="true"
+            />
+          )}
+        </div>
       </div>
 
+      <CodeOutputPanel run={codeRun} onStop={stopCodeRun} canStop={!readOnly && connected} />
+
       {/* Editor Footer */}
       <div className="flex items-center justify-between p-2 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-400">
         <div className="flex items-center space-x-4">
+          {currentFile && <span>{currentFile}</span>}
           <span>Line {cursorPosition.line}, Column {cursorPosition.column}</span>
           <span>{localContent.split('\n').length} lines</span>
           <span>{localContent.length} characters</span>
+          {activeProblems.total > 0 && (
+            <span title="F8 goes to the next problem">
+              {activeProblems.errors > 0 && `${activeProblems.errors} error${activeProblems.errors === 1 ? '' : 's'}`}
+              {activeProblems.errors > 0 && activeProblems.warnings > 0 && ', '}
+              {activeProblems.warnings > 0 && `${activeProblems.warnings} warning${activeProblems.warnings === 1 ? '' : 's'}`}
+              {activeProblems.errors === 0 && activeProblems.warnings === 0 && `${activeProblems.total} note${activeProblems.total === 1 ? '' : 's'}`}
+            </span>
+          )}
         </div>
         
         <div className="flex items-center space-x-2">
@@ -732,8 +1303,11 @@ const CodeEditor = ({ onCodeChange, participants }) => {
           <h3>Keyboard Shortcuts</h3>
           <ul>
             <li>F6: Focus code editor</li>
+            <li>Ctrl+Enter: Run the open file</li>
+            <li>Shift+Alt+F: Format the open file in the room's code style</li>
+            <li>F8: Go to the next lint problem</li>
             <li>Escape: Clear selection</li>
-            <li>Ctrl+S: Save (auto-saved)</li>
+            <li>Ctrl+S: Save (auto-saved), formatting first when the room formats on save</li>
             <li>Ctrl+A: Select all</li>
             <li>Ctrl+Z: Undo</li>
             <li>Ctrl+Y: Redo</li>
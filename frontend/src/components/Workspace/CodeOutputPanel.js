@@ -0,0 +1,154 @@
+/**
+ * Code Output Panel Component
+ *
+ * Output of the room's latest code run, below the code editor:
+ * - stdout and stderr stream in live for everyone in the room, stderr in red
+ * - The status line says who is running which file, then how the run ended
+ * - Runs can be stopped by anyone who may edit code
+ * The status line is a live region; in Blind Mode the end of a run is also
+ * announced with the start of its output
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useBlindMode } from '../../contexts/BlindModeContext';
+
+// Output read out in Blind Mode when a run ends
+const ANNOUNCED_OUTPUT_LENGTH = 300;
+
+/**
+ * Describe how a run ended
+ * @param {Object} run - { path, status, result, stoppedBy }
+ * @returns {string} e.g. "main.py finished in 0.2 seconds with exit code 0"
+ */
+const describeRunResult = (run) => {
+  const { result } = run;
+  if (!result) return `Running ${run.path}…`;
+
+  const seconds = `${(result.durationMs / 1000).toFixed(1)} seconds`;
+  if (result.error) return `${run.path} could not be run: ${result.error}`;
+  if (result.stopped) return `${run.path} was stopped${run.stoppedBy ? ` by ${run.stoppedBy}` : ''} after ${seconds}`;
+  if (result.timedOut) return `${run.path} was stopped after ${seconds}, the time limit`;
+  if (result.outputLimited) return `${run.path} was stopped after printing too much output`;
+  if (result.signal) return `${run.path} was ended by the server (${result.signal}) after ${seconds}, it may have used too much CPU time or memory`;
+  return `${run.path} finished in ${seconds} with exit code ${result.exitCode}`;
+};
+
+/**
+ * Code Output Panel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.run - Latest code run: { runId, path, username, status, output, result, stoppedBy }
+ * @param {Function} props.onStop - Stop the running code
+ * @param {boolean} props.canStop - Whether this user may stop it
+ */
+const CodeOutputPanel = ({ run, onStop, canStop }) => {
+  const { enabled: blindModeEnabled, announceToScreenReader } = useBlindMode();
+  const [clearedRunId, setClearedRunId] = useState(null);
+  const [collapsed, setCollapsed] = useState(false);
+  const outputRef = useRef(null);
+  const announcedRef = useRef(run ? `${run.runId}:${run.status}` : null);
+
+  const isRunning = run?.status === 'running';
+  const output = run?.output;
+
+  // Keep the newest output in view
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [output]);
+
+  // Show the panel again for each new run
+  useEffect(() => {
+    if (run?.status === 'running') {
+      setCollapsed(false);
+    }
+  }, [run?.runId, run?.status]);
+
+  // Read out the end of a run and the start of its output in Blind Mode, once per run
+  useEffect(() => {
+    if (!run || run.status !== 'finished') return;
+    const key = `${run.runId}:${run.status}`;
+    if (announcedRef.current === key) return;
+    announcedRef.current = key;
+
+    if (blindModeEnabled) {
+      const text = run.output.map(chunk => chunk.text).join('').trim();
+      const preview = text.length > ANNOUNCED_OUTPUT_LENGTH ? `${text.slice(0, ANNOUNCED_OUTPUT_LENGTH)}…` : text;
+      announceToScreenReader(`${describeRunResult(run)}. ${preview ? `Output: ${preview}` : 'No output.'}`);
+    }
+  }, [run, blindModeEnabled, announceToScreenReader]);
+
+  if (!run || run.runId === clearedRunId) return null;
+
+  const status = isRunning
+    ? `${run.username} is running ${run.path}…`
+    : describeRunResult(run);
+
+  return (
+    <section
+      className="flex flex-col border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800"
+      aria-labelledby="code-output-title"
+    >
+      <div className="flex items-center justify-between px-3 py-2">
+        <div className="flex items-center space-x-3 min-w-0">
+          <h2 id="code-output-title" className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+            Output
+          </h2>
+          <p role="status" className="text-xs text-gray-600 dark:text-gray-400 truncate">
+            {status}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2 flex-shrink-0">
+          {isRunning && canStop && (
+            <button onClick={onStop} className="btn btn-outline btn-sm">
+              Stop
+            </button>
+          )}
+          <button
+            onClick={() => setCollapsed(value => !value)}
+            className="btn btn-outline btn-sm"
+            aria-expanded={!collapsed}
+            aria-controls="code-output"
+          >
+            {collapsed ? 'Show' : 'Hide'}
+          </button>
+          {!isRunning && (
+            <button
+              onClick={() => setClearedRunId(run.runId)}
+              className="btn btn-outline btn-sm"
+              aria-label="Clear output"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Not a live region: new output is summed up in the status line rather than read out as it streams */}
+      {!collapsed && (
+        <pre
+          id="code-output"
+          ref={outputRef}
+          className="max-h-48 overflow-auto px-3 pb-3 text-xs font-mono whitespace-pre-wrap break-words text-gray-900 dark:text-gray-100"
+          aria-label={`Output of ${run.path}`}
+        >
+          {output?.length > 0 ? (
+            output.map((chunk, index) => (
+              <span
+                key={index}
+                className={chunk.stream === 'stderr' ? 'text-red-600 dark:text-red-400' : undefined}
+              >
+                {chunk.text}
+              </span>
+            ))
+          ) : (
+            <span className="text-gray-500 dark:text-gray-400">{isRunning ? 'Waiting for output…' : 'No output.'}</span>
+          )}
+        </pre>
+      )}
+    </section>
+  );
+};
+
+export default CodeOutputPanel;
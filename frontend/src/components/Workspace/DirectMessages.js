@@ -0,0 +1,317 @@
+/**
+ * Direct Messages Component
+ *
+ * Private one-to-one conversations with other room participants, shown in
+ * the chat panel's Direct tab:
+ * - Conversation list with unread counts, and starting a new conversation
+ * - Conversation view with older messages loaded on request
+ * - Opening a conversation marks it read on all of your tabs
+ */
+
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { useSocket } from '../../contexts/SocketContext';
+import { useUser } from '../../contexts/UserContext';
+import { useAccessibility } from '../../contexts/AccessibilityContext';
+import ChatMarkdown from './ChatMarkdown';
+
+// Longest direct message the server accepts
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Direct Messages Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.participants - Room participants keyed by user id
+ */
+const DirectMessages = ({ participants = {} }) => {
+  const {
+    connected,
+    directConversations,
+    activeDirectChat,
+    openDirectChat,
+    closeDirectChat,
+    sendDirectMessage,
+    loadDirectMessages,
+    markDirectMessagesRead,
+    isFeatureEnabled,
+    getMyMute,
+  } = useSocket();
+  const { user } = useUser();
+  const { announce, screenReader } = useAccessibility();
+
+  const [newMessage, setNewMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const messagesEndRef = useRef(null);
+  const messageInputRef = useRef(null);
+  // Conversation whose first page is being fetched, so it is only fetched once
+  const loadingConversationRef = useRef(null);
+
+  // Direct messages follow the room's chat setting and chat mutes
+  const chatDisabled = !isFeatureEnabled('allowChat');
+  const chatMute = getMyMute('chat');
+
+  const conversation = activeDirectChat ? directConversations[activeDirectChat] : null;
+  const partnerInRoom = !!conversation && !!participants[conversation.userId];
+
+  // Most recent conversation first
+  const conversations = useMemo(() => (
+    Object.values(directConversations).sort((a, b) => (
+      new Date(b.lastMessage?.timestamp || 0) - new Date(a.lastMessage?.timestamp || 0)
+    ))
+  ), [directConversations]);
+
+  // Participants you have not messaged yet
+  const newPartners = useMemo(() => (
+    Object.values(participants).filter(participant => (
+      participant.userId !== user?.userId && !directConversations[participant.userId]
+    ))
+  ), [participants, directConversations, user?.userId]);
+
+  /**
+   * Load the latest messages the first time a conversation is opened
+   */
+  const conversationLoaded = conversation?.loaded;
+  useEffect(() => {
+    if (!activeDirectChat || conversationLoaded || loadingConversationRef.current === activeDirectChat) return;
+    loadingConversationRef.current = activeDirectChat;
+    setIsLoading(true);
+    loadDirectMessages(activeDirectChat)
+      .catch(error => console.error('Failed to load direct messages:', error))
+      .finally(() => {
+        loadingConversationRef.current = null;
+        setIsLoading(false);
+      });
+  }, [activeDirectChat, conversationLoaded, loadDirectMessages]);
+
+  /**
+   * Anything arriving in the open conversation is read straight away
+   */
+  const unread = conversation?.unread || 0;
+  useEffect(() => {
+    if (activeDirectChat && unread > 0) {
+      markDirectMessagesRead(activeDirectChat);
+    }
+  }, [activeDirectChat, unread, markDirectMessagesRead]);
+
+  /**
+   * Keep the newest message in view
+   */
+  const lastMessageId = conversation?.messages[conversation.messages.length - 1]?.id;
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [lastMessageId]);
+
+  /**
+   * Focus the input when a conversation opens
+   */
+  useEffect(() => {
+    if (activeDirectChat) {
+      messageInputRef.current?.focus();
+    }
+  }, [activeDirectChat]);
+
+  const loadOlderMessages = useCallback(async () => {
+    if (!conversation || isLoading) return;
+    setIsLoading(true);
+    try {
+      const loaded = await loadDirectMessages(conversation.userId, true);
+      if (screenReader) {
+        announce(loaded > 0 ? `Loaded ${loaded} older messages` : 'No older messages', 'polite');
+      }
+    } catch (error) {
+      console.error('Failed to load older direct messages:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [conversation, isLoading, loadDirectMessages, screenReader, announce]);
+
+  const sendMessage = useCallback(() => {
+    const text = newMessage.trim();
+    if (!text || !conversation || !connected || chatDisabled || !partnerInRoom) return;
+    sendDirectMessage(conversation.userId, text);
+    setNewMessage('');
+  }, [newMessage, conversation, connected, chatDisabled, partnerInRoom, sendDirectMessage]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      sendMessage();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeDirectChat();
+    }
+  }, [sendMessage, closeDirectChat]);
+
+  if (!conversation) {
+    return (
+      <div className="flex-1 flex flex-col min-h-0">
+        <div className="flex-1 overflow-y-auto min-h-0">
+          {conversations.length === 0 ? (
+            <p className="p-4 text-sm text-center text-gray-500 dark:text-gray-400">
+              No direct messages yet
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700" aria-label="Direct message conversations">
+              {conversations.map(item => (
+                <li key={item.userId}>
+                  <button
+                    onClick={() => openDirectChat(item.userId, item.username)}
+                    className="w-full flex items-center justify-between px-3 py-2 text-left hover:bg-gray-50 dark:hover:bg-gray-800"
+                    aria-label={`Conversation with ${item.username}${item.unread > 0 ? `, ${item.unread} unread` : ''}`}
+                  >
+                    <span className="min-w-0">
+                      <span className={`block text-sm text-gray-900 dark:text-gray-100 ${item.unread > 0 ? 'font-semibold' : 'font-medium'}`}>
+                        {item.username}
+                        {!participants[item.userId] && (
+                          <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">(left)</span>
+                        )}
+                      </span>
+                      {item.lastMessage && (
+                        <span className="block text-xs truncate text-gray-500 dark:text-gray-400">
+                          {item.lastMessage.from.userId === user?.userId ? 'You: ' : ''}{item.lastMessage.message}
+                        </span>
+                      )}
+                    </span>
+                    {item.unread > 0 && (
+                      <span className="ml-2 bg-red-500 text-white text-xs px-2 py-0.5 rounded-full" aria-hidden="true">
+                        {item.unread}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {newPartners.length > 0 && (
+          <div className="flex-shrink-0 p-3 border-t border-gray-200 dark:border-gray-700">
+            <label htmlFor="direct-message-new" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Message someone
+            </label>
+            <select
+              id="direct-message-new"
+              value=""
+              onChange={(e) => {
+                const participant = participants[e.target.value];
+                if (participant) openDirectChat(participant.userId, participant.username);
+              }}
+              className="input text-sm py-1 px-2 w-full"
+            >
+              <option value="" disabled>Choose a participant…</option>
+              {newPartners.map(participant => (
+                <option key={participant.userId} value={participant.userId}>{participant.username}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const placeholder = chatMute
+    ? `You are muted until ${new Date(chatMute.mutedUntil).toLocaleTimeString()}`
+    : chatDisabled
+      ? 'Chat is disabled in this room'
+      : partnerInRoom ? `Message ${conversation.username}...` : `${conversation.username} has left the room`;
+
+  return (
+    <div className="flex-1 flex flex-col min-h-0">
+      {/* Conversation Header */}
+      <div className="flex items-center space-x-2 px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+        <button
+          onClick={closeDirectChat}
+          className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+          aria-label="Back to all conversations"
+        >
+          ←
+        </button>
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 truncate">
+          {conversation.username}
+        </h3>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {partnerInRoom ? 'in the room' : 'left the room'}
+        </span>
+      </div>
+
+      {/* Messages */}
+      <div
+        className="flex-1 overflow-y-auto p-3 space-y-2 min-h-0"
+        role="log"
+        aria-label={`Direct messages with ${conversation.username}`}
+        aria-live="polite"
+      >
+        {conversation.hasOlder && (
+          <div className="flex justify-center">
+            <button onClick={loadOlderMessages} disabled={isLoading} className="text-xs text-primary-600 dark:text-primary-400 hover:underline">
+              {isLoading ? 'Loading...' : 'Load older messages'}
+            </button>
+          </div>
+        )}
+        {conversation.loaded && conversation.messages.length === 0 && (
+          <p className="text-sm text-center text-gray-500 dark:text-gray-400">
+            Only you and {conversation.username} can see this conversation
+          </p>
+        )}
+        {conversation.messages.map(message => {
+          const isOwnMessage = message.from.userId === user?.userId;
+          return (
+            <div key={message.id} className={`flex flex-col ${isOwnMessage ? 'items-end' : 'items-start'}`} role="listitem">
+              <div
+                className={`max-w-xs px-3 py-2 rounded-lg ${
+                  isOwnMessage
+                    ? 'bg-primary-500 text-white'
+                    : 'bg-gray-200 dark:bg-gray-700 text-gray-900 dark:text-gray-100'
+                }`}
+              >
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-xs font-medium opacity-75">
+                    {message.from.username}
+                  </span>
+                  <span className="text-xs opacity-75 ml-2">
+                    {new Date(message.timestamp).toLocaleTimeString()}
+                  </span>
+                </div>
+                <ChatMarkdown text={message.message} currentUsername={user?.username} />
+              </div>
+            </div>
+          );
+        })}
+        <div ref={messagesEndRef} />
+      </div>
+
+      {/* Message Input */}
+      <div className="flex-shrink-0 p-3 border-t border-gray-200 dark:border-gray-700">
+        <div className="flex space-x-2">
+          <textarea
+            ref={messageInputRef}
+            rows={Math.min(5, newMessage.split('\n').length)}
+            value={newMessage}
+            onChange={(e) => setNewMessage(e.target.value)}
+            onKeyDown={handleKeyDown}
+            disabled={chatDisabled || !partnerInRoom}
+            placeholder={placeholder}
+            maxLength={MAX_MESSAGE_LENGTH}
+            className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-primary-500 dark:bg-gray-800 dark:text-gray-100"
+            aria-label={`Message ${conversation.username}`}
+            aria-describedby="direct-message-help"
+          />
+          <button
+            onClick={sendMessage}
+            disabled={!newMessage.trim() || !connected || chatDisabled || !partnerInRoom}
+            className="btn btn-primary"
+            aria-label={`Send message to ${conversation.username}`}
+          >
+            Send
+          </button>
+        </div>
+        <div id="direct-message-help" className="sr-only">
+          Press Enter to send, Shift+Enter for a new line or Escape to go back to all conversations
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DirectMessages;
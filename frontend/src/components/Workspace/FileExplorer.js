@@ -0,0 +1,338 @@
+/**
+ * File Explorer Component
+ *
+ * Sidebar listing the room's code files and folders:
+ * - Folders expand and collapse; choosing a file opens it in the editor
+ * - New files and folders are created in the selected folder
+ * - Files and folders can be renamed, moved and deleted (folders take their contents along)
+ * Changes are made for everyone in the room, and other people's changes show up live
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+
+// What the path form asks for in each mode
+const FORM_LABELS = {
+  'create-file': 'New file name',
+  'create-folder': 'New folder name',
+  rename: 'Rename to',
+  move: 'Move to folder',
+};
+
+/**
+ * Build a tree from the flat file list
+ * Folders come from explicit folder entries and from the paths of files inside them
+ * @param {Array} files - [{ id, path, type, language }]
+ * @returns {Array} Top-level nodes: { type, path, name, id, children }, folders first, then by name
+ */
+const buildTree = (files) => {
+  const root = { children: [] };
+  const folders = new Map([['', root]]);
+
+  const getFolder = (path) => {
+    if (!folders.has(path)) {
+      const slash = path.lastIndexOf('/');
+      const parent = getFolder(slash === -1 ? '' : path.slice(0, slash));
+      const folder = { type: 'folder', path, name: path.slice(slash + 1), children: [] };
+      parent.children.push(folder);
+      folders.set(path, folder);
+    }
+    return folders.get(path);
+  };
+
+  files.forEach(file => {
+    if (file.type === 'folder') {
+      getFolder(file.path).id = file.id;
+      return;
+    }
+    const slash = file.path.lastIndexOf('/');
+    getFolder(slash === -1 ? '' : file.path.slice(0, slash)).children.push({
+      type: 'file',
+      id: file.id,
+      path: file.path,
+      name: file.path.slice(slash + 1),
+      language: file.language,
+    });
+  });
+
+  const sortNodes = (nodes) => {
+    nodes.sort((a, b) => (
+      a.type === b.type
+        ? a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' })
+        : a.type === 'folder' ? -1 : 1
+    ));
+    nodes.forEach(node => node.children && sortNodes(node.children));
+    return nodes;
+  };
+  return sortNodes(root.children);
+};
+
+/**
+ * Folder a path is in, '' at the top level
+ */
+const parentOf = (path) => (path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+
+/**
+ * File Explorer Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.files - Room's files and folders: [{ id, path, type, language }]
+ * @param {string} props.activeFileId - File open in the editor
+ * @param {Function} props.onOpenFile - Called with a file id to open it
+ * @param {Function} props.onCreate - Called with (path, type) to create a file or folder
+ * @param {Function} props.onRename - Called with (path, newPath)
+ * @param {Function} props.onMove - Called with (path, folder), folder '' being the top level
+ * @param {Function} props.onDelete - Called with the path to delete
+ * @param {boolean} props.readOnly - Hide the actions that change files
+ */
+const FileExplorer = ({ files, activeFileId, onOpenFile, onCreate, onRename, onMove, onDelete, readOnly }) => {
+  const [collapsedFolders, setCollapsedFolders] = useState(() => new Set());
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [form, setForm] = useState(null); // { mode, path, value }
+  const inputRef = useRef(null);
+
+  const tree = useMemo(() => buildTree(files), [files]);
+
+  // Every folder, explicit or implied by file paths, for the move form
+  const folderPaths = useMemo(() => {
+    const paths = new Set();
+    files.forEach(file => {
+      const segments = file.path.split('/');
+      const depth = file.type === 'folder' ? segments.length : segments.length - 1;
+      for (let i = 1; i <= depth; i++) {
+        paths.add(segments.slice(0, i).join('/'));
+      }
+    });
+    return Array.from(paths).sort();
+  }, [files]);
+
+  // Folder new files go into: the selected folder, or the folder of the selected file
+  const isFolder = (path) => folderPaths.includes(path);
+  const targetFolder = selectedPath === null ? '' : isFolder(selectedPath) ? selectedPath : parentOf(selectedPath);
+
+  // Move keyboard focus into the form when it opens
+  const openForm = form ? `${form.mode}:${form.path}` : null;
+  useEffect(() => {
+    if (openForm) {
+      inputRef.current?.focus();
+    }
+  }, [openForm]);
+
+  // Forget a selection whose file or folder is gone
+  useEffect(() => {
+    if (selectedPath && !files.some(file => file.path === selectedPath || file.path.startsWith(`${selectedPath}/`))) {
+      setSelectedPath(null);
+    }
+  }, [files, selectedPath]);
+
+  const toggleFolder = (path) => {
+    setSelectedPath(path);
+    setCollapsedFolders(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  const openFile = (node) => {
+    setSelectedPath(node.path);
+    onOpenFile(node.id);
+  };
+
+  const startCreate = (type) => {
+    setForm({ mode: `create-${type}`, path: targetFolder, value: targetFolder ? `${targetFolder}/` : '' });
+  };
+
+  const handleDelete = (node) => {
+    const what = node.type === 'folder' ? `the folder ${node.path} and everything in it` : node.path;
+    if (window.confirm(`Delete ${what} for everyone in the room?`)) {
+      onDelete(node.path);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const value = form.value.trim();
+    if (form.mode === 'move') {
+      if (value !== parentOf(form.path)) onMove(form.path, value);
+    } else if (!value) {
+      return;
+    } else if (form.mode === 'rename') {
+      if (value !== form.path) onRename(form.path, value);
+    } else {
+      onCreate(value, form.mode === 'create-folder' ? 'folder' : 'file');
+      // Open the folder the new entry goes in
+      setCollapsedFolders(prev => {
+        const next = new Set(prev);
+        next.delete(parentOf(value));
+        return next;
+      });
+    }
+    setForm(null);
+  };
+
+  const handleFormKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      setForm(null);
+    }
+  };
+
+  const renderNode = (node, depth) => {
+    const expanded = node.type === 'folder' && !collapsedFolders.has(node.path);
+    const isActive = node.type === 'file' && node.id === activeFileId;
+    const isSelected = node.path === selectedPath;
+
+    return (
+      <li key={`${node.type}:${node.path}`}>
+        <div
+          className={`flex items-center text-sm ${
+            isActive ? 'bg-blue-100 dark:bg-blue-900' : isSelected ? 'bg-gray-100 dark:bg-gray-800' : ''
+          }`}
+        >
+          <button
+            onClick={() => (node.type === 'folder' ? toggleFolder(node.path) : openFile(node))}
+            className="flex-1 min-w-0 text-left truncate py-1 pr-1 text-gray-800 dark:text-gray-200 hover:underline"
+            style={{ paddingLeft: `${0.5 + depth * 0.75}rem` }}
+            aria-expanded={node.type === 'folder' ? expanded : undefined}
+            aria-current={isActive ? 'true' : undefined}
+            title={node.path}
+          >
+            <span aria-hidden="true">{node.type === 'folder' ? (expanded ? '📂' : '📁') : '📄'}</span> {node.name}
+          </button>
+          {!readOnly && (
+            <span className="flex flex-shrink-0">
+              <button
+                onClick={() => setForm({ mode: 'rename', path: node.path, value: node.path })}
+                className="px-1 opacity-60 hover:opacity-100"
+                aria-label={`Rename ${node.path}`}
+                title="Rename"
+              >
+                ✏️
+              </button>
+              <button
+                onClick={() => setForm({ mode: 'move', path: node.path, value: parentOf(node.path) })}
+                className="px-1 opacity-60 hover:opacity-100"
+                aria-label={`Move ${node.path}`}
+                title="Move"
+              >
+                ↪️
+              </button>
+              <button
+                onClick={() => handleDelete(node)}
+                className="px-1 opacity-60 hover:opacity-100"
+                aria-label={`Delete ${node.path}`}
+                title="Delete"
+              >
+                🗑️
+              </button>
+            </span>
+          )}
+        </div>
+        {expanded && node.children.length > 0 && (
+          <ul>
+            {node.children.map(child => renderNode(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <nav
+      className="w-56 flex-shrink-0 flex flex-col border-r border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 overflow-hidden"
+      aria-labelledby="file-explorer-title"
+    >
+      <div className="flex items-center justify-between px-2 py-2 border-b border-gray-200 dark:border-gray-700">
+        <h2 id="file-explorer-title" className="text-xs font-semibold uppercase text-gray-600 dark:text-gray-400">
+          Files
+        </h2>
+        {!readOnly && (
+          <span className="flex space-x-1">
+            <button
+              onClick={() => startCreate('file')}
+              className="btn btn-outline btn-sm"
+              aria-label={`New file${targetFolder ? ` in ${targetFolder}` : ''}`}
+              title="New file"
+            >
+              + File
+            </button>
+            <button
+              onClick={() => startCreate('folder')}
+              className="btn btn-outline btn-sm"
+              aria-label={`New folder${targetFolder ? ` in ${targetFolder}` : ''}`}
+              title="New folder"
+            >
+              + Folder
+            </button>
+          </span>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSubmit} className="p-2 border-b border-gray-200 dark:border-gray-700 space-y-2">
+          <label htmlFor="file-explorer-input" className="block text-xs font-medium text-gray-700 dark:text-gray-300">
+            {FORM_LABELS[form.mode]}{form.mode === 'rename' || form.mode === 'move' ? ` (${form.path})` : ''}
+          </label>
+          {form.mode === 'move' ? (
+            <select
+              id="file-explorer-input"
+              ref={inputRef}
+              value={form.value}
+              onChange={(e) => setForm({ ...form, value: e.target.value })}
+              onKeyDown={handleFormKeyDown}
+              className="input text-sm py-1 px-2 w-full"
+            >
+              <option value="">Top level</option>
+              {folderPaths
+                .filter(path => path !== form.path && !path.startsWith(`${form.path}/`))
+                .map(path => (
+                  <option key={path} value={path}>{path}</option>
+                ))}
+            </select>
+          ) : (
+            <input
+              id="file-explorer-input"
+              ref={inputRef}
+              type="text"
+              value={form.value}
+              onChange={(e) => setForm({ ...form, value: e.target.value })}
+              onKeyDown={handleFormKeyDown}
+              className="input text-sm py-1 px-2 w-full"
+              placeholder={form.mode === 'create-folder' ? 'src/components' : 'src/app.js'}
+              maxLength={255}
+              aria-describedby="file-explorer-input-help"
+            />
+          )}
+          {form.mode !== 'move' && (
+            <p id="file-explorer-input-help" className="text-xs text-gray-500 dark:text-gray-400">
+              Use / for folders. Press Escape to cancel.
+            </p>
+          )}
+          <div className="flex space-x-2">
+            <button type="submit" className="btn btn-primary btn-sm">
+              {form.mode === 'move' ? 'Move' : form.mode === 'rename' ? 'Rename' : 'Create'}
+            </button>
+            <button type="button" onClick={() => setForm(null)} className="btn btn-outline btn-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="flex-1 overflow-y-auto py-1">
+        {tree.length > 0 ? (
+          <ul aria-label="Room files">
+            {tree.map(node => renderNode(node, 0))}
+          </ul>
+        ) : (
+          <p className="px-2 py-4 text-xs text-gray-500 dark:text-gray-400">
+            {readOnly ? 'No files yet.' : 'No files yet. Create one to start coding.'}
+          </p>
+        )}
+      </div>
+    </nav>
+  );
+};
+
+export default FileExplorer;
@@ -0,0 +1,163 @@
+/**
+ * Format Settings Component
+ *
+ * The room's code style, used by the shared "Format document" command:
+ * - Line width, indentation, semicolons, quotes, trailing commas and bracket spacing
+ * - Whether Ctrl+S formats the open file
+ * Everyone can see the style; owners and moderators can change it, and the
+ * change reaches the room as a room settings update.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { roomAPI } from '../../services/api';
+import { useAccessibility } from '../../contexts/AccessibilityContext';
+
+// Style used while a room has not chosen one, mirroring the server
+const DEFAULT_FORMAT_OPTIONS = {
+  printWidth: 80,
+  tabWidth: 2,
+  useTabs: false,
+  semi: true,
+  singleQuote: false,
+  trailingComma: 'all',
+  bracketSpacing: true,
+  formatOnSave: false,
+};
+
+const SWITCHES = [
+  { key: 'semi', label: 'Semicolons' },
+  { key: 'singleQuote', label: 'Single quotes' },
+  { key: 'bracketSpacing', label: 'Spaces inside braces' },
+  { key: 'useTabs', label: 'Indent with tabs' },
+  { key: 'formatOnSave', label: 'Format on save (Ctrl+S)' },
+];
+
+/**
+ * Format Settings Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.roomId - Room the style belongs to
+ * @param {Object} props.options - The room's current style options
+ * @param {boolean} props.canEdit - Whether this user may change them
+ * @param {Function} props.onClose - Close the panel
+ */
+const FormatSettings = ({ roomId, options, canEdit, onClose }) => {
+  const { announce } = useAccessibility();
+  const [draft, setDraft] = useState({ ...DEFAULT_FORMAT_OPTIONS, ...options });
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Follow changes others save while the panel is open
+  useEffect(() => {
+    setDraft({ ...DEFAULT_FORMAT_OPTIONS, ...options });
+  }, [options]);
+
+  const update = (key, value) => setDraft(current => ({ ...current, [key]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      await roomAPI.updateRoom(roomId, {
+        settings: {
+          codeFormatting: {
+            ...draft,
+            printWidth: parseInt(draft.printWidth, 10) || DEFAULT_FORMAT_OPTIONS.printWidth,
+            tabWidth: parseInt(draft.tabWidth, 10) || DEFAULT_FORMAT_OPTIONS.tabWidth,
+          },
+        },
+      });
+      announce('Code style saved', 'polite');
+      onClose();
+    } catch (saveError) {
+      console.error('Failed to save code style:', saveError);
+      setError(saveError.message || 'Failed to save code style');
+      announce('Failed to save code style', 'assertive');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="p-3 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 text-sm"
+      aria-label="Code style"
+    >
+      <fieldset disabled={!canEdit || isSaving} className="flex flex-wrap items-center gap-4">
+        <legend className="sr-only">Code style used by Format document</legend>
+
+        <div className="flex items-center space-x-2">
+          <label htmlFor="format-print-width" className="text-gray-700 dark:text-gray-300">Line width</label>
+          <input
+            id="format-print-width"
+            type="number"
+            min="40"
+            max="200"
+            value={draft.printWidth}
+            onChange={(e) => update('printWidth', e.target.value)}
+            className="input text-sm py-1 px-2 w-20"
+          />
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <label htmlFor="format-tab-width" className="text-gray-700 dark:text-gray-300">Indent size</label>
+          <input
+            id="format-tab-width"
+            type="number"
+            min="1"
+            max="8"
+            value={draft.tabWidth}
+            onChange={(e) => update('tabWidth', e.target.value)}
+            className="input text-sm py-1 px-2 w-16"
+          />
+        </div>
+
+        <div className="flex items-center space-x-2">
+          <label htmlFor="format-trailing-comma" className="text-gray-700 dark:text-gray-300">Trailing commas</label>
+          <select
+            id="format-trailing-comma"
+            value={draft.trailingComma}
+            onChange={(e) => update('trailingComma', e.target.value)}
+            className="input text-sm py-1 px-2"
+          >
+            <option value="all">Everywhere possible</option>
+            <option value="es5">Where valid in ES5</option>
+            <option value="none">None</option>
+          </select>
+        </div>
+
+        {SWITCHES.map(({ key, label }) => (
+          <div key={key} className="flex items-center space-x-2">
+            <input
+              id={`format-${key}`}
+              type="checkbox"
+              checked={!!draft[key]}
+              onChange={(e) => update(key, e.target.checked)}
+            />
+            <label htmlFor={`format-${key}`} className="text-gray-700 dark:text-gray-300">{label}</label>
+          </div>
+        ))}
+      </fieldset>
+
+      <div className="flex items-center space-x-2 mt-3">
+        {canEdit ? (
+          <button type="submit" disabled={isSaving} className="btn btn-primary text-sm py-1 px-3">
+            {isSaving ? 'Saving…' : 'Save style'}
+          </button>
+        ) : (
+          <p className="text-gray-600 dark:text-gray-400">Only the room owner and moderators can change the code style.</p>
+        )}
+        <button type="button" onClick={onClose} className="btn btn-outline text-sm py-1 px-3">
+          Close
+        </button>
+        {error && (
+          <p role="alert" className="text-red-600 dark:text-red-400">{error}</p>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default FormatSettings;
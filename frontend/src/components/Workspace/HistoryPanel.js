@@ -0,0 +1,371 @@
+/**
+ * History Panel Component
+ *
+ * Version history for the room's code, notes and canvas:
+ * - Automatic, manual and pre-restore snapshots, newest first
+ * - Saving a labelled version on demand
+ * - Previewing what restoring a version would change
+ * - Restoring a version for everyone in the room
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAccessibility } from '../../contexts/AccessibilityContext';
+import { useSocket } from '../../contexts/SocketContext';
+import { roomAPI } from '../../services/api';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+// Versioned content and the room setting that allows editing it
+const HISTORY_KINDS = [
+  { id: 'code', label: 'Code', setting: 'allowCodeEditing' },
+  { id: 'notes', label: 'Notes', setting: 'allowNotesEditing' },
+  { id: 'canvas', label: 'Canvas', setting: 'allowCanvasDrawing' },
+];
+
+// How each snapshot was taken
+const TRIGGER_LABELS = {
+  auto: 'Auto-saved',
+  manual: 'Saved',
+  restore: 'Before restore',
+};
+
+// Line styles for diff previews
+const HUNK_STYLES = {
+  insert: 'bg-green-50 text-green-800 dark:bg-green-900 dark:text-green-200',
+  delete: 'bg-red-50 text-red-800 dark:bg-red-900 dark:text-red-200',
+  equal: 'text-gray-600 dark:text-gray-400',
+};
+const HUNK_PREFIXES = { insert: '+', delete: '-', equal: ' ' };
+
+// Unchanged lines shown around each change in a preview
+const CONTEXT_LINES = 2;
+
+// What restoring a version does to each code file
+const FILE_STATUS_LABELS = {
+  added: 'Restored',
+  removed: 'Deleted',
+  renamed: 'Renamed',
+  modified: 'Changed',
+};
+
+/**
+ * Trim long runs of unchanged lines down to the lines next to changes
+ * @param {Array} hunks - Diff hunks from the server
+ * @returns {Array} Hunks with { type, lines, skipped }
+ */
+const collapseHunks = (hunks = []) => {
+  return hunks.map((hunk, index) => {
+    if (hunk.type !== 'equal' || hunk.lines.length <= CONTEXT_LINES * 2) {
+      return hunk;
+    }
+    const head = index > 0 ? hunk.lines.slice(0, CONTEXT_LINES) : [];
+    const tail = index < hunks.length - 1 ? hunk.lines.slice(-CONTEXT_LINES) : [];
+    return { type: 'equal', lines: head, skipped: hunk.lines.length - head.length - tail.length, tail };
+  });
+};
+
+/**
+ * History Panel Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.roomId - Room whose history is shown
+ * @param {string} props.initialKind - Content to show first (the active workspace tab)
+ */
+const HistoryPanel = ({ roomId, initialKind = 'code' }) => {
+  const { announce, screenReader } = useAccessibility();
+  const { historyRevision, restoreVersion, isFeatureEnabled } = useSocket();
+
+  const [kind, setKind] = useState(
+    HISTORY_KINDS.some(option => option.id === initialKind) ? initialKind : 'code'
+  );
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [label, setLabel] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  const canEdit = isFeatureEnabled(HISTORY_KINDS.find(option => option.id === kind).setting);
+
+  // Follow the workspace tab while it shows versioned content
+  useEffect(() => {
+    if (HISTORY_KINDS.some(option => option.id === initialKind)) {
+      setKind(initialKind);
+    }
+  }, [initialKind]);
+
+  // Load the versions of the selected content, again whenever one is saved or restored
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadVersions = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const data = await roomAPI.getVersions(roomId, { kind });
+        if (!cancelled) setVersions(data.versions || []);
+      } catch (loadError) {
+        console.error('Failed to load versions:', loadError);
+        if (!cancelled) setError(loadError.message || 'Failed to load version history');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadVersions();
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, kind, historyRevision]);
+
+  // A preview compares against the current content, so drop it when anything changes
+  useEffect(() => {
+    setSelectedVersion(null);
+    setPreview(null);
+  }, [kind, historyRevision]);
+
+  // Save the current content as a labelled version
+  const saveVersion = useCallback(async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      await roomAPI.createVersion(roomId, kind, label.trim());
+      setLabel('');
+      if (screenReader) {
+        announce(`${kind} version saved`, 'polite');
+      }
+    } catch (saveError) {
+      console.error('Failed to save version:', saveError);
+      setError(saveError.message || 'Failed to save version');
+    } finally {
+      setIsSaving(false);
+    }
+  }, [roomId, kind, label, screenReader, announce]);
+
+  // Show what restoring a version would change
+  const previewVersion = useCallback(async (version) => {
+    if (selectedVersion?.versionId === version.versionId) {
+      setSelectedVersion(null);
+      setPreview(null);
+      return;
+    }
+
+    setSelectedVersion(version);
+    setPreview(null);
+    setIsPreviewing(true);
+    try {
+      const data = await roomAPI.diffVersion(roomId, version.versionId);
+      setPreview(data.diff);
+    } catch (previewError) {
+      console.error('Failed to preview version:', previewError);
+      setError(previewError.message || 'Failed to preview version');
+    } finally {
+      setIsPreviewing(false);
+    }
+  }, [roomId, selectedVersion]);
+
+  // Restore a version for everyone after confirming
+  const handleRestore = useCallback((version) => {
+    const savedAt = new Date(version.createdAt).toLocaleString();
+    if (!window.confirm(`Restore the ${kind} to the version from ${savedAt}? Everyone in the room will see the change.`)) {
+      return;
+    }
+    restoreVersion(version.versionId);
+    if (screenReader) {
+      announce(`Restoring ${kind} version from ${savedAt}`, 'polite');
+    }
+  }, [kind, restoreVersion, screenReader, announce]);
+
+  /**
+   * Render line diff hunks with long unchanged runs collapsed
+   */
+  const renderHunks = (hunks, label) => {
+    return (
+      <pre
+        className="text-xs font-mono max-h-64 overflow-auto border border-gray-200 dark:border-gray-700 rounded"
+        aria-label={label}
+      >
+        {collapseHunks(hunks).map((hunk, hunkIndex) => (
+          <React.Fragment key={hunkIndex}>
+            {hunk.lines.map((line, lineIndex) => (
+              <div key={`${hunkIndex}-${lineIndex}`} className={`px-1 ${HUNK_STYLES[hunk.type]}`}>
+                {HUNK_PREFIXES[hunk.type]} {line}
+              </div>
+            ))}
+            {hunk.skipped > 0 && (
+              <div className="px-1 text-gray-400 italic">⋯ {hunk.skipped} unchanged line{hunk.skipped !== 1 ? 's' : ''}</div>
+            )}
+            {hunk.tail?.map((line, lineIndex) => (
+              <div key={`${hunkIndex}-tail-${lineIndex}`} className={`px-1 ${HUNK_STYLES.equal}`}>
+                {HUNK_PREFIXES.equal} {line}
+              </div>
+            ))}
+          </React.Fragment>
+        ))}
+      </pre>
+    );
+  };
+
+  const renderPreview = () => {
+    if (isPreviewing) {
+      return <LoadingSpinner size="small" />;
+    }
+    if (!preview) return null;
+
+    if (kind === 'canvas') {
+      return (
+        <p className="text-xs text-gray-600 dark:text-gray-400">
+          Restoring adds {preview.added.length}, removes {preview.removed.length} and
+          changes {preview.modified.length} object{preview.modified.length !== 1 ? 's' : ''}.
+        </p>
+      );
+    }
+
+    if (kind === 'code') {
+      if (preview.files.length === 0) {
+        return (
+          <p className="text-xs text-gray-600 dark:text-gray-400">Same as the current content.</p>
+        );
+      }
+
+      // Diffs are from the current files to the version, so "deleted" files exist now but not in the version
+      return (
+        <div>
+          <p className="text-xs text-gray-600 dark:text-gray-400 mb-1">
+            Restoring changes {preview.files.length} file{preview.files.length !== 1 ? 's' : ''}, adding {preview.added} and
+            removing {preview.removed} line{preview.removed !== 1 ? 's' : ''}.
+          </p>
+          {preview.files.map(file => (
+            <div key={file.id} className="mb-2">
+              <h3 className="text-xs font-semibold text-gray-800 dark:text-gray-200 break-all">
+                {FILE_STATUS_LABELS[file.status]}: {file.oldPath ? `${file.oldPath} → ${file.path}` : file.path}
+                {file.languageChanged ? ' (language changes)' : ''}
+              </h3>
+              {(file.added > 0 || file.removed > 0) && renderHunks(file.hunks, `Changes restoring this version would make to ${file.path}`)}
+            </div>
+          ))}
+        </div>
+      );
+    }
+
+    if (preview.added === 0 && preview.removed === 0) {
+      return (
+        <p className="text-xs text-gray-600 dark:text-gray-400">Same as the current content.</p>
+      );
+    }
+
+    return (
+      <div>
+        <p className="text-xs text-gray-600 dark:text-gray-400 mb-1">
+          Restoring adds {preview.added} and removes {preview.removed} line{preview.removed !== 1 ? 's' : ''}.
+        </p>
+        {renderHunks(preview.hunks, 'Changes restoring this version would make')}
+      </div>
+    );
+  };
+
+  return (
+    <section className="flex flex-col h-full" aria-labelledby="history-panel-title">
+      <div className="p-3 border-b border-gray-200 dark:border-gray-700">
+        <h2 id="history-panel-title" className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+          🕘 Version History
+        </h2>
+
+        <div className="flex space-x-1 mb-2" role="group" aria-label="Content to show history for">
+          {HISTORY_KINDS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setKind(option.id)}
+              className={`btn btn-sm ${kind === option.id ? 'btn-primary' : 'btn-outline'}`}
+              aria-pressed={kind === option.id}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {canEdit && (
+          <form onSubmit={saveVersion} className="flex space-x-1">
+            <label htmlFor="version-label" className="sr-only">
+              Version label
+            </label>
+            <input
+              id="version-label"
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              className="input flex-1 min-w-0 text-sm"
+              placeholder="Label (optional)"
+              maxLength={100}
+            />
+            <button type="submit" className="btn btn-outline btn-sm" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </form>
+        )}
+
+        {error && (
+          <p className="text-xs text-red-600 dark:text-red-400 mt-2" role="alert">
+            {error}
+          </p>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {isLoading && versions.length === 0 ? (
+          <div className="p-4 flex justify-center">
+            <LoadingSpinner size="small" />
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="p-4 text-sm text-gray-500 dark:text-gray-400">
+            No versions saved yet. Versions are saved automatically while people edit.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {versions.map(version => (
+              <li key={version.versionId} className="p-3">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {version.label || TRIGGER_LABELS[version.trigger] || 'Version'}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {new Date(version.createdAt).toLocaleString()}
+                      {version.createdBy?.username ? ` · ${version.createdBy.username}` : ''}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex space-x-1 mt-2">
+                  <button
+                    onClick={() => previewVersion(version)}
+                    className="btn btn-outline btn-sm"
+                    aria-expanded={selectedVersion?.versionId === version.versionId}
+                  >
+                    {selectedVersion?.versionId === version.versionId ? 'Hide' : 'Preview'}
+                  </button>
+                  {canEdit && (
+                    <button
+                      onClick={() => handleRestore(version)}
+                      className="btn btn-primary btn-sm"
+                    >
+                      Restore
+                    </button>
+                  )}
+                </div>
+                {selectedVersion?.versionId === version.versionId && (
+                  <div className="mt-2">
+                    {renderPreview()}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default HistoryPanel;
@@ -5,7 +5,7 @@
  * - Rich text editing capabilities (bold, italic, underline, lists, etc.)
  * - Real-time synchronization via Socket.io
  * - Full accessibility support (ARIA roles, live region announcements)
- * - Concurrent editing with batched updates and conflict resolution
+ * - Block-based operation sync so concurrent edits to different paragraphs merge
  * - Screen reader support and keyboard navigation
  * - User presence and cursor tracking
  */
@@ -13,8 +13,19 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useAccessibility } from '../../contexts/AccessibilityContext';
 import { useSocket } from '../../contexts/SocketContext';
+import ReadOnlyNotice from './ReadOnlyNotice';
 import { useUser } from '../../contexts/UserContext';
 import { useBlindMode } from '../../contexts/BlindModeContext';
+import {
+  blocksToHtml,
+  diffBlocks,
+  createBlockElement,
+  findBlockElement,
+  normalizeEditorBlocks,
+  readEditorBlocks,
+  getSelectionOffsets,
+  setSelectionOffsets,
+} from '../../utils/notesDocument';
 
 /**
  * Notes Editor Component
@@ -29,12 +40,22 @@ const NotesEditor = ({
   onRoomUpdate 
 }) => {
   const { announce, screenReader, keyboardNavigation } = useAccessibility();
-  const { connected, sendEvent, notesMetadata } = useSocket();
+  const {
+    connected,
+    sendEvent,
+    sendNoteOperations,
+    subscribeToNotes,
+    getNotesDocument,
+    isFeatureEnabled,
+  } = useSocket();
   const { user } = useUser();
   const { enabled: blindModeEnabled, announceToScreenReader } = useBlindMode();
 
+  // Notes editing can be turned off in the room settings
+  const readOnly = !isFeatureEnabled('allowNotesEditing');
+
   // Editor state
-  const [content, setContent] = useState(roomData?.notes || '');
+  const [content, setContent] = useState(() => blocksToHtml(getNotesDocument().blocks));
   const [lastSaved, setLastSaved] = useState(Date.now());
   const [isSaving, setIsSaving] = useState(false);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
@@ -54,23 +75,17 @@ const NotesEditor = ({
   const [userCursors, setUserCursors] = useState({});
   const [typingUsers, setTypingUsers] = useState({});
 
-  // Concurrent editing state
-  const [isProcessingChanges, setIsProcessingChanges] = useState(false);
-  const [changeQueue, setChangeQueue] = useState([]);
-  
   // Blind Mode state
   const [lastNoteUpdate, setLastNoteUpdate] = useState(null);
   const [currentAnnouncement, setCurrentAnnouncement] = useState(null);
-  
-  // Typing state to prevent cursor jumping
-  const [isUserTyping, setIsUserTyping] = useState(false);
 
   // Refs with proper cleanup
   const editorRef = useRef(null);
   const changeTimeoutRef = useRef(null);
-  const saveTimeoutRef = useRef(null);
   const announcementTimeoutRef = useRef(null);
-  const previousContentRef = useRef(roomData?.notes || '');
+  const previousContentRef = useRef(blocksToHtml(getNotesDocument().blocks));
+  const lastBlocksRef = useRef([]);
+  const saveRequestedRef = useRef(false);
   const cleanupRefs = useRef([]);
 
   // Debounce settings
@@ -83,10 +98,6 @@ const NotesEditor = ({
       clearTimeout(changeTimeoutRef.current);
       changeTimeoutRef.current = null;
     }
-    if (saveTimeoutRef.current) {
-      clearTimeout(saveTimeoutRef.current);
-      saveTimeoutRef.current = null;
-    }
     if (announcementTimeoutRef.current) {
       clearTimeout(announcementTimeoutRef.current);
       announcementTimeoutRef.current = null;
@@ -196,93 +207,53 @@ const NotesEditor = ({
   }, [blindModeEnabled, announceToScreenReader]);
 
   /**
-   * Preserve cursor position when updating content
+   * Render the current notes document into the editor on mount
    */
-  const preserveCursorPosition = useCallback(() => {
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
-      const range = selection.getRangeAt(0);
-      return {
-        startContainer: range.startContainer,
-        startOffset: range.startOffset,
-        endContainer: range.endContainer,
-        endOffset: range.endOffset
-      };
-    }
-    return null;
-  }, []);
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor) return;
+
+    editor.replaceChildren(...getNotesDocument().blocks.map(createBlockElement));
+    // Track blocks as the browser serializes them so unchanged blocks never diff
+    lastBlocksRef.current = readEditorBlocks(editor);
+  }, [getNotesDocument]);
 
   /**
-   * Restore cursor position after content update
+   * Send local edits as block operations
+   * Diffs the editor blocks against the last synced ones so only changed
+   * paragraphs are sent
    */
-  const restoreCursorPosition = useCallback((savedPosition) => {
-    if (!savedPosition) return;
-    
-    try {
-      const selection = window.getSelection();
-      const range = document.createRange();
-      
-      // Try to restore the exact position
-      if (savedPosition.startContainer && savedPosition.startContainer.parentNode) {
-        range.setStart(savedPosition.startContainer, savedPosition.startOffset);
-        range.setEnd(savedPosition.endContainer, savedPosition.endOffset);
-        selection.removeAllRanges();
-        selection.addRange(range);
-      } else {
-        // Fallback: place cursor at end
-        const editor = editorRef.current;
-        if (editor) {
-          const range = document.createRange();
-          range.selectNodeContents(editor);
-          range.collapse(false);
-          selection.removeAllRanges();
-          selection.addRange(range);
-        }
-      }
-    } catch (error) {
-      // Fallback: place cursor at end
-      const editor = editorRef.current;
-      if (editor) {
-        const selection = window.getSelection();
-        const range = document.createRange();
-        range.selectNodeContents(editor);
-        range.collapse(false);
-        selection.removeAllRanges();
-        selection.addRange(range);
-      }
+  const flushLocalChanges = useCallback((actionType = 'edit', editor = editorRef.current) => {
+    if (changeTimeoutRef.current) {
+      clearTimeout(changeTimeoutRef.current);
+      changeTimeoutRef.current = null;
     }
-  }, []);
+    if (!editor) return;
+
+    // Give stray text and split paragraphs their own block ids
+    const caret = getSelectionOffsets(editor);
+    if (normalizeEditorBlocks(editor) && caret) {
+      setSelectionOffsets(editor, caret);
+    }
+
+    const blocks = readEditorBlocks(editor);
+    const operations = diffBlocks(lastBlocksRef.current, blocks);
+    if (operations.length === 0) return;
+
+    const countWords = (html) => html.replace(/<[^>]*>/g, ' ').split(/\s+/).filter(word => word.length > 0).length;
+    const wordsChanged = Math.abs(countWords(blocksToHtml(blocks)) - countWords(blocksToHtml(lastBlocksRef.current)));
+
+    lastBlocksRef.current = blocks;
+    sendNoteOperations(operations, { actionType, wordsChanged });
+  }, [sendNoteOperations]);
 
   /**
-   * Initialize editor content from room data
+   * Send pending edits if the editor unmounts (e.g. switching tabs)
    */
   useEffect(() => {
-    if (roomData?.notes !== undefined && roomData.notes !== content && !isUserTyping) {
-      setContent(roomData.notes);
-      setHasUnsavedChanges(false);
-      previousContentRef.current = roomData.notes;
-      
-      // Ensure editor content is updated
-      if (editorRef.current) {
-        // Preserve cursor position before updating content
-        const savedPosition = preserveCursorPosition();
-        
-        editorRef.current.innerHTML = roomData.notes;
-        // Ensure text color is visible
-        editorRef.current.style.color = '#ffffff'; // White text
-        // Force all child elements to inherit proper color
-        const allElements = editorRef.current.querySelectorAll('*');
-        allElements.forEach(el => {
-          el.style.color = '';
-        });
-        
-        // Restore cursor position after content update
-        if (savedPosition) {
-          setTimeout(() => restoreCursorPosition(savedPosition), 0);
-        }
-      }
-    }
-  }, [roomData?.notes, preserveCursorPosition, restoreCursorPosition, isUserTyping]);
+    const editor = editorRef.current;
+    return () => flushLocalChanges('edit', editor);
+  }, [flushLocalChanges]);
 
   /**
    * Ensure text visibility on mount and content changes
@@ -315,47 +286,96 @@ const NotesEditor = ({
 
   /**
    * Handle external content changes from other users
+   * 
+   * Only the blocks named by remote operations are re-rendered; the caret is
+   * restored relative to its own block when that block is replaced
    */
   useEffect(() => {
-    if (roomData?.notes !== undefined && roomData.notes !== content && roomData.notes !== previousContentRef.current && !isUserTyping) {
+    return subscribeToNotes((event) => {
+      if (event.type === 'flush') {
+        flushLocalChanges();
+        return;
+      }
+
+      if (event.type === 'synced') {
+        setHasUnsavedChanges(false);
+        setLastSaved(Date.now());
+        setIsSaving(false);
+        if (saveRequestedRef.current && screenReader) {
+          announce('Notes saved successfully', 'polite');
+        }
+        saveRequestedRef.current = false;
+        return;
+      }
+
+      const editor = editorRef.current;
+      if (!editor) return;
+
       const previousContent = previousContentRef.current;
-      
-      setContent(roomData.notes);
-      setHasUnsavedChanges(false);
-      
-      // Ensure editor content is updated
-      if (editorRef.current) {
-        // Preserve cursor position before updating content
-        const savedPosition = preserveCursorPosition();
-        
-        editorRef.current.innerHTML = roomData.notes;
-        // Ensure text color is visible
-        editorRef.current.style.color = '#ffffff'; // White text
-        // Force all child elements to inherit proper color
-        const allElements = editorRef.current.querySelectorAll('*');
-        allElements.forEach(el => {
-          el.style.color = '';
+
+      // Remember which block holds the caret and where inside it
+      const selection = window.getSelection();
+      let caretBlock = selection && selection.rangeCount > 0 ? selection.getRangeAt(0).startContainer : null;
+      while (caretBlock && caretBlock.parentNode !== editor) {
+        caretBlock = caretBlock.parentNode;
+      }
+      const caretBlockId = caretBlock?.getAttribute?.('data-block-id');
+      const caretOffsets = caretBlock ? getSelectionOffsets(caretBlock) : null;
+
+      if (event.type === 'reset') {
+        editor.replaceChildren(...event.blocks.map(createBlockElement));
+        setHasUnsavedChanges(false);
+      } else {
+        event.operations.forEach(operation => {
+          const existing = findBlockElement(editor, operation.blockId);
+
+          if (operation.type === 'delete') {
+            if (existing) existing.remove();
+            return;
+          }
+
+          const element = createBlockElement(operation);
+          if (existing) {
+            existing.replaceWith(element);
+            return;
+          }
+
+          const anchor = operation.afterId ? findBlockElement(editor, operation.afterId) : null;
+          if (anchor) {
+            anchor.after(element);
+          } else if (!operation.afterId) {
+            editor.prepend(element);
+          } else {
+            editor.insertBefore(element, editor.children[operation.index] || null);
+          }
         });
-        
-        // Restore cursor position after content update
-        if (savedPosition) {
-          setTimeout(() => restoreCursorPosition(savedPosition), 0);
+      }
+
+      // Put the caret back if its block was re-rendered
+      if (caretBlockId && !editor.contains(caretBlock)) {
+        const replacement = findBlockElement(editor, caretBlockId);
+        if (replacement) {
+          setSelectionOffsets(replacement, caretOffsets);
         }
       }
+
+      lastBlocksRef.current = readEditorBlocks(editor);
+      const newContent = blocksToHtml(lastBlocksRef.current);
+      setContent(newContent);
       
       // Analyze changes for Blind Mode
-      if (blindModeEnabled && previousContent !== roomData.notes) {
+      if (event.type === 'remote' && blindModeEnabled && previousContent !== newContent) {
         // Extract author from socket metadata if available
-        const author = notesMetadata?.author || 'Another user';
-        const actionType = notesMetadata?.actionType || 'edit';
-        const changeAnalysis = analyzeNoteChange(previousContent, roomData.notes, author, actionType);
+        const author = event.metadata?.author || 'Another user';
+        const actionType = event.metadata?.actionType || 'edit';
+        const changeAnalysis = analyzeNoteChange(previousContent, newContent, author, actionType);
         announceNoteChange(changeAnalysis);
       }
       
       // Update previous content reference
-      previousContentRef.current = roomData.notes;
-    }
-  }, [roomData?.notes, content, blindModeEnabled, analyzeNoteChange, announceNoteChange, notesMetadata, preserveCursorPosition, restoreCursorPosition, isUserTyping]);
+      previousContentRef.current = newContent;
+    });
+  }, [subscribeToNotes, flushLocalChanges, blindModeEnabled, analyzeNoteChange, announceNoteChange, screenReader, announce]);
 
   /**
    * Cleanup timeouts on unmount
@@ -365,9 +385,6 @@ const NotesEditor = ({
       if (changeTimeoutRef.current) {
         clearTimeout(changeTimeoutRef.current);
       }
-      if (saveTimeoutRef.current) {
-        clearTimeout(saveTimeoutRef.current);
-      }
       if (announcementTimeoutRef.current) {
         clearTimeout(announcementTimeoutRef.current);
       }
@@ -375,38 +392,7 @@ const NotesEditor = ({
   }, []);
 
   /**
-   * Process batched changes to reduce network traffic
-   */
-  const processBatchedChanges = useCallback(() => {
-    if (isProcessingChanges || changeQueue.length === 0) return;
-
-    setIsProcessingChanges(true);
-
-    // Get all pending changes
-    const changes = [...changeQueue];
-    setChangeQueue([]);
-
-    // Send batched changes
-    if (connected && sendEvent) {
-      sendEvent('note-change', {
-        roomId,
-        changes,
-        metadata: {
-          userId: user?.userId,
-          username: user?.username,
-          timestamp: Date.now()
-        }
-      });
-    }
-
-    // Reset processing state
-    setTimeout(() => {
-      setIsProcessingChanges(false);
-    }, 100);
-  }, [isProcessingChanges, changeQueue, connected, sendEvent, roomId, user]);
-
-  /**
-   * Handle content changes with debouncing and batching
+   * Handle content changes with debouncing
    */
   const handleContentChange = useCallback((newContent) => {
     const previousContent = previousContentRef.current;
@@ -431,24 +417,9 @@ const NotesEditor = ({
 
     // Debounce changes
     changeTimeoutRef.current = setTimeout(() => {
-      const change = {
-        id: `change-${Date.now()}-${Math.random()}`,
-        type: 'content-change',
-        content: newContent,
-        timestamp: Date.now(),
-        userId: user?.userId,
-        username: user?.username
-      };
-
-      // Add to change queue
-      setChangeQueue(prev => [...prev, change]);
-
-      // Process changes in batches
-      if (!isProcessingChanges) {
-        processBatchedChanges();
-      }
+      flushLocalChanges('edit');
     }, CHANGE_DEBOUNCE_MS);
-  }, [user, isProcessingChanges, processBatchedChanges, blindModeEnabled, analyzeNoteChange, announceNoteChange]);
+  }, [flushLocalChanges, blindModeEnabled, analyzeNoteChange, announceNoteChange]);
 
   /**
    * Handle cursor position changes
@@ -631,13 +602,14 @@ const NotesEditor = ({
       }));
     }
 
-    // Trigger content change
+    // Trigger content change and send it right away
     handleContentChange(editor.innerHTML);
+    flushLocalChanges('format');
 
     if (screenReader) {
       announce(`Applied ${format} formatting`, 'polite');
     }
-  }, [handleContentChange, screenReader, announce]);
+  }, [handleContentChange, flushLocalChanges, screenReader, announce]);
 
   /**
    * Handle undo
@@ -693,33 +665,29 @@ const NotesEditor = ({
 
   /**
    * Handle save
+   * Changes are synced continuously; saving sends anything still debounced
+   * and completes once the server acknowledges it
    */
   const handleSave = useCallback(() => {
     if (isSaving || !hasUnsavedChanges) return;
 
     setIsSaving(true);
+    saveRequestedRef.current = true;
+    flushLocalChanges('edit');
 
-    // Clear existing save timeout
-    if (saveTimeoutRef.current) {
-      clearTimeout(saveTimeoutRef.current);
-    }
-
-    // Debounce save
-    saveTimeoutRef.current = setTimeout(() => {
-      if (onRoomUpdate) {
-        onRoomUpdate({ notes: content });
-      }
-
+    // Nothing was left to send and nothing is awaiting acknowledgement
+    if (!getNotesDocument().hasPendingChanges) {
       setHasUnsavedChanges(false);
       setLastSaved(Date.now());
       setIsSaving(false);
+      saveRequestedRef.current = false;
 
       // Announce save completion
       if (screenReader) {
         announce('Notes saved successfully', 'polite');
       }
-    }, 1000);
-  }, [isSaving, hasUnsavedChanges, content, onRoomUpdate, screenReader, announce]);
+    }
+  }, [isSaving, hasUnsavedChanges, flushLocalChanges, getNotesDocument, screenReader, announce]);
 
   /**
    * Handle keyboard navigation
@@ -842,12 +810,8 @@ const NotesEditor = ({
    * Handle input events
    */
   const handleInput = useCallback((event) => {
-    setIsUserTyping(true);
     const newContent = event.target.innerHTML;
     handleContentChange(newContent);
-    
-    // Reset typing flag after a short delay
-    setTimeout(() => setIsUserTyping(false), 100);
   }, [handleContentChange]);
 
   /**
@@ -1201,7 +1165,11 @@ const NotesEditor = ({
     <div className="h-full flex flex-col bg-white dark:bg-gray-900 min-h-0">
       {/* Formatting Toolbar */}
       <div className="flex-shrink-0">
-        {renderFormattingToolbar()}
+        {readOnly ? (
+          <ReadOnlyNotice message="Notes editing is disabled in this room. Notes are read-only." />
+        ) : (
+          renderFormattingToolbar()
+        )}
       </div>
 
       {/* Editor Container */}
@@ -1214,7 +1182,7 @@ const NotesEditor = ({
             color: '#ffffff',
             backgroundColor: 'transparent'
           }}
-          contentEditable
+          contentEditable={!readOnly}
           suppressContentEditableWarning
           onInput={handleInput}
           onKeyDown={handleKeyDown}
@@ -1226,9 +1194,9 @@ const NotesEditor = ({
           aria-label="Notes editor"
           aria-describedby="editor-help"
           aria-multiline="true"
+          aria-readonly={readOnly}
           aria-required="false"
           tabIndex={0}
-          dangerouslySetInnerHTML={{ __html: content }}
         />
 
         {/* User Cursors */}
@@ -7,6 +7,10 @@
  * - User information and activity indicators
  * - Screen reader support and focus management
  * - User actions and interactions
+ * - Room roles with role management for owners and moderators
+ * - Moderation (kick, ban, mute) for owners and moderators
+ * - Waiting room (admit or deny knocks) for owners and moderators
+ * - Direct messages opened from a participant's actions
  */
 
 import React, { useState, useRef, useCallback } from 'react';
@@ -14,6 +18,48 @@ import { useAccessibility } from '../../contexts/AccessibilityContext';
 import { useUser } from '../../contexts/UserContext';
 import { useSocket } from '../../contexts/SocketContext';
 
+// Role badge styles
+const ROLE_STYLES = {
+  owner: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200',
+  moderator: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  editor: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  viewer: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200',
+};
+
+// Role ranks, mirroring backend/utils/roomRoles.js
+const ROLE_RANK = {
+  owner: 3,
+  moderator: 2,
+  editor: 1,
+  viewer: 0,
+};
+
+// Mute presets offered to moderators
+const MUTE_OPTIONS = [
+  { value: 'chat:10', label: 'Mute chat 10 min' },
+  { value: 'editing:10', label: 'Mute editing 10 min' },
+  { value: 'all:10', label: 'Mute all 10 min' },
+  { value: 'all:60', label: 'Mute all 1 hour' },
+];
+
+/**
+ * Check whether the current user may moderate a participant
+ */
+const canModerate = (myRole, targetRole) => {
+  return (myRole === 'owner' || myRole === 'moderator') && ROLE_RANK[targetRole] < ROLE_RANK[myRole];
+};
+
+/**
+ * Roles the current user may give a participant, mirroring the server rules
+ * in backend/utils/roomRoles.js
+ */
+const getAssignableRoles = (myRole, targetRole) => {
+  if (targetRole === 'owner') return [];
+  if (myRole === 'owner') return ['moderator', 'editor', 'viewer'];
+  if (myRole === 'moderator' && targetRole !== 'moderator') return ['editor', 'viewer'];
+  return [];
+};
+
 /**
  * Participants List Component
  * 
@@ -23,7 +69,17 @@ import { useSocket } from '../../contexts/SocketContext';
 const ParticipantsList = ({ participants }) => {
   const { announce, screenReader, keyboardNavigation } = useAccessibility();
   const { user } = useUser();
-  const { connected } = useSocket();
+  const {
+    connected,
+    roomData,
+    myRole,
+    changeRole,
+    moderateParticipant,
+    getActiveMute,
+    joinRequests,
+    respondToJoinRequest,
+    openDirectChat,
+  } = useSocket();
 
   // Local state
   const [selectedUser, setSelectedUser] = useState(null);
@@ -209,7 +265,7 @@ const ParticipantsList = ({ participants }) => {
   /**
    * Handle user interaction
    */
-  const handleUserAction = (participant, action) => {
+  const handleUserAction = (participant, action, options = {}) => {
     if (screenReader) {
       announce(`${action} for ${participant.username}`, 'polite');
     }
@@ -220,13 +276,27 @@ const ParticipantsList = ({ participants }) => {
         // View user profile
         break;
       case 'send-message':
-        // Send private message
+        openDirectChat(participant.userId, participant.username);
         break;
       case 'mute':
-        // Mute user
+        moderateParticipant(participant.userId, 'mute', options);
+        break;
+      case 'unmute':
+        moderateParticipant(participant.userId, 'unmute');
         break;
       case 'kick':
-        // Kick user (if moderator)
+        moderateParticipant(participant.userId, 'kick');
+        break;
+      case 'ban':
+        if (window.confirm(`Ban ${participant.username} from this room? They will not be able to rejoin until unbanned.`)) {
+          moderateParticipant(participant.userId, 'ban');
+        }
+        break;
+      case 'unban':
+        moderateParticipant(participant.userId, 'unban');
+        break;
+      case 'make-owner':
+        changeRole(participant.userId, 'owner');
         break;
       default:
         // Unknown action
@@ -293,8 +363,12 @@ const ParticipantsList = ({ participants }) => {
         ) : (
           getSortedParticipants().map((participant) => {
             const activity = getUserActivityStatus(participant);
-            const isCurrentUser = participant.userId === user?.userId;
+            const isCurrentUser = participant.userId === (roomData?.userId || user?.userId);
             const isSelected = selectedUser?.userId === participant.userId;
+            const role = participant.role || 'editor';
+            const assignableRoles = isCurrentUser ? [] : getAssignableRoles(myRole, role);
+            const canModerateParticipant = !isCurrentUser && canModerate(myRole, role);
+            const mute = getActiveMute(participant.userId, 'chat') || getActiveMute(participant.userId, 'editing');
 
             return (
               <button
@@ -317,7 +391,7 @@ const ParticipantsList = ({ participants }) => {
                     handleUserSelect(participant);
                   }
                 }}
-                aria-label={`${participant.username}, ${activity.text}${isCurrentUser ? ', you' : ''}`}
+                aria-label={`${participant.username}, ${role}, ${activity.text}${isCurrentUser ? ', you' : ''}`}
                 aria-pressed={isSelected}
               >
                 {/* User Info */}
@@ -348,6 +422,18 @@ const ParticipantsList = ({ participants }) => {
                           </span>
                         )}
                       </h4>
+                      <span className={`text-xs px-1.5 py-0.5 rounded capitalize ${ROLE_STYLES[role] || ROLE_STYLES.editor}`}>
+                        {role}
+                      </span>
+                      {mute && (
+                        <span
+                          className="text-xs"
+                          title={`Muted (${mute.scope}) until ${new Date(mute.mutedUntil).toLocaleTimeString()}`}
+                          aria-label={`Muted until ${new Date(mute.mutedUntil).toLocaleTimeString()}`}
+                        >
+                          🔇
+                        </span>
+                      )}
                     </div>
                     
                     <div className="flex items-center space-x-2 text-xs text-gray-500 dark:text-gray-400">
@@ -384,6 +470,104 @@ const ParticipantsList = ({ participants }) => {
                         Message
                       </button>
                     )}
+
+                    {assignableRoles.length > 0 && (
+                      <>
+                        <label htmlFor={`role-${participant.userId}`} className="sr-only">
+                          Role for {participant.username}
+                        </label>
+                        <select
+                          id={`role-${participant.userId}`}
+                          value={role}
+                          onClick={(e) => e.stopPropagation()}
+                          onKeyDown={(e) => e.stopPropagation()}
+                          onChange={(e) => {
+                            handleUserAction(participant, `change role to ${e.target.value}`);
+                            changeRole(participant.userId, e.target.value);
+                          }}
+                          className="input text-xs py-1 px-2"
+                        >
+                          {!assignableRoles.includes(role) && (
+                            <option value={role} disabled>{role}</option>
+                          )}
+                          {assignableRoles.map(option => (
+                            <option key={option} value={option}>{option}</option>
+                          ))}
+                        </select>
+                      </>
+                    )}
+
+                    {myRole === 'owner' && !isCurrentUser && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleUserAction(participant, 'make-owner');
+                        }}
+                        className="btn btn-outline text-xs py-1 px-2"
+                        aria-label={`Transfer room ownership to ${participant.username}`}
+                      >
+                        Make owner
+                      </button>
+                    )}
+
+                    {canModerateParticipant && (
+                      <>
+                        {mute ? (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleUserAction(participant, 'unmute');
+                            }}
+                            className="btn btn-outline text-xs py-1 px-2"
+                            aria-label={`Unmute ${participant.username}`}
+                          >
+                            Unmute
+                          </button>
+                        ) : (
+                          <>
+                            <label htmlFor={`mute-${participant.userId}`} className="sr-only">
+                              Mute {participant.username}
+                            </label>
+                            <select
+                              id={`mute-${participant.userId}`}
+                              value=""
+                              onClick={(e) => e.stopPropagation()}
+                              onKeyDown={(e) => e.stopPropagation()}
+                              onChange={(e) => {
+                                const [scope, minutes] = e.target.value.split(':');
+                                handleUserAction(participant, 'mute', { scope, durationMinutes: Number(minutes) });
+                              }}
+                              className="input text-xs py-1 px-2"
+                            >
+                              <option value="" disabled>Mute…</option>
+                              {MUTE_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                              ))}
+                            </select>
+                          </>
+                        )}
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleUserAction(participant, 'kick');
+                          }}
+                          className="btn btn-outline text-xs py-1 px-2"
+                          aria-label={`Remove ${participant.username} from the room`}
+                        >
+                          Kick
+                        </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleUserAction(participant, 'ban');
+                          }}
+                          className="btn btn-outline text-xs py-1 px-2 text-red-600 dark:text-red-400"
+                          aria-label={`Ban ${participant.username} from the room`}
+                        >
+                          Ban
+                        </button>
+                      </>
+                    )}
                   </div>
                 )}
               </button>
@@ -392,6 +576,61 @@ const ParticipantsList = ({ participants }) => {
         )}
       </div>
 
+      {/* Waiting room (moderators only) */}
+      {(myRole === 'owner' || myRole === 'moderator') && joinRequests.length > 0 && (
+        <div className="p-3 border-t border-gray-200 dark:border-gray-700" aria-label="Waiting to join">
+          <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+            Waiting to join ({joinRequests.length})
+          </h4>
+          <ul className="space-y-1">
+            {joinRequests.map(request => (
+              <li key={request.userId} className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+                <span className="truncate">{request.username}</span>
+                <span className="flex space-x-1">
+                  <button
+                    onClick={() => respondToJoinRequest(request.userId, true)}
+                    className="btn btn-primary text-xs py-1 px-2"
+                    aria-label={`Let ${request.username} into the room`}
+                  >
+                    Admit
+                  </button>
+                  <button
+                    onClick={() => respondToJoinRequest(request.userId, false)}
+                    className="btn btn-outline text-xs py-1 px-2"
+                    aria-label={`Turn ${request.username} away`}
+                  >
+                    Deny
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Ban list (moderators only) */}
+      {(myRole === 'owner' || myRole === 'moderator') && roomData?.bannedUsers?.length > 0 && (
+        <div className="p-3 border-t border-gray-200 dark:border-gray-700" aria-label="Banned users">
+          <h4 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+            Banned ({roomData.bannedUsers.length})
+          </h4>
+          <ul className="space-y-1">
+            {roomData.bannedUsers.map(ban => (
+              <li key={ban.userId} className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+                <span className="truncate" title={ban.reason || undefined}>{ban.username}</span>
+                <button
+                  onClick={() => handleUserAction(ban, 'unban')}
+                  className="btn btn-outline text-xs py-1 px-2"
+                  aria-label={`Lift the ban on ${ban.username}`}
+                >
+                  Unban
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Participants Footer */}
       <div className="flex items-center justify-between p-2 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 text-xs text-gray-600 dark:text-gray-400">
         <div className="flex items-center space-x-4">
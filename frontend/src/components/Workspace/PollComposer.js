@@ -0,0 +1,213 @@
+/**
+ * Poll Composer Component
+ *
+ * Form above the chat input for asking the room a poll:
+ * - Question and 2 to 10 options
+ * - Single or multiple choice, anonymous or named votes
+ * - Optional close time
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+
+// Limits mirroring the server
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+
+// When a poll can close, in minutes (null keeps it open)
+const CLOSE_OPTIONS = [
+  { minutes: null, label: 'Never' },
+  { minutes: 5, label: 'After 5 minutes' },
+  { minutes: 15, label: 'After 15 minutes' },
+  { minutes: 60, label: 'After 1 hour' },
+  { minutes: 24 * 60, label: 'After 1 day' },
+];
+
+/**
+ * Poll Composer Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onSubmit - Called with { question, options, multipleChoice, anonymous, closesInMinutes }
+ * @param {Function} props.onCancel - Called to close the form
+ */
+const PollComposer = ({ onSubmit, onCancel }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [multipleChoice, setMultipleChoice] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [closesInMinutes, setClosesInMinutes] = useState(null);
+  const [error, setError] = useState(null);
+
+  const questionRef = useRef(null);
+  const optionRefs = useRef([]);
+  const focusOptionRef = useRef(null);
+
+  /**
+   * Start with the question
+   */
+  useEffect(() => {
+    questionRef.current?.focus();
+  }, []);
+
+  /**
+   * Move focus to an option added or left behind by a removal
+   */
+  useEffect(() => {
+    if (focusOptionRef.current !== null) {
+      optionRefs.current[focusOptionRef.current]?.focus();
+      focusOptionRef.current = null;
+    }
+  }, [options.length]);
+
+  const updateOption = useCallback((index, value) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? value : option)));
+  }, []);
+
+  const addOption = useCallback(() => {
+    focusOptionRef.current = options.length;
+    setOptions(prev => [...prev, '']);
+  }, [options.length]);
+
+  const removeOption = useCallback((index) => {
+    focusOptionRef.current = Math.max(0, index - 1);
+    setOptions(prev => prev.filter((_, i) => i !== index));
+  }, []);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    const texts = options.map(option => option.trim()).filter(Boolean);
+
+    if (!question.trim()) {
+      setError('Enter a question');
+      return;
+    }
+    if (texts.length < MIN_OPTIONS) {
+      setError(`Enter at least ${MIN_OPTIONS} options`);
+      return;
+    }
+    if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+      setError('Options must be different from each other');
+      return;
+    }
+
+    onSubmit({ question: question.trim(), options: texts, multipleChoice, anonymous, closesInMinutes });
+  }, [question, options, multipleChoice, anonymous, closesInMinutes, onSubmit]);
+
+  // Escape from the text fields cancels the poll
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel();
+    }
+  }, [onCancel]);
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mb-2 p-3 space-y-2 bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg"
+      aria-label="New poll"
+    >
+      <div>
+        <label htmlFor="poll-question" className="block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Question
+        </label>
+        <input
+          id="poll-question"
+          ref={questionRef}
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={handleKeyDown}
+          maxLength={MAX_QUESTION_LENGTH}
+          className="input text-sm py-1 px-2 w-full"
+        />
+      </div>
+
+      <fieldset>
+        <legend className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">Options</legend>
+        <div className="space-y-1">
+          {options.map((option, index) => (
+            <div key={index} className="flex items-center space-x-2">
+              <input
+                ref={(element) => { optionRefs.current[index] = element; }}
+                type="text"
+                value={option}
+                onChange={(e) => updateOption(index, e.target.value)}
+                onKeyDown={handleKeyDown}
+                maxLength={MAX_OPTION_LENGTH}
+                className="input text-sm py-1 px-2 flex-1"
+                aria-label={`Option ${index + 1}`}
+              />
+              {options.length > MIN_OPTIONS && (
+                <button
+                  type="button"
+                  onClick={() => removeOption(index)}
+                  className="text-xs text-gray-500 hover:text-gray-700 dark:text-gray-400"
+                  aria-label={`Remove option ${index + 1}`}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        {options.length < MAX_OPTIONS && (
+          <button type="button" onClick={addOption} className="mt-1 text-xs text-primary-600 dark:text-primary-400 hover:underline">
+            + Add option
+          </button>
+        )}
+      </fieldset>
+
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-700 dark:text-gray-300">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={multipleChoice}
+            onChange={(e) => setMultipleChoice(e.target.checked)}
+            className="mr-1"
+          />
+          Multiple choice
+        </label>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={anonymous}
+            onChange={(e) => setAnonymous(e.target.checked)}
+            className="mr-1"
+          />
+          Anonymous votes
+        </label>
+        <label className="flex items-center">
+          <span className="mr-1">Close</span>
+          <select
+            value={closesInMinutes ?? ''}
+            onChange={(e) => setClosesInMinutes(e.target.value ? parseInt(e.target.value) : null)}
+            className="input text-xs py-0.5 px-1"
+          >
+            {CLOSE_OPTIONS.map(option => (
+              <option key={option.label} value={option.minutes ?? ''}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <p className="text-xs text-red-600 dark:text-red-400" role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onCancel} className="btn btn-outline btn-sm">
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary btn-sm">
+          Ask the room
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default PollComposer;
@@ -0,0 +1,37 @@
+/**
+ * Read-Only Notice Component
+ *
+ * Banner shown above a workspace panel when the room settings
+ * disable the feature, the participant is a viewer or they are muted,
+ * so they know why their input is ignored
+ */
+
+import React from 'react';
+import { useSocket } from '../../contexts/SocketContext';
+
+/**
+ * Read-Only Notice Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.message - Explanation shown when the room settings disable the feature
+ */
+const ReadOnlyNotice = ({ message }) => {
+  const { myRole, getMyMute } = useSocket();
+  const mute = getMyMute('editing');
+
+  return (
+    <div
+      className="px-3 py-2 text-sm bg-yellow-50 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 border-b border-yellow-200 dark:border-yellow-700"
+      role="status"
+    >
+      <span className="mr-1" aria-hidden="true">🔒</span>
+      {myRole === 'viewer'
+        ? 'You are a viewer in this room. Ask an owner or moderator for edit access.'
+        : mute
+          ? `A moderator muted you until ${new Date(mute.mutedUntil).toLocaleTimeString()}.`
+          : message}
+    </div>
+  );
+};
+
+export default ReadOnlyNotice;
@@ -0,0 +1,373 @@
+/**
+ * REPL Panel Component
+ *
+ * The room's shared terminal: a Node.js or Python REPL running on the server
+ * beside a copy of the room's files.
+ * - Everyone sees what is typed and printed; only the driver can type
+ * - The driver hands the keyboard to someone else or gives it up, others can ask
+ *   for it, and owners and moderators can take it
+ * - The transcript is saved on the server for people joining later and can be downloaded
+ * The status line is a live region; in Blind Mode new output is also read out
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useSocket } from '../../contexts/SocketContext';
+import { useUser } from '../../contexts/UserContext';
+import { useBlindMode } from '../../contexts/BlindModeContext';
+
+// Names of the REPLs by language
+const REPL_NAMES = { javascript: 'Node.js', python: 'Python' };
+
+// How a closed session is described
+const END_REASONS = {
+  stopped: 'was closed',
+  idle: 'ended after being left idle',
+  timeout: 'reached its time limit',
+  'output-limit': 'ended after printing too much output',
+  'transcript-limit': 'ended because its transcript is full',
+  exited: 'exited',
+  error: 'could not be started',
+};
+
+// Output read out at once in Blind Mode, and lines of input history kept
+const ANNOUNCED_OUTPUT_LENGTH = 300;
+const MAX_INPUT_HISTORY = 50;
+
+/**
+ * Turn a transcript into plain text for download
+ * @param {Object} session - { language, startedBy, startedAt, entries }
+ * @returns {string} Text with input lines marked by who typed them
+ */
+const transcriptToText = (session) => {
+  const header = `${REPL_NAMES[session.language] || session.language} REPL opened by ${session.startedBy?.username || 'someone'} on ${new Date(session.startedAt).toLocaleString()}\n\n`;
+  return header + session.entries.map(entry => {
+    if (entry.stream === 'input') return `${entry.username}> ${entry.text}\n`;
+    if (entry.stream === 'system') return `-- ${entry.text} --\n`;
+    return entry.text;
+  }).join('');
+};
+
+/**
+ * REPL Panel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.participants - Participants by user id, to hand the REPL to
+ */
+const ReplPanel = ({ participants }) => {
+  const {
+    connected,
+    replSession,
+    replDriverRequest,
+    codeRunLanguages,
+    startRepl,
+    sendReplInput,
+    setReplDriver,
+    requestReplDriver,
+    dismissReplDriverRequest,
+    stopRepl,
+    isFeatureEnabled,
+    myRole,
+  } = useSocket();
+  const { user } = useUser();
+  const { enabled: blindModeEnabled, announceToScreenReader } = useBlindMode();
+
+  const [language, setLanguage] = useState(codeRunLanguages[0] || 'javascript');
+  const [input, setInput] = useState('');
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(null);
+  const [handOverTo, setHandOverTo] = useState('');
+  const transcriptRef = useRef(null);
+  const inputRef = useRef(null);
+  const announcedRef = useRef({ sessionId: replSession?.sessionId, count: replSession?.entries.length || 0 });
+
+  const readOnly = !isFeatureEnabled('allowCodeEditing');
+  const canManage = myRole === 'owner' || myRole === 'moderator';
+  const isRunning = replSession?.status === 'running';
+  const driver = isRunning ? replSession.driver : null;
+  const isDriver = Boolean(driver) && driver.userId === user?.userId;
+  const canStop = isRunning && !readOnly && (isDriver || canManage || !driver);
+  const entries = replSession?.entries;
+
+  // People the driver can hand the keyboard to: others in the room who may edit code
+  const handOverCandidates = useMemo(() => {
+    const byUser = new Map();
+    Object.values(participants || {}).forEach(participant => {
+      if (participant.userId !== user?.userId && participant.role !== 'viewer') {
+        byUser.set(participant.userId, participant);
+      }
+    });
+    return Array.from(byUser.values()).sort((a, b) => a.username.localeCompare(b.username));
+  }, [participants, user?.userId]);
+
+  // Keep the language choice valid once the server's languages are known
+  useEffect(() => {
+    if (codeRunLanguages.length > 0 && !codeRunLanguages.includes(language)) {
+      setLanguage(codeRunLanguages[0]);
+    }
+  }, [codeRunLanguages, language]);
+
+  // Keep the newest output in view
+  useEffect(() => {
+    if (transcriptRef.current) {
+      transcriptRef.current.scrollTop = transcriptRef.current.scrollHeight;
+    }
+  }, [entries]);
+
+  // Move the keyboard to the input when this user starts driving
+  useEffect(() => {
+    if (isDriver) {
+      inputRef.current?.focus();
+    }
+  }, [isDriver]);
+
+  // Read out new output in Blind Mode; what was there before opening the tab is not
+  useEffect(() => {
+    if (!replSession) return;
+    const announced = announcedRef.current;
+    const from = announced.sessionId === replSession.sessionId ? announced.count : 0;
+    announcedRef.current = { sessionId: replSession.sessionId, count: replSession.entries.length };
+    if (!blindModeEnabled) return;
+
+    const text = replSession.entries.slice(from)
+      .filter(entry => entry.stream !== 'input')
+      .map(entry => (entry.stream === 'system' ? `${entry.text}. ` : entry.text))
+      .join('')
+      .trim();
+    if (text) {
+      announceToScreenReader(text.length > ANNOUNCED_OUTPUT_LENGTH ? `${text.slice(0, ANNOUNCED_OUTPUT_LENGTH)}…` : text);
+    }
+  }, [replSession, blindModeEnabled, announceToScreenReader]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!isDriver) return;
+    sendReplInput(input);
+    if (input.trim()) {
+      setHistory(prev => [...prev.filter(line => line !== input), input].slice(-MAX_INPUT_HISTORY));
+    }
+    setHistoryIndex(null);
+    setInput('');
+  };
+
+  // Up and Down walk through the lines sent before, like a shell
+  const handleInputKeyDown = (event) => {
+    if (history.length === 0 || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+    event.preventDefault();
+    if (event.key === 'ArrowUp') {
+      const index = historyIndex === null ? history.length - 1 : Math.max(historyIndex - 1, 0);
+      setHistoryIndex(index);
+      setInput(history[index]);
+    } else if (historyIndex !== null) {
+      const index = historyIndex + 1;
+      setHistoryIndex(index < history.length ? index : null);
+      setInput(index < history.length ? history[index] : '');
+    }
+  };
+
+  const handleHandOver = (event) => {
+    event.preventDefault();
+    if (handOverTo) {
+      setReplDriver(handOverTo);
+      setHandOverTo('');
+    }
+  };
+
+  const downloadTranscript = () => {
+    const blob = new Blob([transcriptToText(replSession)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `repl-${new Date(replSession.startedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-')}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  let status;
+  if (isRunning) {
+    const name = REPL_NAMES[replSession.language];
+    status = driver
+      ? `${name} REPL open, ${isDriver ? 'you are' : `${driver.username} is`} driving`
+      : `${name} REPL open, nobody is driving`;
+  } else if (replSession) {
+    status = `The last ${REPL_NAMES[replSession.language]} REPL ${END_REASONS[replSession.endReason] || 'ended'}`;
+  } else {
+    status = 'No REPL has been opened in this room yet';
+  }
+
+  return (
+    <section className="h-full flex flex-col bg-white dark:bg-gray-900" aria-labelledby="repl-title">
+      <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex items-center space-x-3 min-w-0">
+          <h2 id="repl-title" className="text-sm font-semibold text-gray-800 dark:text-gray-200">
+            Terminal
+          </h2>
+          <p role="status" className="text-xs text-gray-600 dark:text-gray-400 truncate">
+            {status}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {!isRunning && codeRunLanguages.length > 0 && !readOnly && (
+            <>
+              <label htmlFor="repl-language" className="sr-only">REPL language</label>
+              <select
+                id="repl-language"
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                className="input text-sm py-1 px-2"
+              >
+                {codeRunLanguages.map(option => (
+                  <option key={option} value={option}>{REPL_NAMES[option] || option}</option>
+                ))}
+              </select>
+              <button onClick={() => startRepl(language)} disabled={!connected} className="btn btn-primary btn-sm">
+                Open REPL
+              </button>
+            </>
+          )}
+
+          {isRunning && !readOnly && !isDriver && !driver && (
+            <button onClick={() => setReplDriver(user?.userId)} disabled={!connected} className="btn btn-primary btn-sm">
+              Take the keyboard
+            </button>
+          )}
+          {isRunning && !readOnly && !isDriver && driver && (
+            canManage ? (
+              <button onClick={() => setReplDriver(user?.userId)} disabled={!connected} className="btn btn-outline btn-sm">
+                Take over
+              </button>
+            ) : (
+              <button onClick={requestReplDriver} disabled={!connected} className="btn btn-outline btn-sm">
+                Ask to drive
+              </button>
+            )
+          )}
+
+          {isDriver && (
+            <form onSubmit={handleHandOver} className="flex items-center gap-2">
+              <label htmlFor="repl-hand-over" className="sr-only">Hand the keyboard to</label>
+              <select
+                id="repl-hand-over"
+                value={handOverTo}
+                onChange={(e) => setHandOverTo(e.target.value)}
+                className="input text-sm py-1 px-2"
+              >
+                <option value="">Hand over to…</option>
+                {handOverCandidates.map(participant => (
+                  <option key={participant.userId} value={participant.userId}>{participant.username}</option>
+                ))}
+              </select>
+              <button type="submit" disabled={!handOverTo || !connected} className="btn btn-outline btn-sm">
+                Hand over
+              </button>
+              <button type="button" onClick={() => setReplDriver(null)} disabled={!connected} className="btn btn-outline btn-sm">
+                Give up
+              </button>
+            </form>
+          )}
+
+          {canStop && (
+            <button onClick={stopRepl} disabled={!connected} className="btn btn-outline btn-sm">
+              Close REPL
+            </button>
+          )}
+          {replSession?.entries.length > 0 && (
+            <button onClick={downloadTranscript} className="btn btn-outline btn-sm">
+              Save transcript
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isDriver && replDriverRequest && (
+        <div
+          className="flex items-center justify-between gap-2 px-4 py-2 text-sm bg-blue-50 dark:bg-blue-900 text-blue-800 dark:text-blue-200"
+          role="alert"
+        >
+          <span>{replDriverRequest.username} is asking to drive</span>
+          <span className="flex gap-2">
+            <button onClick={() => setReplDriver(replDriverRequest.userId)} className="btn btn-primary btn-sm">
+              Hand over
+            </button>
+            <button onClick={dismissReplDriverRequest} className="btn btn-outline btn-sm">
+              Dismiss
+            </button>
+          </span>
+        </div>
+      )}
+
+      {codeRunLanguages.length === 0 && !replSession && (
+        <p className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400">
+          Running code is not available on this server.
+        </p>
+      )}
+
+      {/* Not a live region: output is read out in Blind Mode instead, a batch at a time */}
+      <pre
+        ref={transcriptRef}
+        className="flex-1 overflow-auto px-4 py-3 text-sm font-mono whitespace-pre-wrap break-words bg-gray-50 dark:bg-gray-800 text-gray-900 dark:text-gray-100"
+        aria-label="REPL transcript"
+      >
+        {entries?.length > 0 ? (
+          entries.map((entry, index) => {
+            if (entry.stream === 'input') {
+              return (
+                <span key={index}>
+                  <span className="text-blue-600 dark:text-blue-400">{entry.username}&gt; </span>
+                  {entry.text}
+                  {'\n'}
+                </span>
+              );
+            }
+            if (entry.stream === 'system') {
+              return (
+                <span key={index} className="italic text-gray-500 dark:text-gray-400">
+                  {`-- ${entry.text} --\n`}
+                </span>
+              );
+            }
+            return (
+              <span key={index} className={entry.stream === 'stderr' ? 'text-red-600 dark:text-red-400' : undefined}>
+                {entry.text}
+              </span>
+            );
+          })
+        ) : (
+          <span className="text-gray-500 dark:text-gray-400">
+            Open a REPL to try code out together. The room's files are next to it, so they can be imported.
+          </span>
+        )}
+      </pre>
+
+      {isRunning && (
+        <form onSubmit={handleSubmit} className="flex items-center gap-2 px-4 py-2 border-t border-gray-200 dark:border-gray-700">
+          <label htmlFor="repl-input" className="text-sm font-mono text-gray-600 dark:text-gray-400">
+            {isDriver ? 'Input' : 'Only the driver can type'}
+          </label>
+          <input
+            id="repl-input"
+            ref={inputRef}
+            type="text"
+            value={input}
+            onChange={(e) => { setInput(e.target.value); setHistoryIndex(null); }}
+            onKeyDown={handleInputKeyDown}
+            disabled={!isDriver || !connected}
+            className="input flex-1 text-sm font-mono py-1 px-2"
+            maxLength={4000}
+            autoComplete="off"
+            spellCheck={false}
+            aria-describedby="repl-input-help"
+          />
+          <button type="submit" disabled={!isDriver || !connected} className="btn btn-primary btn-sm">
+            Send
+          </button>
+          <span id="repl-input-help" className="sr-only">
+            Press Enter to send a line. Up and Down bring back earlier lines.
+          </span>
+        </form>
+      )}
+    </section>
+  );
+};
+
+export default ReplPanel;
@@ -0,0 +1,109 @@
+/**
+ * Room Access Gate Component
+ *
+ * Shown instead of the workspace while a protected room holds the join:
+ * - password prompt for password-protected rooms
+ * - invalid or expired invite links
+ * - waiting room while the owner answers a knock
+ * - declined knocks
+ */
+
+import React, { useState } from 'react';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+/**
+ * Room Access Gate Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.gate - { status: 'password'|'invite'|'knocking'|'denied', message }
+ * @param {Function} props.onSubmitPassword - Called with the entered password
+ * @param {Function} props.onRetryWithoutInvite - Joins again without the invite token
+ * @param {Function} props.onCancel - Gives up and returns to the dashboard
+ */
+const RoomAccessGate = ({ gate, onSubmitPassword, onRetryWithoutInvite, onCancel }) => {
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (password) {
+      onSubmitPassword(password);
+      setPassword('');
+    }
+  };
+
+  if (gate.status === 'knocking') {
+    return (
+      <div className="text-center max-w-sm" role="status">
+        <LoadingSpinner size="large" />
+        <h1 className="mt-4 text-2xl font-bold text-gray-900 dark:text-white mb-2">
+          Waiting to be let in
+        </h1>
+        <p className="text-gray-600 dark:text-gray-400 mb-4">
+          {gate.message || 'The room owner has been asked to let you in.'}
+        </p>
+        <button onClick={onCancel} className="btn btn-outline">
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  if (gate.status === 'password') {
+    return (
+      <form onSubmit={handleSubmit} className="text-center max-w-sm w-full">
+        <div className="text-6xl mb-4" aria-hidden="true">🔒</div>
+        <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+          Password Required
+        </h1>
+        <p id="room-password-help" className="text-gray-600 dark:text-gray-400 mb-4" role="alert">
+          {gate.message}
+        </p>
+        <label htmlFor="room-password" className="sr-only">
+          Room password
+        </label>
+        <input
+          id="room-password"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="input w-full mb-4"
+          placeholder="Room password"
+          aria-describedby="room-password-help"
+          autoComplete="off"
+        />
+        <div className="flex justify-center space-x-3">
+          <button type="button" onClick={onCancel} className="btn btn-outline">
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-primary" disabled={!password}>
+            Join Room
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="text-center max-w-sm">
+      <div className="text-gray-500 text-6xl mb-4" aria-hidden="true">🚫</div>
+      <h1 className="text-2xl font-bold text-gray-900 dark:text-white mb-2">
+        {gate.status === 'invite' ? 'Invite Not Valid' : 'Request Declined'}
+      </h1>
+      <p className="text-gray-600 dark:text-gray-400 mb-4" role="alert">
+        {gate.message}
+      </p>
+      <div className="flex justify-center space-x-3">
+        <button onClick={onCancel} className="btn btn-outline">
+          Return to Dashboard
+        </button>
+        {gate.status === 'invite' && (
+          <button onClick={onRetryWithoutInvite} className="btn btn-primary">
+            Join Without Invite
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoomAccessGate;
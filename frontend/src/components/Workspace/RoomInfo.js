@@ -4,12 +4,24 @@
  * Displays room information and sharing options including:
  * - Room ID with copy functionality
  * - Share link generation
+ * - Single-use or expiring invite links (owners and moderators)
  * - Room settings access
+ * - Exporting the room's poll results as CSV or JSON
  * - Accessibility features
  */
 
 import React, { useState, useCallback } from 'react';
 import { useAccessibility } from '../../contexts/AccessibilityContext';
+import { useSocket } from '../../contexts/SocketContext';
+import { roomAPI } from '../../services/api';
+import { pollsToCsv } from '../../utils/pollExport';
+
+// Lifetimes offered for invite links, in hours
+const INVITE_EXPIRY_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 24 * 7, label: '7 days' },
+];
 
 /**
  * Room Info Component
@@ -19,11 +31,20 @@ import { useAccessibility } from '../../contexts/AccessibilityContext';
  */
 const RoomInfo = ({ roomId, roomData, isCreator = false }) => {
   const { announce, screenReader } = useAccessibility();
+  const { myRole } = useSocket();
+  const canInvite = myRole === 'owner' || myRole === 'moderator';
   
   // Local state
   const [showShareModal, setShowShareModal] = useState(false);
   const [copySuccess, setCopySuccess] = useState(false);
   const [shareLink, setShareLink] = useState('');
+  const [inviteSingleUse, setInviteSingleUse] = useState(true);
+  const [inviteExpiryHours, setInviteExpiryHours] = useState(24);
+  const [inviteLink, setInviteLink] = useState('');
+  const [inviteError, setInviteError] = useState(null);
+  const [isCreatingInvite, setIsCreatingInvite] = useState(false);
+  const [exportingPolls, setExportingPolls] = useState(null);
+  const [pollExportError, setPollExportError] = useState(null);
 
   // Generate share link
   const generateShareLink = useCallback(() => {
@@ -76,6 +97,70 @@ const RoomInfo = ({ roomId, roomData, isCreator = false }) => {
     }
   }, [shareLink, generateShareLink, screenReader, announce]);
 
+  // Create an invite link that skips the room password and approval
+  const createInviteLink = useCallback(async () => {
+    setIsCreatingInvite(true);
+    setInviteError(null);
+    try {
+      const invite = await roomAPI.createInvite(roomId, {
+        singleUse: inviteSingleUse,
+        expiresInHours: inviteExpiryHours,
+      });
+      const link = `${window.location.origin}/room/${roomId}?invite=${encodeURIComponent(invite.token)}`;
+      setInviteLink(link);
+      await navigator.clipboard.writeText(link).catch(() => {});
+
+      if (screenReader) {
+        announce('Invite link created and copied to clipboard', 'polite');
+      }
+    } catch (error) {
+      console.error('Failed to create invite:', error);
+      setInviteError(error.message || 'Failed to create invite');
+
+      if (screenReader) {
+        announce('Failed to create invite link', 'assertive');
+      }
+    } finally {
+      setIsCreatingInvite(false);
+    }
+  }, [roomId, inviteSingleUse, inviteExpiryHours, screenReader, announce]);
+
+  // Download the room's polls and their results
+  const exportPolls = useCallback(async (format) => {
+    setExportingPolls(format);
+    setPollExportError(null);
+    try {
+      const data = await roomAPI.getRoomPolls(roomId);
+      if (data.polls.length === 0) {
+        setPollExportError('This room has no polls yet');
+        return;
+      }
+
+      const dataBlob = format === 'csv'
+        ? new Blob([pollsToCsv(data.polls)], { type: 'text/csv' })
+        : new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(dataBlob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `room-${roomId}-polls-${new Date().toISOString().split('T')[0]}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      if (screenReader) {
+        announce(`Exported ${data.polls.length} poll${data.polls.length === 1 ? '' : 's'}`, 'polite');
+      }
+    } catch (error) {
+      console.error('Failed to export polls:', error);
+      setPollExportError(error.message || 'Failed to export polls');
+
+      if (screenReader) {
+        announce('Failed to export polls', 'assertive');
+      }
+    } finally {
+      setExportingPolls(null);
+    }
+  }, [roomId, screenReader, announce]);
+
   // Handle share modal toggle
   const toggleShareModal = useCallback(() => {
     setShowShareModal(!showShareModal);
@@ -178,6 +263,16 @@ const RoomInfo = ({ roomId, roomData, isCreator = false }) => {
                   💬 Chat
                 </span>
               )}
+              {roomData.hasPassword && (
+                <span className="inline-flex items-center px-2 py-1 rounded text-xs bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">
+                  🔒 Password
+                </span>
+              )}
+              {roomData.settings.requireApproval && (
+                <span className="inline-flex items-center px-2 py-1 rounded text-xs bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200">
+                  🚪 Approval Required
+                </span>
+              )}
             </div>
           </div>
         )}
@@ -203,6 +298,36 @@ const RoomInfo = ({ roomId, roomData, isCreator = false }) => {
         </div>
       </div>
 
+      {/* Poll Export */}
+      <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
+        <div className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Poll Results
+        </div>
+        <div className="flex gap-2" role="group" aria-label="Export poll results">
+          <button
+            onClick={() => exportPolls('csv')}
+            className="btn btn-outline btn-sm flex-1"
+            disabled={!!exportingPolls}
+            aria-label="Export poll results as CSV"
+          >
+            {exportingPolls === 'csv' ? 'Exporting...' : '📊 Export CSV'}
+          </button>
+          <button
+            onClick={() => exportPolls('json')}
+            className="btn btn-outline btn-sm flex-1"
+            disabled={!!exportingPolls}
+            aria-label="Export poll results as JSON"
+          >
+            {exportingPolls === 'json' ? 'Exporting...' : '📤 Export JSON'}
+          </button>
+        </div>
+        {pollExportError && (
+          <p className="text-sm text-red-600 dark:text-red-400 mt-2" role="alert">
+            {pollExportError}
+          </p>
+        )}
+      </div>
+
       {/* Share Modal */}
       {showShareModal && (
         <div className="fixed inset-0 z-50 overflow-y-auto">
@@ -257,6 +382,63 @@ const RoomInfo = ({ roomId, roomData, isCreator = false }) => {
                   </div>
                 </div>
 
+                {/* Invite Link (owners and moderators) */}
+                {canInvite && (
+                  <div>
+                    <div className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Invite Link
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                      Invite links skip the room password and the waiting room
+                    </p>
+                    <div className="flex flex-wrap items-center gap-3 mb-2">
+                      <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={inviteSingleUse}
+                          onChange={(e) => setInviteSingleUse(e.target.checked)}
+                          className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        Single use
+                      </label>
+                      <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                        <span className="mr-2">Expires after</span>
+                        <select
+                          value={inviteExpiryHours}
+                          onChange={(e) => setInviteExpiryHours(parseInt(e.target.value))}
+                          className="input text-sm py-1"
+                        >
+                          {INVITE_EXPIRY_OPTIONS.map(option => (
+                            <option key={option.hours} value={option.hours}>{option.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+                    {inviteLink ? (
+                      <input
+                        type="text"
+                        value={inviteLink}
+                        readOnly
+                        className="w-full input text-sm mb-2"
+                        aria-label="Invite link"
+                        onFocus={(e) => e.target.select()}
+                      />
+                    ) : null}
+                    {inviteError && (
+                      <p className="text-sm text-red-600 dark:text-red-400 mb-2" role="alert">
+                        {inviteError}
+                      </p>
+                    )}
+                    <button
+                      onClick={createInviteLink}
+                      className="btn btn-outline btn-sm"
+                      disabled={isCreatingInvite}
+                    >
+                      {isCreatingInvite ? 'Creating...' : inviteLink ? '🎟️ Create Another' : '🎟️ Create Invite Link'}
+                    </button>
+                  </div>
+                )}
+
                 {/* Room ID */}
                 <div>
                   <div className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
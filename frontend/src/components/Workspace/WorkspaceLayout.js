@@ -18,6 +18,7 @@ import CodeEditor from './CodeEditor';
 import NotesEditor from './NotesEditor';
 import CanvasDrawing from './CanvasDrawing';
 import ChatPanel from './ChatPanel';
+import ReplPanel from './ReplPanel';
 import ParticipantsList from './ParticipantsList';
 import ActivityFeed from './ActivityFeed';
 import WorkspaceTabs from './WorkspaceTabs';
@@ -38,7 +39,7 @@ const WorkspaceLayout = ({
   onActivitiesUpdate 
 }) => {
   const { announce, screenReader, keyboardNavigation } = useAccessibility();
-  const { connected } = useSocket();
+  const { connected, chatUnreadCount, directUnreadCount, replSession } = useSocket();
 
   // Layout state
   const [layout, setLayout] = useState({
@@ -165,6 +166,8 @@ const WorkspaceLayout = ({
    * Get tabs configuration
    */
   const getTabsConfig = () => {
+    // Room chat is read as it arrives while the Chat tab is open
+    const chatTabUnread = (layout.activeTab === 'chat' ? 0 : chatUnreadCount) + directUnreadCount;
     return [
       {
         id: 'code',
@@ -200,7 +203,18 @@ const WorkspaceLayout = ({
         closable: false,
         renamable: true,
         reorderable: true,
-        badge: roomData?.chat?.length || 0
+        // Unread room chat and direct messages, while you are on another tab
+        badge: chatTabUnread || null,
+        badgeLabel: chatTabUnread ? `${chatTabUnread} unread messages` : null
+      },
+      {
+        id: 'terminal',
+        name: 'Terminal',
+        type: 'terminal',
+        closable: false,
+        renamable: true,
+        reorderable: true,
+        badge: replSession?.status === 'running' ? 'Live' : null
       },
       {
         id: 'participants',
@@ -273,6 +287,8 @@ const WorkspaceLayout = ({
         return <CanvasDrawing roomId={roomId} roomData={roomData} onRoomUpdate={onRoomUpdate} />;
       case 'chat':
         return <ChatPanel roomId={roomId} roomData={roomData} participants={participants} onRoomUpdate={onRoomUpdate} />;
+      case 'terminal':
+        return <ReplPanel participants={participants} />;
       case 'participants':
         return <ParticipantsList participants={participants} />;
       case 'activity':
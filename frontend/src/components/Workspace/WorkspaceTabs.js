@@ -54,6 +54,8 @@ const WorkspaceTabs = ({
         return '🎨';
       case 'chat':
         return '💬';
+      case 'terminal':
+        return '⌨️';
       case 'participants':
         return '👥';
       case 'activity':
@@ -76,6 +78,8 @@ const WorkspaceTabs = ({
         return 'text-purple-600 dark:text-purple-400';
       case 'chat':
         return 'text-indigo-600 dark:text-indigo-400';
+      case 'terminal':
+        return 'text-gray-800 dark:text-gray-200';
       case 'participants':
         return 'text-green-600 dark:text-green-400';
       case 'activity':
@@ -349,7 +353,7 @@ const WorkspaceTabs = ({
               draggable={tab.reorderable}
               role="tab"
               tabIndex={0}
-              aria-label={`${tab.name} tab${isActive ? ', active' : ''}`}
+              aria-label={`${tab.name} tab${tab.badgeLabel ? `, ${tab.badgeLabel}` : ''}${isActive ? ', active' : ''}`}
               aria-selected={isActive}
               aria-controls={`tabpanel-${tab.id}`}
             >
@@ -381,7 +385,7 @@ const WorkspaceTabs = ({
 
               {/* Tab Badge */}
               {tab.badge && (
-                <span className="text-xs bg-primary-500 text-white rounded-full px-2 py-1 min-w-0">
+                <span className="text-xs bg-primary-500 text-white rounded-full px-2 py-1 min-w-0" aria-hidden={!!tab.badgeLabel}>
                   {tab.badge}
                 </span>
               )}
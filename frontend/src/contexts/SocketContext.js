@@ -8,10 +8,30 @@
 import React, { createContext, useContext, useReducer, useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
 import toast from 'react-hot-toast';
+import {
+  applyOperation,
+  composeOperations,
+  transformOperations,
+  isNoop,
+} from '../utils/operationalTransform';
+import { applyNoteOperations, blocksToHtml } from '../utils/notesDocument';
+import { applyCanvasOperations } from '../utils/canvasDocument';
+import { getAccessToken, refreshAccessToken, roomAPI } from '../services/api';
+import { playNotificationTone } from '../utils/notificationSound';
+import { countUnreadMessages } from '../utils/chatReceipts';
+import { useUser } from './UserContext';
+import { useAccessibility } from './AccessibilityContext';
 
 // Socket context
 const SocketContext = createContext();
 
+// Join errors from protected rooms and the prompt each one shows
+const JOIN_GATE_STATUSES = {
+  PASSWORD_REQUIRED: 'password',
+  INVALID_PASSWORD: 'password',
+  INVALID_INVITE: 'invite',
+};
+
 // Socket reducer for state management
 const socketReducer = (state, action) => {
   switch (action.type) {
@@ -55,6 +75,11 @@ const socketReducer = (state, action) => {
       return {
         ...state,
         currentRoom: null,
+        joinRequests: [],
+        codeRun: null,
+        codeDiagnostics: {},
+        replSession: null,
+        replDriverRequest: null,
       };
     case 'ADD_PARTICIPANT':
       return {
@@ -87,23 +112,332 @@ const socketReducer = (state, action) => {
         ...state,
         roomData: action.payload,
       };
-    case 'ADD_CHAT_MESSAGE':
+    case 'SET_ROOM_SETTINGS':
+      return {
+        ...state,
+        roomData: state.roomData
+          ? { ...state.roomData, settings: action.payload.settings, hasPassword: action.payload.hasPassword }
+          : state.roomData,
+      };
+    case 'SET_ROOM_TOPIC':
+      return {
+        ...state,
+        roomData: state.roomData ? { ...state.roomData, description: action.payload } : state.roomData,
+      };
+    case 'SET_PARTICIPANT_ROLE': {
+      // Roles belong to usernames, so every connection of that user changes together
+      const { username, role } = action.payload;
+      const participants = Object.fromEntries(
+        Object.entries(state.participants).map(([id, participant]) => [
+          id,
+          participant.username === username ? { ...participant, role } : participant,
+        ])
+      );
+      return {
+        ...state,
+        participants,
+        roomData: state.roomData?.username === username ? { ...state.roomData, role } : state.roomData,
+      };
+    }
+    case 'APPLY_MODERATION': {
+      if (!state.roomData) return state;
+      const { action: moderation, userId, username, scope, mutedUntil, reason, moderatedBy } = action.payload;
+      const mutedUsers = (state.roomData.mutedUsers || []).filter(mute => mute.userId !== userId);
+      const bannedUsers = (state.roomData.bannedUsers || []).filter(ban => ban.userId !== userId);
+      return {
+        ...state,
+        roomData: {
+          ...state.roomData,
+          mutedUsers: moderation === 'mute'
+            ? [...mutedUsers, { userId, username, scope, mutedUntil, mutedBy: moderatedBy }]
+            : moderation === 'ban' || moderation === 'unmute' ? mutedUsers : state.roomData.mutedUsers,
+          bannedUsers: moderation === 'ban'
+            ? [...bannedUsers, { userId, username, reason, bannedBy: moderatedBy }]
+            : moderation === 'unban' ? bannedUsers : state.roomData.bannedUsers,
+        },
+      };
+    }
+    case 'EXPIRE_MUTES':
+      if (!state.roomData) return state;
+      return {
+        ...state,
+        roomData: {
+          ...state.roomData,
+          mutedUsers: (state.roomData.mutedUsers || []).filter(mute => new Date(mute.mutedUntil).getTime() > Date.now()),
+        },
+      };
+    case 'SET_REMOVED_FROM_ROOM':
+      return {
+        ...state,
+        removedFromRoom: action.payload,
+      };
+    case 'SET_JOIN_GATE':
       return {
         ...state,
-        chatMessages: [...state.chatMessages, action.payload].slice(-100), // Keep last 100 messages
+        joinGate: action.payload,
+      };
+    case 'SET_JOIN_REQUESTS':
+      return {
+        ...state,
+        joinRequests: action.payload,
+      };
+    case 'ADD_JOIN_REQUEST':
+      return {
+        ...state,
+        joinRequests: [
+          ...state.joinRequests.filter(request => request.userId !== action.payload.userId),
+          action.payload,
+        ],
+      };
+    case 'REMOVE_JOIN_REQUEST':
+      return {
+        ...state,
+        joinRequests: state.joinRequests.filter(request => request.userId !== action.payload.userId),
+      };
+    case 'BUMP_HISTORY_REVISION':
+      return {
+        ...state,
+        historyRevision: state.historyRevision + 1,
+      };
+    case 'ADD_CHAT_MESSAGE': {
+      const chatMessages = [...state.chatMessages, action.payload];
+      return {
+        ...state,
+        // Keep the newest messages; dropped ones can be paged back in
+        chatMessages: chatMessages.slice(-MAX_CHAT_MESSAGES),
+        chatHasOlder: state.chatHasOlder || chatMessages.length > MAX_CHAT_MESSAGES,
+      };
+    }
+    case 'SET_CHAT_HISTORY':
+      return {
+        ...state,
+        chatMessages: action.payload.messages,
+        chatHasOlder: action.payload.hasOlder,
+      };
+    case 'PREPEND_CHAT_MESSAGES': {
+      const loadedIds = new Set(state.chatMessages.map(message => message.id));
+      return {
+        ...state,
+        chatMessages: [
+          ...action.payload.messages.filter(message => !loadedIds.has(message.id)),
+          ...state.chatMessages,
+        ],
+        chatHasOlder: action.payload.hasOlder,
+      };
+    }
+    case 'UPDATE_CHAT_MESSAGE':
+      return {
+        ...state,
+        chatMessages: state.chatMessages.map(message =>
+          message.id === action.payload.id ? { ...message, ...action.payload.changes } : message
+        ),
+      };
+    case 'UPDATE_CHAT_POLL':
+      // Results are the same for everyone; keep this user's own vote
+      return {
+        ...state,
+        chatMessages: state.chatMessages.map(message => (
+          message.id === action.payload.id && message.poll
+            ? { ...message, poll: { ...message.poll, ...action.payload.poll, myVote: action.payload.myVote ?? message.poll.myVote } }
+            : message
+        )),
       };
     case 'CLEAR_CHAT_MESSAGES':
       return {
         ...state,
         chatMessages: [],
+        chatHasOlder: false,
+        chatReadStates: {},
       };
-    case 'SET_CODE_CONTENT':
+    case 'SET_CHAT_REJECTION':
       return {
         ...state,
-        codeContent: action.payload.content,
-        codeLanguage: action.payload.language,
+        chatRejection: action.payload,
+      };
+    case 'SET_CHAT_READ_STATES': {
+      const { readStates, user } = action.payload;
+      const chatReadStates = {};
+      readStates.forEach(readState => {
+        chatReadStates[readState.userId] = readState;
+      });
+      // Someone who never read this room starts from the history they were sent
+      const latest = state.chatMessages.filter(message => !message.ephemeral).pop();
+      if (user && !chatReadStates[user.userId] && latest) {
+        chatReadStates[user.userId] = { ...user, lastReadMessageId: latest.id, lastReadAt: latest.timestamp };
+      }
+      return {
+        ...state,
+        chatReadStates,
+      };
+    }
+    case 'UPDATE_CHAT_READ_STATE': {
+      // Read markers only move forward
+      const current = state.chatReadStates[action.payload.userId];
+      if (current && new Date(current.lastReadAt) >= new Date(action.payload.lastReadAt)) return state;
+      return {
+        ...state,
+        chatReadStates: { ...state.chatReadStates, [action.payload.userId]: action.payload },
+      };
+    }
+    case 'SET_DIRECT_CONVERSATIONS': {
+      const directConversations = {};
+      action.payload.forEach(({ userId, username, lastMessage, unread }) => {
+        directConversations[userId] = { userId, username, lastMessage, unread, messages: [], hasOlder: false, loaded: false };
+      });
+      // A conversation opened before its first message survives a rejoin
+      const open = state.directConversations[state.activeDirectChat];
+      if (open && !directConversations[open.userId]) {
+        directConversations[open.userId] = { ...open, messages: [], loaded: false };
+      }
+      return {
+        ...state,
+        directConversations,
+      };
+    }
+    case 'ADD_DIRECT_MESSAGE': {
+      const { partner, message, incoming } = action.payload;
+      const conversation = state.directConversations[partner.userId] ||
+        { userId: partner.userId, username: partner.username, unread: 0, messages: [], hasOlder: false, loaded: false };
+      return {
+        ...state,
+        directConversations: {
+          ...state.directConversations,
+          [partner.userId]: {
+            ...conversation,
+            messages: [...conversation.messages, message].slice(-MAX_CHAT_MESSAGES),
+            hasOlder: conversation.hasOlder || conversation.messages.length >= MAX_CHAT_MESSAGES,
+            lastMessage: message,
+            unread: conversation.unread + (incoming ? 1 : 0),
+          },
+        },
+      };
+    }
+    case 'SET_DIRECT_MESSAGES': {
+      const { userId, username, messages, hasOlder, prepend } = action.payload;
+      const conversation = state.directConversations[userId] ||
+        { userId, username, unread: 0, messages: [], lastMessage: messages[messages.length - 1] || null };
+      const pageIds = new Set(messages.map(message => message.id));
+      // Messages that arrived over the socket while the page was loading are kept
+      const kept = conversation.messages.filter(message => !pageIds.has(message.id));
+      return {
+        ...state,
+        directConversations: {
+          ...state.directConversations,
+          [userId]: {
+            ...conversation,
+            messages: prepend ? [...messages, ...kept] : [...messages, ...(conversation.loaded ? [] : kept)],
+            hasOlder,
+            loaded: true,
+          },
+        },
+      };
+    }
+    case 'MARK_DIRECT_READ': {
+      const conversation = state.directConversations[action.payload];
+      if (!conversation || conversation.unread === 0) return state;
+      return {
+        ...state,
+        directConversations: {
+          ...state.directConversations,
+          [action.payload]: { ...conversation, unread: 0 },
+        },
+      };
+    }
+    case 'OPEN_DIRECT_CHAT': {
+      const { userId, username } = action.payload;
+      return {
+        ...state,
+        directConversations: state.directConversations[userId]
+          ? state.directConversations
+          : {
+            ...state.directConversations,
+            [userId]: { userId, username, unread: 0, lastMessage: null, messages: [], hasOlder: false, loaded: false },
+          },
+        activeDirectChat: userId,
+        directChatRequest: state.directChatRequest + 1,
+      };
+    }
+    case 'CLOSE_DIRECT_CHAT':
+      return {
+        ...state,
+        activeDirectChat: null,
+      };
+    case 'CLEAR_DIRECT_MESSAGES':
+      return {
+        ...state,
+        directConversations: {},
+        activeDirectChat: null,
+      };
+    case 'SET_CODE_FILES':
+      return {
+        ...state,
+        codeFiles: action.payload.files,
         codeMetadata: action.payload.metadata || null,
       };
+    case 'SET_CODE_DIAGNOSTICS':
+      return {
+        ...state,
+        codeDiagnostics: action.payload,
+      };
+    case 'SET_CODE_RUN':
+      return {
+        ...state,
+        codeRun: action.payload,
+      };
+    case 'APPEND_CODE_RUN_OUTPUT':
+      if (state.codeRun?.runId !== action.payload.runId) return state;
+      return {
+        ...state,
+        codeRun: { ...state.codeRun, output: appendRunOutput(state.codeRun.output, action.payload.chunks) },
+      };
+    case 'FINISH_CODE_RUN':
+      if (state.codeRun?.runId !== action.payload.runId) return state;
+      return {
+        ...state,
+        codeRun: {
+          ...state.codeRun,
+          status: 'finished',
+          result: action.payload.result,
+          stoppedBy: action.payload.stoppedBy,
+        },
+      };
+    case 'SET_REPL_SESSION':
+      return {
+        ...state,
+        replSession: action.payload,
+        replDriverRequest: null,
+      };
+    case 'APPEND_REPL_ENTRIES':
+      if (state.replSession?.sessionId !== action.payload.sessionId) return state;
+      return {
+        ...state,
+        replSession: { ...state.replSession, entries: [...state.replSession.entries, ...action.payload.entries] },
+      };
+    case 'SET_REPL_DRIVER':
+      if (state.replSession?.sessionId !== action.payload.sessionId) return state;
+      return {
+        ...state,
+        replSession: { ...state.replSession, driver: action.payload.driver },
+        replDriverRequest: null,
+      };
+    case 'END_REPL':
+      if (state.replSession?.sessionId !== action.payload.sessionId) return state;
+      return {
+        ...state,
+        replSession: {
+          ...state.replSession,
+          status: 'ended',
+          driver: null,
+          endedAt: action.payload.endedAt,
+          endReason: action.payload.reason,
+        },
+        replDriverRequest: null,
+      };
+    case 'SET_REPL_DRIVER_REQUEST':
+      return {
+        ...state,
+        replDriverRequest: action.payload,
+      };
     case 'SET_NOTES_CONTENT':
       return {
         ...state,
@@ -120,6 +454,34 @@ const socketReducer = (state, action) => {
   }
 };
 
+/**
+ * Add streamed program output to a run's output, merging text that continues the same stream
+ * @param {Array} output - [{ stream, text }]
+ * @param {Array} chunks - New [{ stream, text }]
+ * @returns {Array} New output list
+ */
+const appendRunOutput = (output, chunks) => {
+  const next = [...output];
+  chunks.forEach(chunk => {
+    const last = next[next.length - 1];
+    if (last && last.stream === chunk.stream) {
+      next[next.length - 1] = { ...last, text: last.text + chunk.text };
+    } else {
+      next.push(chunk);
+    }
+  });
+  return next;
+};
+
+// Chat messages kept in memory; the oldest are dropped first
+const MAX_CHAT_MESSAGES = 1000;
+
+// Older chat messages loaded per page
+const CHAT_PAGE_SIZE = 50;
+
+// Errors refusing a room chat message that the chat panel shows itself
+const CHAT_REJECTION_CODES = ['RATE_LIMITED', 'CONTENT_BLOCKED'];
+
 // Initial socket state
 const initialState = {
   connected: false,
@@ -129,12 +491,39 @@ const initialState = {
   participants: {},
   roomData: null,
   chatMessages: [],
-  codeContent: '',
-  codeLanguage: 'javascript',
+  // Whether older chat history can be loaded from the server
+  chatHasOlder: false,
+  // Newest chat message each user has seen, by user id: { userId, username, lastReadMessageId, lastReadAt }
+  chatReadStates: {},
+  // Last room chat message the server refused for flooding or by its content filter: { code, message, retryAfterMs, at }
+  chatRejection: null,
+  // Private conversations by the other user's id: { userId, username, messages, unread, hasOlder, loaded }
+  directConversations: {},
+  // Conversation open in the chat panel's direct messages tab
+  activeDirectChat: null,
+  // Bumped whenever a conversation is opened from outside the chat panel so it comes into view
+  directChatRequest: 0,
+  // Room's code files and folders without content: [{ id, path, type, language }]
+  codeFiles: [],
   codeMetadata: null,
+  // Room's latest code run: { runId, fileId, path, language, username, status, output: [{ stream, text }], result, stoppedBy }
+  codeRun: null,
+  // Lint results of the room's code files by file id: [{ severity, message, source, rule, startLineNumber, ... }]
+  codeDiagnostics: {},
+  // Room's shared REPL, open or last closed: { sessionId, language, startedBy, status, driver, entries: [{ stream, text, username, at }] }
+  replSession: null,
+  // Someone asking this user, the REPL driver, to hand over: { userId, username }
+  replDriverRequest: null,
   notesContent: '',
   notesMetadata: null,
   canvasData: {},
+  removedFromRoom: null,
+  // Set while a join waits on a password, an invite or the owner's approval
+  joinGate: null,
+  // Knocks waiting for an owner or moderator (managers only)
+  joinRequests: [],
+  // Bumped whenever a version is saved or restored so history panels refetch
+  historyRevision: 0,
 };
 
 /**
@@ -145,12 +534,176 @@ const initialState = {
  */
 export const SocketProvider = ({ children }) => {
   const [state, dispatch] = useReducer(socketReducer, initialState);
+  const { user } = useUser();
+  const { announce } = useAccessibility();
   const socketRef = useRef(null);
+
+  // Latest user and announcer for socket handlers registered once per connection
+  const userRef = useRef(user);
+  const announceRef = useRef(announce);
+  useEffect(() => {
+    userRef.current = user;
+    announceRef.current = announce;
+  }, [user, announce]);
   const reconnectTimeoutRef = useRef(null);
   const reconnectAttempts = useRef(0);
   const cleanupRefs = useRef([]);
   const maxReconnectAttempts = 5;
 
+  // Last join request, replayed once a knock is approved
+  const lastJoinRef = useRef(null);
+
+  // Operational transform client state for each code file, by file id:
+  // { id, path, type, language, content, revision, outstanding, buffer, details }
+  // outstanding: sent and awaiting acknowledgement, buffer: local edits made meanwhile
+  const codeDocumentsRef = useRef(new Map());
+  // Lint results by file id, read by the diagnostics handler to tell what is new
+  const codeDiagnosticsRef = useRef({});
+  const codeListenersRef = useRef(new Set());
+
+  // Block-based notes document; pending counts unacknowledged local operations per block
+  const notesDocumentRef = useRef({
+    blocks: [],
+    revision: 0,
+    pending: {},
+  });
+  const notesListenersRef = useRef(new Set());
+
+  // Object-based canvas document; pending counts unacknowledged local operations per object
+  // and pendingClears the local clears the server has not acknowledged yet
+  const canvasDocumentRef = useRef({
+    objects: [],
+    revision: 0,
+    pending: {},
+    pendingClears: 0,
+  });
+  const canvasListenersRef = useRef(new Set());
+
+  // Chat panel subscribers told about edits, deletions and reactions (for announcements)
+  const chatListenersRef = useRef(new Set());
+  const loadingOlderChatRef = useRef(false);
+
+  // Conversation on screen, read by the direct message handler to skip its toast
+  const activeDirectChatRef = useRef(null);
+  useEffect(() => {
+    activeDirectChatRef.current = state.activeDirectChat;
+  }, [state.activeDirectChat]);
+
+  /**
+   * Notify code editor subscribers of document events
+   */
+  const notifyCodeListeners = useCallback((event) => {
+    codeListenersRef.current.forEach(listener => listener(event));
+  }, []);
+
+  /**
+   * Replace one code file with an authoritative server copy
+   */
+  const resetCodeDocument = useCallback((file) => {
+    codeDocumentsRef.current.set(file.fileId, {
+      id: file.fileId,
+      path: file.path,
+      type: 'file',
+      language: file.language,
+      content: file.content,
+      revision: file.revision,
+      outstanding: null,
+      buffer: null,
+      details: {},
+    });
+    notifyCodeListeners({ type: 'reset', fileId: file.fileId, content: file.content });
+  }, [notifyCodeListeners]);
+
+  /**
+   * Replace every code file with the server's files
+   */
+  const resetCodeDocuments = useCallback((files) => {
+    codeDocumentsRef.current = new Map(files.map(file => [file.id, {
+      id: file.id,
+      path: file.path,
+      type: file.type,
+      language: file.language,
+      content: file.content || '',
+      revision: file.revision || 0,
+      outstanding: null,
+      buffer: null,
+      details: {},
+    }]));
+    notifyCodeListeners({ type: 'reset-all' });
+  }, [notifyCodeListeners]);
+
+  /**
+   * Publish the code file list (without content) to state
+   */
+  const publishCodeFiles = useCallback((metadata = null) => {
+    dispatch({
+      type: 'SET_CODE_FILES',
+      payload: {
+        files: Array.from(codeDocumentsRef.current.values())
+          .map(({ id, path, type, language }) => ({ id, path, type, language })),
+        metadata, // Include metadata for Blind Mode
+      },
+    });
+  }, []);
+
+  /**
+   * Notify notes editor subscribers of document events
+   */
+  const notifyNotesListeners = useCallback((event) => {
+    notesListenersRef.current.forEach(listener => listener(event));
+  }, []);
+
+  /**
+   * Replace the notes document with an authoritative server copy
+   */
+  const resetNotesDocument = useCallback((blocks, revision) => {
+    notesDocumentRef.current = {
+      blocks,
+      revision,
+      pending: {},
+    };
+    notifyNotesListeners({ type: 'reset', blocks });
+  }, [notifyNotesListeners]);
+
+  /**
+   * Notify canvas subscribers of document events
+   */
+  const notifyCanvasListeners = useCallback((event) => {
+    canvasListenersRef.current.forEach(listener => listener(event));
+  }, []);
+
+  /**
+   * Notify chat subscribers of message edits, deletions and reactions
+   */
+  const notifyChatListeners = useCallback((event) => {
+    chatListenersRef.current.forEach(listener => listener(event));
+  }, []);
+
+  /**
+   * Replace the canvas document with an authoritative server copy
+   */
+  const resetCanvasDocument = useCallback((objects, revision) => {
+    canvasDocumentRef.current = {
+      objects,
+      revision,
+      pending: {},
+      pendingClears: 0,
+    };
+    notifyCanvasListeners({ type: 'reset', objects });
+  }, [notifyCanvasListeners]);
+
+  /**
+   * Emit a code operation on a file against its last acknowledged revision
+   */
+  const emitCodeOperation = useCallback((codeDocument, operation) => {
+    socketRef.current?.emit('code-change', {
+      ...codeDocument.details,
+      fileId: codeDocument.id,
+      operation,
+      revision: codeDocument.revision,
+    });
+  }, []);
+
   // Cleanup function to prevent memory leaks
   const cleanup = useCallback(() => {
     // Clear all timeouts
@@ -207,6 +760,15 @@ export const SocketProvider = ({ children }) => {
 
     socketRef.current.on('connect_error', (error) => {
       console.error('Socket connection error:', error);
+
+      // The handshake rejected an expired token: refresh it and reconnect
+      if (error.message === 'Token expired') {
+        refreshAccessToken()
+          .then(() => socketRef.current?.connect())
+          .catch(() => {});
+        return;
+      }
+
       dispatch({
         type: 'SET_ERROR',
         payload: error.message || 'Failed to connect to server',
@@ -224,6 +786,8 @@ export const SocketProvider = ({ children }) => {
       console.log('🎉 roomJoined event received:', data);
       dispatch({ type: 'SET_ROOM', payload: data.roomId });
       dispatch({ type: 'SET_ROOM_DATA', payload: data });
+      dispatch({ type: 'SET_JOIN_GATE', payload: null });
+      dispatch({ type: 'SET_JOIN_REQUESTS', payload: data.joinRequests || [] });
       
       // Update participants
       if (data.participants) {
@@ -236,23 +800,18 @@ export const SocketProvider = ({ children }) => {
       }
       
       // Update collaboration content
-      if (data.codeContent) {
-        dispatch({
-          type: 'SET_CODE_CONTENT',
-          payload: {
-            content: data.codeContent,
-            language: data.codeLanguage || 'javascript',
-          },
-        });
-      }
+      resetCodeDocuments(data.codeFiles || []);
+      publishCodeFiles();
+      codeDiagnosticsRef.current = data.codeDiagnostics || {};
+      dispatch({ type: 'SET_CODE_DIAGNOSTICS', payload: codeDiagnosticsRef.current });
+      dispatch({ type: 'SET_CODE_RUN', payload: data.codeRun || null });
+      dispatch({ type: 'SET_REPL_SESSION', payload: data.replSession || null });
       
-      if (data.notesContent) {
-        dispatch({ type: 'SET_NOTES_CONTENT', payload: data.notesContent });
-      }
+      resetNotesDocument(data.notesBlocks || [], data.notesRevision || 0);
+      dispatch({ type: 'SET_NOTES_CONTENT', payload: data.notesContent || '' });
       
-      if (data.canvasData) {
-        dispatch({ type: 'SET_CANVAS_DATA', payload: data.canvasData });
-      }
+      resetCanvasDocument(data.canvasObjects || [], data.canvasRevision || 0);
+      dispatch({ type: 'SET_CANVAS_DATA', payload: { objects: data.canvasObjects || [] } });
       
       toast.success(`Joined room: ${data.roomName}`);
     });
@@ -275,6 +834,52 @@ export const SocketProvider = ({ children }) => {
       toast.success(`${data.username} left the room`);
     });
 
+    socketRef.current.on('removedFromRoom', (data) => {
+      dispatch({ type: 'CLEAR_ROOM' });
+      dispatch({ type: 'SET_REMOVED_FROM_ROOM', payload: data });
+      toast.error(data.message || 'You were removed from the room');
+    });
+
+    socketRef.current.on('participant-moderated', (data) => {
+      dispatch({ type: 'APPLY_MODERATION', payload: data });
+    });
+
+    // Waiting room: the server holds a knock until an owner or moderator answers
+    socketRef.current.on('knock-pending', (data) => {
+      dispatch({ type: 'SET_JOIN_GATE', payload: { roomId: data.roomId, status: 'knocking', message: data.message } });
+    });
+
+    socketRef.current.on('join-approved', (data) => {
+      toast.success(`${data.approvedBy?.username || 'The room owner'} let you in`);
+      // Approved users are admitted on the server, so the same join now goes through
+      const lastJoin = lastJoinRef.current;
+      if (lastJoin?.roomId === data.roomId) {
+        socketRef.current.emit('joinRoom', { roomId: lastJoin.roomId, preferences: lastJoin.preferences });
+      }
+    });
+
+    socketRef.current.on('join-denied', (data) => {
+      dispatch({ type: 'SET_JOIN_GATE', payload: { roomId: data.roomId, status: 'denied', message: data.message } });
+    });
+
+    socketRef.current.on('join-request', (data) => {
+      dispatch({ type: 'ADD_JOIN_REQUEST', payload: data });
+      toast(`${data.username} is asking to join`, { icon: '🚪' });
+    });
+
+    socketRef.current.on('join-request-resolved', (data) => {
+      dispatch({ type: 'REMOVE_JOIN_REQUEST', payload: data });
+    });
+
+    socketRef.current.on('version-created', () => {
+      dispatch({ type: 'BUMP_HISTORY_REVISION' });
+    });
+
+    socketRef.current.on('version-restored', (data) => {
+      dispatch({ type: 'BUMP_HISTORY_REVISION' });
+      toast(`${data.restoredBy?.username || 'Someone'} restored an earlier version of the ${data.kind}`, { icon: '🕘' });
+    });
+
     socketRef.current.on('userDisconnected', (data) => {
       dispatch({
         type: 'REMOVE_PARTICIPANT',
@@ -286,33 +891,294 @@ export const SocketProvider = ({ children }) => {
 
     // Collaboration event handlers
     socketRef.current.on('code-changed', (data) => {
-      dispatch({
-        type: 'SET_CODE_CONTENT',
-        payload: {
-          content: data.content,
-          language: data.language,
-          metadata: data.metadata, // Include metadata for Blind Mode
-        },
+      const codeDocument = codeDocumentsRef.current.get(data.fileId);
+      if (!codeDocument) return;
+
+      if (data.operation) {
+        // Ignore operations already included in the document (e.g. sent before roomJoined)
+        if (data.revision <= codeDocument.revision) return;
+
+        // Transform the remote operation past local edits the server has not seen
+        let operation = data.operation;
+        if (codeDocument.outstanding) {
+          [codeDocument.outstanding, operation] = transformOperations(codeDocument.outstanding, operation);
+        }
+        if (codeDocument.buffer) {
+          [codeDocument.buffer, operation] = transformOperations(codeDocument.buffer, operation);
+        }
+
+        const previousContent = codeDocument.content;
+        codeDocument.content = applyOperation(previousContent, operation);
+        codeDocument.revision = data.revision;
+
+        notifyCodeListeners({
+          type: 'remote',
+          fileId: codeDocument.id,
+          path: codeDocument.path,
+          operation,
+          previousContent,
+          content: codeDocument.content,
+          metadata: data.metadata,
+        });
+      }
+
+      if (data.language && data.language !== codeDocument.language) {
+        codeDocument.language = data.language;
+        publishCodeFiles(data.metadata);
+      }
+    });
+
+    socketRef.current.on('code-ack', (data) => {
+      const codeDocument = codeDocumentsRef.current.get(data.fileId);
+      if (!codeDocument) return;
+      codeDocument.revision = data.revision;
+      codeDocument.outstanding = codeDocument.buffer;
+      codeDocument.buffer = null;
+
+      if (codeDocument.outstanding) {
+        emitCodeOperation(codeDocument, codeDocument.outstanding);
+      } else {
+        notifyCodeListeners({ type: 'synced', fileId: codeDocument.id });
+      }
+    });
+
+    socketRef.current.on('code-sync', (data) => {
+      const hadLocalEdits = !!codeDocumentsRef.current.get(data.fileId)?.outstanding;
+      resetCodeDocument(data);
+      publishCodeFiles();
+
+      if (hadLocalEdits) {
+        toast.error(`${data.path} was out of sync and has been reloaded`);
+      }
+    });
+
+    // A restored version replaces every file
+    socketRef.current.on('code-files-sync', (data) => {
+      resetCodeDocuments(data.files || []);
+      publishCodeFiles();
+    });
+
+    // Files were created, renamed, moved or deleted; open files keep their content and edits
+    socketRef.current.on('code-files-changed', (data) => {
+      const codeDocuments = codeDocumentsRef.current;
+      const nextDocuments = new Map();
+      (data.files || []).forEach(file => {
+        const codeDocument = codeDocuments.get(file.id) || {
+          id: file.id,
+          content: '',
+          revision: file.revision || 0,
+          outstanding: null,
+          buffer: null,
+          details: {},
+        };
+        nextDocuments.set(file.id, { ...codeDocument, path: file.path, type: file.type, language: file.language });
+      });
+      codeDocumentsRef.current = nextDocuments;
+
+      publishCodeFiles(data.metadata);
+      notifyCodeListeners({
+        type: 'files',
+        action: data.action,
+        path: data.path,
+        newPath: data.newPath,
+        fileType: data.type,
+        username: data.username,
+        userId: data.userId,
+        metadata: data.metadata,
       });
     });
 
+    // A code file was linted again after it changed; editors show the results as markers
+    socketRef.current.on('code-diagnostics', (data) => {
+      const previous = codeDiagnosticsRef.current[data.fileId] || [];
+      const next = { ...codeDiagnosticsRef.current };
+      if (data.diagnostics.length > 0) next[data.fileId] = data.diagnostics;
+      else delete next[data.fileId];
+      codeDiagnosticsRef.current = next;
+      dispatch({ type: 'SET_CODE_DIAGNOSTICS', payload: next });
+      notifyCodeListeners({
+        type: 'diagnostics',
+        fileId: data.fileId,
+        path: data.path,
+        previous,
+        diagnostics: data.diagnostics,
+        metadata: data.metadata,
+      });
+    });
+
+    // A format that changed nothing sends no code-changed, so say so here
+    socketRef.current.on('code-formatted', (data) => {
+      if (!data.changed) {
+        toast.success(`${data.path} is already formatted`);
+      }
+    });
+
+    // Someone ran a code file; its output streams in until it finishes
+    socketRef.current.on('code-run-started', (data) => {
+      dispatch({ type: 'SET_CODE_RUN', payload: data });
+    });
+
+    socketRef.current.on('code-run-output', (data) => {
+      dispatch({ type: 'APPEND_CODE_RUN_OUTPUT', payload: data });
+    });
+
+    socketRef.current.on('code-run-finished', (data) => {
+      dispatch({ type: 'FINISH_CODE_RUN', payload: data });
+    });
+
+    // The room's shared REPL: everyone sees what the driver types and what it prints
+    socketRef.current.on('repl-started', (data) => {
+      dispatch({ type: 'SET_REPL_SESSION', payload: data });
+    });
+
+    socketRef.current.on('repl-output', (data) => {
+      dispatch({ type: 'APPEND_REPL_ENTRIES', payload: data });
+    });
+
+    socketRef.current.on('repl-driver-changed', (data) => {
+      dispatch({ type: 'SET_REPL_DRIVER', payload: data });
+      if (data.driver?.userId === userRef.current?.userId && data.changedBy && data.changedBy !== data.driver.username) {
+        toast(`${data.changedBy} handed you the REPL`, { icon: '⌨️' });
+      }
+    });
+
+    socketRef.current.on('repl-driver-requested', (data) => {
+      dispatch({ type: 'SET_REPL_DRIVER_REQUEST', payload: { userId: data.userId, username: data.username } });
+      toast(`${data.username} is asking to drive the REPL`, { icon: '⌨️' });
+    });
+
+    socketRef.current.on('repl-ended', (data) => {
+      dispatch({ type: 'END_REPL', payload: data });
+    });
+
     socketRef.current.on('note-changed', (data) => {
+      // Let the editor send any unsent local edits before remote ones are applied
+      notifyNotesListeners({ type: 'flush' });
+
+      // Blocks with unacknowledged local edits keep them; the server applies ours last
+      const notesDocument = notesDocumentRef.current;
+      const operations = (data.operations || []).filter(operation => !notesDocument.pending[operation.blockId]);
+
+      notesDocument.blocks = applyNoteOperations(notesDocument.blocks, operations);
+      notesDocument.revision = data.revision;
+
+      if (operations.length > 0) {
+        notifyNotesListeners({
+          type: 'remote',
+          operations,
+          metadata: data.metadata,
+        });
+      }
+
       dispatch({
         type: 'SET_NOTES_CONTENT',
         payload: {
-          content: data.content,
+          content: blocksToHtml(notesDocument.blocks),
           metadata: data.metadata, // Include metadata for Blind Mode
         },
       });
     });
 
+    socketRef.current.on('note-ack', (data) => {
+      const notesDocument = notesDocumentRef.current;
+      (data.blockIds || []).forEach(blockId => {
+        if (notesDocument.pending[blockId] > 1) {
+          notesDocument.pending[blockId] -= 1;
+        } else {
+          delete notesDocument.pending[blockId];
+        }
+      });
+
+      if (Object.keys(notesDocument.pending).length === 0) {
+        notifyNotesListeners({ type: 'synced' });
+      }
+    });
+
+    socketRef.current.on('note-sync', (data) => {
+      resetNotesDocument(data.blocks || [], data.revision || 0);
+      dispatch({ type: 'SET_NOTES_CONTENT', payload: blocksToHtml(data.blocks || []) });
+    });
+
+    socketRef.current.on('note-sanitized', (data) => {
+      toast(data.message || 'Some notes content was removed because it is not allowed', { icon: '⚠️' });
+    });
+
     socketRef.current.on('drawing-updated', (data) => {
+      const canvasDocument = canvasDocumentRef.current;
+
+      // Everything the server did before our unacknowledged clear is wiped by it,
+      // and objects with unacknowledged local edits keep them (the server applies ours last)
+      const operations = canvasDocument.pendingClears > 0
+        ? []
+        : (data.operations || []).filter(operation =>
+          operation.type === 'clear' || !canvasDocument.pending[operation.objectId]
+        );
+
+      canvasDocument.revision = data.revision;
+
+      if (operations.length > 0) {
+        // A remote clear leaves objects whose local edits are still on their way
+        const keepIds = canvasDocument.objects
+          .filter(object => canvasDocument.pending[object.objectId])
+          .map(object => object.objectId);
+        const kept = canvasDocument.objects.filter(object => keepIds.includes(object.objectId));
+        const lastClear = operations.map(operation => operation.type).lastIndexOf('clear');
+
+        canvasDocument.objects = applyCanvasOperations(canvasDocument.objects, operations);
+        if (lastClear !== -1) {
+          const remaining = canvasDocument.objects.filter(object => !keepIds.includes(object.objectId));
+          // Our edits reach the server after the clear, so those objects end up on top
+          canvasDocument.objects = [...remaining, ...kept];
+        }
+
+        notifyCanvasListeners({
+          type: 'remote',
+          operations,
+          keepIds,
+          metadata: data.metadata,
+        });
+      }
+
       dispatch({
         type: 'SET_CANVAS_DATA',
-        payload: data.drawingData,
+        payload: {
+          objects: canvasDocument.objects,
+          metadata: data.metadata, // Include metadata for Blind Mode
+        },
+      });
+    });
+
+    socketRef.current.on('draw-ack', (data) => {
+      const canvasDocument = canvasDocumentRef.current;
+      (data.objectIds || []).forEach(objectId => {
+        if (!objectId) {
+          canvasDocument.pendingClears = Math.max(0, canvasDocument.pendingClears - 1);
+        } else if (canvasDocument.pending[objectId] > 1) {
+          canvasDocument.pending[objectId] -= 1;
+        } else {
+          delete canvasDocument.pending[objectId];
+        }
       });
     });
 
+    socketRef.current.on('draw-sync', (data) => {
+      resetCanvasDocument(data.objects || [], data.revision || 0);
+      dispatch({ type: 'SET_CANVAS_DATA', payload: { objects: data.objects || [] } });
+    });
+
+    socketRef.current.on('room-settings-updated', (data) => {
+      dispatch({ type: 'SET_ROOM_SETTINGS', payload: data });
+    });
+
+    socketRef.current.on('room-topic-changed', (data) => {
+      dispatch({ type: 'SET_ROOM_TOPIC', payload: data.description });
+    });
+
+    socketRef.current.on('role-changed', (data) => {
+      dispatch({ type: 'SET_PARTICIPANT_ROLE', payload: data });
+      toast(`${data.changedBy?.username || 'Someone'} made ${data.username} ${data.role}`, { icon: '🛡️' });
+    });
+
     socketRef.current.on('chat-message', (data) => {
       dispatch({
         type: 'ADD_CHAT_MESSAGE',
@@ -320,16 +1186,115 @@ export const SocketProvider = ({ children }) => {
       });
     });
 
-    socketRef.current.on('chatHistory', (messages) => {
+    // Answers to your slash commands are shown in your chat only and never stored
+    socketRef.current.on('command-reply', (data) => {
       dispatch({
-        type: 'CLEAR_CHAT_MESSAGES',
+        type: 'ADD_CHAT_MESSAGE',
+        payload: {
+          id: `command-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+          userId: 'system',
+          username: 'System',
+          message: data.message,
+          messageType: 'command-reply',
+          command: data.command,
+          error: !!data.error,
+          ephemeral: true,
+          timestamp: new Date().toISOString(),
+          reactions: [],
+          mentions: [],
+        },
       });
-      messages.forEach(message => {
-        dispatch({
-          type: 'ADD_CHAT_MESSAGE',
-          payload: message,
-        });
+      announceRef.current(data.message, data.error ? 'assertive' : 'polite');
+    });
+
+    // Someone @mentioned you; the mentions preference turns toast, sound and announcement off
+    socketRef.current.on('mentioned', (data) => {
+      if (userRef.current?.preferences?.notifications?.mentions === false) return;
+
+      const excerpt = data.message.length > 80 ? `${data.message.slice(0, 80)}…` : data.message;
+      toast(`${data.from.username} mentioned you: ${excerpt}`, { icon: '📣', duration: 6000 });
+      playNotificationTone();
+      announceRef.current(`${data.from.username} mentioned you: ${data.message}`, 'assertive');
+    });
+
+    socketRef.current.on('chat-message-updated', (data) => {
+      dispatch({
+        type: 'UPDATE_CHAT_MESSAGE',
+        payload: { id: data.id, changes: { message: data.message, editedAt: data.editedAt, mentions: data.mentions, mentionedUserIds: data.mentionedUserIds } },
+      });
+      notifyChatListeners({ type: 'edit', ...data });
+    });
+
+    socketRef.current.on('chat-message-deleted', (data) => {
+      dispatch({
+        type: 'UPDATE_CHAT_MESSAGE',
+        payload: { id: data.id, changes: { deleted: true, message: '', reactions: [], attachments: [] } },
       });
+      notifyChatListeners({ type: 'delete', ...data });
+    });
+
+    socketRef.current.on('chat-reactions-updated', (data) => {
+      dispatch({
+        type: 'UPDATE_CHAT_MESSAGE',
+        payload: { id: data.id, changes: { reactions: data.reactions } },
+      });
+      notifyChatListeners({ type: 'reaction', ...data });
+    });
+
+    socketRef.current.on('poll-updated', (data) => {
+      dispatch({ type: 'UPDATE_CHAT_POLL', payload: { id: data.id, poll: data.poll } });
+      notifyChatListeners({ type: 'poll', ...data });
+    });
+
+    // Your vote was recorded (possibly from another of your tabs)
+    socketRef.current.on('poll-vote-recorded', (data) => {
+      dispatch({ type: 'UPDATE_CHAT_POLL', payload: { id: data.id, poll: {}, myVote: data.optionIds } });
+      notifyChatListeners({ type: 'poll-vote', ...data });
+    });
+
+    socketRef.current.on('chatHistory', (messages, info) => {
+      dispatch({
+        type: 'SET_CHAT_HISTORY',
+        payload: { messages, hasOlder: !!info?.hasOlder },
+      });
+    });
+
+    socketRef.current.on('chatReadStates', (readStates) => {
+      dispatch({
+        type: 'SET_CHAT_READ_STATES',
+        payload: {
+          readStates: readStates || [],
+          user: userRef.current && { userId: userRef.current.userId, username: userRef.current.username },
+        },
+      });
+    });
+
+    // Someone (possibly you on another tab) read further
+    socketRef.current.on('chat-read-updated', (data) => {
+      const { metadata, ...readState } = data;
+      dispatch({ type: 'UPDATE_CHAT_READ_STATE', payload: readState });
+    });
+
+    socketRef.current.on('directConversations', (conversations) => {
+      dispatch({ type: 'SET_DIRECT_CONVERSATIONS', payload: conversations || [] });
+    });
+
+    // Private messages arrive on both the sender's and the recipient's sockets
+    socketRef.current.on('direct-message', (data) => {
+      const incoming = data.from.userId !== userRef.current?.userId;
+      const partner = incoming ? data.from : data.to;
+      dispatch({ type: 'ADD_DIRECT_MESSAGE', payload: { partner, message: data, incoming } });
+
+      if (incoming && activeDirectChatRef.current !== partner.userId) {
+        const excerpt = data.message.length > 80 ? `${data.message.slice(0, 80)}…` : data.message;
+        toast(`${partner.username}: ${excerpt}`, { icon: '✉️', duration: 5000 });
+        announceRef.current(`Direct message from ${partner.username}: ${data.message}`, 'polite');
+      }
+    });
+
+    // Another of your tabs read a conversation
+    socketRef.current.on('direct-messages-read', (data) => {
+      dispatch({ type: 'MARK_DIRECT_READ', payload: data.userId });
     });
 
     socketRef.current.on('presence-updated', (data) => {
@@ -341,14 +1306,43 @@ export const SocketProvider = ({ children }) => {
 
     // Error handling
     socketRef.current.on('error', (error) => {
+      // Protected rooms ask for a password or a fresh invite instead of failing the join
+      if (JOIN_GATE_STATUSES[error.code]) {
+        dispatch({
+          type: 'SET_JOIN_GATE',
+          payload: { roomId: lastJoinRef.current?.roomId, status: JOIN_GATE_STATUSES[error.code], message: error.message },
+        });
+        return;
+      }
+
+      // A refused room chat message is shown in the chat panel, which can offer the text again
+      if (error.event === 'chat-message' && CHAT_REJECTION_CODES.includes(error.code)) {
+        dispatch({
+          type: 'SET_CHAT_REJECTION',
+          payload: { code: error.code, message: error.message, retryAfterMs: error.retryAfterMs || 0, at: Date.now() },
+        });
+        return;
+      }
+
+      // Other throttled events share one toast rather than one per dropped event
+      if (error.code === 'RATE_LIMITED') {
+        toast.error(error.message, { id: `rate-limited-${error.event}` });
+        return;
+      }
+
       toast.error(error.message || 'An error occurred');
+
+      // A banned user's join is refused; send them back out of the workspace
+      if (error.code === 'BANNED') {
+        dispatch({ type: 'SET_REMOVED_FROM_ROOM', payload: { reason: 'ban', message: error.message } });
+      }
     });
 
     // Pong response for health checks
     socketRef.current.on('pong', (data) => {
       // Health check response received
     });
-  }, [dispatch]);
+  }, [dispatch, resetCodeDocument, resetCodeDocuments, publishCodeFiles, emitCodeOperation, notifyCodeListeners, resetNotesDocument, notifyNotesListeners, resetCanvasDocument, notifyCanvasListeners, notifyChatListeners]);
 
   // Initialize socket connection
   useEffect(() => {
@@ -360,10 +1354,14 @@ export const SocketProvider = ({ children }) => {
         socketRef.current = io(serverUrl, {
           transports: ['websocket', 'polling'],
           timeout: 20000,
+          // Read on every (re)connection so refreshed tokens are picked up
+          auth: (cb) => cb({ token: getAccessToken() }),
           reconnection: true,
           reconnectionAttempts: maxReconnectAttempts,
           reconnectionDelay: 1000,
           reconnectionDelayMax: 5000,
+          // Without a token, wait for login before connecting
+          autoConnect: !!getAccessToken(),
         });
 
         // Attach event handlers
@@ -383,6 +1381,32 @@ export const SocketProvider = ({ children }) => {
     return cleanup;
   }, [attachEventHandlers, cleanup]);
 
+  // Sockets authenticate as the logged-in user, so follow login and logout
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socket) return;
+
+    if (user?.userId) {
+      if (!socket.connected) {
+        dispatch({ type: 'CONNECTING' });
+        socket.connect();
+      }
+    } else if (socket.connected) {
+      socket.disconnect();
+    }
+  }, [user?.userId]);
+
+  // Drop mutes when they run out so read-only panels unlock on time
+  useEffect(() => {
+    const expiries = (state.roomData?.mutedUsers || []).map(mute => new Date(mute.mutedUntil).getTime());
+    if (expiries.length === 0) return undefined;
+
+    const timeout = setTimeout(() => {
+      dispatch({ type: 'EXPIRE_MUTES' });
+    }, Math.max(0, Math.min(...expiries) - Date.now()) + 100);
+    return () => clearTimeout(timeout);
+  }, [state.roomData?.mutedUsers]);
+
   // Socket connection methods
   const connect = useCallback(() => {
     if (!socketRef.current) {
@@ -391,6 +1415,8 @@ export const SocketProvider = ({ children }) => {
       socketRef.current = io(serverUrl, {
         transports: ['websocket', 'polling'],
         timeout: 20000,
+        // Read on every (re)connection so refreshed tokens are picked up
+        auth: (cb) => cb({ token: getAccessToken() }),
         reconnection: true,
         reconnectionAttempts: maxReconnectAttempts,
         reconnectionDelay: 1000,
@@ -414,7 +1440,7 @@ export const SocketProvider = ({ children }) => {
   }, []);
 
   // Room management methods
-  const joinRoom = useCallback((roomId, username, preferences = {}) => {
+  const joinRoom = useCallback((roomId, username, preferences = {}, access = {}) => {
     console.log('📡 joinRoom called:', { roomId, username, connected: state.connected, socketExists: !!socketRef.current, currentRoom: state.currentRoom });
     
     // Prevent duplicate joins to the same room
@@ -424,10 +1450,15 @@ export const SocketProvider = ({ children }) => {
     }
     
     if (socketRef.current && state.connected) {
+      dispatch({ type: 'SET_REMOVED_FROM_ROOM', payload: null });
+      dispatch({ type: 'SET_JOIN_GATE', payload: null });
+      lastJoinRef.current = { roomId, preferences };
+      // The server identifies the user from the socket's access token
       socketRef.current.emit('joinRoom', {
         roomId,
-        username,
         preferences,
+        password: access.password,
+        inviteToken: access.inviteToken,
       });
       console.log('📡 joinRoom event emitted');
     } else {
@@ -441,46 +1472,370 @@ export const SocketProvider = ({ children }) => {
       socketRef.current.emit('leaveRoom');
       dispatch({ type: 'CLEAR_ROOM' });
       dispatch({ type: 'CLEAR_CHAT_MESSAGES' });
+      dispatch({ type: 'CLEAR_DIRECT_MESSAGES' });
     }
   }, [state.currentRoom]);
 
   // Collaboration methods
-  const sendCodeChange = useCallback((content, language, cursorPosition) => {
-    if (socketRef.current && state.currentRoom) {
+
+  /**
+   * Send a local edit to a code file as a text operation
+   * Only one operation per file is in flight at a time; later edits are composed
+   * into a buffer and sent once the server acknowledges the previous one
+   */
+  const sendCodeOperation = useCallback((fileId, operation, details = {}) => {
+    const codeDocument = codeDocumentsRef.current.get(fileId);
+    if (!socketRef.current || !state.currentRoom || !codeDocument || isNoop(operation)) return;
+
+    codeDocument.content = applyOperation(codeDocument.content, operation);
+    codeDocument.details = details;
+
+    if (codeDocument.outstanding) {
+      codeDocument.buffer = codeDocument.buffer
+        ? composeOperations(codeDocument.buffer, operation)
+        : operation;
+    } else {
+      codeDocument.outstanding = operation;
+      emitCodeOperation(codeDocument, operation);
+    }
+  }, [state.currentRoom, emitCodeOperation]);
+
+  const sendCodeLanguage = useCallback((fileId, language) => {
+    const codeDocument = codeDocumentsRef.current.get(fileId);
+    if (socketRef.current && state.currentRoom && codeDocument) {
+      codeDocument.language = language;
+      publishCodeFiles();
       socketRef.current.emit('code-change', {
-        content,
+        fileId,
         language,
-        cursorPosition,
       });
     }
+  }, [state.currentRoom, publishCodeFiles]);
+
+  /**
+   * Subscribe to code document events: 'reset' and 'synced' of one file,
+   * 'reset-all' when every file was replaced, 'remote' edits, and 'files'
+   * when files were created, renamed, moved or deleted
+   * Returns an unsubscribe function
+   */
+  const subscribeToCode = useCallback((listener) => {
+    codeListenersRef.current.add(listener);
+    return () => codeListenersRef.current.delete(listener);
+  }, []);
+
+  // Get a code file's current content, or null when there is no such file
+  const getCodeDocument = useCallback((fileId) => {
+    const codeDocument = codeDocumentsRef.current.get(fileId);
+    if (!codeDocument) return null;
+    return {
+      id: codeDocument.id,
+      path: codeDocument.path,
+      language: codeDocument.language,
+      content: codeDocument.content,
+      revision: codeDocument.revision,
+      hasPendingChanges: !!codeDocument.outstanding,
+    };
+  }, []);
+
+  // Create, rename, move and delete code files and folders for everyone in the room
+  const createCodeFile = useCallback((path, type = 'file') => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('create-code-file', { path, type });
+    }
   }, [state.currentRoom]);
 
-  const sendNoteChange = useCallback((content) => {
+  const renameCodeFile = useCallback((path, newPath) => {
     if (socketRef.current && state.currentRoom) {
-      socketRef.current.emit('note-change', {
-        content,
-      });
+      socketRef.current.emit('rename-code-file', { path, newPath });
     }
   }, [state.currentRoom]);
 
-  const sendDrawingEvent = useCallback((drawingData, action) => {
+  const moveCodeFile = useCallback((path, folder) => {
     if (socketRef.current && state.currentRoom) {
-      socketRef.current.emit('draw-event', {
-        drawingData,
-        action,
-      });
+      socketRef.current.emit('move-code-file', { path, folder });
     }
   }, [state.currentRoom]);
 
-  const sendChatMessage = useCallback((message, messageType = 'text') => {
+  const deleteCodeFile = useCallback((path) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('delete-code-file', { path });
+    }
+  }, [state.currentRoom]);
+
+  /**
+   * Format a code file with the room's style options; the result arrives as a remote change
+   */
+  const formatCode = useCallback((fileId) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('format-code', { fileId });
+    }
+  }, [state.currentRoom]);
+
+  /**
+   * Run a code file on the server; everyone in the room sees its output
+   */
+  const runCode = useCallback((fileId) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('run-code', { fileId });
+    }
+  }, [state.currentRoom]);
+
+  const stopCodeRun = useCallback(() => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('stop-code-run');
+    }
+  }, [state.currentRoom]);
+
+  /**
+   * Open the room's shared REPL; whoever opens it drives first
+   */
+  const startRepl = useCallback((language) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('start-repl', { language });
+    }
+  }, [state.currentRoom]);
+
+  /**
+   * Send a line to the shared REPL, as its driver
+   */
+  const sendReplInput = useCallback((input) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('repl-input', { input });
+    }
+  }, [state.currentRoom]);
+
+  /**
+   * Hand the REPL to a participant, take it while nobody drives, or give it up with null
+   */
+  const setReplDriver = useCallback((userId) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('set-repl-driver', { userId });
+    }
+  }, [state.currentRoom]);
+
+  const requestReplDriver = useCallback(() => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('request-repl-driver');
+    }
+  }, [state.currentRoom]);
+
+  const dismissReplDriverRequest = useCallback(() => {
+    dispatch({ type: 'SET_REPL_DRIVER_REQUEST', payload: null });
+  }, []);
+
+  const stopRepl = useCallback(() => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('stop-repl');
+    }
+  }, [state.currentRoom]);
+
+  /**
+   * Send local notes edits as block operations
+   */
+  const sendNoteOperations = useCallback((operations, details = {}) => {
+    if (!socketRef.current || !state.currentRoom || operations.length === 0) return;
+
+    const notesDocument = notesDocumentRef.current;
+    notesDocument.blocks = applyNoteOperations(notesDocument.blocks, operations);
+    operations.forEach(operation => {
+      notesDocument.pending[operation.blockId] = (notesDocument.pending[operation.blockId] || 0) + 1;
+    });
+
+    socketRef.current.emit('note-change', {
+      ...details,
+      operations,
+    });
+  }, [state.currentRoom]);
+
+  /**
+   * Subscribe to notes document events ('reset', 'flush', 'remote', 'synced')
+   * Returns an unsubscribe function
+   */
+  const subscribeToNotes = useCallback((listener) => {
+    notesListenersRef.current.add(listener);
+    return () => notesListenersRef.current.delete(listener);
+  }, []);
+
+  const getNotesDocument = useCallback(() => ({
+    blocks: notesDocumentRef.current.blocks,
+    revision: notesDocumentRef.current.revision,
+    hasPendingChanges: Object.keys(notesDocumentRef.current.pending).length > 0,
+  }), []);
+
+  /**
+   * Send local canvas edits as object operations
+   */
+  const sendCanvasOperations = useCallback((operations, details = {}) => {
+    if (!socketRef.current || !state.currentRoom || operations.length === 0) return;
+
+    const canvasDocument = canvasDocumentRef.current;
+    canvasDocument.objects = applyCanvasOperations(canvasDocument.objects, operations);
+    operations.forEach(operation => {
+      if (operation.type === 'clear') {
+        canvasDocument.pendingClears += 1;
+      } else {
+        canvasDocument.pending[operation.objectId] = (canvasDocument.pending[operation.objectId] || 0) + 1;
+      }
+    });
+
+    socketRef.current.emit('draw-event', {
+      ...details,
+      operations,
+    });
+  }, [state.currentRoom]);
+
+  /**
+   * Subscribe to canvas document events ('reset', 'remote')
+   * Returns an unsubscribe function
+   */
+  const subscribeToCanvas = useCallback((listener) => {
+    canvasListenersRef.current.add(listener);
+    return () => canvasListenersRef.current.delete(listener);
+  }, []);
+
+  const getCanvasDocument = useCallback(() => ({
+    objects: canvasDocumentRef.current.objects,
+    revision: canvasDocumentRef.current.revision,
+  }), []);
+
+  // attachments are ids returned by roomAPI.uploadAttachment
+  const sendChatMessage = useCallback((message, messageType = 'text', replyTo = null, snippet = null, attachments = []) => {
     if (socketRef.current && state.currentRoom) {
       socketRef.current.emit('chat-message', {
         message,
         messageType,
+        replyTo,
+        snippet,
+        attachments,
+      });
+    }
+  }, [state.currentRoom]);
+
+  // Change the text of one of your own recent messages
+  const editChatMessage = useCallback((messageId, message) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('edit-chat-message', { messageId, message });
+    }
+  }, [state.currentRoom]);
+
+  // Delete one of your own recent messages
+  const deleteChatMessage = useCallback((messageId) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('delete-chat-message', { messageId });
+    }
+  }, [state.currentRoom]);
+
+  // Ask the room a poll: { question, options, multipleChoice, anonymous, closesInMinutes }
+  const createPoll = useCallback((poll) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('create-poll', poll);
+    }
+  }, [state.currentRoom]);
+
+  // Vote for options in a poll, replacing your earlier vote; no options withdraws it
+  const votePoll = useCallback((messageId, optionIds) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('vote-poll', { messageId, optionIds });
+    }
+  }, [state.currentRoom]);
+
+  // Stop a poll taking votes (its author, owners and moderators)
+  const closePoll = useCallback((messageId) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('close-poll', { messageId });
+    }
+  }, [state.currentRoom]);
+
+  // Add an emoji reaction to a message, or remove yours
+  const toggleChatReaction = useCallback((messageId, emoji) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('react-chat-message', { messageId, emoji });
+    }
+  }, [state.currentRoom]);
+
+  // Load the page of chat history before the oldest loaded message
+  const loadOlderChat = useCallback(async () => {
+    // Command replies only exist locally, so page from the oldest stored message
+    const oldest = state.chatMessages.find(message => !message.ephemeral);
+    if (!state.currentRoom || !oldest || !state.chatHasOlder || loadingOlderChatRef.current) return 0;
+
+    loadingOlderChatRef.current = true;
+    try {
+      const page = await roomAPI.getRoomChat(state.currentRoom, { before: oldest.id, limit: CHAT_PAGE_SIZE });
+      dispatch({
+        type: 'PREPEND_CHAT_MESSAGES',
+        payload: { messages: page.messages, hasOlder: page.hasOlder },
       });
+      return page.messages.length;
+    } finally {
+      loadingOlderChatRef.current = false;
+    }
+  }, [state.currentRoom, state.chatMessages, state.chatHasOlder]);
+
+  // Move your read marker to a message you have seen and share it with the room
+  const markChatRead = useCallback((message) => {
+    const userId = userRef.current?.userId;
+    const current = state.chatReadStates[userId];
+    if (!userId || !message || message.ephemeral) return;
+    if (current && new Date(current.lastReadAt) >= new Date(message.timestamp)) return;
+
+    dispatch({
+      type: 'UPDATE_CHAT_READ_STATE',
+      payload: { userId, username: userRef.current.username, lastReadMessageId: message.id, lastReadAt: message.timestamp },
+    });
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('mark-chat-read', { messageId: message.id });
+    }
+  }, [state.currentRoom, state.chatReadStates]);
+
+  // Open a private conversation with another participant in the chat panel
+  const openDirectChat = useCallback((userId, username) => {
+    dispatch({ type: 'OPEN_DIRECT_CHAT', payload: { userId, username } });
+  }, []);
+
+  // Go back from a conversation to the list of conversations
+  const closeDirectChat = useCallback(() => {
+    dispatch({ type: 'CLOSE_DIRECT_CHAT' });
+  }, []);
+
+  const sendDirectMessage = useCallback((recipientId, message) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('direct-message', { recipientId, message });
+    }
+  }, [state.currentRoom]);
+
+  // Load the latest page of a conversation, or the page before its oldest loaded message
+  const loadDirectMessages = useCallback(async (userId, older = false) => {
+    const conversation = state.directConversations[userId];
+    if (!state.currentRoom || !conversation) return 0;
+    const oldest = conversation.messages[0];
+    if (older && (!oldest || !conversation.hasOlder)) return 0;
+
+    const page = await roomAPI.getDirectMessages(
+      state.currentRoom,
+      userId,
+      older ? { before: oldest.id, limit: CHAT_PAGE_SIZE } : { limit: CHAT_PAGE_SIZE }
+    );
+    dispatch({
+      type: 'SET_DIRECT_MESSAGES',
+      payload: { userId, username: conversation.username, messages: page.messages, hasOlder: page.hasOlder, prepend: older },
+    });
+    return page.messages.length;
+  }, [state.currentRoom, state.directConversations]);
+
+  // Clear a conversation's unread count here, on your other tabs and on the server
+  const markDirectMessagesRead = useCallback((userId) => {
+    dispatch({ type: 'MARK_DIRECT_READ', payload: userId });
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('mark-direct-messages-read', { userId });
     }
   }, [state.currentRoom]);
 
+  const subscribeToChat = useCallback((listener) => {
+    chatListenersRef.current.add(listener);
+    return () => chatListenersRef.current.delete(listener);
+  }, []);
+
   const sendPresenceUpdate = useCallback((cursorPosition, isActive = true) => {
     if (socketRef.current && state.currentRoom) {
       socketRef.current.emit('presence-update', {
@@ -490,6 +1845,59 @@ export const SocketProvider = ({ children }) => {
     }
   }, [state.currentRoom]);
 
+  const changeRole = useCallback((targetUserId, role) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('change-role', {
+        targetUserId,
+        role,
+      });
+    }
+  }, [state.currentRoom]);
+
+  const moderateParticipant = useCallback((targetUserId, action, options = {}) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('moderate-participant', {
+        targetUserId,
+        action,
+        ...options,
+      });
+    }
+  }, [state.currentRoom]);
+
+  // Stop waiting in a room's waiting room
+  const cancelJoinRequest = useCallback(() => {
+    if (socketRef.current) {
+      socketRef.current.emit('cancel-join-request');
+    }
+    dispatch({ type: 'SET_JOIN_GATE', payload: null });
+  }, []);
+
+  // Let a knocking user in or turn them away
+  const respondToJoinRequest = useCallback((userId, approve) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('respond-join-request', {
+        userId,
+        approve,
+      });
+    }
+  }, [state.currentRoom]);
+
+  // Restore a saved code, notes or canvas version for everyone in the room
+  const restoreVersion = useCallback((versionId) => {
+    if (socketRef.current && state.currentRoom) {
+      socketRef.current.emit('restore-version', { versionId });
+    }
+  }, [state.currentRoom]);
+
+  // Get a participant's unexpired mute covering chat or editing
+  const getActiveMute = (userId, kind) => {
+    return (state.roomData?.mutedUsers || []).find(mute =>
+      mute.userId === userId &&
+      (mute.scope === 'all' || mute.scope === kind) &&
+      new Date(mute.mutedUntil).getTime() > Date.now()
+    ) || null;
+  };
+
   // Health check
   const ping = useCallback(() => {
     if (socketRef.current && state.connected) {
@@ -507,12 +1915,33 @@ export const SocketProvider = ({ children }) => {
     participants: state.participants,
     roomData: state.roomData,
     chatMessages: state.chatMessages,
-    codeContent: state.codeContent,
-    codeLanguage: state.codeLanguage,
+    chatHasOlder: state.chatHasOlder,
+    chatReadStates: state.chatReadStates,
+    chatRejection: state.chatRejection,
+    chatUnreadCount: countUnreadMessages(
+      state.chatMessages,
+      state.chatReadStates[user?.userId] || null,
+      user?.userId
+    ),
+    directConversations: state.directConversations,
+    activeDirectChat: state.activeDirectChat,
+    directChatRequest: state.directChatRequest,
+    directUnreadCount: Object.values(state.directConversations)
+      .reduce((total, conversation) => total + conversation.unread, 0),
+    codeFiles: state.codeFiles,
     codeMetadata: state.codeMetadata,
+    codeRun: state.codeRun,
+    codeDiagnostics: state.codeDiagnostics,
+    codeRunLanguages: state.roomData?.codeRunLanguages || [],
+    replSession: state.replSession,
+    replDriverRequest: state.replDriverRequest,
     notesContent: state.notesContent,
     notesMetadata: state.notesMetadata,
     canvasData: state.canvasData,
+    removedFromRoom: state.removedFromRoom,
+    joinGate: state.joinGate,
+    joinRequests: state.joinRequests,
+    historyRevision: state.historyRevision,
     
     // Socket actions
     connect,
@@ -521,17 +1950,65 @@ export const SocketProvider = ({ children }) => {
     leaveRoom,
     
     // Collaboration actions
-    sendCodeChange,
-    sendNoteChange,
-    sendDrawingEvent,
+    sendCodeOperation,
+    sendCodeLanguage,
+    subscribeToCode,
+    getCodeDocument,
+    createCodeFile,
+    renameCodeFile,
+    moveCodeFile,
+    deleteCodeFile,
+    formatCode,
+    runCode,
+    stopCodeRun,
+    startRepl,
+    sendReplInput,
+    setReplDriver,
+    requestReplDriver,
+    dismissReplDriverRequest,
+    stopRepl,
+    sendNoteOperations,
+    subscribeToNotes,
+    getNotesDocument,
+    sendCanvasOperations,
+    subscribeToCanvas,
+    getCanvasDocument,
     sendChatMessage,
+    editChatMessage,
+    deleteChatMessage,
+    toggleChatReaction,
+    createPoll,
+    votePoll,
+    closePoll,
+    subscribeToChat,
+    loadOlderChat,
+    markChatRead,
+    openDirectChat,
+    closeDirectChat,
+    sendDirectMessage,
+    loadDirectMessages,
+    markDirectMessagesRead,
     sendPresenceUpdate,
+    changeRole,
+    moderateParticipant,
+    cancelJoinRequest,
+    respondToJoinRequest,
+    restoreVersion,
     ping,
     
     // Utility methods
     getParticipantCount: () => Object.keys(state.participants).length,
     getParticipant: (userId) => state.participants[userId],
     isInRoom: () => !!state.currentRoom,
+    myRole: state.roomData?.role || 'editor',
+    getActiveMute,
+    getMyMute: (kind) => getActiveMute(state.roomData?.userId, kind),
+    isFeatureEnabled: (setting) => {
+      // Viewers keep chat but cannot edit the workspace
+      if (setting !== 'allowChat' && state.roomData?.role === 'viewer') return false;
+      if (getActiveMute(state.roomData?.userId, setting === 'allowChat' ? 'chat' : 'editing')) return false;
+      return state.roomData?.settings?.[setting] !== false;
+    },
     clearError: () => dispatch({ type: 'CLEAR_ERROR' }),
   };
 
@@ -6,8 +6,34 @@
  */
 
 import React, { createContext, useContext, useReducer, useEffect, useCallback, useRef } from 'react';
-import { v4 as uuidv4 } from 'uuid';
-import { userAPI } from '../services/api';
+import {
+  authAPI,
+  getAccessToken,
+  setAuthTokens,
+  clearAuthTokens,
+  setAuthExpiredHandler,
+} from '../services/api';
+
+// Default preferences for new accounts
+const DEFAULT_PREFERENCES = {
+  accessibility: {
+    screenReader: false,
+    highContrast: false,
+    fontSize: 'medium',
+    announceChanges: true,
+    keyboardNavigation: true,
+  },
+  appearance: {
+    theme: 'auto',
+    cursorColor: '#3B82F6',
+  },
+  notifications: {
+    chatMessages: true,
+    userJoinLeave: true,
+    codeChanges: false,
+    systemAnnouncements: true,
+  },
+};
 
 // User context
 const UserContext = createContext();
@@ -112,19 +138,16 @@ export const UserProvider = ({ children }) => {
     const initializeUser = () => {
       try {
         const savedUser = localStorage.getItem('liveroom-user');
-        const savedSessionId = localStorage.getItem('liveroom-session-id');
         
-        if (savedUser && savedSessionId) {
+        // A saved profile is only usable together with its tokens
+        if (savedUser && getAccessToken()) {
           const user = JSON.parse(savedUser);
           
           // Validate user data structure
-          if (user && user.userId && user.username && user.sessionId) {
+          if (user && user.userId && user.username) {
             dispatch({
               type: 'SET_USER',
-              payload: {
-                ...user,
-                sessionId: savedSessionId,
-              },
+              payload: user,
             });
           } else {
             throw new Error('Invalid user data structure');
@@ -134,7 +157,7 @@ export const UserProvider = ({ children }) => {
         console.error('Error initializing user:', error);
         // Clear invalid data
         localStorage.removeItem('liveroom-user');
-        localStorage.removeItem('liveroom-session-id');
+        clearAuthTokens();
         dispatch({ type: 'CLEAR_USER' });
       }
     };
@@ -147,9 +170,8 @@ export const UserProvider = ({ children }) => {
     if (state.user) {
       try {
         // Validate user data before saving
-        if (state.user.userId && state.user.username && state.user.sessionId) {
+        if (state.user.userId && state.user.username) {
           localStorage.setItem('liveroom-user', JSON.stringify(state.user));
-          localStorage.setItem('liveroom-session-id', state.user.sessionId);
         } else {
           console.warn('Invalid user data, not saving to localStorage');
         }
@@ -157,61 +179,78 @@ export const UserProvider = ({ children }) => {
         console.error('Error saving user data:', error);
         // Clear corrupted data
         localStorage.removeItem('liveroom-user');
-        localStorage.removeItem('liveroom-session-id');
       }
     }
   }, [state.user]);
 
-  // Create anonymous user
-  const createUser = async (username, preferences = {}) => {
+  // Log out locally when the refresh token is rejected
+  useEffect(() => {
+    setAuthExpiredHandler(() => {
+      localStorage.removeItem('liveroom-user');
+      dispatch({ type: 'CLEAR_USER' });
+      dispatch({ type: 'CLEAR_CURRENT_ROOM' });
+    });
+    return () => setAuthExpiredHandler(null);
+  }, []);
+
+  // Store the tokens and profile returned by register/login
+  const startSession = (authResponse) => {
+    setAuthTokens(authResponse);
+    localStorage.setItem('liveroom-user', JSON.stringify(authResponse.user));
+
+    dispatch({
+      type: 'SET_USER',
+      payload: authResponse.user,
+    });
+
+    return authResponse.user;
+  };
+
+  // Create an account and log it in
+  const register = async (username, password, preferences = {}) => {
     dispatch({ type: 'SET_LOADING', payload: true });
     dispatch({ type: 'CLEAR_ERROR' });
 
     try {
-      const sessionId = uuidv4();
-      
-      const userData = {
+      const authResponse = await authAPI.register({
         username: username.trim(),
-        sessionId,
+        password,
         preferences: {
-          accessibility: {
-            screenReader: false,
-            highContrast: false,
-            fontSize: 'medium',
-            announceChanges: true,
-            keyboardNavigation: true,
-          },
-          appearance: {
-            theme: 'auto',
-            cursorColor: '#3B82F6',
-          },
-          notifications: {
-            chatMessages: true,
-            userJoinLeave: true,
-            codeChanges: false,
-            systemAnnouncements: true,
-          },
+          ...DEFAULT_PREFERENCES,
           ...preferences,
         },
-      };
+      });
 
-      // Create user via API
-      const createdUser = await userAPI.createUser(userData);
-      
-      // Store user in localStorage for persistence
-      localStorage.setItem('liveroom-user', JSON.stringify(createdUser));
-      
+      return startSession(authResponse);
+    } catch (error) {
+      console.error('Error registering user:', error);
       dispatch({
-        type: 'SET_USER',
-        payload: createdUser,
+        type: 'SET_ERROR',
+        payload: error.message || 'Failed to create account',
       });
+      throw error;
+    } finally {
+      dispatch({ type: 'SET_LOADING', payload: false });
+    }
+  };
 
-      return createdUser;
+  // Log in to an existing account
+  const login = async (username, password) => {
+    dispatch({ type: 'SET_LOADING', payload: true });
+    dispatch({ type: 'CLEAR_ERROR' });
+
+    try {
+      const authResponse = await authAPI.login({
+        username: username.trim(),
+        password,
+      });
+
+      return startSession(authResponse);
     } catch (error) {
-      console.error('Error creating user:', error);
+      console.error('Error logging in:', error);
       dispatch({
         type: 'SET_ERROR',
-        payload: 'Failed to create user session',
+        payload: error.message || 'Failed to log in',
       });
       throw error;
     } finally {
@@ -286,13 +325,18 @@ export const UserProvider = ({ children }) => {
   const logout = () => {
     console.log('🧹 UserContext: Starting logout process...');
     
+    // Revoke refresh tokens on the server; local logout proceeds regardless
+    if (getAccessToken()) {
+      authAPI.logout().catch(error => console.error('Error revoking session:', error));
+    }
+    
     dispatch({ type: 'CLEAR_USER' });
     dispatch({ type: 'CLEAR_CURRENT_ROOM' });
     
     // Clear all localStorage items related to user
     localStorage.removeItem('liveroom-user');
-    localStorage.removeItem('liveroom-session-id');
     localStorage.removeItem('liveroom-username');
+    clearAuthTokens();
     
     console.log('✅ UserContext: Logout completed - all user data cleared');
   };
@@ -312,7 +356,8 @@ export const UserProvider = ({ children }) => {
     currentRoom: state.currentRoom,
     
     // User actions
-    createUser,
+    register,
+    login,
     updatePreferences,
     updateActivity,
     joinRoom,
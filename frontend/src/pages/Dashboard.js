@@ -11,6 +11,7 @@
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
 import { useUser } from '../contexts/UserContext';
 import { useSocket } from '../contexts/SocketContext';
 import { useTheme } from '../contexts/ThemeContext';
@@ -34,7 +35,7 @@ import ErrorBoundary from '../components/UI/ErrorBoundary';
  */
 const Dashboard = () => {
   const navigate = useNavigate();
-  const { user, isAuthenticated, createUser, loading: userLoading } = useUser();
+  const { user, isAuthenticated, register, login, loading: userLoading } = useUser();
   const { connected } = useSocket();
   const { 
     getThemeDescription, 
@@ -50,6 +51,8 @@ const Dashboard = () => {
   const [showJoinModal, setShowJoinModal] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [authMode, setAuthMode] = useState('login'); // 'login' or 'register'
   const [isCreatingUser, setIsCreatingUser] = useState(false);
 
   // Initialize user if not authenticated
@@ -66,7 +69,7 @@ const Dashboard = () => {
     }
   }, [isAuthenticated, userLoading, user]);
 
-  // Handle user creation
+  // Handle login or registration
   const handleCreateUser = async (e) => {
     e.preventDefault();
     
@@ -85,15 +88,26 @@ const Dashboard = () => {
       return;
     }
 
+    if (authMode === 'register' && password.length < 8) {
+      announce('Password must be at least 8 characters', 'assertive');
+      return;
+    }
+
     setIsCreatingUser(true);
     
     try {
-      await createUser(username.trim());
+      if (authMode === 'register') {
+        await register(username.trim(), password);
+      } else {
+        await login(username.trim(), password);
+      }
       localStorage.setItem('liveroom-username', username.trim());
+      setPassword('');
       announce(`Welcome to Live Room, ${username}!`, 'polite');
     } catch (error) {
-      console.error('Error creating user:', error);
-      announce('Failed to create user session. Please try again.', 'assertive');
+      console.error('Error authenticating user:', error);
+      toast.error(error.message || 'Authentication failed');
+      announce(`${authMode === 'register' ? 'Registration' : 'Login'} failed: ${error.message}`, 'assertive');
     } finally {
       setIsCreatingUser(false);
     }
@@ -203,30 +217,68 @@ const Dashboard = () => {
                   maxLength={50}
                 />
                 <p id="username-help" className="mt-2 text-sm text-gray-500 dark:text-gray-400">
-                  Choose a username to join collaborative rooms
+                  {authMode === 'register'
+                    ? 'Choose a username to join collaborative rooms'
+                    : 'The username you registered with'}
                 </p>
               </div>
 
+              <div>
+                <label htmlFor="password" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-3">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  required
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full px-4 py-3 border-2 border-gray-300 dark:border-gray-600 rounded-xl bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                  placeholder="Enter your password"
+                  aria-describedby="password-help"
+                  autoComplete={authMode === 'register' ? 'new-password' : 'current-password'}
+                  minLength={authMode === 'register' ? 8 : undefined}
+                  maxLength={128}
+                />
+                {authMode === 'register' && (
+                  <p id="password-help" className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                    At least 8 characters
+                  </p>
+                )}
+              </div>
+
               <button
                 type="submit"
-                disabled={isCreatingUser || !username.trim()}
+                disabled={isCreatingUser || !username.trim() || !password}
                 className="w-full bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 disabled:from-gray-400 disabled:to-gray-500 text-white font-semibold py-3 px-6 rounded-xl transition-all duration-200 flex items-center justify-center gap-2 shadow-lg hover:shadow-xl"
                 aria-describedby="submit-help"
               >
                 {isCreatingUser ? (
                   <>
                     <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                    Creating Account...
+                    {authMode === 'register' ? 'Creating Account...' : 'Logging In...'}
                   </>
                 ) : (
                   <>
                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
                     </svg>
-                    Get Started
+                    {authMode === 'register' ? 'Create Account' : 'Log In'}
                   </>
                 )}
               </button>
+
+              <p className="text-center text-sm text-gray-600 dark:text-gray-300">
+                {authMode === 'register' ? 'Already have an account?' : 'New to SyncSpace?'}{' '}
+                <button
+                  type="button"
+                  onClick={() => setAuthMode(authMode === 'register' ? 'login' : 'register')}
+                  className="font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  {authMode === 'register' ? 'Log in' : 'Create an account'}
+                </button>
+              </p>
             </form>
 
             {/* Accessibility information */}
@@ -6,12 +6,14 @@
  * - Collaborative notes editor
  * - Canvas drawing area
  * - Real-time chat
+ * - Shared terminal (REPL) passed between participants
+ * - Version history with restore
  * - User presence indicators
  * - Accessibility features
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useUser } from '../contexts/UserContext';
 import { useSocket } from '../contexts/SocketContext';
 import { useAccessibility } from '../contexts/AccessibilityContext';
@@ -22,9 +24,12 @@ import CodeEditor from '../components/Workspace/CodeEditor';
 import NotesEditor from '../components/Workspace/NotesEditor';
 import CanvasDrawing from '../components/Workspace/CanvasDrawing';
 import ChatPanel from '../components/Workspace/ChatPanel';
+import ReplPanel from '../components/Workspace/ReplPanel';
 import ParticipantsList from '../components/Workspace/ParticipantsList';
 import CollaborationCursors from '../components/Workspace/CollaborationCursors';
 import RoomInfo from '../components/Workspace/RoomInfo';
+import RoomAccessGate from '../components/Workspace/RoomAccessGate';
+import HistoryPanel from '../components/Workspace/HistoryPanel';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import ErrorBoundary from '../components/UI/ErrorBoundary';
 
@@ -38,6 +43,9 @@ const RoomWorkspace = () => {
   console.log('🔄 RoomWorkspace component rendered');
   const { roomId } = useParams();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Invite links carry a token that skips the room password and approval
+  const inviteToken = searchParams.get('invite');
   
   const { user, isAuthenticated, joinRoom: joinUserRoom, leaveRoom: leaveUserRoom } = useUser();
   const { 
@@ -47,11 +55,17 @@ const RoomWorkspace = () => {
     currentRoom, 
     participants, 
     roomData,
-    sendCodeChange,
-    sendNoteChange,
-    sendDrawingEvent,
+    sendCodeOperation,
+    sendNoteOperations,
+    sendCanvasOperations,
     sendChatMessage,
     sendPresenceUpdate,
+    removedFromRoom,
+    joinGate,
+    cancelJoinRequest,
+    directChatRequest,
+    directUnreadCount,
+    chatUnreadCount,
     error: socketError 
   } = useSocket();
   const { announce, screenReader } = useAccessibility();
@@ -63,8 +77,13 @@ const RoomWorkspace = () => {
   const [showParticipants, setShowParticipants] = useState(true);
   const [showChat, setShowChat] = useState(true);
   const [showRoomInfo, setShowRoomInfo] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
   const [cursorPosition, setCursorPosition] = useState({ x: 0, y: 0 });
 
+  // Room chat is read as it arrives while a chat panel is open; direct messages are read per conversation
+  const chatOnScreen = activeTab === 'chat' || showChat;
+  const chatTabUnread = (chatOnScreen ? 0 : chatUnreadCount) + directUnreadCount;
+
   // Refs for collaboration with proper cleanup
   const workspaceRef = useRef(null);
   const lastActivityRef = useRef(Date.now());
@@ -90,6 +109,13 @@ const RoomWorkspace = () => {
     return cleanup;
   }, [cleanup]);
 
+  // Bring chat into view when a direct message conversation is opened
+  useEffect(() => {
+    if (directChatRequest > 0) {
+      setShowChat(true);
+    }
+  }, [directChatRequest]);
+
   // Stable join room function
   const joinRoomSession = useCallback(async () => {
     console.log('🔄 joinRoomSession called', { 
@@ -120,7 +146,7 @@ const RoomWorkspace = () => {
       joinUserRoom(roomId);
       
       // Join room via socket
-      joinRoom(roomId, user.username, user.preferences);
+      joinRoom(roomId, user.username, user.preferences, { inviteToken });
       
       // Announce room join for screen readers
       if (screenReader) {
@@ -135,7 +161,7 @@ const RoomWorkspace = () => {
       isJoiningRef.current = false;
       setIsJoining(false);
     }
-  }, [isAuthenticated, connected, roomId, user, joinUserRoom, joinRoom, screenReader, announce, navigate]);
+  }, [isAuthenticated, connected, roomId, user, inviteToken, joinUserRoom, joinRoom, screenReader, announce, navigate]);
 
   // Join room when component mounts
   useEffect(() => {
@@ -154,6 +180,34 @@ const RoomWorkspace = () => {
     };
   }, [currentRoom, roomId]); // Removed function dependencies
 
+  // Return to the dashboard when kicked or banned
+  useEffect(() => {
+    if (removedFromRoom) {
+      leaveUserRoom();
+      announce(removedFromRoom.message || 'You were removed from the room', 'assertive');
+      navigate('/');
+    }
+  }, [removedFromRoom]); // Only react to a new removal
+
+  // Retry a protected room's join with the entered password
+  const submitRoomPassword = useCallback((password) => {
+    joinRoom(roomId, user.username, user.preferences, { password });
+  }, [joinRoom, roomId, user]);
+
+  // Drop an invalid invite and fall back to the password or the waiting room
+  const retryWithoutInvite = useCallback(() => {
+    setSearchParams({}, { replace: true });
+    joinRoom(roomId, user.username, user.preferences);
+  }, [setSearchParams, joinRoom, roomId, user]);
+
+  const leaveJoinGate = useCallback(() => {
+    if (joinGate?.status === 'knocking') {
+      cancelJoinRequest();
+    }
+    leaveUserRoom();
+    navigate('/');
+  }, [joinGate, cancelJoinRequest, leaveUserRoom, navigate]);
+
   // Handle mouse movement for cursor tracking
   const handleMouseMove = useCallback((e) => {
     if (workspaceRef.current) {
@@ -207,11 +261,11 @@ const RoomWorkspace = () => {
       return;
     }
 
-    // Ctrl/Cmd + 1-4 for tab switching
-    if ((e.ctrlKey || e.metaKey) && e.key >= '1' && e.key <= '4') {
+    // Ctrl/Cmd + 1-5 for tab switching
+    if ((e.ctrlKey || e.metaKey) && e.key >= '1' && e.key <= '5') {
       e.preventDefault();
       const tabIndex = parseInt(e.key) - 1;
-      const tabs = ['code', 'notes', 'canvas', 'chat'];
+      const tabs = ['code', 'notes', 'canvas', 'chat', 'terminal'];
       if (tabs[tabIndex]) {
         setActiveTab(tabs[tabIndex]);
       }
@@ -294,6 +348,22 @@ const RoomWorkspace = () => {
     );
   }
 
+  // Show the password prompt, invite error or waiting room of a protected room
+  if (currentRoom !== roomId && joinGate?.roomId === roomId) {
+    return (
+      <Layout>
+        <div className="flex items-center justify-center min-h-screen p-4">
+          <RoomAccessGate
+            gate={joinGate}
+            onSubmitPassword={submitRoomPassword}
+            onRetryWithoutInvite={retryWithoutInvite}
+            onCancel={leaveJoinGate}
+          />
+        </div>
+      </Layout>
+    );
+  }
+
   // Show not in room state
   if (currentRoom !== roomId) {
     return (
@@ -380,9 +450,14 @@ const RoomWorkspace = () => {
                   <button
                     onClick={() => setShowChat(!showChat)}
                     className={`btn btn-sm ${showChat ? 'btn-primary' : 'btn-outline'}`}
-                    aria-label={showChat ? 'Hide chat' : 'Show chat'}
+                    aria-label={`${showChat ? 'Hide chat' : 'Show chat'}${chatTabUnread > 0 ? `, ${chatTabUnread} unread messages` : ''}`}
                   >
                     💬
+                    {chatTabUnread > 0 && (
+                      <span className="ml-1 bg-red-500 text-white text-xs px-1.5 rounded-full" aria-hidden="true">
+                        {chatTabUnread}
+                      </span>
+                    )}
                   </button>
 
                   {/* Room info toggle */}
@@ -395,6 +470,16 @@ const RoomWorkspace = () => {
                     ℹ️
                   </button>
 
+                  {/* Version history toggle */}
+                  <button
+                    onClick={() => setShowHistory(!showHistory)}
+                    className={`btn btn-sm ${showHistory ? 'btn-primary' : 'btn-outline'}`}
+                    aria-label={showHistory ? 'Hide version history' : 'Show version history'}
+                    title="Version history"
+                  >
+                    🕘
+                  </button>
+
                   {/* User menu */}
                   <div className="flex items-center space-x-2">
                     <div className="text-right">
@@ -451,6 +536,7 @@ const RoomWorkspace = () => {
                     { id: 'notes', label: 'Notes', icon: '📝' },
                     { id: 'canvas', label: 'Canvas', icon: '🎨' },
                     { id: 'chat', label: 'Chat', icon: '💬' },
+                    { id: 'terminal', label: 'Terminal', icon: '⌨️' },
                   ].map((tab) => (
                     <button
                       key={tab.id}
@@ -466,6 +552,14 @@ const RoomWorkspace = () => {
                     >
                       <span className="mr-1 sm:mr-2">{tab.icon}</span>
                       <span className="hidden sm:inline">{tab.label}</span>
+                      {tab.id === 'chat' && chatTabUnread > 0 && (
+                        <span
+                          className="ml-1 bg-red-500 text-white text-xs px-1.5 rounded-full"
+                          aria-label={`${chatTabUnread} unread messages`}
+                        >
+                          {chatTabUnread}
+                        </span>
+                      )}
                     </button>
                   ))}
                 </nav>
@@ -475,21 +569,21 @@ const RoomWorkspace = () => {
               <div className="flex-1 overflow-hidden min-h-0">
                 {activeTab === 'code' && (
                   <CodeEditor
-                    onCodeChange={sendCodeChange}
+                    onCodeChange={sendCodeOperation}
                     participants={participants}
                   />
                 )}
                 
                 {activeTab === 'notes' && (
                   <NotesEditor
-                    onNoteChange={sendNoteChange}
+                    onNoteChange={sendNoteOperations}
                     participants={participants}
                   />
                 )}
                 
                 {activeTab === 'canvas' && (
                   <CanvasDrawing
-                    onDrawingChange={sendDrawingEvent}
+                    onDrawingChange={sendCanvasOperations}
                     participants={participants}
                   />
                 )}
@@ -502,9 +596,20 @@ const RoomWorkspace = () => {
                     onSendMessage={sendChatMessage}
                   />
                 )}
+
+                {activeTab === 'terminal' && (
+                  <ReplPanel participants={participants} />
+                )}
               </div>
             </div>
 
+            {/* Right sidebar - Version history */}
+            {showHistory && (
+              <div className="w-48 sm:w-64 lg:w-80 min-w-0 flex-shrink-0 bg-white dark:bg-gray-800 border-l border-gray-200 dark:border-gray-700 max-h-full overflow-hidden">
+                <HistoryPanel roomId={roomId} initialKind={activeTab} />
+              </div>
+            )}
+
             {/* Right sidebar - Chat */}
             {showChat && activeTab !== 'chat' && (
               <div className="w-48 sm:w-64 lg:w-80 min-w-0 flex-shrink-0 bg-white dark:bg-gray-800 border-l border-gray-200 dark:border-gray-700 max-h-full overflow-hidden">
@@ -2,29 +2,115 @@
  * API Service
  * 
  * Centralized API service for making HTTP requests to the backend
- * Handles room creation, fetching, and other API operations
+ * Handles authentication tokens, room creation, fetching, and other API operations
  */
 
 const API_BASE_URL = process.env.REACT_APP_SERVER_URL || 'http://localhost:5000';
 
+// localStorage keys for the auth tokens
+const ACCESS_TOKEN_KEY = 'liveroom-access-token';
+const REFRESH_TOKEN_KEY = 'liveroom-refresh-token';
+
+// Called when the session can no longer be refreshed
+let authExpiredHandler = null;
+
+// Shared refresh request so concurrent 401s only refresh once
+let refreshPromise = null;
+
+/**
+ * Get the stored access token
+ */
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+/**
+ * Store a token pair returned by the auth endpoints
+ */
+export const setAuthTokens = ({ accessToken, refreshToken }) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+/**
+ * Remove the stored tokens
+ */
+export const clearAuthTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+/**
+ * Register the handler run when the session expires for good
+ */
+export const setAuthExpiredHandler = (handler) => {
+  authExpiredHandler = handler;
+};
+
+/**
+ * Exchange the refresh token for a new token pair
+ * Clears the session and notifies the expired handler if that fails
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      const response = refreshToken
+        ? await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken }),
+        }).catch(() => null)
+        : null;
+
+      if (!response || !response.ok) {
+        clearAuthTokens();
+        if (authExpiredHandler) authExpiredHandler();
+        throw new Error('Your session has expired. Please log in again.');
+      }
+
+      const data = await response.json();
+      setAuthTokens(data);
+      return data.accessToken;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 /**
  * Generic API request handler with error handling
+ * Sends the access token and retries once with a refreshed token on 401
+ * Responses are parsed as JSON unless options.responseType is 'blob'
  */
-const apiRequest = async (endpoint, options = {}) => {
+const apiRequest = async (endpoint, options = {}, retried = false) => {
   const url = `${API_BASE_URL}${endpoint}`;
+  const { responseType = 'json', ...fetchOptions } = options;
   
-  const defaultOptions = {
-    headers: {
-      'Content-Type': 'application/json',
-    },
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+
+  const accessToken = getAccessToken();
+  if (accessToken) {
+    headers.Authorization = `Bearer ${accessToken}`;
+  }
+
+  const config = {
+    ...fetchOptions,
+    headers: { ...headers, ...fetchOptions.headers },
   };
-  
-  const config = { ...defaultOptions, ...options };
   
   try {
     console.log(`Making API request to: ${url}`);
     const response = await fetch(url, config);
     
+    // Expired access token: refresh it and try again
+    if (response.status === 401 && accessToken && !retried && !endpoint.startsWith('/api/auth/')) {
+      await refreshAccessToken();
+      return apiRequest(endpoint, options, true);
+    }
+    
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
       
@@ -36,13 +122,54 @@ const apiRequest = async (endpoint, options = {}) => {
       throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
     }
     
-    return await response.json();
+    return responseType === 'blob' ? await response.blob() : await response.json();
   } catch (error) {
     console.error(`API request failed for ${url}:`, error);
     throw error;
   }
 };
 
+/**
+ * Auth API methods
+ */
+export const authAPI = {
+  /**
+   * Create an account
+   */
+  register: async (userData) => {
+    return apiRequest('/api/auth/register', {
+      method: 'POST',
+      body: JSON.stringify(userData),
+    });
+  },
+
+  /**
+   * Log in with username and password
+   */
+  login: async (credentials) => {
+    return apiRequest('/api/auth/login', {
+      method: 'POST',
+      body: JSON.stringify(credentials),
+    });
+  },
+
+  /**
+   * Revoke the current session's refresh tokens
+   */
+  logout: async () => {
+    return apiRequest('/api/auth/logout', {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Get the authenticated user
+   */
+  getCurrentUser: async () => {
+    return apiRequest('/api/auth/me');
+  },
+};
+
 /**
  * Room API methods
  */
@@ -83,6 +210,16 @@ export const roomAPI = {
     });
   },
   
+  /**
+   * Create an invite link token (single-use and/or expiring)
+   */
+  createInvite: async (roomId, options = {}) => {
+    return apiRequest(`/api/rooms/${roomId}/invites`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+  
   /**
    * Delete/deactivate room
    */
@@ -100,27 +237,108 @@ export const roomAPI = {
   },
   
   /**
-   * Get room chat history
+   * Get a page of room chat history (latest, or `before`/`after`/`around` a message id)
    */
-  getRoomChat: async (roomId, limit = 50) => {
-    return apiRequest(`/api/rooms/${roomId}/chat?limit=${limit}`);
+  getRoomChat: async (roomId, params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    const endpoint = queryParams.toString()
+      ? `/api/rooms/${roomId}/chat?${queryParams}`
+      : `/api/rooms/${roomId}/chat`;
+    return apiRequest(endpoint);
+  },
+
+  /**
+   * Search a room's chat messages, newest first
+   */
+  searchRoomChat: async (roomId, q, limit = 20) => {
+    const queryParams = new URLSearchParams({ q, limit });
+    return apiRequest(`/api/rooms/${roomId}/chat/search?${queryParams}`);
   },
-};
 
-/**
- * User API methods
- */
-export const userAPI = {
   /**
-   * Create a new user
+   * Get every poll asked in a room with its results, for export
    */
-  createUser: async (userData) => {
-    return apiRequest('/api/users', {
+  getRoomPolls: async (roomId) => {
+    return apiRequest(`/api/rooms/${roomId}/chat/polls`);
+  },
+
+  /**
+   * Upload a file to a room's chat; send the returned id with a chat message to share it
+   */
+  uploadAttachment: async (roomId, file) => {
+    const queryParams = new URLSearchParams({ name: file.name });
+    return apiRequest(`/api/rooms/${roomId}/attachments?${queryParams}`, {
       method: 'POST',
-      body: JSON.stringify(userData),
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: file,
     });
   },
-  
+
+  /**
+   * Download a chat attachment by the url it was sent with
+   */
+  getAttachment: async (url) => {
+    return apiRequest(url, { responseType: 'blob' });
+  },
+
+  /**
+   * List your direct message conversations in a room with their unread counts
+   */
+  getDirectConversations: async (roomId) => {
+    return apiRequest(`/api/rooms/${roomId}/direct-messages`);
+  },
+
+  /**
+   * Get a page of your direct messages with another user (latest, or `before` a message id)
+   */
+  getDirectMessages: async (roomId, userId, params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    const endpoint = queryParams.toString()
+      ? `/api/rooms/${roomId}/direct-messages/${userId}?${queryParams}`
+      : `/api/rooms/${roomId}/direct-messages/${userId}`;
+    return apiRequest(endpoint);
+  },
+
+  /**
+   * List saved versions of a room (optionally only code, notes or canvas)
+   */
+  getVersions: async (roomId, params = {}) => {
+    const queryParams = new URLSearchParams(params);
+    const endpoint = queryParams.toString()
+      ? `/api/rooms/${roomId}/versions?${queryParams}`
+      : `/api/rooms/${roomId}/versions`;
+    return apiRequest(endpoint);
+  },
+
+  /**
+   * Get a saved version with its content
+   */
+  getVersion: async (roomId, versionId) => {
+    return apiRequest(`/api/rooms/${roomId}/versions/${versionId}`);
+  },
+
+  /**
+   * Diff the room's current content (or another version) against a saved version
+   */
+  diffVersion: async (roomId, versionId, against = 'current') => {
+    return apiRequest(`/api/rooms/${roomId}/versions/${versionId}/diff?against=${encodeURIComponent(against)}`);
+  },
+
+  /**
+   * Save a version of the room's code, notes or canvas now
+   */
+  createVersion: async (roomId, kind, label = '') => {
+    return apiRequest(`/api/rooms/${roomId}/versions`, {
+      method: 'POST',
+      body: JSON.stringify({ kind, label }),
+    });
+  },
+};
+
+/**
+ * User API methods
+ */
+export const userAPI = {
   /**
    * Get user by ID
    */
@@ -160,6 +378,7 @@ export const checkBackendHealth = async () => {
 };
 
 const apiService = {
+  authAPI,
   roomAPI,
   userAPI,
   healthCheck,
@@ -0,0 +1,169 @@
+/**
+ * Canvas Document Utilities
+ *
+ * Client-side counterpart of backend/utils/canvasDocument.js.
+ * Every fabric object on the shared canvas carries a stable `objectId`, so
+ * drawing sends only the objects that were added, modified or removed
+ * instead of the whole canvas.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { fabric } from 'fabric';
+
+// Custom properties kept when serializing fabric objects
+const OBJECT_PROPERTIES = ['objectId'];
+
+/**
+ * Generate a stable id for a new canvas object
+ */
+export const createObjectId = () => uuidv4();
+
+/**
+ * Serialize a fabric object, including its id
+ * @param {fabric.Object} object - Fabric object
+ * @returns {Object} Fabric JSON
+ */
+export const serializeCanvasObject = (object) => object.toObject(OBJECT_PROPERTIES);
+
+/**
+ * Serialize every object on a fabric canvas
+ * @param {fabric.Canvas} canvas - Fabric canvas
+ * @returns {Array} Fabric JSON objects
+ */
+export const serializeCanvasObjects = (canvas) => {
+  return canvas.getObjects()
+    .filter(object => object.objectId)
+    .map(serializeCanvasObject);
+};
+
+/**
+ * Compute canvas operations turning one object list into another
+ * @param {Array} previousObjects - Fabric JSON objects before the change
+ * @param {Array} nextObjects - Fabric JSON objects after the change
+ * @returns {Array} Canvas operations
+ */
+export const diffCanvasObjects = (previousObjects, nextObjects) => {
+  const previousById = new Map(previousObjects.map(object => [object.objectId, object]));
+  const nextIds = new Set(nextObjects.map(object => object.objectId));
+  const operations = [];
+
+  previousObjects.forEach(object => {
+    if (!nextIds.has(object.objectId)) {
+      operations.push({ type: 'remove', objectId: object.objectId });
+    }
+  });
+
+  nextObjects.forEach(object => {
+    const previous = previousById.get(object.objectId);
+    if (!previous) {
+      operations.push({ type: 'add', objectId: object.objectId, object });
+    } else if (JSON.stringify(previous) !== JSON.stringify(object)) {
+      operations.push({ type: 'modify', objectId: object.objectId, object });
+    }
+  });
+
+  return operations;
+};
+
+/**
+ * Apply canvas operations to an object list, mirroring the server rules
+ * @param {Array} objects - Current objects ({ objectId, data })
+ * @param {Array} operations - Canvas operations
+ * @returns {Array} New object list
+ */
+export const applyCanvasOperations = (objects, operations) => {
+  let result = [...objects];
+
+  operations.forEach(operation => {
+    if (operation.type === 'clear') {
+      result = [];
+      return;
+    }
+
+    const index = result.findIndex(object => object.objectId === operation.objectId);
+
+    if (operation.type === 'remove') {
+      if (index !== -1) result.splice(index, 1);
+      return;
+    }
+
+    const object = { objectId: operation.objectId, data: operation.object };
+    if (index === -1) {
+      result.push(object);
+    } else {
+      result[index] = object;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Create fabric objects from their JSON
+ * @param {Array} objects - Fabric JSON objects
+ * @returns {Promise<Array>} Fabric objects
+ */
+export const enlivenCanvasObjects = (objects) => {
+  return new Promise(resolve => {
+    fabric.util.enlivenObjects(objects, resolve);
+  });
+};
+
+/**
+ * Find the fabric object for an object id
+ * @param {fabric.Canvas} canvas - Fabric canvas
+ * @param {string} objectId - Object id
+ * @returns {fabric.Object|undefined} Fabric object
+ */
+export const findCanvasObject = (canvas, objectId) => {
+  return canvas.getObjects().find(object => object.objectId === objectId);
+};
+
+/**
+ * Apply canvas operations to a fabric canvas
+ * Objects keep their stacking position when modified
+ * @param {fabric.Canvas} canvas - Fabric canvas
+ * @param {Array} operations - Canvas operations
+ * @param {Array} keepIds - Ids of objects a clear must leave in place
+ * @returns {Promise} Resolves once every operation has been rendered
+ */
+export const applyOperationsToCanvas = async (canvas, operations, keepIds = []) => {
+  let cleared = false;
+
+  for (const operation of operations) {
+    if (operation.type === 'clear') {
+      const removed = canvas.getObjects().filter(object => object.objectId && !keepIds.includes(object.objectId));
+      if (removed.length > 0) canvas.remove(...removed);
+      cleared = true;
+      continue;
+    }
+
+    const existing = findCanvasObject(canvas, operation.objectId);
+
+    if (operation.type === 'remove') {
+      if (existing) canvas.remove(existing);
+      continue;
+    }
+
+    const [object] = await enlivenCanvasObjects([operation.object]);
+    if (!object) continue;
+
+    if (existing) {
+      const index = canvas.getObjects().indexOf(existing);
+      canvas.remove(existing);
+      canvas.insertAt(object, index);
+    } else {
+      canvas.add(object);
+    }
+  }
+
+  // Kept objects are re-sent after the clear, so they stack above everything added with it
+  if (cleared) {
+    keepIds.forEach(objectId => {
+      const object = findCanvasObject(canvas, objectId);
+      if (object) canvas.bringToFront(object);
+    });
+  }
+
+  canvas.requestRenderAll();
+};
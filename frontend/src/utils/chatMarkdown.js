@@ -0,0 +1,253 @@
+/**
+ * Chat Markdown Utilities
+ *
+ * Parses the small Markdown subset chat supports into plain data for
+ * ChatMarkdown to render as React elements:
+ * - Paragraphs (single line breaks are kept)
+ * - Bold, italics, inline code and links
+ * - Bulleted and numbered lists
+ * - Fenced code blocks with a language
+ *
+ * Nothing is ever turned into HTML, so message text cannot inject markup;
+ * links are limited to http, https and mailto.
+ */
+
+// Link protocols messages may point to
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Code block languages that match an editor language, by fence name
+const CODE_LANGUAGE_ALIASES = {
+  javascript: 'javascript',
+  js: 'javascript',
+  jsx: 'javascript',
+  typescript: 'typescript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  python: 'python',
+  py: 'python',
+  java: 'java',
+  cpp: 'cpp',
+  'c++': 'cpp',
+  csharp: 'csharp',
+  cs: 'csharp',
+  'c#': 'csharp',
+  go: 'go',
+  rust: 'rust',
+  rs: 'rust',
+  html: 'html',
+  css: 'css',
+  json: 'json',
+  xml: 'xml',
+  yaml: 'yaml',
+  yml: 'yaml',
+  markdown: 'markdown',
+  md: 'markdown',
+  sql: 'sql',
+  plaintext: 'plaintext',
+  text: 'plaintext',
+};
+
+const FENCE_OPEN = /^ {0,3}(`{3,})\s*([^`\s]*)\s*$/;
+const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED_ITEM = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+// Inline rules, tried in order at each position
+const INLINE_RULES = [
+  { type: 'code', pattern: /(`+)([\s\S]*?[^`])\1(?!`)/y },
+  { type: 'link', pattern: /\[([^\]\n]+)\]\(([^)\s]+)\)/y },
+  { type: 'autolink', pattern: /(?:https?:\/\/|mailto:)[^\s<>]*[^\s<>.,:;"')\]!?]/y, wordStart: true },
+  { type: 'bold', pattern: /\*\*(?=\S)([\s\S]*?\S)\*\*/y },
+  { type: 'bold', pattern: /__(?=\S)([\s\S]*?\S)__(?!\w)/y, wordStart: true },
+  { type: 'italic', pattern: /\*(?=[^\s*])([\s\S]*?[^\s*])\*/y },
+  { type: 'italic', pattern: /_(?=\S)([\s\S]*?\S)_(?!\w)/y, wordStart: true },
+];
+
+/**
+ * Map a code fence's language to the matching editor language
+ * @param {string} name - Language named after the opening fence
+ * @returns {string} Editor language id, plaintext when unknown
+ */
+export const normalizeCodeLanguage = (name = '') => {
+  return CODE_LANGUAGE_ALIASES[name.toLowerCase()] || 'plaintext';
+};
+
+/**
+ * Check that a link only points somewhere safe to open
+ * @param {string} href - Link target
+ * @returns {boolean} Whether the link may be rendered
+ */
+export const isSafeLink = (href) => {
+  try {
+    return SAFE_LINK_PROTOCOLS.includes(new URL(href).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parse inline formatting
+ * @param {string} text - Text of one block
+ * @returns {Array} Inline nodes: { type: 'text' | 'code', text } or
+ *   { type: 'bold' | 'italic' | 'link', children, href? }
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let plain = '';
+  let index = 0;
+
+  const flush = () => {
+    if (plain) nodes.push({ type: 'text', text: plain });
+    plain = '';
+  };
+
+  while (index < text.length) {
+    const atWordStart = index === 0 || !/\w/.test(text[index - 1]);
+    let matched = null;
+
+    for (const rule of INLINE_RULES) {
+      if (rule.wordStart && !atWordStart) continue;
+      rule.pattern.lastIndex = index;
+      const match = rule.pattern.exec(text);
+      if (match) {
+        matched = { rule, match };
+        break;
+      }
+    }
+
+    if (!matched) {
+      plain += text[index];
+      index += 1;
+      continue;
+    }
+
+    const { rule, match } = matched;
+    flush();
+    switch (rule.type) {
+      case 'code':
+        nodes.push({ type: 'code', text: match[2] });
+        break;
+      case 'link':
+        if (isSafeLink(match[2])) {
+          nodes.push({ type: 'link', href: match[2], children: parseInline(match[1]) });
+        } else {
+          // Unsafe targets keep their label but lose the link
+          nodes.push(...parseInline(match[1]));
+        }
+        break;
+      case 'autolink':
+        nodes.push({ type: 'link', href: match[0], children: [{ type: 'text', text: match[0] }] });
+        break;
+      default:
+        nodes.push({ type: rule.type, children: parseInline(match[1]) });
+    }
+    index += match[0].length;
+  }
+
+  flush();
+  return nodes;
+};
+
+/**
+ * Parse message text into blocks
+ * @param {string} text - Message text
+ * @returns {Array} Blocks: { type: 'paragraph', lines } where lines are inline nodes,
+ *   { type: 'list', ordered, start, items } or { type: 'code', language, code }
+ */
+export const parseChatMarkdown = (text = '') => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    // Fenced code block, closed by a fence at least as long (or the end of the message)
+    const fence = FENCE_OPEN.exec(line);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}\`{${fence[1].length},}\\s*$`);
+      const code = [];
+      index += 1;
+      while (index < lines.length && !closing.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push({ type: 'code', language: normalizeCodeLanguage(fence[2]), code: code.join('\n') });
+      continue;
+    }
+
+    // Consecutive items of the same kind of list
+    const bullet = BULLET_ITEM.exec(line);
+    const numbered = bullet ? null : NUMBERED_ITEM.exec(line);
+    if (bullet || numbered) {
+      const ordered = !!numbered;
+      const itemPattern = ordered ? NUMBERED_ITEM : BULLET_ITEM;
+      const items = [];
+      let item = itemPattern.exec(line);
+      while (item) {
+        items.push(parseInline(ordered ? item[2] : item[1]));
+        index += 1;
+        item = index < lines.length ? itemPattern.exec(lines[index]) : null;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(numbered[1], 10) : 1, items });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      index += 1;
+      continue;
+    }
+
+    // Paragraph: lines up to a blank line, list or code block
+    const paragraph = [];
+    while (
+      index < lines.length &&
+      lines[index].trim() !== '' &&
+      !FENCE_OPEN.test(lines[index]) &&
+      !BULLET_ITEM.test(lines[index]) &&
+      !NUMBERED_ITEM.test(lines[index])
+    ) {
+      paragraph.push(parseInline(lines[index]));
+      index += 1;
+    }
+    blocks.push({ type: 'paragraph', lines: paragraph });
+  }
+
+  return blocks;
+};
+
+/**
+ * Split plain text so its @mentions can be highlighted
+ * @param {string} text - Plain text
+ * @param {Array<string>} mentions - Usernames the server found in the message
+ * @returns {Array} Text parts: strings, or { mention } for a mentioned username
+ */
+export const splitMentions = (text, mentions = []) => {
+  if (!text || mentions.length === 0) return [text];
+  const escapeRegExp = (name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const names = [...mentions].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`@(${names.join('|')})(?![a-zA-Z0-9_-])`, 'gi');
+  const parts = [];
+  let lastIndex = 0;
+  let match = pattern.exec(text);
+  while (match) {
+    if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+    parts.push({ mention: match[1] });
+    lastIndex = match.index + match[0].length;
+    match = pattern.exec(text);
+  }
+  if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+  return parts;
+};
+
+/**
+ * Wrap code in a fence longer than any run of backticks inside it
+ * @param {string} code - Code to share
+ * @param {string} language - Editor language
+ * @returns {string} Markdown code block
+ */
+export const toCodeFence = (code, language = '') => {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language}\n${code}\n${fence}`;
+};
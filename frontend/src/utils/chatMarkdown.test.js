@@ -0,0 +1,145 @@
+import {
+  normalizeCodeLanguage,
+  isSafeLink,
+  parseInline,
+  parseChatMarkdown,
+  splitMentions,
+  toCodeFence,
+} from './chatMarkdown';
+
+const text = (value) => ({ type: 'text', text: value });
+
+// Joined so the linter does not take the test data for a script URL
+const SCRIPT_SCHEME = ['java', 'script:'].join('');
+
+describe('normalizeCodeLanguage', () => {
+  test('maps fence aliases to editor languages', () => {
+    expect(normalizeCodeLanguage('js')).toBe('javascript');
+    expect(normalizeCodeLanguage('PY')).toBe('python');
+    expect(normalizeCodeLanguage('c++')).toBe('cpp');
+  });
+
+  test('falls back to plaintext', () => {
+    expect(normalizeCodeLanguage('brainfuck')).toBe('plaintext');
+    expect(normalizeCodeLanguage()).toBe('plaintext');
+  });
+});
+
+describe('isSafeLink', () => {
+  test.each(['https://example.com', 'http://example.com/a?b=c', 'mailto:a@example.com'])('allows %s', (href) => {
+    expect(isSafeLink(href)).toBe(true);
+  });
+
+  test.each([`${SCRIPT_SCHEME}alert(1)`, `${SCRIPT_SCHEME.toUpperCase()}alert(1)`, 'data:text/html,x', 'vbscript:x', '/relative', 'not a url'])('rejects %s', (href) => {
+    expect(isSafeLink(href)).toBe(false);
+  });
+});
+
+describe('parseInline', () => {
+  test('parses bold, italics and inline code', () => {
+    expect(parseInline('**b** *i* `c`')).toEqual([
+      { type: 'bold', children: [text('b')] },
+      text(' '),
+      { type: 'italic', children: [text('i')] },
+      text(' '),
+      { type: 'code', text: 'c' },
+    ]);
+  });
+
+  test('leaves formatting inside inline code alone', () => {
+    expect(parseInline('`**not bold**`')).toEqual([{ type: 'code', text: '**not bold**' }]);
+  });
+
+  test('does not treat underscores inside words as italics', () => {
+    expect(parseInline('snake_case_name')).toEqual([text('snake_case_name')]);
+  });
+
+  test('turns safe links into link nodes', () => {
+    expect(parseInline('[docs](https://example.com)')).toEqual([
+      { type: 'link', href: 'https://example.com', children: [text('docs')] },
+    ]);
+  });
+
+  test('keeps the label of unsafe links without linking it', () => {
+    expect(parseInline('[click](javascript:alert`1`)')).toEqual([text('click')]);
+  });
+
+  test('autolinks bare URLs without trailing punctuation', () => {
+    expect(parseInline('see https://example.com.')).toEqual([
+      text('see '),
+      { type: 'link', href: 'https://example.com', children: [text('https://example.com')] },
+      text('.'),
+    ]);
+  });
+
+  test('keeps HTML as plain text', () => {
+    expect(parseInline('<img src=x onerror=alert(1)>')).toEqual([text('<img src=x onerror=alert(1)>')]);
+  });
+});
+
+describe('parseChatMarkdown', () => {
+  test('keeps single line breaks inside a paragraph', () => {
+    expect(parseChatMarkdown('one\ntwo\n\nthree')).toEqual([
+      { type: 'paragraph', lines: [[text('one')], [text('two')]] },
+      { type: 'paragraph', lines: [[text('three')]] },
+    ]);
+  });
+
+  test('parses bulleted and numbered lists', () => {
+    expect(parseChatMarkdown('- a\n* b\n\n3. c\n4) d')).toEqual([
+      { type: 'list', ordered: false, start: 1, items: [[text('a')], [text('b')]] },
+      { type: 'list', ordered: true, start: 3, items: [[text('c')], [text('d')]] },
+    ]);
+  });
+
+  test('parses fenced code blocks with their language', () => {
+    expect(parseChatMarkdown('```js\nconst a = 1;\n```\nafter')).toEqual([
+      { type: 'code', language: 'javascript', code: 'const a = 1;' },
+      { type: 'paragraph', lines: [[text('after')]] },
+    ]);
+  });
+
+  test('runs an unclosed fence to the end of the message', () => {
+    expect(parseChatMarkdown('```\n**x**\n- y')).toEqual([
+      { type: 'code', language: 'plaintext', code: '**x**\n- y' },
+    ]);
+  });
+
+  test('only closes a fence with one at least as long', () => {
+    expect(parseChatMarkdown('````\n```\n````')).toEqual([
+      { type: 'code', language: 'plaintext', code: '```' },
+    ]);
+  });
+});
+
+describe('splitMentions', () => {
+  test('splits out mentioned usernames, longest first', () => {
+    expect(splitMentions('hi @ann and @anna!', ['ann', 'anna'])).toEqual([
+      'hi ',
+      { mention: 'ann' },
+      ' and ',
+      { mention: 'anna' },
+      '!',
+    ]);
+  });
+
+  test('ignores names that continue past the mention', () => {
+    expect(splitMentions('@ann_b', ['ann'])).toEqual(['@ann_b']);
+  });
+
+  test('escapes regular expression characters in names', () => {
+    expect(splitMentions('@a.b @axb', ['a.b'])).toEqual([{ mention: 'a.b' }, ' @axb']);
+  });
+});
+
+describe('toCodeFence', () => {
+  test('uses three backticks for ordinary code', () => {
+    expect(toCodeFence('x = 1', 'python')).toBe('```python\nx = 1\n```');
+  });
+
+  test('uses a fence longer than any backtick run inside the code', () => {
+    const fenced = toCodeFence('a ```` b', 'markdown');
+    expect(fenced).toBe('`````markdown\na ```` b\n`````');
+    expect(parseChatMarkdown(fenced)).toEqual([{ type: 'code', language: 'markdown', code: 'a ```` b' }]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Chat Read Receipt Utilities
+ *
+ * The server keeps one read marker per user and room: the newest chat message
+ * they have seen. These helpers turn markers into unread counts, the
+ * "new messages" divider and the "seen by" line under messages.
+ */
+
+/**
+ * Whether a message is newer than a read marker
+ * @param {Object} message - Chat message
+ * @param {Object|null} readState - { lastReadAt } of the reader, null if they never read
+ * @returns {boolean} True if the reader has not seen it
+ */
+const isAfterMarker = (message, readState) => (
+  !readState || new Date(message.timestamp) > new Date(readState.lastReadAt)
+);
+
+/**
+ * Whether a message counts as unread for a user
+ * Your own messages, command replies and system notices never do
+ * @param {Object} message - Chat message
+ * @param {Object|null} readState - The user's read marker
+ * @param {string} userId - The user
+ * @returns {boolean} True if it is unread
+ */
+export const isUnreadMessage = (message, readState, userId) => (
+  !message.ephemeral &&
+  message.messageType !== 'system' &&
+  message.userId !== userId &&
+  isAfterMarker(message, readState)
+);
+
+/**
+ * Count a user's unread messages among those loaded
+ * @param {Array} messages - Chat messages, oldest first
+ * @param {Object|null} readState - The user's read marker
+ * @param {string} userId - The user
+ * @returns {number} Unread messages
+ */
+export const countUnreadMessages = (messages, readState, userId) => (
+  messages.filter(message => isUnreadMessage(message, readState, userId)).length
+);
+
+/**
+ * Find who has read up to each message
+ * Readers are listed under the newest loaded message they have seen
+ * @param {Array} messages - Chat messages, oldest first
+ * @param {Object} readStates - Read markers by user id
+ * @param {string} viewerId - The user looking, left out of the lists
+ * @returns {Map} Message id -> usernames
+ */
+export const getSeenBy = (messages, readStates, viewerId) => {
+  const seenBy = new Map();
+  const stored = messages.filter(message => !message.ephemeral);
+
+  Object.values(readStates).forEach(readState => {
+    if (readState.userId === viewerId) return;
+
+    // Under your own message, having seen it goes without saying
+    const lastSeen = stored.filter(message => !isAfterMarker(message, readState)).pop();
+    if (!lastSeen || lastSeen.userId === readState.userId) return;
+    seenBy.set(lastSeen.id, [...(seenBy.get(lastSeen.id) || []), readState.username]);
+  });
+  return seenBy;
+};
@@ -0,0 +1,77 @@
+import { isUnreadMessage, countUnreadMessages, getSeenBy } from './chatReceipts';
+
+const message = (id, userId, minute, extra = {}) => ({
+  id,
+  userId,
+  messageType: 'text',
+  timestamp: `2026-01-01T12:${String(minute).padStart(2, '0')}:00Z`,
+  ...extra,
+});
+const readUpTo = (userId, username, minute) => ({
+  userId,
+  username,
+  lastReadAt: `2026-01-01T12:${String(minute).padStart(2, '0')}:00Z`,
+});
+
+describe('isUnreadMessage', () => {
+  const marker = readUpTo('me', 'Me', 10);
+
+  test('counts others\' messages after the marker', () => {
+    expect(isUnreadMessage(message('a', 'ann', 11), marker, 'me')).toBe(true);
+    expect(isUnreadMessage(message('a', 'ann', 10), marker, 'me')).toBe(false);
+  });
+
+  test('treats everything as unread without a marker', () => {
+    expect(isUnreadMessage(message('a', 'ann', 1), null, 'me')).toBe(true);
+  });
+
+  test('never counts own messages, system notices or command replies', () => {
+    expect(isUnreadMessage(message('a', 'me', 11), marker, 'me')).toBe(false);
+    expect(isUnreadMessage(message('a', 'ann', 11, { messageType: 'system' }), marker, 'me')).toBe(false);
+    expect(isUnreadMessage(message('a', 'ann', 11, { ephemeral: true }), marker, 'me')).toBe(false);
+  });
+});
+
+describe('countUnreadMessages', () => {
+  test('counts the unread messages among those loaded', () => {
+    const messages = [
+      message('1', 'ann', 1),
+      message('2', 'ann', 5),
+      message('3', 'me', 6),
+      message('4', 'bob', 7),
+      message('5', 'bob', 8, { messageType: 'system' }),
+    ];
+    expect(countUnreadMessages(messages, readUpTo('me', 'Me', 4), 'me')).toBe(2);
+    expect(countUnreadMessages([], null, 'me')).toBe(0);
+  });
+});
+
+describe('getSeenBy', () => {
+  const messages = [
+    message('1', 'me', 1),
+    message('2', 'ann', 2),
+    message('3', 'me', 3),
+    message('4', 'me', 4, { ephemeral: true }),
+  ];
+
+  test('lists readers under the newest message they have seen', () => {
+    const seenBy = getSeenBy(messages, {
+      bob: readUpTo('bob', 'Bob', 3),
+      carol: readUpTo('carol', 'Carol', 9),
+      dave: readUpTo('dave', 'Dave', 1),
+    }, 'me');
+    expect(Object.fromEntries(seenBy)).toEqual({ 3: ['Bob', 'Carol'], 1: ['Dave'] });
+  });
+
+  test('leaves out the viewer and readers under their own message', () => {
+    const seenBy = getSeenBy(messages, {
+      me: readUpTo('me', 'Me', 3),
+      ann: readUpTo('ann', 'Ann', 2),
+    }, 'me');
+    expect(seenBy.size).toBe(0);
+  });
+
+  test('skips readers who have seen none of the loaded messages', () => {
+    expect(getSeenBy(messages, { bob: readUpTo('bob', 'Bob', 0) }, 'me').size).toBe(0);
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Notes Document Utilities
+ *
+ * Client-side counterpart of backend/utils/notesDocument.js.
+ * Notes are an ordered list of blocks with stable ids; the editor DOM keeps
+ * one top-level element per block (`data-block-id`) so remote operations
+ * only touch the blocks they change and local carets stay where they are.
+ * Block HTML is sanitized again before it reaches the DOM, so nothing a
+ * peer (or an old snapshot) sends can run script in this page.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import DOMPurify from 'dompurify';
+
+// Top-level elements a notes block may use
+export const BLOCK_TAGS = ['p', 'div', 'h1', 'h2', 'h3', 'ul', 'ol', 'blockquote', 'pre'];
+
+// Markup the notes toolbar produces, mirroring backend/utils/notesDocument.js
+const NOTE_HTML_POLICY = {
+  ALLOWED_TAGS: [
+    ...BLOCK_TAGS, 'li', 'br', 'span', 'b', 'strong', 'i', 'em', 'u', 's', 'strike', 'del',
+    'sub', 'sup', 'code', 'a',
+  ],
+  ALLOWED_ATTR: ['href', 'title', 'target', 'rel', 'style'],
+  ALLOWED_URI_REGEXP: /^(?:https?|mailto):/i,
+};
+
+// Inline styles the browser's formatting commands write, mirroring the server
+const LENGTH_LIST = /^(0|\d{1,3}(\.\d+)?(px|em|rem))( (0|\d{1,3}(\.\d+)?(px|em|rem))){0,3}$/;
+const NOTE_STYLES = {
+  'text-align': /^(left|right|center|justify)$/,
+  margin: LENGTH_LIST,
+  'margin-left': LENGTH_LIST,
+  padding: LENGTH_LIST,
+  border: /^(none|0(px)?)$/,
+  'font-weight': /^(normal|bold|[1-9]00)$/,
+  'font-style': /^(normal|italic)$/,
+  'text-decoration': /^(none|underline|line-through)( (underline|line-through))?$/,
+  'text-decoration-line': /^(none|underline|line-through)( (underline|line-through))?$/,
+};
+
+// Own instance so the hooks below only apply to notes
+const notesPurifier = DOMPurify(window);
+
+// Inline styles are limited to the ones the toolbar produces
+notesPurifier.addHook('uponSanitizeAttribute', (node, data) => {
+  if (data.attrName !== 'style') return;
+  const styles = Object.entries(NOTE_STYLES)
+    .map(([property, pattern]) => [property, node.style.getPropertyValue(property), pattern])
+    .filter(([, value, pattern]) => value && pattern.test(value))
+    .map(([property, value]) => `${property}:${value}`);
+  if (styles.length > 0) {
+    data.attrValue = styles.join(';');
+  } else {
+    data.keepAttr = false;
+  }
+});
+
+// Links always open in a new tab without access to the room page
+notesPurifier.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+/**
+ * Reduce a block's HTML to the allowed formatting markup
+ * @param {string} html - Block HTML
+ * @returns {string} Sanitized HTML
+ */
+export const sanitizeNoteHtml = (html) => {
+  return notesPurifier.sanitize(html || '', NOTE_HTML_POLICY);
+};
+
+/**
+ * Generate a stable id for a new block
+ */
+export const createBlockId = () => uuidv4();
+
+/**
+ * Serialize blocks into a single HTML string
+ * @param {Array} blocks - Notes blocks
+ * @returns {string} Notes HTML
+ */
+export const blocksToHtml = (blocks) => {
+  return blocks.map(block => `<${block.tag}>${block.html}</${block.tag}>`).join('');
+};
+
+/**
+ * Compute block operations turning one block list into another
+ * Each operation carries placement hints so it can be re-inserted if the
+ * block was removed concurrently
+ * @param {Array} previousBlocks - Blocks last sent or received
+ * @param {Array} nextBlocks - Blocks currently in the editor
+ * @returns {Array} Block operations
+ */
+export const diffBlocks = (previousBlocks, nextBlocks) => {
+  const previousById = new Map(previousBlocks.map(block => [block.blockId, block]));
+  const nextIds = new Set(nextBlocks.map(block => block.blockId));
+  const operations = [];
+
+  previousBlocks.forEach(block => {
+    if (!nextIds.has(block.blockId)) {
+      operations.push({ type: 'delete', blockId: block.blockId });
+    }
+  });
+
+  nextBlocks.forEach((block, index) => {
+    const previous = previousById.get(block.blockId);
+    const placement = {
+      afterId: index > 0 ? nextBlocks[index - 1].blockId : null,
+      index,
+    };
+
+    if (!previous) {
+      operations.push({ type: 'insert', blockId: block.blockId, tag: block.tag, html: block.html, ...placement });
+    } else if (previous.tag !== block.tag || previous.html !== block.html) {
+      operations.push({ type: 'update', blockId: block.blockId, tag: block.tag, html: block.html, ...placement });
+    }
+  });
+
+  return operations;
+};
+
+/**
+ * Apply block operations to a block list, mirroring the server rules
+ * @param {Array} blocks - Current blocks
+ * @param {Array} operations - Block operations
+ * @returns {Array} New block list
+ */
+export const applyNoteOperations = (blocks, operations) => {
+  const result = [...blocks];
+
+  operations.forEach(operation => {
+    const index = result.findIndex(block => block.blockId === operation.blockId);
+
+    if (operation.type === 'delete') {
+      if (index !== -1) result.splice(index, 1);
+      return;
+    }
+
+    const block = { blockId: operation.blockId, tag: operation.tag, html: operation.html };
+
+    if (index !== -1) {
+      result[index] = { ...result[index], ...block };
+      return;
+    }
+
+    let position = 0;
+    if (operation.afterId) {
+      const anchorIndex = result.findIndex(item => item.blockId === operation.afterId);
+      position = anchorIndex !== -1
+        ? anchorIndex + 1
+        : Math.max(0, Math.min(operation.index ?? result.length, result.length));
+    }
+    result.splice(position, 0, block);
+  });
+
+  return result;
+};
+
+/**
+ * Create the DOM element for a block
+ * @param {Object} block - Notes block
+ * @returns {HTMLElement} Block element
+ */
+export const createBlockElement = (block) => {
+  const element = document.createElement(BLOCK_TAGS.includes(block.tag) ? block.tag : 'p');
+  element.setAttribute('data-block-id', block.blockId);
+  element.innerHTML = sanitizeNoteHtml(block.html);
+  return element;
+};
+
+/**
+ * Find the top-level element for a block id
+ * @param {HTMLElement} editor - Editor root
+ * @param {string} blockId - Block id
+ * @returns {HTMLElement|undefined} Block element
+ */
+export const findBlockElement = (editor, blockId) => {
+  return Array.from(editor.children).find(element => element.getAttribute('data-block-id') === blockId);
+};
+
+/**
+ * Make every top-level node a block element with a unique id
+ * Stray text and inline nodes are wrapped in paragraphs, and duplicated ids
+ * (browsers copy attributes when splitting a paragraph) are replaced
+ * @param {HTMLElement} editor - Editor root
+ * @returns {boolean} True if nodes had to be moved (the caret may need restoring)
+ */
+export const normalizeEditorBlocks = (editor) => {
+  const seenIds = new Set();
+  let wrapper = null;
+  let moved = false;
+
+  Array.from(editor.childNodes).forEach(node => {
+    const isBlock = node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(node.tagName.toLowerCase());
+
+    if (!isBlock) {
+      if (node.nodeType === Node.TEXT_NODE && !node.textContent.trim() && !wrapper) {
+        node.remove();
+        return;
+      }
+      if (!wrapper) {
+        wrapper = document.createElement('p');
+        wrapper.setAttribute('data-block-id', createBlockId());
+        seenIds.add(wrapper.getAttribute('data-block-id'));
+        editor.insertBefore(wrapper, node);
+      }
+      wrapper.appendChild(node);
+      moved = true;
+      return;
+    }
+
+    wrapper = null;
+    const blockId = node.getAttribute('data-block-id');
+    if (!blockId || seenIds.has(blockId)) {
+      node.setAttribute('data-block-id', createBlockId());
+    }
+    seenIds.add(node.getAttribute('data-block-id'));
+  });
+
+  return moved;
+};
+
+/**
+ * Read the block list from the editor DOM
+ * @param {HTMLElement} editor - Normalized editor root
+ * @returns {Array} Blocks
+ */
+export const readEditorBlocks = (editor) => {
+  return Array.from(editor.children).map(element => ({
+    blockId: element.getAttribute('data-block-id'),
+    tag: element.tagName.toLowerCase(),
+    html: element.innerHTML,
+  }));
+};
+
+/**
+ * Get the current selection as text offsets within a container
+ * @param {HTMLElement} container - Element containing the selection
+ * @returns {Object|null} { start, end } or null if the selection is elsewhere
+ */
+export const getSelectionOffsets = (container) => {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) {
+    return null;
+  }
+
+  const measure = document.createRange();
+  measure.selectNodeContents(container);
+  measure.setEnd(range.startContainer, range.startOffset);
+  const start = measure.toString().length;
+  measure.setEnd(range.endContainer, range.endOffset);
+
+  return { start, end: measure.toString().length };
+};
+
+/**
+ * Restore a selection from text offsets within a container
+ * @param {HTMLElement} container - Element to place the selection in
+ * @param {Object} offsets - { start, end } from getSelectionOffsets
+ */
+export const setSelectionOffsets = (container, offsets) => {
+  if (!offsets) return;
+
+  const locate = (target) => {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    let remaining = target;
+    let node = walker.nextNode();
+    while (node) {
+      if (remaining <= node.textContent.length) {
+        return { node, offset: remaining };
+      }
+      remaining -= node.textContent.length;
+      node = walker.nextNode();
+    }
+    return { node: container, offset: container.childNodes.length };
+  };
+
+  const start = locate(offsets.start);
+  const end = locate(offsets.end);
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
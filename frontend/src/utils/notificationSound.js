@@ -0,0 +1,55 @@
+/**
+ * Notification Sound Utilities
+ *
+ * Short tones played with the Web Audio API so no sound files are needed.
+ * Browsers only allow audio after the user has interacted with the page;
+ * until then the tone stays silent.
+ */
+
+let audioContext = null;
+
+/**
+ * Get the shared audio context, creating it on first use
+ * @returns {AudioContext|null} Audio context, or null if unsupported
+ */
+const getAudioContext = () => {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    audioContext = new AudioContextClass();
+  }
+  return audioContext;
+};
+
+/**
+ * Play a short two-note chime
+ * @param {number} volume - Gain between 0 and 1
+ */
+export const playNotificationTone = (volume = 0.15) => {
+  try {
+    const context = getAudioContext();
+    if (!context) return;
+    if (context.state === 'suspended') {
+      // Resumes once the page has had a user gesture; otherwise stays silent
+      context.resume().catch(() => {});
+    }
+
+    [880, 1175].forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      const start = context.currentTime + index * 0.12;
+
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(volume, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.2);
+    });
+  } catch (error) {
+    console.warn('Notification sound failed:', error);
+  }
+};
@@ -0,0 +1,51 @@
+import {
+  applyOperation,
+  transformOperations,
+  operationFromMonacoChanges,
+  operationToEdits,
+} from './operationalTransform';
+
+const change = (rangeOffset, rangeLength, text) => ({ rangeOffset, rangeLength, text });
+
+describe('operationFromMonacoChanges', () => {
+  test('turns a single edit into an operation', () => {
+    expect(operationFromMonacoChanges([change(6, 5, 'there')], 11)).toEqual([6, 'there', -5]);
+  });
+
+  test('orders changes that all refer to the model before the event', () => {
+    const operation = operationFromMonacoChanges([change(4, 1, 'Y'), change(0, 0, 'X')], 6);
+    expect(operation).toEqual(['X', 4, 'Y', -1, 1]);
+    expect(applyOperation('abcdef', operation)).toBe('XabcdYf');
+  });
+
+  test('produces a no-op for an empty event', () => {
+    expect(operationFromMonacoChanges([], 3)).toEqual([3]);
+  });
+});
+
+describe('operationToEdits', () => {
+  test('gives offsets in the original document', () => {
+    expect(operationToEdits([2, 'X', 3, -2, 1, 'Z'])).toEqual([
+      { offset: 2, length: 0, text: 'X' },
+      { offset: 5, length: 2, text: '' },
+      { offset: 8, length: 0, text: 'Z' },
+    ]);
+  });
+
+  test('joins an insert and the delete after it into one replacement', () => {
+    expect(operationToEdits([1, 'new', -3])).toEqual([{ offset: 1, length: 3, text: 'new' }]);
+  });
+
+  test('applies a remote change the way applyOperation does', () => {
+    const doc = 'const a = 1;';
+    const local = operationFromMonacoChanges([change(6, 1, 'b')], doc.length);
+    const remote = [10, -1, '2', 1];
+    const [, remotePrime] = transformOperations(local, remote);
+
+    let edited = applyOperation(doc, local);
+    [...operationToEdits(remotePrime)].reverse().forEach(({ offset, length, text }) => {
+      edited = edited.slice(0, offset) + text + edited.slice(offset + length);
+    });
+    expect(edited).toBe('const b = 2;');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Poll Export Utilities
+ *
+ * Turns the polls returned by the room's poll export endpoint into a CSV
+ * spreadsheet with one row per option. Anonymous polls only have counts.
+ */
+
+const CSV_HEADER = [
+  'Poll ID', 'Question', 'Asked by', 'Asked at', 'Multiple choice', 'Anonymous',
+  'Closed at', 'Option', 'Votes', 'Voters',
+];
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * When a poll stopped (or will stop) taking votes
+ * @param {Object} poll - Exported poll
+ * @returns {string|null} ISO time, or null while it stays open
+ */
+const closedAt = (poll) => {
+  if (poll.closedAt) return poll.closedAt;
+  return poll.closed ? poll.closesAt : null;
+};
+
+/**
+ * Build a CSV of polls and their results
+ * @param {Array} polls - Polls from roomAPI.getRoomPolls
+ * @returns {string} CSV text
+ */
+export const pollsToCsv = (polls) => {
+  const rows = polls.flatMap(poll => poll.options.map(option => [
+    poll.id,
+    poll.question,
+    poll.askedBy.username,
+    poll.timestamp,
+    poll.multipleChoice ? 'yes' : 'no',
+    poll.anonymous ? 'yes' : 'no',
+    closedAt(poll),
+    option.text,
+    option.votes,
+    (option.voters || []).map(voter => voter.username).join('; '),
+  ]));
+  return [CSV_HEADER, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+};